@@ -16,27 +16,307 @@
  * - Кэш
  */
 
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+// ===== РЕЕСТР SINGLETON С ОБЛАСТЯМИ =====
+
+/**
+ * Область (scope) хранения экземпляров.
+ * В каждой области у ключа не больше одного экземпляра: глобальная область
+ * живет все время работы приложения, области запроса или теста
+ * создаются и уничтожаются вместе с ними.
+ */
+class SingletonScope {
+    constructor(name, registry) {
+        this.name = name;
+        this.registry = registry;
+        // key -> { instance, pending, definition }, в порядке создания
+        this.entries = new Map();
+    }
+
+    /**
+     * Есть ли в области готовый или создающийся экземпляр
+     * @param {*} key - Ключ (класс или строка)
+     * @returns {boolean}
+     */
+    has(key) {
+        return this.entries.has(key);
+    }
+
+    /**
+     * Есть ли в области уже готовый экземпляр (создающийся не учитывается)
+     * @param {*} key - Ключ (класс или строка)
+     * @returns {boolean}
+     */
+    hasInstance(key) {
+        const entry = this.entries.get(key);
+        return Boolean(entry) && !entry.pending && entry.instance !== undefined;
+    }
+
+    /**
+     * Синхронно возвращает экземпляр, создавая его при первом обращении
+     * @param {*} key - Ключ (класс или строка)
+     * @returns {*}
+     */
+    get(key) {
+        const entry = this.entries.get(key);
+        if (entry) {
+            if (entry.pending) {
+                throw new Error(`Экземпляр "${describeKey(key)}" еще инициализируется, используйте getInstance()`);
+            }
+            return entry.instance;
+        }
+
+        const definition = this.registry.getDefinition(key);
+        const instance = definition.factory(this);
+        if (instance && typeof instance.then === "function") {
+            throw new Error(`Фабрика "${describeKey(key)}" асинхронная, используйте getInstance()`);
+        }
+
+        this.entries.set(key, { instance, pending: null, definition });
+        return instance;
+    }
+
+    /**
+     * Асинхронно возвращает экземпляр с ленивой инициализацией.
+     * При одновременных первых обращениях фабрика вызывается один раз,
+     * все вызывающие получают один и тот же экземпляр.
+     * Если во время инициализации экземпляр сбросили (reset, dispose, set),
+     * Promise отклоняется, а не возвращает уже освобожденный объект.
+     * @param {*} key - Ключ (класс или строка)
+     * @returns {Promise<*>}
+     */
+    async getInstance(key) {
+        let entry = this.entries.get(key);
+        if (!entry) {
+            const definition = this.registry.getDefinition(key);
+            entry = { instance: undefined, pending: null, definition };
+            // Запись появляется в области до вызова фабрики,
+            // поэтому параллельные вызовы дождутся того же Promise
+            this.entries.set(key, entry);
+            entry.pending = this.initialize(key, entry);
+        }
+        if (!entry.pending) {
+            return entry.instance;
+        }
+
+        const instance = await entry.pending;
+        if (this.entries.get(key) !== entry) {
+            throw new Error(`Экземпляр "${describeKey(key)}" сброшен во время инициализации`);
+        }
+        return instance;
+    }
+
+    async initialize(key, entry) {
+        try {
+            entry.instance = await entry.definition.factory(this);
+            return entry.instance;
+        } catch (error) {
+            // Неудачная инициализация не должна блокировать повторную попытку
+            if (this.entries.get(key) === entry) {
+                this.entries.delete(key);
+            }
+            throw error;
+        } finally {
+            entry.pending = null;
+        }
+    }
+
+    /**
+     * Явно помещает экземпляр в область (например, подмена в тестах)
+     * @param {*} key - Ключ (класс или строка)
+     * @param {*} instance - Экземпляр
+     */
+    set(key, instance) {
+        const definition = this.registry.definitions.get(key) || { factory: null, dispose: null };
+        this.entries.set(key, { instance, pending: null, definition });
+        return instance;
+    }
+
+    /**
+     * Уничтожает экземпляр ключа; следующий get() создаст новый
+     * @param {*} key - Ключ (класс или строка)
+     * @returns {Promise<void>}
+     */
+    async reset(key) {
+        const entry = this.entries.get(key);
+        if (!entry) {
+            return;
+        }
+
+        this.entries.delete(key);
+        await disposeEntry(entry);
+    }
+
+    /**
+     * Уничтожает все экземпляры области в порядке, обратном созданию.
+     * Ошибки отдельных обработчиков собираются в AggregateError.
+     * @returns {Promise<void>}
+     */
+    async dispose() {
+        const entries = [...this.entries.values()].reverse();
+        this.entries.clear();
+
+        const errors = [];
+        for (const entry of entries) {
+            try {
+                await disposeEntry(entry);
+            } catch (error) {
+                errors.push(error);
+            }
+        }
+
+        if (errors.length > 0) {
+            throw new AggregateError(errors, `Ошибки при освобождении области "${this.name}"`);
+        }
+    }
+}
+
+/**
+ * Центральный реестр singleton-объектов.
+ * Хранит описания (фабрика + обработчик освобождения) и именованные области.
+ */
+class SingletonRegistry {
+    static GLOBAL_SCOPE = "global";
+
+    constructor() {
+        this.definitions = new Map();
+        this.scopes = new Map();
+    }
+
+    /**
+     * Регистрирует фабрику экземпляра
+     * @param {*} key - Ключ (класс или строка)
+     * @param {Function} factory - (scope) => экземпляр или Promise экземпляра
+     * @param {Object} [options]
+     * @param {Function} [options.dispose] - (instance) => void | Promise, освобождение ресурсов
+     */
+    register(key, factory, { dispose = null } = {}) {
+        if (typeof factory !== "function") {
+            throw new Error(`Фабрика для "${describeKey(key)}" должна быть функцией`);
+        }
+        this.definitions.set(key, { factory, dispose });
+        return this;
+    }
+
+    isRegistered(key) {
+        return this.definitions.has(key);
+    }
+
+    getDefinition(key) {
+        const definition = this.definitions.get(key);
+        if (!definition) {
+            throw new Error(`Singleton "${describeKey(key)}" не зарегистрирован`);
+        }
+        return definition;
+    }
+
+    /**
+     * Возвращает область по имени, создавая ее при необходимости
+     * @param {string} [name] - Имя области ("global", "request:42", "test")
+     * @returns {SingletonScope}
+     */
+    scope(name = SingletonRegistry.GLOBAL_SCOPE) {
+        if (!this.scopes.has(name)) {
+            this.scopes.set(name, new SingletonScope(name, this));
+        }
+        return this.scopes.get(name);
+    }
+
+    get(key, scopeName) {
+        return this.scope(scopeName).get(key);
+    }
+
+    getInstance(key, scopeName) {
+        return this.scope(scopeName).getInstance(key);
+    }
+
+    reset(key, scopeName) {
+        return this.scope(scopeName).reset(key);
+    }
+
+    /**
+     * Освобождает все экземпляры области и удаляет ее из реестра
+     * @param {string} [name] - Имя области
+     * @returns {Promise<void>}
+     */
+    async dispose(name = SingletonRegistry.GLOBAL_SCOPE) {
+        const scope = this.scopes.get(name);
+        if (!scope) {
+            return;
+        }
+        this.scopes.delete(name);
+        await scope.dispose();
+    }
+
+    /**
+     * Освобождает все области (например, при завершении приложения)
+     * @returns {Promise<void>}
+     */
+    async disposeAll() {
+        const names = [...this.scopes.keys()].reverse();
+        const errors = [];
+        for (const name of names) {
+            try {
+                await this.dispose(name);
+            } catch (error) {
+                errors.push(error);
+            }
+        }
+
+        if (errors.length > 0) {
+            throw new AggregateError(errors, "Ошибки при освобождении реестра");
+        }
+    }
+}
+
+function describeKey(key) {
+    return typeof key === "function" ? key.name : String(key);
+}
+
+async function disposeEntry(entry) {
+    // Дожидаемся незавершенной инициализации, чтобы не потерять ресурс
+    const instance = entry.pending ? await entry.pending.catch(() => undefined) : entry.instance;
+    if (instance !== undefined && entry.definition.dispose) {
+        await entry.definition.dispose(instance);
+    }
+}
+
+// Реестр по умолчанию, через который работают примеры ниже
+const singletonRegistry = new SingletonRegistry();
+
 // ===== КЛАССИЧЕСКАЯ РЕАЛИЗАЦИЯ =====
 
 class Singleton {
-    constructor() {
+    /**
+     * @param {SingletonScope} [scope] - Область; по умолчанию глобальная
+     */
+    constructor(scope = singletonRegistry.scope()) {
+
         // Проверяем, существует ли уже экземпляр
-        if (Singleton.instance) {
+        if (scope.has(Singleton)) {
             // Если экземпляр уже существует, возвращаем его
-            return Singleton.instance;
+            return scope.get(Singleton);
         }
         
         // Если экземпляр не существует, создаем новый
         this.data = "Я единственный экземпляр!";
         this.createdAt = new Date();
         
-        // Сохраняем экземпляр в статическом свойстве
-        Singleton.instance = this;
+        // Сохраняем экземпляр в реестре
+        scope.set(Singleton, this);
         
         // Возвращаем созданный экземпляр
         return this;
     }
     
+    // Сбрасывает экземпляр, следующий new Singleton() создаст новый
+    static reset(scopeName) {
+        return singletonRegistry.reset(Singleton, scopeName);
+    }
+    
     // Метод для получения данных
     getData() {
         return this.data;
@@ -56,12 +336,9 @@ class Singleton {
 // ===== РЕАЛИЗАЦИЯ С ПРИВАТНЫМ КОНСТРУКТОРОМ =====
 
 class SingletonPrivate {
-    // Приватное статическое свойство для хранения экземпляра
-    static #instance = null;
-    
-    // Приватный конструктор
-    constructor() {
-        if (SingletonPrivate.#instance) {
+    // Приватный конструктор: вызывается только фабрикой реестра для своей области
+    constructor(scope = singletonRegistry.scope()) {
+        if (scope.hasInstance(SingletonPrivate)) {
             throw new Error("Нельзя создать новый экземпляр Singleton!");
         }
         
@@ -70,11 +347,12 @@ class SingletonPrivate {
     }
     
     // Публичный статический метод для получения экземпляра
-    static getInstance() {
-        if (!SingletonPrivate.#instance) {
-            SingletonPrivate.#instance = new SingletonPrivate();
-        }
-        return SingletonPrivate.#instance;
+    static getInstance(scopeName) {
+        return singletonRegistry.get(SingletonPrivate, scopeName);
+    }
+    
+    static reset(scopeName) {
+        return singletonRegistry.reset(SingletonPrivate, scopeName);
     }
     
     getData() {
@@ -86,12 +364,11 @@ class SingletonPrivate {
     }
 }
 
+singletonRegistry.register(SingletonPrivate, (scope) => new SingletonPrivate(scope));
+
 // ===== РЕАЛИЗАЦИЯ С ЗАМЫКАНИЕМ =====
 
 const SingletonClosure = (function() {
-    // Приватная переменная для хранения экземпляра
-    let instance;
-    
     // Приватная функция-конструктор
     function createInstance() {
         return {
@@ -106,112 +383,454 @@ const SingletonClosure = (function() {
         };
     }
     
-    // Возвращаем объект с методом getInstance
+    // Экземпляр хранится в реестре, наружу видна только фабрика
+    singletonRegistry.register("SingletonClosure", createInstance);
+    
+    // Возвращаем объект с методами getInstance и reset
     return {
         getInstance: function() {
-            if (!instance) {
-                instance = createInstance();
-            }
-            return instance;
+            return singletonRegistry.get("SingletonClosure");
+        },
+        reset: function() {
+            return singletonRegistry.reset("SingletonClosure");
         }
     };
 })();
 
-// ===== ПРИМЕРЫ ИСПОЛЬЗОВАНИЯ =====
-
-console.log("=== КЛАССИЧЕСКИЙ SINGLETON ===");
-
-// Создаем первый экземпляр
-const instance1 = new Singleton();
-console.log("Первый экземпляр:", instance1.getData());
-console.log("Время создания:", instance1.getCreatedAt());
-
-// Пытаемся создать второй экземпляр
-const instance2 = new Singleton();
-console.log("Второй экземпляр:", instance2.getData());
-console.log("Время создания:", instance2.getCreatedAt());
-
-// Проверяем, что это один и тот же объект
-console.log("Это один объект?", instance1 === instance2); // true
-
-// Изменяем данные через один экземпляр
-instance1.setData("Данные изменены!");
-console.log("Данные через instance1:", instance1.getData());
-console.log("Данные через instance2:", instance2.getData());
-
-console.log("\n=== ПРИВАТНЫЙ SINGLETON ===");
-
-// Получаем экземпляр через getInstance
-const privateInstance1 = SingletonPrivate.getInstance();
-const privateInstance2 = SingletonPrivate.getInstance();
+// ===== ПРАКТИЧЕСКИЙ ПРИМЕР - ЛОГГЕР =====
 
-console.log("Экземпляр 1:", privateInstance1.getData());
-console.log("Экземпляр 2:", privateInstance2.getData());
-console.log("Это один объект?", privateInstance1 === privateInstance2);
+// Уровни логирования: сообщения ниже минимального уровня отбрасываются
+const LOG_LEVELS = Object.freeze({
+    DEBUG: 10,
+    INFO: 20,
+    WARNING: 30,
+    ERROR: 40
+});
 
-// Попытка создать новый экземпляр вызовет ошибку
-try {
-    const newInstance = new SingletonPrivate();
-} catch (error) {
-    console.log("Ошибка:", error.message);
+/**
+ * Формирует текстовую строку записи: [LEVEL] message - timestamp {context}
+ */
+function formatText(entry) {
+    const { message, level, timestamp, ...context } = entry;
+    const contextText = Object.keys(context).length > 0 ? ` ${JSON.stringify(context)}` : "";
+    return `[${level}] ${message} - ${timestamp}${contextText}`;
 }
 
-console.log("\n=== SINGLETON С ЗАМЫКАНИЕМ ===");
-
-const closureInstance1 = SingletonClosure.getInstance();
-const closureInstance2 = SingletonClosure.getInstance();
+/**
+ * Вывод в консоль: текстом или JSON-строкой
+ */
+class ConsoleTransport {
+    constructor({ format = "text" } = {}) {
+        this.format = format;
+    }
+    
+    write(entry) {
+        console.log(this.format === "json" ? JSON.stringify(entry) : formatText(entry));
+    }
+}
 
-console.log("Экземпляр 1:", closureInstance1.getData());
-console.log("Экземпляр 2:", closureInstance2.getData());
-console.log("Это один объект?", closureInstance1 === closureInstance2);
+/**
+ * Кольцевой буфер в памяти: хранит только последние capacity записей.
+ * Новая запись перезаписывает самую старую, без сдвига массива
+ */
+class RingBufferTransport {
+    constructor({ capacity = 1000 } = {}) {
+        if (!Number.isInteger(capacity) || capacity <= 0) {
+            throw new Error("Размер буфера должен быть положительным целым числом");
+        }
+        this.capacity = capacity;
+        this.clear();
+    }
+    
+    write(entry) {
+        this.entries[(this.start + this.count) % this.capacity] = entry;
+        if (this.count < this.capacity) {
+            this.count++;
+        } else {
+            this.start = (this.start + 1) % this.capacity;
+        }
+    }
+    
+    getEntries() {
+        return Array.from({ length: this.count }, (_, i) => this.entries[(this.start + i) % this.capacity]);
+    }
+    
+    clear() {
+        this.entries = new Array(this.capacity);
+        this.start = 0; // Индекс самой старой записи
+        this.count = 0;
+    }
+}
 
-// ===== ПРАКТИЧЕСКИЙ ПРИМЕР - ЛОГГЕР =====
+/**
+ * Запись в файл в формате JSON lines с ротацией по размеру:
+ * app.log -> app.log.1 -> app.log.2 ... (старше maxFiles удаляются)
+ */
+class RotatingFileTransport {
+    constructor({ filename, maxBytes = 1024 * 1024, maxFiles = 5 }) {
+        if (!filename) {
+            throw new Error("Не указан файл для логов");
+        }
+        this.filename = filename;
+        this.maxBytes = maxBytes;
+        this.maxFiles = maxFiles;
+        this.size = fs.existsSync(filename) ? fs.statSync(filename).size : 0;
+    }
+    
+    write(entry) {
+        const line = JSON.stringify(entry) + "\n";
+        const bytes = Buffer.byteLength(line);
+        
+        if (this.size > 0 && this.size + bytes > this.maxBytes) {
+            this.rotate();
+        }
+        
+        fs.appendFileSync(this.filename, line);
+        this.size += bytes;
+    }
+    
+    rotate() {
+        const oldest = `${this.filename}.${this.maxFiles}`;
+        if (fs.existsSync(oldest)) {
+            fs.unlinkSync(oldest);
+        }
+        for (let i = this.maxFiles - 1; i >= 1; i--) {
+            const from = `${this.filename}.${i}`;
+            if (fs.existsSync(from)) {
+                fs.renameSync(from, `${this.filename}.${i + 1}`);
+            }
+        }
+        if (this.maxFiles > 0) {
+            fs.renameSync(this.filename, `${this.filename}.1`);
+        } else {
+            fs.unlinkSync(this.filename);
+        }
+        this.size = 0;
+    }
+}
 
 class Logger {
-    constructor() {
-        if (Logger.instance) {
-            return Logger.instance;
+    /**
+     * @param {SingletonScope} [scope] - Область; по умолчанию глобальная
+     */
+    constructor(scope = singletonRegistry.scope()) {
+        if (scope.has(Logger)) {
+            return scope.get(Logger);
         }
         
-        this.logs = [];
-        Logger.instance = this;
+        this.bindings = {};
+        // Настройки общие для логгера и всех дочерних: меняются только на месте
+        this.settings = {};
+        this.configure();
+        scope.set(Logger, this);
+        return this;
+    }
+    
+    static reset(scopeName) {
+        return singletonRegistry.reset(Logger, scopeName);
+    }
+    
+    /**
+     * Настраивает логгер. Настройки общие: вызов на дочернем логгере
+     * меняет их и для родителя, а дочерние видят изменения сразу.
+     * @param {Object} [options]
+     * @param {string} [options.level] - Минимальный уровень (DEBUG, INFO, WARNING, ERROR)
+     * @param {Array} [options.transports] - Дополнительные транспорты ({ write(entry) })
+     * @param {number} [options.bufferSize] - Сколько последних записей хранит getLogs()
+     * @param {boolean} [options.console] - Выводить ли в консоль
+     */
+    configure({ level = "INFO", transports = [], bufferSize = 1000, console: useConsole = true } = {}) {
+        const buffer = new RingBufferTransport({ capacity: bufferSize });
+        Object.assign(this.settings, {
+            level: resolveLevel(level),
+            buffer,
+            transports: [
+                ...(useConsole ? [new ConsoleTransport()] : []),
+                buffer,
+                ...transports
+            ]
+        });
         return this;
     }
     
-    log(message, level = 'INFO') {
+    get level() {
+        return this.settings.level;
+    }
+    
+    get buffer() {
+        return this.settings.buffer;
+    }
+    
+    get transports() {
+        return this.settings.transports;
+    }
+    
+    /**
+     * Меняет минимальный уровень; неизвестный уровень игнорируется с предупреждением
+     * @param {string} level - Уровень
+     */
+    setLevel(level) {
+        if (isKnownLevel(level)) {
+            this.settings.level = level;
+        } else {
+            resolveLevel(level);
+        }
+    }
+    
+    isLevelEnabled(level) {
+        return LOG_LEVELS[resolveLevel(level)] >= LOG_LEVELS[this.level];
+    }
+    
+    /**
+     * Записывает сообщение во все транспорты
+     * @param {string} message - Текст сообщения
+     * @param {string} [level] - Уровень
+     * @param {Object} [context] - Структурированные поля записи
+     * @returns {Object|null} Запись или null, если уровень ниже минимального
+     */
+    log(message, level = "INFO", context = {}) {
+        if (!this.isLevelEnabled(level)) {
+            return null;
+        }
+        
         const logEntry = {
             message,
-            level,
+            level: resolveLevel(level),
             timestamp: new Date().toISOString()
         };
+        // Поля контекста не перезаписывают служебные поля записи
+        for (const [key, value] of Object.entries({ ...this.bindings, ...context })) {
+            if (!(key in logEntry)) {
+                logEntry[key] = value;
+            }
+        }
         
-        this.logs.push(logEntry);
-        console.log(`[${level}] ${message} - ${logEntry.timestamp}`);
+        for (const transport of this.transports) {
+            try {
+                transport.write(logEntry);
+            } catch (error) {
+                // Сбой одного транспорта не должен ломать приложение и другие транспорты
+                console.error(`[Logger] Ошибка транспорта ${transport.constructor.name}: ${error.message}`);
+            }
+        }
+        return logEntry;
+    }
+    
+    debug(message, context) {
+        return this.log(message, "DEBUG", context);
+    }
+    
+    info(message, context) {
+        return this.log(message, "INFO", context);
+    }
+    
+    warn(message, context) {
+        return this.log(message, "WARNING", context);
+    }
+    
+    error(message, context) {
+        return this.log(message, "ERROR", context);
+    }
+    
+    /**
+     * Создает дочерний логгер с привязанными полями контекста.
+     * Он использует общие с родителем уровень и транспорты.
+     * @param {Object} bindings - Поля, добавляемые в каждую запись
+     * @returns {Logger}
+     */
+    child(bindings) {
+        const child = Object.create(this);
+        child.bindings = { ...this.bindings, ...bindings };
+        return child;
     }
     
     getLogs() {
-        return [...this.logs]; // Возвращаем копию массива
+        return this.buffer.getEntries(); // Копия последних записей
     }
     
     clearLogs() {
-        this.logs = [];
+        this.buffer.clear();
+    }
+}
+
+function isKnownLevel(level) {
+    return Object.hasOwn(LOG_LEVELS, level);
+}
+
+// Предупреждаем о каждом неизвестном уровне один раз, а не на каждой записи
+const warnedLevels = new Set();
+
+/**
+ * Неизвестный уровень не должен ронять приложение из-за строки лога:
+ * он заменяется на INFO с однократным предупреждением
+ * @param {string} level - Уровень
+ * @returns {string} Известный уровень
+ */
+function resolveLevel(level) {
+    if (isKnownLevel(level)) {
+        return level;
+    }
+    if (!warnedLevels.has(level)) {
+        warnedLevels.add(level);
+        console.warn(`[Logger] Неизвестный уровень логирования "${level}", используется INFO`);
     }
+    return "INFO";
 }
 
-console.log("\n=== ПРАКТИЧЕСКИЙ ПРИМЕР - ЛОГГЕР ===");
+// ===== ПРИМЕРЫ ИСПОЛЬЗОВАНИЯ =====
+
+/**
+ * Запускает демонстрацию паттерна.
+ * Вызывается только при прямом запуске файла: node 01-singleton.js
+ */
+async function runDemo() {
+    console.log("=== КЛАССИЧЕСКИЙ SINGLETON ===");
+
+    // Создаем первый экземпляр
+    const instance1 = new Singleton();
+    console.log("Первый экземпляр:", instance1.getData());
+    console.log("Время создания:", instance1.getCreatedAt());
 
-const logger1 = new Logger();
-const logger2 = new Logger();
+    // Пытаемся создать второй экземпляр
+    const instance2 = new Singleton();
+    console.log("Второй экземпляр:", instance2.getData());
+    console.log("Время создания:", instance2.getCreatedAt());
+
+    // Проверяем, что это один и тот же объект
+    console.log("Это один объект?", instance1 === instance2); // true
+
+    // Изменяем данные через один экземпляр
+    instance1.setData("Данные изменены!");
+    console.log("Данные через instance1:", instance1.getData());
+    console.log("Данные через instance2:", instance2.getData());
+
+    console.log("\n=== ПРИВАТНЫЙ SINGLETON ===");
+
+    // Получаем экземпляр через getInstance
+    const privateInstance1 = SingletonPrivate.getInstance();
+    const privateInstance2 = SingletonPrivate.getInstance();
+
+    console.log("Экземпляр 1:", privateInstance1.getData());
+    console.log("Экземпляр 2:", privateInstance2.getData());
+    console.log("Это один объект?", privateInstance1 === privateInstance2);
+
+    // Попытка создать новый экземпляр вызовет ошибку
+    try {
+        const newInstance = new SingletonPrivate();
+    } catch (error) {
+        console.log("Ошибка:", error.message);
+    }
 
-logger1.log("Приложение запущено");
-logger2.log("Пользователь авторизовался", "WARNING");
-logger1.log("Данные загружены");
+    // В отдельной области (например, в тесте) свой экземпляр
+    const testInstance = SingletonPrivate.getInstance("test");
+    console.log("Экземпляр теста отличается от глобального?", testInstance !== privateInstance1);
+    await singletonRegistry.dispose("test");
 
-console.log("Все логи:", logger1.getLogs());
-console.log("Количество логов:", logger1.getLogs().length);
+    console.log("\n=== SINGLETON С ЗАМЫКАНИЕМ ===");
 
-// Проверяем, что это один и тот же логгер
-console.log("Логгеры одинаковые?", logger1 === logger2);
+    const closureInstance1 = SingletonClosure.getInstance();
+    const closureInstance2 = SingletonClosure.getInstance();
+
+    console.log("Экземпляр 1:", closureInstance1.getData());
+    console.log("Экземпляр 2:", closureInstance2.getData());
+    console.log("Это один объект?", closureInstance1 === closureInstance2);
+
+    console.log("\n=== ПРАКТИЧЕСКИЙ ПРИМЕР - ЛОГГЕР ===");
+
+    const logger1 = new Logger();
+    const logger2 = new Logger();
+
+    logger1.log("Приложение запущено");
+    logger2.log("Пользователь авторизовался", "WARNING");
+    logger1.log("Данные загружены");
+
+    console.log("Все логи:", logger1.getLogs());
+    console.log("Количество логов:", logger1.getLogs().length);
+
+    // Проверяем, что это один и тот же логгер
+    console.log("Логгеры одинаковые?", logger1 === logger2);
+
+    // Фильтрация по уровню
+    logger1.setLevel("WARNING");
+    logger1.info("Это сообщение будет отброшено");
+    logger1.error("Ошибка подключения", { retry: 3 });
+    logger1.setLevel("INFO");
+
+    // Дочерний логгер добавляет поля контекста в каждую запись
+    const requestLogger = logger1.child({ requestId: "req-42", userId: 7 });
+    requestLogger.info("Запрос обработан", { durationMs: 12 });
+
+    // Структурированный вывод JSON lines, буфер ограничен
+    const logFile = path.join(os.tmpdir(), `singleton-demo-${process.pid}.log`);
+    const fileTransport = new RotatingFileTransport({ filename: logFile, maxBytes: 200, maxFiles: 2 });
+    logger1.configure({ console: false, bufferSize: 3, transports: [new ConsoleTransport({ format: "json" }), fileTransport] });
+    for (let i = 1; i <= 5; i++) {
+        requestLogger.info(`Событие ${i}`);
+    }
+    console.log("В буфере записей:", logger1.getLogs().length);
+    console.log("Файлы логов:", fs.readdirSync(os.tmpdir()).filter((name) => name.startsWith(path.basename(logFile))));
+    [logFile, `${logFile}.1`, `${logFile}.2`].filter((file) => fs.existsSync(file)).forEach((file) => fs.unlinkSync(file));
+    logger1.configure();
+
+    // Настройка через дочерний логгер меняет общие настройки, а не затеняет их
+    requestLogger.setLevel("ERROR");
+    console.log("Уровень родителя после setLevel у дочернего:", logger1.level);
+    logger1.setLevel("INFO");
+
+    // Неизвестный уровень не бросает исключение: запись уходит как INFO
+    const fallbackEntry = logger1.log("Запись с опечаткой в уровне", "WARN");
+    console.log("Уровень записи:", fallbackEntry.level);
+
+    console.log("\n=== РЕЕСТР SINGLETON С ОБЛАСТЯМИ ===");
+
+    const registry = new SingletonRegistry();
+    let connectionsCreated = 0;
+
+    // Асинхронная ленивая инициализация (например, подключение к БД)
+    registry.register("db", async () => {
+        connectionsCreated++;
+        await new Promise((resolve) => setTimeout(resolve, 10));
+        return { id: connectionsCreated, connected: true };
+    }, {
+        dispose: async (connection) => {
+            connection.connected = false;
+            console.log(`Подключение #${connection.id} закрыто`);
+        }
+    });
+
+    // Одновременные первые обращения получают один экземпляр
+    const [db1, db2] = await Promise.all([
+        registry.getInstance("db"),
+        registry.getInstance("db")
+    ]);
+    console.log("Один объект?", db1 === db2, "| создано подключений:", connectionsCreated);
+
+    // Отдельная область запроса со своим экземпляром
+    const requestDb = await registry.getInstance("db", "request:1");
+    console.log("Экземпляр запроса отличается от глобального?", requestDb !== db1);
+    await registry.dispose("request:1");
+
+    // Сброс глобального экземпляра
+    await registry.reset("db");
+    const db3 = await registry.getInstance("db");
+    console.log("После reset новый экземпляр:", db3.id);
+
+    // Сброс во время инициализации: ожидающий не получит закрытое подключение
+    await registry.reset("db");
+    const pendingDb = registry.getInstance("db");
+    await registry.reset("db");
+    try {
+        await pendingDb;
+    } catch (error) {
+        console.log("Ошибка:", error.message);
+    }
+
+    await registry.disposeAll();
+
+    // Сброс классических примеров через общий реестр
+    await Logger.reset();
+    console.log("Логгер после reset новый?", new Logger() !== logger1);
+}
 
 // ===== ПРЕИМУЩЕСТВА И НЕДОСТАТКИ =====
 
@@ -233,3 +852,25 @@ console.log("Логгеры одинаковые?", logger1 === logger2);
  * - Service Locator
  * - Фабрики
  */
+
+module.exports = {
+    SingletonScope,
+    SingletonRegistry,
+    singletonRegistry,
+    LOG_LEVELS,
+    ConsoleTransport,
+    RingBufferTransport,
+    RotatingFileTransport,
+    Singleton,
+    SingletonPrivate,
+    SingletonClosure,
+    Logger,
+    runDemo
+};
+
+if (require.main === module) {
+    runDemo().catch((error) => {
+        console.error(error);
+        process.exitCode = 1;
+    });
+}
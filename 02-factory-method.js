@@ -18,6 +18,13 @@
  * - Создание различных типов уведомлений
  */
 
+const crypto = require('crypto');
+const fs = require('fs');
+const http = require('http');
+const net = require('net');
+const os = require('os');
+const path = require('path');
+
 // ===== АБСТРАКТНЫЕ КЛАССЫ =====
 
 /**
@@ -98,22 +105,35 @@ class ConcreteCreatorB extends Creator {
     }
 }
 
-// ===== ПРИМЕР ИСПОЛЬЗОВАНИЯ =====
-
-console.log("=== БАЗОВЫЙ ПРИМЕР FACTORY METHOD ===");
-
-// Создаем создателей
-const creatorA = new ConcreteCreatorA();
-const creatorB = new ConcreteCreatorB();
-
-// Используем их
-console.log(creatorA.someOperation());
-console.log(creatorB.someOperation());
-
 // ===== ПРАКТИЧЕСКИЙ ПРИМЕР - СОЗДАНИЕ УВЕДОМЛЕНИЙ =====
 
+/**
+ * Подставляет переменные в шаблон вида "Привет, {{user.name}}!"
+ * @param {string} template - Шаблон
+ * @param {Object} variables - Значения переменных
+ * @returns {string}
+ */
+function renderTemplate(template, variables = {}) {
+    if (typeof template !== 'string') {
+        return template;
+    }
+    
+    return template.replace(/\{\{\s*([\w.]+)\s*\}\}/g, (match, path) => {
+        // Только собственные свойства: {{constructor}} не должен доставать прототип
+        const value = path.split('.').reduce(
+            (current, key) => (current !== undefined && current !== null && Object.hasOwn(Object(current), key) ? current[key] : undefined),
+            variables
+        );
+        if (value === undefined) {
+            throw new DeliveryError(`Не задана переменная шаблона "${path}"`, 'TEMPLATE_ERROR');
+        }
+        return String(value);
+    });
+}
+
 /**
  * Абстрактный класс уведомления
+ * Подклассы описывают содержимое (toMessage), а доставку выполняет транспорт
  */
 class Notification {
     constructor(recipient, message) {
@@ -121,8 +141,46 @@ class Notification {
         this.message = message;
     }
     
-    send() {
-        throw new Error("Метод send должен быть переопределен");
+    /**
+     * Готовит сообщение для транспорта
+     * @param {Object} variables - Переменные шаблона
+     * @returns {{channel: string, to: string, body: string}}
+     */
+    toMessage(variables) {
+        throw new Error("Метод toMessage должен быть переопределен");
+    }
+    
+    /**
+     * Доставляет уведомление через транспорт
+     * Ошибки доставки не выбрасываются, а возвращаются в квитанции
+     * @param {Object} [options]
+     * @param {Object} [options.transport] - Транспорт ({ name, deliver(message) })
+     * @param {Object} [options.variables] - Переменные шаблона
+     * @returns {Promise<Object>} Квитанция доставки
+     */
+    async send({ transport = defaultTransport, variables = {} } = {}) {
+        const receipt = {
+            status: 'sent',
+            channel: null,
+            recipient: this.recipient,
+            transport: transport.name,
+            providerMessageId: null,
+            error: null,
+            sentAt: null
+        };
+        
+        try {
+            const message = this.toMessage(variables);
+            receipt.channel = message.channel;
+            const result = await transport.deliver(message);
+            receipt.providerMessageId = result.providerMessageId;
+            receipt.sentAt = new Date().toISOString();
+        } catch (error) {
+            receipt.status = 'failed';
+            receipt.error = { message: error.message, code: error.code || 'DELIVERY_FAILED' };
+        }
+        
+        return receipt;
     }
     
     getInfo() {
@@ -139,8 +197,13 @@ class EmailNotification extends Notification {
         this.subject = subject;
     }
     
-    send() {
-        return `Email отправлен на ${this.recipient} с темой "${this.subject}": ${this.message}`;
+    toMessage(variables) {
+        return {
+            channel: 'email',
+            to: this.recipient,
+            subject: renderTemplate(this.subject, variables),
+            body: renderTemplate(this.message, variables)
+        };
     }
     
     getInfo() {
@@ -156,8 +219,12 @@ class SMSNotification extends Notification {
         super(recipient, message);
     }
     
-    send() {
-        return `SMS отправлено на номер ${this.recipient}: ${this.message}`;
+    toMessage(variables) {
+        return {
+            channel: 'sms',
+            to: this.recipient,
+            body: renderTemplate(this.message, variables)
+        };
     }
     
     getInfo() {
@@ -174,8 +241,13 @@ class PushNotification extends Notification {
         this.title = title;
     }
     
-    send() {
-        return `Push уведомление "${this.title}" отправлено пользователю ${this.recipient}: ${this.message}`;
+    toMessage(variables) {
+        return {
+            channel: 'push',
+            to: this.recipient,
+            title: renderTemplate(this.title, variables),
+            body: renderTemplate(this.message, variables)
+        };
     }
     
     getInfo() {
@@ -183,18 +255,421 @@ class PushNotification extends Notification {
     }
 }
 
+// ===== ТРАНСПОРТЫ ДОСТАВКИ =====
+
+/**
+ * Ошибка доставки с кодом для квитанции
+ */
+class DeliveryError extends Error {
+    constructor(message, code) {
+        super(message);
+        this.name = 'DeliveryError';
+        this.code = code;
+    }
+}
+
+/**
+ * Вывод в консоль - транспорт по умолчанию
+ */
+class ConsoleTransport {
+    constructor() {
+        this.name = 'console';
+    }
+    
+    async deliver(message) {
+        const heading = message.subject || message.title;
+        console.log(`[${message.channel}] -> ${message.to}${heading ? ` "${heading}"` : ''}: ${message.body}`);
+        return { providerMessageId: `console-${crypto.randomUUID()}` };
+    }
+}
+
+/**
+ * Исходящая папка: каждое сообщение сохраняется отдельным JSON-файлом.
+ * Удобно в тестах - можно прочитать, что было бы отправлено.
+ */
+class FileOutboxTransport {
+    constructor({ directory }) {
+        if (!directory) {
+            throw new Error("Не указана папка для исходящих сообщений");
+        }
+        this.name = 'file-outbox';
+        this.directory = directory;
+    }
+    
+    async deliver(message) {
+        const id = `${Date.now()}-${crypto.randomUUID()}`;
+        await fs.promises.mkdir(this.directory, { recursive: true });
+        await fs.promises.writeFile(
+            path.join(this.directory, `${id}.json`),
+            JSON.stringify({ id, ...message, createdAt: new Date().toISOString() }, null, 2)
+        );
+        return { providerMessageId: id };
+    }
+    
+    /**
+     * Читает все сообщения из папки в порядке отправки
+     * @returns {Promise<Object[]>}
+     */
+    async list() {
+        const files = await fs.promises.readdir(this.directory).catch(() => []);
+        const messages = await Promise.all(
+            files.filter((file) => file.endsWith('.json')).sort().map(async (file) =>
+                JSON.parse(await fs.promises.readFile(path.join(this.directory, file), 'utf8'))
+            )
+        );
+        return messages;
+    }
+}
+
+/**
+ * HTTP webhook: сообщение отправляется POST-запросом в JSON.
+ * Идентификатор берется из поля id ответа или заголовка X-Message-Id.
+ */
+class WebhookTransport {
+    constructor({ url, headers = {}, timeout = 5000 }) {
+        if (!url) {
+            throw new Error("Не указан URL webhook");
+        }
+        this.name = 'webhook';
+        this.url = url;
+        this.headers = headers;
+        this.timeout = timeout;
+    }
+    
+    async deliver(message) {
+        let response;
+        try {
+            response = await fetch(this.url, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json', ...this.headers },
+                body: JSON.stringify(message),
+                signal: AbortSignal.timeout(this.timeout)
+            });
+        } catch (error) {
+            throw new DeliveryError(`Webhook недоступен: ${error.message}`, 'NETWORK_ERROR');
+        }
+        
+        const text = await response.text();
+        if (!response.ok) {
+            throw new DeliveryError(`Webhook ответил ${response.status}: ${text}`, `HTTP_${response.status}`);
+        }
+        
+        let body = {};
+        try {
+            body = text ? JSON.parse(text) : {};
+        } catch (error) {
+            // Ответ не JSON - идентификатор берем из заголовка
+        }
+        return { providerMessageId: body.id || response.headers.get('x-message-id') || null };
+    }
+}
+
+/**
+ * Построчное чтение ответов SMTP-сервера.
+ * Многострочный ответ ("250-...") завершается строкой "250 ...".
+ */
+class SmtpConnection {
+    constructor(socket, timeout) {
+        this.socket = socket;
+        this.buffer = '';
+        this.lines = [];
+        this.replies = [];
+        this.waiters = [];
+        this.error = null;
+        
+        socket.setEncoding('utf8');
+        socket.setTimeout(timeout, () => this.fail(new DeliveryError("Превышено время ожидания SMTP", 'SMTP_TIMEOUT')));
+        socket.on('data', (chunk) => this.receive(chunk));
+        socket.on('error', (error) => this.fail(new DeliveryError(`Ошибка SMTP соединения: ${error.message}`, 'SMTP_CONNECTION')));
+        socket.on('close', () => this.fail(new DeliveryError("SMTP соединение закрыто", 'SMTP_CONNECTION')));
+    }
+    
+    static open(host, port, timeout) {
+        return new Promise((resolve, reject) => {
+            const socket = net.createConnection({ host, port });
+            const timer = setTimeout(() => {
+                socket.destroy();
+                reject(new DeliveryError(`Превышено время подключения к SMTP ${host}:${port}`, 'SMTP_TIMEOUT'));
+            }, timeout);
+            const onError = (error) => {
+                clearTimeout(timer);
+                reject(new DeliveryError(`Не удалось подключиться к SMTP ${host}:${port}: ${error.message}`, 'SMTP_CONNECTION'));
+            };
+            socket.once('error', onError);
+            socket.once('connect', () => {
+                clearTimeout(timer);
+                socket.off('error', onError);
+                resolve(new SmtpConnection(socket, timeout));
+            });
+        });
+    }
+    
+    receive(chunk) {
+        this.buffer += chunk;
+        let index;
+        while ((index = this.buffer.indexOf('\r\n')) !== -1) {
+            const line = this.buffer.slice(0, index);
+            this.buffer = this.buffer.slice(index + 2);
+            this.lines.push(line);
+            
+            if (line[3] !== '-') {
+                this.replies.push({
+                    code: Number(line.slice(0, 3)),
+                    text: this.lines.map((item) => item.slice(4)).join('\n')
+                });
+                this.lines = [];
+            }
+        }
+        this.flush();
+    }
+    
+    fail(error) {
+        if (!this.error) {
+            this.error = error;
+        }
+        this.flush();
+    }
+    
+    flush() {
+        while (this.waiters.length > 0 && (this.replies.length > 0 || this.error)) {
+            const waiter = this.waiters.shift();
+            if (this.replies.length > 0) {
+                waiter.resolve(this.replies.shift());
+            } else {
+                waiter.reject(this.error);
+            }
+        }
+    }
+    
+    read() {
+        return new Promise((resolve, reject) => {
+            this.waiters.push({ resolve, reject });
+            this.flush();
+        });
+    }
+    
+    /**
+     * Отправляет строку и проверяет код ответа
+     * @param {string|null} line - Команда (null - только прочитать ответ)
+     * @param {number} expectedCode - Ожидаемый код ответа
+     */
+    async command(line, expectedCode) {
+        if (line !== null) {
+            this.socket.write(`${line}\r\n`);
+        }
+        const reply = await this.read();
+        if (reply.code !== expectedCode) {
+            throw new DeliveryError(`SMTP ответил ${reply.code} на "${line || 'приветствие'}": ${reply.text}`, `SMTP_${reply.code}`);
+        }
+        return reply;
+    }
+    
+    close() {
+        this.socket.end();
+    }
+}
+
+/**
+ * Адрес для MAIL FROM/RCPT TO: без пробелов, угловых скобок, кавычек
+ * и переводов строк - иначе адрес может дописать в сессию свои команды
+ */
+const SMTP_ADDRESS_PATTERN = /^[A-Za-z0-9.!#$%&'*+/=?^_`{|}~-]+@[A-Za-z0-9](?:[A-Za-z0-9-]*[A-Za-z0-9])?(?:\.[A-Za-z0-9](?:[A-Za-z0-9-]*[A-Za-z0-9])?)*$/;
+
+/**
+ * Проверяет адрес электронной почты для SMTP
+ * @param {string} address - Адрес
+ * @param {string} label - Что это за адрес (для сообщения об ошибке)
+ * @returns {string}
+ */
+function assertSmtpAddress(address, label) {
+    if (typeof address !== 'string' || !SMTP_ADDRESS_PATTERN.test(address)) {
+        throw new DeliveryError(`Недопустимый адрес ${label}: ${JSON.stringify(address)}`, 'INVALID_ADDRESS');
+    }
+    return address;
+}
+
+/**
+ * Запрещает CR/LF в значении заголовка или команды (SMTP/header injection)
+ * @param {string} value - Значение
+ * @param {string} label - Название заголовка
+ * @returns {string}
+ */
+function assertHeaderValue(value, label) {
+    if (/[\r\n]/.test(String(value))) {
+        throw new DeliveryError(`Перевод строки в заголовке ${label} недопустим`, 'INVALID_HEADER');
+    }
+    return value;
+}
+
+/**
+ * Минимальный SMTP-клиент (без TLS и авторизации) для локального
+ * или тестового SMTP-сервера
+ */
+class SmtpTransport {
+    constructor({ host = '127.0.0.1', port = 25, from, clientName = 'localhost', timeout = 5000 }) {
+        if (!from) {
+            throw new Error("Не указан адрес отправителя");
+        }
+        assertSmtpAddress(from, 'отправителя');
+        assertHeaderValue(clientName, 'HELO');
+        this.name = 'smtp';
+        this.host = host;
+        this.port = port;
+        this.from = from;
+        this.clientName = clientName;
+        this.timeout = timeout;
+    }
+    
+    async deliver(message) {
+        if (message.channel !== 'email') {
+            throw new DeliveryError(`SMTP не поддерживает канал ${message.channel}`, 'UNSUPPORTED_CHANNEL');
+        }
+        
+        assertSmtpAddress(message.to, 'получателя');
+        assertHeaderValue(message.subject || '', 'Subject');
+        
+        const messageId = `<${crypto.randomUUID()}@${this.clientName}>`;
+        const connection = await SmtpConnection.open(this.host, this.port, this.timeout);
+        
+        try {
+            await connection.command(null, 220);
+            await connection.command(`HELO ${this.clientName}`, 250);
+            await connection.command(`MAIL FROM:<${this.from}>`, 250);
+            await connection.command(`RCPT TO:<${message.to}>`, 250);
+            await connection.command('DATA', 354);
+            const reply = await connection.command(this.buildData(message, messageId), 250);
+            await connection.command('QUIT', 221).catch(() => {});
+            
+            // Многие серверы возвращают свой идентификатор: "250 OK queued as ABC123"
+            const queued = reply.text.match(/queued as (\S+)/i);
+            return { providerMessageId: queued ? queued[1] : messageId };
+        } finally {
+            connection.close();
+        }
+    }
+    
+    buildData(message, messageId) {
+        const headers = [
+            `From: <${this.from}>`,
+            `To: <${message.to}>`,
+            `Subject: =?UTF-8?B?${Buffer.from(message.subject || '').toString('base64')}?=`,
+            `Message-ID: ${messageId}`,
+            `Date: ${new Date().toUTCString()}`,
+            'MIME-Version: 1.0',
+            'Content-Type: text/plain; charset=utf-8',
+            'Content-Transfer-Encoding: 8bit'
+        ];
+        // Строки тела, начинающиеся с точки, экранируются (dot-stuffing)
+        const body = message.body.split(/\r?\n/).map((line) => (line.startsWith('.') ? `.${line}` : line));
+        return [...headers, '', ...body, '.'].join('\r\n');
+    }
+}
+
+/**
+ * Поддельный SMTP-сервер для разработки и тестов:
+ * принимает письма и складывает их в массив messages
+ */
+class FakeSmtpServer {
+    constructor() {
+        this.messages = [];
+        this.server = net.createServer((socket) => this.handle(socket));
+        this.counter = 0;
+    }
+    
+    /**
+     * @param {number} [port] - 0 - любой свободный порт
+     * @returns {Promise<number>} Фактический порт
+     */
+    listen(port = 0, host = '127.0.0.1') {
+        return new Promise((resolve, reject) => {
+            this.server.once('error', reject);
+            this.server.listen(port, host, () => resolve(this.server.address().port));
+        });
+    }
+    
+    close() {
+        return new Promise((resolve) => this.server.close(() => resolve()));
+    }
+    
+    handle(socket) {
+        let buffer = '';
+        let envelope = { from: null, to: [] };
+        let dataLines = null;
+        
+        socket.setEncoding('utf8');
+        socket.write('220 localhost FakeSMTP\r\n');
+        socket.on('data', (chunk) => {
+            buffer += chunk;
+            let index;
+            while ((index = buffer.indexOf('\r\n')) !== -1) {
+                const line = buffer.slice(0, index);
+                buffer = buffer.slice(index + 2);
+                
+                if (dataLines) {
+                    if (line === '.') {
+                        const id = `FAKE${++this.counter}`;
+                        this.messages.push({ id, ...envelope, data: dataLines.join('\r\n') });
+                        envelope = { from: null, to: [] };
+                        dataLines = null;
+                        socket.write(`250 OK queued as ${id}\r\n`);
+                    } else {
+                        dataLines.push(line.startsWith('..') ? line.slice(1) : line);
+                    }
+                    continue;
+                }
+                
+                const verb = line.slice(0, 4).toUpperCase();
+                if (verb === 'HELO' || verb === 'EHLO') {
+                    socket.write('250 localhost\r\n');
+                } else if (verb === 'MAIL') {
+                    envelope.from = line.slice(line.indexOf(':') + 1).trim().replace(/^<|>$/g, '');
+                    socket.write('250 OK\r\n');
+                } else if (verb === 'RCPT') {
+                    envelope.to.push(line.slice(line.indexOf(':') + 1).trim().replace(/^<|>$/g, ''));
+                    socket.write('250 OK\r\n');
+                } else if (verb === 'DATA') {
+                    dataLines = [];
+                    socket.write('354 End data with <CR><LF>.<CR><LF>\r\n');
+                } else if (verb === 'QUIT') {
+                    socket.end('221 Bye\r\n');
+                } else {
+                    socket.write('502 Command not implemented\r\n');
+                }
+            }
+        });
+    }
+}
+
+const defaultTransport = new ConsoleTransport();
+
 /**
  * Абстрактный создатель уведомлений
  */
 class NotificationCreator {
+    /**
+     * @param {Object} [transport] - Транспорт доставки, по умолчанию консоль
+     */
+    setTransport(transport) {
+        this.transport = transport;
+        return this;
+    }
+    
     createNotification(recipient, message, options = {}) {
         throw new Error("Метод createNotification должен быть переопределен");
     }
     
-    sendNotification(recipient, message, options = {}) {
-        const notification = this.createNotification(recipient, message, options);
+    /**
+     * Создает и доставляет уведомление
+     * @param {string} recipient - Получатель
+     * @param {string} message - Текст или шаблон сообщения
+     * @param {Object} [options] - Опции типа и variables для шаблонов
+     * @returns {Promise<Object>} Квитанция доставки
+     */
+    async sendNotification(recipient, message, options = {}) {
+        const { variables, ...createOptions } = options;
+        const notification = this.createNotification(recipient, message, createOptions);
         console.log(notification.getInfo());
-        return notification.send();
+        return notification.send({ transport: this.transport, variables });
     }
 }
 
@@ -225,110 +700,597 @@ class PushNotificationCreator extends NotificationCreator {
     }
 }
 
-console.log("\n=== ПРАКТИЧЕСКИЙ ПРИМЕР - УВЕДОМЛЕНИЯ ===");
+// ===== РЕЕСТР ТИПОВ УВЕДОМЛЕНИЙ =====
 
-// Создаем различные типы создателей уведомлений
-const emailCreator = new EmailNotificationCreator();
-const smsCreator = new SMSNotificationCreator();
-const pushCreator = new PushNotificationCreator();
+/**
+ * Реестр типов уведомлений (плагины).
+ * Новый тип добавляется регистрацией, без изменения создателей.
+ *
+ * Схема опций: { имя: { type, required, default, enum } }.
+ * Опции передаются конструктору после recipient и message в порядке,
+ * заданном при регистрации (args): new ctor(recipient, message, ...опции).
+ * Неизвестные опции не ломают создание - они пропускаются с предупреждением.
+ */
+class NotificationTypeRegistry {
+    /**
+     * @param {Object} [options]
+     * @param {Function} [options.onWarning] - Обработчик предупреждений (неизвестные опции)
+     */
+    constructor({ onWarning = (message) => console.warn(message) } = {}) {
+        this.onWarning = onWarning;
+        this.types = new Map();
+        this.aliases = new Map();
+    }
+    
+    /**
+     * Регистрирует тип уведомления
+     * @param {string} name - Имя типа
+     * @param {Function} ctor - Класс уведомления (наследник Notification)
+     * @param {Object} [optionsSchema] - Схема опций
+     * @param {Object} [options]
+     * @param {string[]} [options.args] - Опции в порядке аргументов конструктора;
+     *   обязательно, если опций больше одной
+     * @returns {NotificationTypeRegistry}
+     */
+    registerType(name, ctor, optionsSchema = {}, { args } = {}) {
+        if (typeof ctor !== 'function') {
+            throw new Error(`Для типа "${name}" нужно передать класс уведомления`);
+        }
+        if (this.types.has(name) || this.aliases.has(name)) {
+            throw new Error(`Тип уведомления "${name}" уже зарегистрирован`);
+        }
+        
+        const keys = Object.keys(optionsSchema);
+        if (args === undefined) {
+            // Порядок ключей объекта не должен молча задавать порядок аргументов
+            if (keys.length > 1) {
+                throw new Error(`Для типа "${name}" укажите порядок аргументов конструктора в args`);
+            }
+            args = keys;
+        }
+        const unknownArgs = args.filter((key) => !keys.includes(key));
+        if (unknownArgs.length > 0) {
+            throw new Error(`Аргументы типа "${name}" отсутствуют в схеме опций: ${unknownArgs.join(', ')}`);
+        }
+        
+        this.types.set(name, { name, ctor, optionsSchema, args: [...args] });
+        return this;
+    }
+    
+    /**
+     * Удаляет тип и все его псевдонимы
+     * @param {string} name - Имя типа
+     */
+    unregisterType(name) {
+        this.types.delete(name);
+        for (const [alias, target] of this.aliases) {
+            if (target === name) {
+                this.aliases.delete(alias);
+            }
+        }
+    }
+    
+    /**
+     * Добавляет псевдоним для зарегистрированного типа
+     * @param {string} alias - Псевдоним
+     * @param {string} name - Имя или другой псевдоним типа
+     * @returns {NotificationTypeRegistry}
+     */
+    alias(alias, name) {
+        if (this.types.has(alias) || this.aliases.has(alias)) {
+            throw new Error(`Имя "${alias}" уже занято`);
+        }
+        this.aliases.set(alias, this.resolve(name).name);
+        return this;
+    }
+    
+    hasType(name) {
+        return this.types.has(name) || this.aliases.has(name);
+    }
+    
+    /**
+     * Возвращает описание типа по имени или псевдониму
+     * @param {string} name
+     * @returns {{name: string, ctor: Function, optionsSchema: Object, args: string[]}}
+     */
+    resolve(name) {
+        const definition = this.types.get(this.aliases.get(name) || name);
+        if (!definition) {
+            throw new Error(`Неизвестный тип уведомления: ${name}`);
+        }
+        return definition;
+    }
+    
+    /**
+     * Список зарегистрированных типов для отображения и проверки
+     * @returns {Array<{name: string, aliases: string[], options: Object}>}
+     */
+    getTypes() {
+        return [...this.types.values()].map(({ name, optionsSchema }) => ({
+            name,
+            aliases: [...this.aliases].filter(([, target]) => target === name).map(([alias]) => alias),
+            options: { ...optionsSchema }
+        }));
+    }
+    
+    /**
+     * Проверяет опции по схеме типа и подставляет значения по умолчанию.
+     * Неизвестные опции пропускаются с предупреждением: общий набор опций
+     * можно передавать создателям разных типов
+     * @param {string} name - Имя или псевдоним типа
+     * @param {Object} options - Опции (поле type игнорируется)
+     * @returns {Object} Нормализованные опции
+     */
+    validateOptions(name, options = {}) {
+        const { optionsSchema } = this.resolve(name);
+        const { type, ...rest } = options;
+        const errors = [];
+        const result = {};
+        
+        for (const key of Object.keys(rest)) {
+            if (!Object.hasOwn(optionsSchema, key)) {
+                this.onWarning(`Неизвестная опция "${key}" для уведомления "${name}" пропущена`);
+            }
+        }
+        
+        for (const [key, rule] of Object.entries(optionsSchema)) {
+            const value = rest[key] !== undefined ? rest[key] : rule.default;
+            
+            if (value === undefined) {
+                if (rule.required) {
+                    errors.push(`опция "${key}" обязательна`);
+                }
+                continue;
+            }
+            if (rule.type && typeof value !== rule.type) {
+                errors.push(`опция "${key}" должна быть типа ${rule.type}`);
+                continue;
+            }
+            if (rule.enum && !rule.enum.includes(value)) {
+                errors.push(`опция "${key}" должна быть одной из: ${rule.enum.join(', ')}`);
+                continue;
+            }
+            result[key] = value;
+        }
+        
+        if (errors.length > 0) {
+            throw new Error(`Некорректные опции уведомления "${name}": ${errors.join('; ')}`);
+        }
+        return result;
+    }
+    
+    /**
+     * Создает уведомление зарегистрированного типа
+     * @param {string} name - Имя или псевдоним типа
+     * @param {string} recipient - Получатель
+     * @param {string} message - Сообщение
+     * @param {Object} [options] - Опции типа
+     * @returns {Notification}
+     */
+    create(name, recipient, message, options = {}) {
+        const { ctor, args } = this.resolve(name);
+        const validated = this.validateOptions(name, options);
+        return new ctor(recipient, message, ...args.map((key) => validated[key]));
+    }
+}
 
-// Отправляем различные типы уведомлений
-console.log(emailCreator.sendNotification("user@example.com", "Добро пожаловать!", { subject: "Приветствие" }));
-console.log(smsCreator.sendNotification("+7-999-123-45-67", "Ваш код подтверждения: 1234"));
-console.log(pushCreator.sendNotification("user123", "Новое сообщение", { title: "Сообщение" }));
+// Реестр по умолчанию со встроенными типами
+const notificationTypes = new NotificationTypeRegistry()
+    .registerType('email', EmailNotification, {
+        subject: { type: 'string' }
+    })
+    .registerType('sms', SMSNotification)
+    .registerType('push', PushNotification, {
+        title: { type: 'string' }
+    })
+    .alias('mail', 'email');
 
 // ===== ПРИМЕР С ПАРАМЕТРИЗОВАННЫМ СОЗДАНИЕМ =====
 
 /**
  * Универсальный создатель уведомлений
- * Может создавать разные типы уведомлений на основе параметра
+ * Может создавать разные типы уведомлений на основе параметра.
+ * Типы берутся из реестра, поэтому новые типы не требуют правок класса.
  */
 class UniversalNotificationCreator extends NotificationCreator {
+    constructor(registry = notificationTypes) {
+        super();
+        this.registry = registry;
+    }
+    
     createNotification(recipient, message, options = {}) {
         const type = options.type || 'email';
-        
-        switch (type) {
-            case 'email':
-                return new EmailNotification(recipient, message, options.subject);
-            case 'sms':
-                return new SMSNotification(recipient, message);
-            case 'push':
-                return new PushNotification(recipient, message, options.title);
-            default:
-                throw new Error(`Неизвестный тип уведомления: ${type}`);
-        }
+        return this.registry.create(type, recipient, message, options);
     }
 }
 
-console.log("\n=== УНИВЕРСАЛЬНЫЙ СОЗДАТЕЛЬ ===");
-
-const universalCreator = new UniversalNotificationCreator();
-
-// Создаем разные типы уведомлений через один создатель
-console.log(universalCreator.sendNotification("user@example.com", "Email уведомление", { 
-    type: 'email', 
-    subject: 'Важное сообщение' 
-}));
-
-console.log(universalCreator.sendNotification("+7-999-123-45-67", "SMS уведомление", { 
-    type: 'sms' 
-}));
-
-console.log(universalCreator.sendNotification("user123", "Push уведомление", { 
-    type: 'push', 
-    title: 'Новости' 
-}));
-
 // ===== ПРИМЕР С КЭШИРОВАНИЕМ =====
 
 /**
- * Создатель с кэшированием созданных объектов
+ * Сериализует значение в JSON с отсортированными ключами,
+ * чтобы { a, b } и { b, a } давали одинаковый ключ кэша
+ */
+function stableStringify(value) {
+    if (Array.isArray(value)) {
+        return `[${value.map(stableStringify).join(',')}]`;
+    }
+    if (value && typeof value === 'object') {
+        return `{${Object.keys(value).sort().map((key) => `${JSON.stringify(key)}:${stableStringify(value[key])}`).join(',')}}`;
+    }
+    return JSON.stringify(value);
+}
+
+/**
+ * Создатель с кэшированием созданных объектов.
+ * Оборачивает конкретного создателя: ограничивает размер кэша (LRU),
+ * удаляет записи по TTL и может подавлять повторную отправку
+ * одинаковых уведомлений в течение окна дедупликации.
  */
 class CachedNotificationCreator extends NotificationCreator {
-    constructor() {
+    /**
+     * @param {NotificationCreator} [creator] - Создатель, которому делегируется создание
+     * @param {Object} [options]
+     * @param {number} [options.maxSize] - Максимум записей в кэше
+     * @param {number} [options.ttlMs] - Время жизни записи кэша, мс
+     * @param {number} [options.dedupWindowMs] - Окно дедупликации отправок, мс (0 - выключено)
+     * @param {Function} [options.now] - Источник времени (для тестов)
+     */
+    constructor(creator = new UniversalNotificationCreator(), { maxSize = 100, ttlMs = 60 * 1000, dedupWindowMs = 0, now = Date.now } = {}) {
         super();
+        if (!Number.isInteger(maxSize) || maxSize <= 0) {
+            throw new Error("Размер кэша должен быть положительным целым числом");
+        }
+        if (typeof ttlMs !== 'number' || !(ttlMs >= 0)) {
+            throw new Error("Время жизни записи кэша должно быть неотрицательным числом");
+        }
+        if (typeof dedupWindowMs !== 'number' || !(dedupWindowMs >= 0)) {
+            throw new Error("Окно дедупликации должно быть неотрицательным числом");
+        }
+        this.creator = creator;
+        this.maxSize = maxSize;
+        this.ttlMs = ttlMs;
+        this.dedupWindowMs = dedupWindowMs;
+        this.now = now;
         this.cache = new Map();
+        this.recentSends = new Map();
+        this.resetStats();
+    }
+    
+    // Транспорт общий с обернутым создателем
+    get transport() {
+        return this.creator.transport;
+    }
+    
+    setTransport(transport) {
+        this.creator.setTransport(transport);
+        return this;
+    }
+    
+    buildKey(recipient, message, options) {
+        return stableStringify([recipient, message, options]);
     }
     
     createNotification(recipient, message, options = {}) {
-        const key = `${recipient}-${message}-${JSON.stringify(options)}`;
+        const key = this.buildKey(recipient, message, options);
+        const entry = this.cache.get(key);
         
-        if (this.cache.has(key)) {
-            console.log("Используем кэшированное уведомление");
-            return this.cache.get(key);
+        if (entry) {
+            if (this.now() < entry.expiresAt) {
+                // Переносим запись в конец - она становится самой свежей
+                this.cache.delete(key);
+                this.cache.set(key, entry);
+                this.stats.hits++;
+                console.log("Используем кэшированное уведомление");
+                return entry.notification;
+            }
+            this.cache.delete(key);
+            this.stats.expired++;
         }
         
-        const notification = super.createNotification(recipient, message, options);
-        this.cache.set(key, notification);
+        this.stats.misses++;
+        const notification = this.creator.createNotification(recipient, message, options);
+        this.cache.set(key, { notification, expiresAt: this.now() + this.ttlMs });
         console.log("Создаем новое уведомление и кэшируем");
         
+        // Вытесняем самую давно использованную запись
+        if (this.cache.size > this.maxSize) {
+            this.cache.delete(this.cache.keys().next().value);
+            this.stats.evictions++;
+        }
+        
         return notification;
     }
     
+    /**
+     * Отправляет уведомление. В режиме дедупликации повтор того же
+     * уведомления внутри окна не отправляется, а возвращает квитанцию
+     * со статусом "suppressed" и ссылкой на исходную отправку.
+     * Если исходная отправка не удалась, повторяет ее только один из
+     * ожидавших вызовов, остальные ждут результат этого повтора.
+     */
+    async sendNotification(recipient, message, options = {}) {
+        if (this.dedupWindowMs <= 0) {
+            return super.sendNotification(recipient, message, options);
+        }
+        
+        const key = this.buildKey(recipient, message, options);
+        let previous = this.recentSends.get(key);
+        
+        while (previous && this.now() - previous.at < this.dedupWindowMs) {
+            const original = await previous.receipt;
+            if (original.status === 'sent') {
+                this.stats.suppressed++;
+                return {
+                    status: 'suppressed',
+                    channel: original.channel,
+                    recipient,
+                    transport: null,
+                    providerMessageId: null,
+                    duplicateOf: original.providerMessageId,
+                    error: null,
+                    sentAt: null
+                };
+            }
+            
+            // Неудачную отправку не считаем дубликатом: первый очнувшийся вызов
+            // отправляет заново (запись ниже создается без await), остальные ждут его
+            const current = this.recentSends.get(key);
+            if (!current || current === previous) {
+                break;
+            }
+            previous = current;
+        }
+        
+        const record = { at: this.now(), receipt: super.sendNotification(recipient, message, options) };
+        this.recentSends.delete(key);
+        this.recentSends.set(key, record);
+        if (this.recentSends.size > this.maxSize) {
+            this.recentSends.delete(this.recentSends.keys().next().value);
+        }
+        
+        const receipt = await record.receipt;
+        if (receipt.status !== 'sent' && this.recentSends.get(key) === record) {
+            this.recentSends.delete(key);
+        }
+        return receipt;
+    }
+    
+    /**
+     * Статистика кэша и дедупликации
+     * @returns {{hits: number, misses: number, hitRate: number, evictions: number, expired: number, suppressed: number, size: number}}
+     */
+    getStats() {
+        const lookups = this.stats.hits + this.stats.misses;
+        return {
+            ...this.stats,
+            hitRate: lookups > 0 ? this.stats.hits / lookups : 0,
+            size: this.cache.size
+        };
+    }
+    
+    resetStats() {
+        this.stats = { hits: 0, misses: 0, evictions: 0, expired: 0, suppressed: 0 };
+    }
+    
     clearCache() {
         this.cache.clear();
+        this.recentSends.clear();
         console.log("Кэш очищен");
     }
 }
 
-console.log("\n=== СОЗДАТЕЛЬ С КЭШИРОВАНИЕМ ===");
+// ===== ПРИМЕР ИСПОЛЬЗОВАНИЯ =====
+
+/**
+ * Запускает демонстрацию паттерна.
+ * Вызывается только при прямом запуске файла: node 02-factory-method.js
+ */
+async function runDemo() {
+    console.log("=== БАЗОВЫЙ ПРИМЕР FACTORY METHOD ===");
+
+    // Создаем создателей
+    const creatorA = new ConcreteCreatorA();
+    const creatorB = new ConcreteCreatorB();
+
+    // Используем их
+    console.log(creatorA.someOperation());
+    console.log(creatorB.someOperation());
+
+    console.log("\n=== ПРАКТИЧЕСКИЙ ПРИМЕР - УВЕДОМЛЕНИЯ ===");
+
+    // Создаем различные типы создателей уведомлений
+    const emailCreator = new EmailNotificationCreator();
+    const smsCreator = new SMSNotificationCreator();
+    const pushCreator = new PushNotificationCreator();
+
+    // Отправляем различные типы уведомлений
+    console.log(await emailCreator.sendNotification("user@example.com", "Добро пожаловать!", { subject: "Приветствие" }));
+    console.log(await smsCreator.sendNotification("+7-999-123-45-67", "Ваш код подтверждения: 1234"));
+    console.log(await pushCreator.sendNotification("user123", "Новое сообщение", { title: "Сообщение" }));
+
+    console.log("\n=== УНИВЕРСАЛЬНЫЙ СОЗДАТЕЛЬ ===");
 
-const cachedCreator = new CachedNotificationCreator();
+    const universalCreator = new UniversalNotificationCreator();
 
-// Первое создание - создается новый объект
-console.log(cachedCreator.sendNotification("user@example.com", "Тестовое сообщение", { 
-    type: 'email', 
-    subject: 'Тест' 
-}));
+    // Создаем разные типы уведомлений через один создатель
+    console.log(await universalCreator.sendNotification("user@example.com", "Email уведомление", { 
+        type: 'email', 
+        subject: 'Важное сообщение' 
+    }));
 
-// Второе создание с теми же параметрами - используется кэш
-console.log(cachedCreator.sendNotification("user@example.com", "Тестовое сообщение", { 
-    type: 'email', 
-    subject: 'Тест' 
-}));
+    console.log(await universalCreator.sendNotification("+7-999-123-45-67", "SMS уведомление", { 
+        type: 'sms' 
+    }));
 
-// Очищаем кэш
-cachedCreator.clearCache();
+    console.log(await universalCreator.sendNotification("user123", "Push уведомление", { 
+        type: 'push', 
+        title: 'Новости' 
+    }));
+
+    console.log("\n=== РЕЕСТР ТИПОВ УВЕДОМЛЕНИЙ ===");
+
+    // Новый тип подключается регистрацией, без правки создателей
+    class TelegramNotification extends Notification {
+        constructor(recipient, message, parseMode, silent) {
+            super(recipient, message);
+            this.parseMode = parseMode;
+            this.silent = silent;
+        }
+        
+        toMessage(variables) {
+            return {
+                channel: 'telegram',
+                to: this.recipient,
+                parseMode: this.parseMode,
+                silent: this.silent,
+                body: renderTemplate(this.message, variables)
+            };
+        }
+    }
+
+    // Порядок аргументов конструктора задается явно, а не порядком ключей схемы
+    notificationTypes
+        .registerType('telegram', TelegramNotification, {
+            silent: { type: 'boolean', default: false },
+            parseMode: { type: 'string', enum: ['text', 'markdown', 'html'], default: 'text' }
+        }, { args: ['parseMode', 'silent'] })
+        .alias('tg', 'telegram');
+
+    console.log("Доступные типы:", notificationTypes.getTypes().map((t) => `${t.name} [${t.aliases.join(', ')}]`));
+    console.log(await universalCreator.sendNotification("@team_chat", "Сборка прошла", { type: 'tg', parseMode: 'markdown', silent: true }));
+    console.log("Неизвестная опция только предупреждает:",
+        universalCreator.createNotification("@team_chat", "Ночная сборка", { type: 'tg', color: 'red' }).toMessage());
+    console.log(await universalCreator.sendNotification("user@example.com", "Письмо через псевдоним", { type: 'mail' }));
+
+    // Предупреждения можно перехватить, например чтобы отправить в свой логгер
+    const registryWarnings = [];
+    new NotificationTypeRegistry({ onWarning: (message) => registryWarnings.push(message) })
+        .registerType('sms', SMSNotification)
+        .validateOptions('sms', { color: 'red' });
+    console.log("Перехваченные предупреждения:", registryWarnings);
+
+    try {
+        await universalCreator.sendNotification("@team_chat", "Ошибка", { type: 'telegram', parseMode: 'bbcode', color: 'red' });
+    } catch (error) {
+        console.log("Ошибка:", error.message);
+    }
+
+    notificationTypes.unregisterType('telegram');
+
+    console.log("\n=== СОЗДАТЕЛЬ С КЭШИРОВАНИЕМ ===");
+
+    const cachedCreator = new CachedNotificationCreator();
+
+    // Первое создание - создается новый объект
+    console.log(await cachedCreator.sendNotification("user@example.com", "Тестовое сообщение", { 
+        type: 'email', 
+        subject: 'Тест' 
+    }));
+
+    // Второе создание с теми же параметрами - используется кэш
+    console.log(await cachedCreator.sendNotification("user@example.com", "Тестовое сообщение", { 
+        type: 'email', 
+        subject: 'Тест' 
+    }));
+
+    console.log("Статистика:", cachedCreator.getStats());
+
+    // Очищаем кэш
+    cachedCreator.clearCache();
+
+    console.log("\n=== ПОДАВЛЕНИЕ ДУБЛИКАТОВ ===");
+
+    // Шторм одинаковых уведомлений: отправляется только первое в окне 5 секунд
+    const dedupCreator = new CachedNotificationCreator(new SMSNotificationCreator(), {
+        maxSize: 2,
+        ttlMs: 30 * 1000,
+        dedupWindowMs: 5 * 1000
+    });
+    const storm = await Promise.all([1, 2, 3].map(() =>
+        dedupCreator.sendNotification("+7-999-000-00-00", "Сервер недоступен")
+    ));
+    console.log("Статусы:", storm.map((receipt) => receipt.status));
+
+    // Переполнение кэша вытесняет самую старую запись
+    await dedupCreator.sendNotification("+7-999-000-00-01", "Сервер недоступен");
+    await dedupCreator.sendNotification("+7-999-000-00-02", "Сервер недоступен");
+    console.log("Статистика:", dedupCreator.getStats());
+
+    // Первая отправка падает: повторяет ее только один из ожидающих вызовов
+    let attempts = 0;
+    const flakyCreator = new CachedNotificationCreator(new SMSNotificationCreator(), { dedupWindowMs: 5 * 1000 })
+        .setTransport({
+            name: 'flaky',
+            async deliver() {
+                attempts++;
+                if (attempts === 1) {
+                    throw new DeliveryError("Шлюз недоступен", 'GATEWAY_DOWN');
+                }
+                return { providerMessageId: `flaky-${attempts}` };
+            }
+        });
+    const retried = await Promise.all([1, 2, 3].map(() =>
+        flakyCreator.sendNotification("+7-999-000-00-03", "Сервер недоступен")
+    ));
+    console.log("После сбоя:", retried.map((receipt) => receipt.status), "| попыток отправки:", attempts);
+
+    console.log("\n=== ДОСТАВКА ЧЕРЕЗ ТРАНСПОРТЫ ===");
+
+    const variables = { user: { name: 'Анна' }, code: 4821 };
+
+    // SMTP: письмо уходит на локальный поддельный SMTP-сервер
+    const smtpServer = new FakeSmtpServer();
+    const smtpPort = await smtpServer.listen();
+    const smtpCreator = new EmailNotificationCreator()
+        .setTransport(new SmtpTransport({ port: smtpPort, from: 'noreply@example.com' }));
+    console.log(await smtpCreator.sendNotification("anna@example.com", "{{user.name}}, ваш код: {{code}}", {
+        subject: 'Код для {{user.name}}',
+        variables
+    }));
+    console.log("Сервер получил писем:", smtpServer.messages.length, "| получатели:", smtpServer.messages[0].to);
+
+    // Перевод строки в адресе мог бы дописать в сессию лишний RCPT TO - такой адрес отклоняется
+    const injected = await smtpCreator.sendNotification("anna@example.com>\r\nRCPT TO:<spy@example.com", "Текст", { subject: 'Тема' });
+    console.log("Статус:", injected.status, "| ошибка:", injected.error, "| писем на сервере:", smtpServer.messages.length);
+    // {{constructor}} не достает прототип объекта переменных
+    try {
+        renderTemplate('{{constructor}}', variables);
+    } catch (error) {
+        console.log(error.message);
+    }
+    await smtpServer.close();
+
+    // Webhook: POST на локальный HTTP-сервер
+    const webhookServer = http.createServer((request, response) => {
+        request.resume();
+        request.on('end', () => {
+            const ok = request.url === '/hooks/ok';
+            response.writeHead(ok ? 202 : 500, { 'Content-Type': 'application/json' });
+            response.end(JSON.stringify(ok ? { id: 'wh-1001' } : { error: 'internal' }));
+        });
+    });
+    await new Promise((resolve) => webhookServer.listen(0, '127.0.0.1', resolve));
+    const webhookUrl = `http://127.0.0.1:${webhookServer.address().port}`;
+
+    const pushCreator2 = new PushNotificationCreator()
+        .setTransport(new WebhookTransport({ url: `${webhookUrl}/hooks/ok` }));
+    console.log(await pushCreator2.sendNotification("user123", "Привет, {{user.name}}!", { title: 'Новости', variables }));
+
+    // Ошибка доставки возвращается в квитанции, а не выбрасывается
+    pushCreator2.setTransport(new WebhookTransport({ url: `${webhookUrl}/hooks/broken` }));
+    const failed = await pushCreator2.sendNotification("user123", "Не дойдет", { title: 'Ошибка' });
+    console.log("Статус:", failed.status, "| ошибка:", failed.error);
+    webhookServer.close();
+
+    // Исходящая папка для тестов
+    const outbox = new FileOutboxTransport({ directory: fs.mkdtempSync(path.join(os.tmpdir(), 'outbox-')) });
+    const smsOutboxCreator = new SMSNotificationCreator().setTransport(outbox);
+    await smsOutboxCreator.sendNotification("+7-999-123-45-67", "Код: {{code}}", { variables });
+    const missing = await smsOutboxCreator.sendNotification("+7-999-123-45-67", "Код: {{missing}}", { variables });
+    console.log("В исходящих:", (await outbox.list()).map((item) => item.body));
+    console.log("Шаблон без переменной:", missing.status, missing.error.message);
+    fs.rmSync(outbox.directory, { recursive: true, force: true });
+}
 
 // ===== ПРЕИМУЩЕСТВА И НЕДОСТАТКИ =====
 
@@ -350,3 +1312,36 @@ cachedCreator.clearCache();
  * - Может быть частью Abstract Factory
  * - Связан с Strategy pattern
  */
+
+module.exports = {
+    Creator,
+    Product,
+    ConcreteProductA,
+    ConcreteProductB,
+    ConcreteCreatorA,
+    ConcreteCreatorB,
+    Notification,
+    EmailNotification,
+    SMSNotification,
+    PushNotification,
+    NotificationCreator,
+    EmailNotificationCreator,
+    SMSNotificationCreator,
+    PushNotificationCreator,
+    renderTemplate,
+    DeliveryError,
+    ConsoleTransport,
+    FileOutboxTransport,
+    WebhookTransport,
+    SmtpTransport,
+    FakeSmtpServer,
+    NotificationTypeRegistry,
+    notificationTypes,
+    UniversalNotificationCreator,
+    CachedNotificationCreator,
+    runDemo
+};
+
+if (require.main === module) {
+    runDemo();
+}
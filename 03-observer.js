@@ -19,6 +19,13 @@
  * - Кэширование
  */
 
+const crypto = require('crypto');
+const fs = require('fs');
+const net = require('net');
+const os = require('os');
+const path = require('path');
+const { MessageChannel, Worker } = require('worker_threads');
+
 // ===== БАЗОВАЯ РЕАЛИЗАЦИЯ =====
 
 /**
@@ -36,26 +43,112 @@ class Observer {
     }
 }
 
+// Symbol.dispose есть не во всех версиях Node
+const disposeSymbol = Symbol.dispose || Symbol.for('Symbol.dispose');
+
+/**
+ * Создает запись подписки. Слабая подписка хранит WeakRef и не мешает
+ * сборщику мусора удалить наблюдателя.
+ */
+function createSubscription(observer, weak) {
+    return weak ? { ref: new WeakRef(observer), observer: null } : { ref: null, observer };
+}
+
+/**
+ * Возвращает наблюдателя подписки или undefined, если он уже собран GC
+ */
+function resolveSubscriber(subscription) {
+    return subscription.ref ? subscription.ref.deref() : subscription.observer;
+}
+
+/**
+ * Дескриптор подписки: unsubscribe() или using/Symbol.dispose
+ * @param {Function} unsubscribe - Функция отписки
+ * @returns {{active: boolean, unsubscribe: Function}}
+ */
+function createSubscriptionHandle(unsubscribe) {
+    let active = true;
+    const handle = {
+        get active() {
+            return active;
+        },
+        unsubscribe() {
+            if (active) {
+                active = false;
+                unsubscribe();
+            }
+        },
+        [disposeSymbol]() {
+            handle.unsubscribe();
+        }
+    };
+    return handle;
+}
+
 /**
  * Интерфейс для субъекта
  * Субъект уведомляет всех наблюдателей об изменениях
  */
 class Subject {
+    // Порог предупреждения об утечке, как у EventEmitter в Node (0 - без ограничения)
+    static defaultMaxObservers = 10;
+    
     constructor() {
-        // Массив наблюдателей
-        this.observers = [];
+        // Подписки наблюдателей (сильные или слабые ссылки)
+        this.subscriptions = [];
+        this.maxObservers = Subject.defaultMaxObservers;
+        this.leakWarnings = new Set();
+        // Отключает служебный вывод в консоль (используется потоками)
+        this.silent = false;
+        // Удаляет слабые подписки после сборки наблюдателя
+        this.finalizer = new FinalizationRegistry(subscription => this.removeSubscription(subscription));
+    }
+    
+    /**
+     * Живые наблюдатели
+     * @returns {Observer[]}
+     */
+    get observers() {
+        this.prune();
+        return this.subscriptions.map(resolveSubscriber);
     }
     
     /**
      * Добавляет нового наблюдателя
      * @param {Observer} observer - Наблюдатель для добавления
+     * @param {Object} [options]
+     * @param {boolean} [options.weak] - Хранить слабую ссылку: наблюдатель
+     *   отпишется сам, когда на него не останется других ссылок
+     * @returns {{active: boolean, unsubscribe: Function}} Дескриптор подписки
      */
-    attach(observer) {
+    attach(observer, { weak = false } = {}) {
         // Проверяем, что наблюдатель еще не добавлен
         if (!this.observers.includes(observer)) {
-            this.observers.push(observer);
-            console.log(`Наблюдатель ${observer.constructor.name} добавлен`);
+            const subscription = createSubscription(observer, weak);
+            this.subscriptions.push(subscription);
+            if (weak) {
+                this.finalizer.register(observer, subscription, subscription);
+            }
+            if (!this.silent) {
+                console.log(`Наблюдатель ${observer.constructor.name} добавлен${weak ? ' (слабая ссылка)' : ''}`);
+            }
+            this.checkObserverLimit(this.subscriptions.length, this.constructor.name);
         }
+        
+        const ref = new WeakRef(observer);
+        return createSubscriptionHandle(() => {
+            const target = ref.deref();
+            if (target) {
+                this.detach(target);
+            }
+        });
+    }
+    
+    /**
+     * То же, что attach: возвращает дескриптор для отписки
+     */
+    subscribe(observer, options) {
+        return this.attach(observer, options);
     }
     
     /**
@@ -63,10 +156,54 @@ class Subject {
      * @param {Observer} observer - Наблюдатель для удаления
      */
     detach(observer) {
-        const index = this.observers.indexOf(observer);
+        const index = this.subscriptions.findIndex(subscription => resolveSubscriber(subscription) === observer);
+        if (index !== -1) {
+            const [subscription] = this.subscriptions.splice(index, 1);
+            this.finalizer.unregister(subscription);
+            if (!this.silent) {
+                console.log(`Наблюдатель ${observer.constructor.name} удален`);
+            }
+        }
+    }
+    
+    removeSubscription(subscription) {
+        const index = this.subscriptions.indexOf(subscription);
         if (index !== -1) {
-            this.observers.splice(index, 1);
-            console.log(`Наблюдатель ${observer.constructor.name} удален`);
+            this.subscriptions.splice(index, 1);
+        }
+    }
+    
+    /**
+     * Удаляет подписки наблюдателей, собранных сборщиком мусора
+     */
+    prune() {
+        this.subscriptions = this.subscriptions.filter(subscription => resolveSubscriber(subscription) !== undefined);
+    }
+    
+    /**
+     * Устанавливает порог предупреждения о возможной утечке
+     * @param {number} count - Максимум наблюдателей (0 - без ограничения)
+     */
+    setMaxObservers(count) {
+        if (!Number.isInteger(count) || count < 0) {
+            throw new Error("Порог наблюдателей должен быть неотрицательным целым числом");
+        }
+        this.maxObservers = count;
+    }
+    
+    /**
+     * Предупреждает один раз на метку, если наблюдателей больше порога
+     * @param {number} count - Текущее количество наблюдателей
+     * @param {string} label - Что считаем (субъект или событие)
+     */
+    checkObserverLimit(count, label) {
+        if (this.maxObservers > 0 && count > this.maxObservers && !this.leakWarnings.has(label)) {
+            this.leakWarnings.add(label);
+            process.emitWarning(
+                `Возможная утечка памяти: ${count} наблюдателей для ${label} (порог ${this.maxObservers}). ` +
+                'Отпишите лишних наблюдателей или увеличьте порог через setMaxObservers()',
+                'MaxObserversExceededWarning'
+            );
         }
     }
     
@@ -75,8 +212,11 @@ class Subject {
      * @param {*} data - Дополнительные данные об изменении
      */
     notify(data = null) {
-        console.log(`Уведомляем ${this.observers.length} наблюдателей`);
-        this.observers.forEach(observer => {
+        const observers = this.observers;
+        if (!this.silent) {
+            console.log(`Уведомляем ${observers.length} наблюдателей`);
+        }
+        observers.forEach(observer => {
             try {
                 observer.update(this, data);
             } catch (error) {
@@ -227,76 +367,171 @@ class Notifier extends Observer {
     }
 }
 
-// ===== ПРИМЕР ИСПОЛЬЗОВАНИЯ =====
-
-console.log("=== БАЗОВЫЙ ПРИМЕР OBSERVER ===");
-
-// Создаем субъект (счетчик)
-const counter = new Counter();
-
-// Создаем наблюдателей
-const logger = new Logger('Основной логгер');
-const display = new Display('Главный дисплей');
-const notifier = new Notifier('Система уведомлений');
-
-// Подписываем наблюдателей на счетчик
-counter.attach(logger);
-counter.attach(display);
-counter.attach(notifier);
-
-console.log(`Количество наблюдателей: ${counter.getObserverCount()}`);
-
-// Изменяем состояние счетчика
-counter.increment();
-counter.increment();
-counter.setValue(10);
-counter.decrement();
-counter.setValue(0);
-
-// Получаем логи
-console.log("\nЛоги логгера:");
-console.log(logger.getLogs());
-
 // ===== ПРИМЕР С РАЗЛИЧНЫМИ ТИПАМИ УВЕДОМЛЕНИЙ =====
 
+/**
+ * Проверяет, подходит ли событие под шаблон подписки.
+ * Сегменты разделяются точкой: "*" - ровно один сегмент,
+ * "**" - любое количество сегментов (в том числе ноль).
+ * @param {string} pattern - Шаблон ("user.*", "system.**", "**")
+ * @param {string} event - Название события ("user.login")
+ * @returns {boolean}
+ */
+function matchEvent(pattern, event) {
+    if (pattern === event) {
+        return true;
+    }
+    
+    const patternParts = pattern.split('.');
+    const eventParts = event.split('.');
+    
+    const match = (p, e) => {
+        if (p === patternParts.length) {
+            return e === eventParts.length;
+        }
+        if (patternParts[p] === '**') {
+            // Пробуем поглотить 0, 1, 2... сегментов
+            for (let skip = e; skip <= eventParts.length; skip++) {
+                if (match(p + 1, skip)) {
+                    return true;
+                }
+            }
+            return false;
+        }
+        if (e === eventParts.length) {
+            return false;
+        }
+        return (patternParts[p] === '*' || patternParts[p] === eventParts[e]) && match(p + 1, e + 1);
+    };
+    
+    return match(0, 0);
+}
+
 /**
  * Расширенный субъект с различными типами событий
+ * Поддерживает шаблоны подписки, одноразовые подписки, приоритеты
+ * и асинхронную доставку (emitAsync)
  */
 class EventEmitter extends Subject {
     constructor() {
         super();
+        // Шаблон события -> массив подписок { observer | ref, priority, once, order }
         this.events = {};
+        this.subscriptionOrder = 0;
     }
     
     /**
-     * Подписывает наблюдателя на конкретное событие
-     * @param {string} event - Название события
-     * @param {Observer} observer - Наблюдатель
+     * Слабые подписки на события удаляются после сборки наблюдателя
+     */
+    removeSubscription(record) {
+        if (record.subscription) {
+            const subscriptions = this.events[record.event] || [];
+            const index = subscriptions.indexOf(record.subscription);
+            if (index !== -1) {
+                subscriptions.splice(index, 1);
+            }
+            if (subscriptions.length === 0) {
+                delete this.events[record.event];
+            }
+            return;
+        }
+        super.removeSubscription(record);
+    }
+    
+    /**
+     * Подписывает наблюдателя на конкретное событие или шаблон
+     * @param {string} event - Название события или шаблон ("user.*", "**")
+     * @param {Observer|Function} observer - Наблюдатель или функция (subject, { event, data })
+     * @param {Object} [options]
+     * @param {number} [options.priority] - Чем больше, тем раньше вызывается (по умолчанию 0)
+     * @param {boolean} [options.once] - Отписать после первого события
+     * @param {boolean} [options.weak] - Хранить слабую ссылку на наблюдателя
+     * @returns {{active: boolean, unsubscribe: Function}} Дескриптор подписки
      */
-    on(event, observer) {
+    on(event, observer, { priority = 0, once = false, weak = false } = {}) {
         if (!this.events[event]) {
             this.events[event] = [];
         }
         
-        if (!this.events[event].includes(observer)) {
-            this.events[event].push(observer);
-            console.log(`Наблюдатель ${observer.constructor.name} подписан на событие "${event}"`);
+        if (!this.events[event].some(subscription => resolveSubscriber(subscription) === observer)) {
+            const subscription = { ...createSubscription(observer, weak), priority, once, order: this.subscriptionOrder++ };
+            this.events[event].push(subscription);
+            if (weak) {
+                this.finalizer.register(observer, { event, subscription }, subscription);
+            }
+            console.log(`Наблюдатель ${describeObserver(observer)} подписан на событие "${event}"`);
+            this.checkObserverLimit(this.events[event].length, `события "${event}"`);
         }
+        
+        const ref = new WeakRef(observer);
+        return createSubscriptionHandle(() => {
+            const target = ref.deref();
+            if (target) {
+                this.off(event, target);
+            }
+        });
+    }
+    
+    /**
+     * Подписывает наблюдателя только на одно ближайшее событие
+     * @param {string} event - Название события или шаблон
+     * @param {Observer|Function} observer - Наблюдатель
+     * @param {Object} [options] - { priority }
+     */
+    once(event, observer, options = {}) {
+        return this.on(event, observer, { ...options, once: true });
     }
     
     /**
      * Отписывает наблюдателя от конкретного события
-     * @param {string} event - Название события
-     * @param {Observer} observer - Наблюдатель
+     * @param {string} event - Название события или шаблон, использованный при подписке
+     * @param {Observer|Function} observer - Наблюдатель
      */
     off(event, observer) {
         if (this.events[event]) {
-            const index = this.events[event].indexOf(observer);
+            const index = this.events[event].findIndex(subscription => resolveSubscriber(subscription) === observer);
             if (index !== -1) {
-                this.events[event].splice(index, 1);
-                console.log(`Наблюдатель ${observer.constructor.name} отписан от события "${event}"`);
+                const [subscription] = this.events[event].splice(index, 1);
+                this.finalizer.unregister(subscription);
+                if (this.events[event].length === 0) {
+                    delete this.events[event];
+                }
+                console.log(`Наблюдатель ${describeObserver(observer)} отписан от события "${event}"`);
+            }
+        }
+    }
+    
+    /**
+     * Собирает подписки, подходящие под событие, в порядке вызова:
+     * по убыванию приоритета, затем в порядке подписки.
+     * Одноразовые подписки удаляются сразу.
+     * @param {string} event - Название события
+     * @returns {Array}
+     */
+    takeListeners(event) {
+        const listeners = [];
+        
+        for (const [pattern, subscriptions] of Object.entries(this.events)) {
+            if (!matchEvent(pattern, event)) {
+                continue;
+            }
+            for (const subscription of subscriptions) {
+                const observer = resolveSubscriber(subscription);
+                if (observer !== undefined) {
+                    listeners.push({ observer, priority: subscription.priority, once: subscription.once, order: subscription.order, pattern });
+                }
+            }
+        }
+        
+        listeners.sort((a, b) => b.priority - a.priority || a.order - b.order);
+        
+        for (const listener of listeners) {
+            if (listener.once) {
+                this.off(listener.pattern, listener.observer);
             }
         }
+        
+        return listeners;
     }
     
     /**
@@ -305,28 +540,93 @@ class EventEmitter extends Subject {
      * @param {*} data - Данные события
      */
     emit(event, data = null) {
-        if (this.events[event]) {
+        const listeners = this.takeListeners(event);
+        if (listeners.length > 0) {
             console.log(`Генерируем событие "${event}"`);
-            this.events[event].forEach(observer => {
+            const report = error => console.error(`Ошибка при обработке события "${event}":`, error);
+            listeners.forEach(({ observer }) => {
                 try {
-                    observer.update(this, { event, data });
+                    const result = deliverEvent(observer, this, { event, data });
+                    // emit не ждет асинхронных наблюдателей, но их ошибки не должны
+                    // превращаться в unhandledRejection и ронять процесс
+                    if (result && typeof result.then === 'function') {
+                        Promise.resolve(result).catch(report);
+                    }
                 } catch (error) {
-                    console.error(`Ошибка при обработке события "${event}":`, error);
+                    report(error);
                 }
             });
         }
     }
     
     /**
-     * Возвращает количество наблюдателей для конкретного события
+     * Генерирует событие и дожидается асинхронных наблюдателей.
+     * Все наблюдатели получают событие, даже если кто-то упал;
+     * ошибки собираются в один AggregateError.
+     * @param {string} event - Название события
+     * @param {*} data - Данные события
+     * @param {Object} [options]
+     * @param {string} [options.mode] - 'sequential' (по одному, по приоритету) или 'parallel'
+     * @returns {Promise<Array>} Результаты наблюдателей в порядке вызова
+     */
+    async emitAsync(event, data = null, { mode = 'sequential' } = {}) {
+        if (mode !== 'sequential' && mode !== 'parallel') {
+            throw new Error(`Неизвестный режим доставки: ${mode}`);
+        }
+        
+        const listeners = this.takeListeners(event);
+        if (listeners.length === 0) {
+            return [];
+        }
+        
+        console.log(`Генерируем асинхронное событие "${event}" (${mode})`);
+        const envelope = { event, data };
+        const call = async ({ observer }) => deliverEvent(observer, this, envelope);
+        
+        let outcomes;
+        if (mode === 'parallel') {
+            outcomes = await Promise.allSettled(listeners.map(call));
+        } else {
+            outcomes = [];
+            for (const listener of listeners) {
+                try {
+                    outcomes.push({ status: 'fulfilled', value: await call(listener) });
+                } catch (reason) {
+                    outcomes.push({ status: 'rejected', reason });
+                }
+            }
+        }
+        
+        const errors = outcomes.filter(outcome => outcome.status === 'rejected').map(outcome => outcome.reason);
+        if (errors.length > 0) {
+            throw new AggregateError(errors, `Ошибки при обработке события "${event}": ${errors.length} из ${listeners.length}`);
+        }
+        
+        return outcomes.map(outcome => outcome.value);
+    }
+    
+    /**
+     * Возвращает количество наблюдателей, которые получат событие
+     * (с учетом шаблонов подписки)
      * @param {string} event - Название события
      * @returns {number}
      */
     getEventObserverCount(event) {
-        return this.events[event] ? this.events[event].length : 0;
+        return Object.entries(this.events)
+            .filter(([pattern]) => matchEvent(pattern, event))
+            .reduce((count, [, subscriptions]) =>
+                count + subscriptions.filter(subscription => resolveSubscriber(subscription) !== undefined).length, 0);
     }
 }
 
+function describeObserver(observer) {
+    return typeof observer === 'function' ? (observer.name || 'function') : observer.constructor.name;
+}
+
+function deliverEvent(observer, subject, envelope) {
+    return typeof observer === 'function' ? observer(subject, envelope) : observer.update(subject, envelope);
+}
+
 /**
  * Специализированный наблюдатель для событий
  */
@@ -374,31 +674,6 @@ class EventLogger extends Observer {
     }
 }
 
-console.log("\n=== ПРИМЕР С СОБЫТИЯМИ ===");
-
-// Создаем эмиттер событий
-const eventEmitter = new EventEmitter();
-
-// Создаем специализированных наблюдателей
-const userLogger = new EventLogger('Пользовательский логгер');
-const systemLogger = new EventLogger('Системный логгер');
-
-// Подписываем на различные события
-eventEmitter.on('user.login', userLogger);
-eventEmitter.on('user.logout', userLogger);
-eventEmitter.on('system.start', systemLogger);
-eventEmitter.on('system.error', systemLogger);
-
-// Генерируем события
-eventEmitter.emit('user.login', { userId: 123, username: 'john_doe' });
-eventEmitter.emit('system.start', { version: '1.0.0' });
-eventEmitter.emit('user.logout', { userId: 123 });
-eventEmitter.emit('system.error', { code: 500, message: 'Internal Server Error' });
-
-// Проверяем логи
-console.log("\nСобытия пользователя:", userLogger.getAllEvents());
-console.log("Логи входа:", userLogger.getEventLogs('user.login'));
-
 // ===== ПРИМЕР С АВТООТПИСКОЙ =====
 
 /**
@@ -428,38 +703,1606 @@ class AutoDetachObserver extends Observer {
     }
 }
 
-console.log("\n=== ПРИМЕР С АВТООТПИСКОЙ ===");
+// ===== РЕАКТИВНЫЕ ПОТОКИ =====
 
-const autoObserver = new AutoDetachObserver(eventEmitter, 'test.event', 2);
-
-eventEmitter.on('test.event', autoObserver);
-
-// Генерируем события
-eventEmitter.emit('test.event', 'Тест 1');
-eventEmitter.emit('test.event', 'Тест 2');
-eventEmitter.emit('test.event', 'Тест 3'); // Это событие не будет обработано
-
-console.log(`Наблюдателей для test.event: ${eventEmitter.getEventObserverCount('test.event')}`);
-
-// ===== ПРЕИМУЩЕСТВА И НЕДОСТАТКИ =====
+/**
+ * Наблюдатель потока: получает сигналы next / error / complete
+ */
+class StreamObserver extends Observer {
+    constructor({ next = () => {}, error = (err) => console.error('Необработанная ошибка потока:', err), complete = () => {} }) {
+        super();
+        this.handlers = { next, error, complete };
+    }
+    
+    update(subject, signal) {
+        if (signal.type === 'next') {
+            this.handlers.next(signal.value);
+        } else if (signal.type === 'error') {
+            this.handlers.error(signal.error);
+        } else {
+            this.handlers.complete();
+        }
+    }
+}
 
 /**
- * ПРЕИМУЩЕСТВА:
- * - Слабая связанность между субъектом и наблюдателями
- * - Легко добавлять и удалять наблюдателей
- * - Поддержка принципа открытости/закрытости
- * - Возможность реализации различных типов уведомлений
- * - Упрощает тестирование
- * 
- * НЕДОСТАТКИ:
- * - Может привести к неожиданным обновлениям
- - Сложно отследить порядок уведомлений
- * - Возможны циклические зависимости
- * - Может привести к утечкам памяти при неправильном использовании
- * 
- * СВЯЗИ С ДРУГИМИ ПАТТЕРНАМИ:
- * - Часто используется в MVC архитектуре
- * - Может быть частью Mediator pattern
- * - Связан с Command pattern
- * - Основа для реактивного программирования
+ * Горячий поток значений поверх Subject.
+ * Операторы (map, filter, ...) и адаптеры (merge, fromEvent, ...) возвращают
+ * новый поток, который подписывается на источники при появлении первого
+ * подписчика и отписывается после ухода последнего; dispose() отписывает
+ * всю цепочку вверх по течению.
  */
+class Stream extends Subject {
+    /**
+     * @param {Object} [options]
+     * @param {boolean} [options.refCounted] - Отключаться от источников, когда
+     *   отпишется последний подписчик; следующий подписчик подключит их заново
+     *   (так работают потоки, созданные операторами и адаптерами)
+     */
+    constructor({ refCounted = false } = {}) {
+        super();
+        this.silent = true;
+        this.refCounted = refCounted;
+        this.closed = false;
+        // Функции освобождения ресурсов текущего подключения: отписка от источников, таймеры
+        this.teardowns = [];
+        // Подключение к источникам для производных потоков - при первой подписке
+        this.connect = null;
+        this.connected = false;
+    }
+    
+    /**
+     * Подписка на поток
+     * @param {Function|Object} observer - Функция next или { next, error, complete }
+     * @returns {{active: boolean, unsubscribe: Function}} Дескриптор подписки
+     */
+    subscribe(observer) {
+        const handlers = typeof observer === 'function' ? { next: observer } : observer;
+        if (this.closed) {
+            if (handlers.complete) {
+                handlers.complete();
+            }
+            return createSubscriptionHandle(() => {});
+        }
+        const handle = this.attach(new StreamObserver(handlers));
+        if (this.connect && !this.connected) {
+            this.connected = true;
+            this.connect();
+        }
+        return handle;
+    }
+    
+    detach(observer) {
+        super.detach(observer);
+        // Без подписчиков источники не нужны - отключаемся до следующей подписки
+        if (this.refCounted && this.subscriptions.length === 0) {
+            this.disconnect();
+        }
+    }
+    
+    /**
+     * Добавляет освобождение ресурса текущего подключения;
+     * если поток уже закрыт, ресурс освобождается сразу
+     * @param {Function} teardown
+     */
+    addTeardown(teardown) {
+        if (this.closed) {
+            teardown();
+        } else {
+            this.teardowns.push(teardown);
+        }
+    }
+    
+    /**
+     * Отписывается от источников, не закрывая поток
+     */
+    disconnect() {
+        this.connected = false;
+        this.teardowns.splice(0).forEach(teardown => teardown());
+    }
+    
+    next(value) {
+        if (!this.closed) {
+            this.notify({ type: 'next', value });
+        }
+    }
+    
+    error(error) {
+        if (!this.closed) {
+            this.notify({ type: 'error', error });
+            this.dispose();
+        }
+    }
+    
+    complete() {
+        if (!this.closed) {
+            this.notify({ type: 'complete' });
+            this.dispose();
+        }
+    }
+    
+    /**
+     * Закрывает поток, отписывает наблюдателей и источники
+     */
+    dispose() {
+        if (this.closed) {
+            return;
+        }
+        this.closed = true;
+        this.disconnect();
+        this.subscriptions = [];
+    }
+    
+    /**
+     * Создает производный поток. operator вызывается при каждом подключении,
+     * поэтому состояние оператора стоит держать внутри него
+     * @param {Function} operator - (output) => { next, error?, complete?, teardown? }
+     * @returns {Stream}
+     */
+    derive(operator) {
+        const output = new Stream({ refCounted: true });
+        // Ошибка в функции оператора (project, predicate) уходит подписчику
+        // в error, а не в лог Subject.notify
+        const guard = handler => value => {
+            try {
+                handler(value);
+            } catch (error) {
+                output.error(error);
+            }
+        };
+        
+        output.connect = () => {
+            const handlers = operator(output);
+            if (handlers.teardown) {
+                output.addTeardown(handlers.teardown);
+            }
+            const handle = this.subscribe({
+                next: guard(handlers.next),
+                error: handlers.error ? guard(handlers.error) : error => output.error(error),
+                complete: handlers.complete ? guard(handlers.complete) : () => output.complete()
+            });
+            output.addTeardown(() => handle.unsubscribe());
+        };
+        return output;
+    }
+    
+    /**
+     * Применяет цепочку операторов: stream.pipe(s => s.map(...), s => s.filter(...))
+     */
+    pipe(...operators) {
+        return operators.reduce((stream, operator) => operator(stream), this);
+    }
+    
+    map(project) {
+        return this.derive(output => ({ next: value => output.next(project(value)) }));
+    }
+    
+    filter(predicate) {
+        return this.derive(output => ({
+            next: value => {
+                if (predicate(value)) {
+                    output.next(value);
+                }
+            }
+        }));
+    }
+    
+    /**
+     * Пропускает значение, только если оно отличается от предыдущего
+     * @param {Function} [equals] - Сравнение (по умолчанию Object.is)
+     */
+    distinctUntilChanged(equals = Object.is) {
+        return this.derive(output => {
+            let hasPrevious = false;
+            let previous;
+            return {
+                next: value => {
+                    if (!hasPrevious || !equals(previous, value)) {
+                        hasPrevious = true;
+                        previous = value;
+                        output.next(value);
+                    }
+                }
+            };
+        });
+    }
+    
+    /**
+     * Выдает последнее значение после паузы в ms миллисекунд
+     */
+    debounceTime(ms) {
+        return this.derive(output => {
+            let timer = null;
+            let pending = null;
+            return {
+                next: value => {
+                    pending = { value };
+                    clearTimeout(timer);
+                    timer = setTimeout(() => {
+                        const { value: last } = pending;
+                        pending = null;
+                        output.next(last);
+                    }, ms);
+                },
+                complete: () => {
+                    // Не теряем последнее значение при завершении источника
+                    clearTimeout(timer);
+                    if (pending) {
+                        output.next(pending.value);
+                    }
+                    output.complete();
+                },
+                teardown: () => clearTimeout(timer)
+            };
+        });
+    }
+    
+    /**
+     * Пропускает не больше одного значения за ms миллисекунд
+     * @param {number} ms - Интервал
+     * @param {Object} [options]
+     * @param {boolean} [options.trailing] - Выдать последнее значение в конце интервала
+     */
+    throttle(ms, { trailing = false } = {}) {
+        return this.derive(output => {
+            let timer = null;
+            let trailingValue = null;
+            const openWindow = () => {
+                timer = setTimeout(() => {
+                    timer = null;
+                    if (trailingValue) {
+                        const { value } = trailingValue;
+                        trailingValue = null;
+                        output.next(value);
+                        openWindow();
+                    }
+                }, ms);
+            };
+            return {
+                next: value => {
+                    if (timer === null) {
+                        output.next(value);
+                        openWindow();
+                    } else if (trailing) {
+                        trailingValue = { value };
+                    }
+                },
+                teardown: () => clearTimeout(timer)
+            };
+        });
+    }
+    
+    /**
+     * Пропускает значения, пока notifier не выдаст значение
+     * @param {Stream} notifier - Поток-сигнал завершения
+     */
+    takeUntil(notifier) {
+        return this.derive(output => {
+            const handle = notifier.subscribe({ next: () => output.complete() });
+            return {
+                next: value => output.next(value),
+                teardown: () => handle.unsubscribe()
+            };
+        });
+    }
+    
+    /**
+     * Потребляет поток асинхронным обработчиком по одному значению.
+     * Быстрый источник не перегружает медленного потребителя: значения
+     * копятся в ограниченной очереди, при переполнении работает стратегия.
+     * @param {Function} handler - async (value) => void
+     * @param {Object} [options]
+     * @param {number} [options.capacity] - Размер очереди
+     * @param {string} [options.overflow] - 'drop-oldest' | 'drop-newest' | 'error'
+     * @param {Function} [options.onError] - Обработчик ошибок handler
+     * @returns {{active: boolean, unsubscribe: Function, dropped: number, idle: Function}}
+     */
+    consume(handler, { capacity = 100, overflow = 'drop-oldest', onError = (error) => console.error('Ошибка обработчика потока:', error) } = {}) {
+        if (!['drop-oldest', 'drop-newest', 'error'].includes(overflow)) {
+            throw new Error(`Неизвестная стратегия переполнения: ${overflow}`);
+        }
+        
+        const queue = [];
+        let running = false;
+        let idleWaiters = [];
+        let handle = null;
+        
+        const settleIdle = () => {
+            idleWaiters.forEach(resolve => resolve());
+            idleWaiters = [];
+        };
+        
+        const drain = async () => {
+            running = true;
+            while (queue.length > 0) {
+                try {
+                    await handler(queue.shift());
+                } catch (error) {
+                    onError(error);
+                }
+            }
+            running = false;
+            settleIdle();
+        };
+        
+        const consumer = {
+            dropped: 0,
+            get active() {
+                return handle.active;
+            },
+            unsubscribe: () => handle.unsubscribe(),
+            [disposeSymbol]: () => handle.unsubscribe(),
+            // Promise, который выполнится, когда очередь опустеет
+            idle: () => (running || queue.length > 0 ? new Promise(resolve => idleWaiters.push(resolve)) : Promise.resolve())
+        };
+        
+        handle = this.subscribe(value => {
+            if (queue.length >= capacity) {
+                if (overflow === 'error') {
+                    handle.unsubscribe();
+                    onError(new Error(`Очередь потребителя переполнена (${capacity})`));
+                    return;
+                }
+                consumer.dropped++;
+                if (overflow === 'drop-newest') {
+                    return;
+                }
+                queue.shift();
+            }
+            queue.push(value);
+            if (!running) {
+                drain();
+            }
+        });
+        
+        return consumer;
+    }
+    
+    /**
+     * Объединяет значения нескольких потоков в один
+     * @param {...Stream} streams
+     * @returns {Stream}
+     */
+    static merge(...streams) {
+        const output = new Stream({ refCounted: true });
+        output.connect = () => {
+            let active = streams.length;
+            for (const stream of streams) {
+                const handle = stream.subscribe({
+                    next: value => output.next(value),
+                    error: error => output.error(error),
+                    complete: () => {
+                        active--;
+                        if (active === 0) {
+                            output.complete();
+                        }
+                    }
+                });
+                output.addTeardown(() => handle.unsubscribe());
+            }
+        };
+        return output;
+    }
+    
+    /**
+     * Выдает массив последних значений всех потоков,
+     * как только каждый выдал хотя бы одно значение
+     * @param {...Stream} streams
+     * @returns {Stream}
+     */
+    static combineLatest(...streams) {
+        const output = new Stream({ refCounted: true });
+        output.connect = () => {
+            const latest = new Array(streams.length);
+            const seen = new Array(streams.length).fill(false);
+            let active = streams.length;
+            
+            streams.forEach((stream, index) => {
+                const handle = stream.subscribe({
+                    next: value => {
+                        latest[index] = value;
+                        seen[index] = true;
+                        if (seen.every(Boolean)) {
+                            output.next([...latest]);
+                        }
+                    },
+                    error: error => output.error(error),
+                    complete: () => {
+                        active--;
+                        if (active === 0) {
+                            output.complete();
+                        }
+                    }
+                });
+                output.addTeardown(() => handle.unsubscribe());
+            });
+        };
+        return output;
+    }
+    
+    /**
+     * Поток событий EventEmitter (поддерживаются шаблоны "user.*")
+     * @param {EventEmitter} emitter - Источник
+     * @param {string} pattern - Событие или шаблон
+     * @returns {Stream} Поток конвертов { event, data }
+     */
+    static fromEvent(emitter, pattern) {
+        const output = new Stream({ refCounted: true });
+        output.connect = () => {
+            const handle = emitter.on(pattern, (subject, envelope) => output.next(envelope));
+            output.addTeardown(() => handle.unsubscribe());
+        };
+        return output;
+    }
+    
+    /**
+     * Поток уведомлений любого Subject
+     * @param {Subject} subject - Источник
+     * @param {Function} [project] - (subject, data) => значение потока
+     * @returns {Stream}
+     */
+    static fromSubject(subject, project = (source, data) => data) {
+        const output = new Stream({ refCounted: true });
+        output.connect = () => {
+            const adapter = new StreamObserver({ next: () => {} });
+            adapter.update = (source, data) => output.next(project(source, data));
+            const handle = subject.attach(adapter);
+            output.addTeardown(() => handle.unsubscribe());
+        };
+        return output;
+    }
+    
+    /**
+     * Поток значений счетчика
+     * @param {Counter} counter
+     * @returns {Stream}
+     */
+    static fromCounter(counter) {
+        return Stream.fromSubject(counter, source => source.getValue());
+    }
+}
+
+// ===== ЖУРНАЛ СОБЫТИЙ И ВОСПРОИЗВЕДЕНИЕ =====
+
+/**
+ * Проверяет запись журнала по фильтру воспроизведения
+ * @param {Object} record - { seq, timestamp, event, data }
+ * @param {Object} filter - { event, from, to, afterSeq }
+ */
+function matchRecord(record, { event = '**', from = null, to = null, afterSeq = 0 } = {}) {
+    const time = Date.parse(record.timestamp);
+    return record.seq > afterSeq &&
+        matchEvent(event, record.event) &&
+        (from === null || time >= from) &&
+        (to === null || time <= to);
+}
+
+/**
+ * Переводит границу фильтра (Date, строка или число) в миллисекунды.
+ * Некорректная граница - ошибка, а не пустой результат
+ */
+function parseFilterTime(value, name) {
+    if (value === null || value === undefined) {
+        return null;
+    }
+    const time = new Date(value).getTime();
+    if (Number.isNaN(time)) {
+        throw new Error(`Некорректная граница фильтра ${name}: ${value}`);
+    }
+    return time;
+}
+
+/**
+ * Базовое хранилище событий: подключение к EventEmitter и воспроизведение.
+ * Наследники реализуют write(record) и readAll().
+ */
+class EventStore {
+    constructor() {
+        this.lastSeq = 0;
+        // Во время replay() события не записываются повторно
+        this.replaying = false;
+    }
+    
+    /**
+     * Добавляет событие в журнал
+     * @param {string} event - Название события
+     * @param {*} data - Данные (должны сериализоваться в JSON)
+     * @returns {Object} Сохраненная запись
+     */
+    append(event, data = null) {
+        const record = { seq: this.lastSeq + 1, timestamp: new Date().toISOString(), event, data };
+        this.write(record);
+        this.lastSeq = record.seq;
+        return record;
+    }
+    
+    write(record) {
+        throw new Error("Метод write должен быть переопределен");
+    }
+    
+    readAll() {
+        throw new Error("Метод readAll должен быть переопределен");
+    }
+    
+    /**
+     * Записи журнала по фильтру
+     * @param {Object} [filter] - { event: шаблон, from, to, afterSeq }
+     * @returns {Object[]}
+     */
+    read(filter = {}) {
+        const range = {
+            ...filter,
+            from: parseFilterTime(filter.from, 'from'),
+            to: parseFilterTime(filter.to, 'to')
+        };
+        return this.readAll().filter(record => matchRecord(record, range));
+    }
+    
+    /**
+     * Записывает все события эмиттера, подходящие под шаблон
+     * @param {EventEmitter} emitter - Источник событий
+     * @param {string} [pattern] - Шаблон событий ("**" - все)
+     * @returns {{active: boolean, unsubscribe: Function}} Дескриптор подписки
+     */
+    attach(emitter, pattern = '**') {
+        // Наименьший приоритет: в журнал попадает событие, которое уже увидели остальные
+        return emitter.on(pattern, (subject, { event, data }) => {
+            if (!this.replaying) {
+                this.append(event, data);
+            }
+        }, { priority: -Infinity });
+    }
+    
+    /**
+     * Воспроизводит события из журнала. Воспроизведение в эмиттер,
+     * к которому подключено само хранилище, не дублирует записи
+     * @param {EventEmitter|Observer|Function} target - Эмиттер (события генерируются
+     *   заново) или наблюдатель (получает { event, data, timestamp, seq, replayed })
+     * @param {Object} [filter] - { event, from, to, afterSeq }
+     * @returns {number} Количество воспроизведенных событий
+     */
+    replay(target, filter = {}) {
+        const records = this.read(filter);
+        this.replaying = true;
+        try {
+            for (const record of records) {
+                if (target instanceof EventEmitter) {
+                    target.emit(record.event, record.data);
+                } else {
+                    deliverEvent(target, this, { ...record, replayed: true });
+                }
+            }
+        } finally {
+            this.replaying = false;
+        }
+        return records.length;
+    }
+}
+
+/**
+ * Журнал в памяти - для тестов
+ */
+class MemoryEventStore extends EventStore {
+    constructor() {
+        super();
+        this.records = [];
+    }
+    
+    write(record) {
+        this.records.push(record);
+    }
+    
+    readAll() {
+        return [...this.records];
+    }
+}
+
+/**
+ * Журнал в файле JSON lines: одна запись - одна строка.
+ * Запись дописывается синхронно, с sync: true - еще и сбрасывается на диск,
+ * поэтому переживает падение процесса. Прочитанные записи кэшируются:
+ * повторное чтение разбирает только строки, дописанные с прошлого раза.
+ */
+class JsonLinesEventStore extends EventStore {
+    /**
+     * @param {Object} options
+     * @param {string} options.filename - Файл журнала
+     * @param {boolean} [options.sync] - Вызывать fsync после каждой записи
+     */
+    constructor({ filename, sync = false }) {
+        super();
+        if (!filename) {
+            throw new Error("Не указан файл журнала событий");
+        }
+        this.filename = filename;
+        this.sync = sync;
+        this.fd = null;
+        this.records = [];
+        this.offset = 0;
+        this.lineNumber = 0;
+        
+        this.repairTail();
+        // Продолжаем нумерацию с последней записи существующего журнала
+        this.lastSeq = this.records.length > 0 ? this.records[this.records.length - 1].seq : 0;
+    }
+    
+    /**
+     * Завершает оборванную после сбоя последнюю строку, чтобы следующая
+     * запись не склеилась с ней: целая запись без перевода строки
+     * дописывается им, поврежденный хвост обрезается
+     */
+    repairTail() {
+        this.load();
+        if (!fs.existsSync(this.filename)) {
+            return;
+        }
+        const tail = this.readBytes(this.offset).toString('utf8');
+        if (!tail.trim()) {
+            return;
+        }
+        try {
+            JSON.parse(tail);
+            fs.appendFileSync(this.filename, '\n');
+            this.load();
+        } catch (error) {
+            console.warn(`[EventStore] Обрезана поврежденная последняя строка в ${this.filename}`);
+            fs.truncateSync(this.filename, this.offset);
+        }
+    }
+    
+    write(record) {
+        if (this.fd === null) {
+            this.fd = fs.openSync(this.filename, 'a');
+        }
+        fs.writeSync(this.fd, JSON.stringify(record) + '\n');
+        if (this.sync) {
+            fs.fsyncSync(this.fd);
+        }
+    }
+    
+    readAll() {
+        this.load();
+        return [...this.records];
+    }
+    
+    /**
+     * Дочитывает в кэш завершенные строки, появившиеся после this.offset
+     */
+    load() {
+        // Файла нет или его обрезали - читаем заново
+        if (!fs.existsSync(this.filename) || fs.statSync(this.filename).size < this.offset) {
+            this.records = [];
+            this.offset = 0;
+            this.lineNumber = 0;
+        }
+        if (!fs.existsSync(this.filename)) {
+            return;
+        }
+        
+        const chunk = this.readBytes(this.offset);
+        const end = chunk.lastIndexOf(0x0a);
+        if (end === -1) {
+            return;
+        }
+        
+        chunk.toString('utf8', 0, end).split('\n').forEach(line => {
+            this.lineNumber++;
+            if (!line.trim()) {
+                return;
+            }
+            try {
+                this.records.push(JSON.parse(line));
+            } catch (error) {
+                console.warn(`[EventStore] Пропущена поврежденная строка ${this.lineNumber} в ${this.filename}`);
+            }
+        });
+        this.offset += end + 1;
+    }
+    
+    readBytes(position) {
+        const fd = fs.openSync(this.filename, 'r');
+        try {
+            const length = Math.max(fs.fstatSync(fd).size - position, 0);
+            const buffer = Buffer.alloc(length);
+            const bytesRead = fs.readSync(fd, buffer, 0, length, position);
+            return buffer.subarray(0, bytesRead);
+        } finally {
+            fs.closeSync(fd);
+        }
+    }
+    
+    close() {
+        if (this.fd !== null) {
+            fs.closeSync(this.fd);
+            this.fd = null;
+        }
+    }
+}
+
+// ===== МОСТ МЕЖДУ ПРОЦЕССАМИ =====
+
+// Ключи "$type", "$$type", ... в данных пользователя экранируются еще одним "$",
+// чтобы объект с собственным полем $type не приняли за метку типа
+const TYPE_KEY_PATTERN = /^\$+type$/;
+const ESCAPED_TYPE_KEY_PATTERN = /^\$\$+type$/;
+
+function renameKeys(object, pattern, rename) {
+    if (!Object.keys(object).some(key => pattern.test(key))) {
+        return object;
+    }
+    return Object.fromEntries(Object.entries(object).map(([key, value]) => [pattern.test(key) ? rename(key) : key, value]));
+}
+
+/**
+ * Сериализация сообщений моста: JSON с поддержкой Date, Map, Set,
+ * BigInt, Error и undefined (обычный JSON их теряет)
+ */
+function serializeMessage(message) {
+    return JSON.stringify(message, function (key, value) {
+        const original = this[key];
+        if (original instanceof Date) {
+            return { $type: 'Date', value: original.toISOString() };
+        }
+        if (original instanceof Map) {
+            return { $type: 'Map', value: [...original] };
+        }
+        if (original instanceof Set) {
+            return { $type: 'Set', value: [...original] };
+        }
+        if (original instanceof Error) {
+            return { $type: 'Error', value: { name: original.name, message: original.message, stack: original.stack } };
+        }
+        if (typeof original === 'bigint') {
+            return { $type: 'BigInt', value: original.toString() };
+        }
+        if (original === undefined && key !== '') {
+            return { $type: 'undefined' };
+        }
+        if (value && typeof value === 'object' && !Array.isArray(value)) {
+            return renameKeys(value, TYPE_KEY_PATTERN, name => `$${name}`);
+        }
+        return value;
+    });
+}
+
+function deserializeMessage(text) {
+    return JSON.parse(text, (key, value) => {
+        if (!value || typeof value !== 'object' || Array.isArray(value)) {
+            return value;
+        }
+        if (typeof value.$type !== 'string') {
+            return renameKeys(value, ESCAPED_TYPE_KEY_PATTERN, name => name.slice(1));
+        }
+        switch (value.$type) {
+            case 'Date':
+                return new Date(value.value);
+            case 'Map':
+                return new Map(value.value);
+            case 'Set':
+                return new Set(value.value);
+            case 'Error':
+                return Object.assign(new Error(value.value.message), value.value);
+            case 'BigInt':
+                return BigInt(value.value);
+            case 'undefined':
+                return undefined;
+            default:
+                return value;
+        }
+    });
+}
+
+/**
+ * Канал обмена сообщениями между процессами.
+ * Наследники реализуют send(message, peer) -> boolean (false, если нет соединения).
+ * Получатель (peer) - одно соединение канала: у каналов "точка-точка" это
+ * сам канал, у сервера - каждый подключенный клиент.
+ */
+class IpcChannel {
+    constructor() {
+        this.messageHandlers = [];
+        this.connectHandlers = [];
+        this.buffer = '';
+    }
+    
+    /**
+     * @param {Function} handler - (message, reply, peer) => void
+     */
+    onMessage(handler) {
+        this.messageHandlers.push(handler);
+    }
+    
+    /**
+     * @param {Function} handler - (peer) => void, вызывается при каждом (пере)подключении
+     */
+    onConnect(handler) {
+        this.connectHandlers.push(handler);
+    }
+    
+    /**
+     * Подключенные получатели
+     * @returns {Array}
+     */
+    peers() {
+        return [this];
+    }
+    
+    dispatch(text, reply, peer = this) {
+        let message;
+        try {
+            message = deserializeMessage(text);
+        } catch (error) {
+            console.error('[IPC] Не удалось разобрать сообщение:', error.message);
+            return;
+        }
+        this.messageHandlers.forEach(handler => handler(message, reply, peer));
+    }
+    
+    /**
+     * Разбирает поток байт на сообщения, разделенные переводом строки
+     */
+    receiveLines(chunk, reply, peer = this) {
+        this.buffer += chunk;
+        let index;
+        while ((index = this.buffer.indexOf('\n')) !== -1) {
+            const line = this.buffer.slice(0, index);
+            this.buffer = this.buffer.slice(index + 1);
+            if (line) {
+                this.dispatch(line, reply, peer);
+            }
+        }
+    }
+    
+    /**
+     * @param {Object} message - Сообщение
+     * @param {*} [peer] - Получатель из peers(); по умолчанию - все
+     * @returns {boolean} Ушло ли сообщение хотя бы одному получателю
+     */
+    send(message, peer) {
+        throw new Error("Метод send должен быть переопределен");
+    }
+    
+    close() {}
+}
+
+/**
+ * Канал поверх MessagePort (worker_threads MessageChannel или parentPort)
+ */
+class MessagePortChannel extends IpcChannel {
+    constructor(port) {
+        super();
+        this.port = port;
+        this.port.on('message', text => this.dispatch(text, message => this.send(message)));
+    }
+    
+    send(message) {
+        this.port.postMessage(serializeMessage(message));
+        return true;
+    }
+    
+    close() {
+        this.port.close();
+    }
+}
+
+/**
+ * Клиент Unix domain socket с автоматическим переподключением
+ * (задержка растет вдвое до maxReconnectDelay)
+ */
+class SocketClientChannel extends IpcChannel {
+    constructor({ path: socketPath, reconnectDelay = 100, maxReconnectDelay = 2000 }) {
+        super();
+        this.path = socketPath;
+        this.reconnectDelay = reconnectDelay;
+        this.maxReconnectDelay = maxReconnectDelay;
+        this.delay = reconnectDelay;
+        this.socket = null;
+        this.closed = false;
+        this.timer = null;
+        this.connect();
+    }
+    
+    connect() {
+        const socket = net.createConnection(this.path);
+        socket.setEncoding('utf8');
+        socket.on('connect', () => {
+            this.socket = socket;
+            this.buffer = '';
+            this.delay = this.reconnectDelay;
+            this.connectHandlers.forEach(handler => handler(this));
+        });
+        socket.on('data', chunk => this.receiveLines(chunk, message => this.send(message)));
+        // Ошибки соединения обрабатываются через close и переподключение
+        socket.on('error', () => {});
+        socket.on('close', () => {
+            this.socket = null;
+            if (!this.closed) {
+                this.timer = setTimeout(() => this.connect(), this.delay);
+                this.delay = Math.min(this.delay * 2, this.maxReconnectDelay);
+            }
+        });
+    }
+    
+    get connected() {
+        return this.socket !== null;
+    }
+    
+    peers() {
+        return this.connected ? [this] : [];
+    }
+    
+    send(message) {
+        if (!this.socket) {
+            return false;
+        }
+        this.socket.write(serializeMessage(message) + '\n');
+        return true;
+    }
+    
+    close() {
+        this.closed = true;
+        clearTimeout(this.timer);
+        if (this.socket) {
+            this.socket.end();
+        }
+    }
+}
+
+/**
+ * Сервер Unix domain socket: принимает подключения клиентов,
+ * ответ (reply) уходит в то же соединение, send() - всем клиентам
+ * или одному, если передан peer (сокет клиента)
+ */
+class SocketServerChannel extends IpcChannel {
+    constructor({ path: socketPath }) {
+        super();
+        this.path = socketPath;
+        this.sockets = new Set();
+        this.server = net.createServer(socket => {
+            let buffer = '';
+            const reply = message => socket.write(serializeMessage(message) + '\n');
+            this.sockets.add(socket);
+            socket.setEncoding('utf8');
+            socket.on('data', chunk => {
+                // У каждого соединения свой буфер разбора строк
+                const previous = this.buffer;
+                this.buffer = buffer;
+                this.receiveLines(chunk, reply, socket);
+                buffer = this.buffer;
+                this.buffer = previous;
+            });
+            socket.on('error', () => {});
+            socket.on('close', () => this.sockets.delete(socket));
+            this.connectHandlers.forEach(handler => handler(socket));
+        });
+    }
+    
+    peers() {
+        return [...this.sockets];
+    }
+    
+    listen() {
+        // Файл сокета мог остаться после аварийного завершения
+        if (fs.existsSync(this.path)) {
+            fs.unlinkSync(this.path);
+        }
+        return new Promise((resolve, reject) => {
+            this.server.once('error', reject);
+            this.server.listen(this.path, resolve);
+        });
+    }
+    
+    send(message, peer) {
+        const text = serializeMessage(message) + '\n';
+        const targets = peer === undefined ? [...this.sockets] : [peer].filter(socket => this.sockets.has(socket));
+        targets.forEach(socket => socket.write(text));
+        return targets.length > 0;
+    }
+    
+    /**
+     * Закрывает сервер; disconnect() рвет соединения, не удаляя сервер
+     */
+    close() {
+        this.disconnect();
+        return new Promise(resolve => this.server.close(() => resolve()));
+    }
+    
+    disconnect() {
+        this.sockets.forEach(socket => socket.destroy());
+        this.sockets.clear();
+    }
+}
+
+/**
+ * Отправляющая сторона моста: пересылает события эмиттера в канал
+ * и хранит их до подтверждения (доставка "хотя бы один раз").
+ * Подтверждение ждется от каждого получателя, которому ушло событие;
+ * получатель, подключившийся вместо отключенного, получает все
+ * неподтвержденные события. Повторная отправка - по таймауту.
+ * Пока получателей нет, события копятся, но не больше maxPending:
+ * самые старые отбрасываются.
+ */
+class EventBridge {
+    /**
+     * @param {EventEmitter} emitter - Локальный источник событий
+     * @param {IpcChannel} channel - Канал к другому процессу
+     * @param {Object} [options]
+     * @param {string} [options.pattern] - Какие события пересылать
+     * @param {number} [options.ackTimeout] - Через сколько мс повторить отправку без подтверждения
+     * @param {number} [options.maxPending] - Максимум неподтвержденных событий
+     */
+    constructor(emitter, channel, { pattern = '**', ackTimeout = 1000, maxPending = 10000 } = {}) {
+        if (!(maxPending >= 1)) {
+            throw new Error("Размер очереди неподтвержденных событий должен быть не меньше 1");
+        }
+        
+        this.channel = channel;
+        this.ackTimeout = ackTimeout;
+        this.maxPending = maxPending;
+        this.pending = new Map(); // id -> { message, awaiting: Set<peer>, sentAt, attempts }
+        this.dropped = 0;
+        this.flushWaiters = [];
+        this.prefix = crypto.randomUUID();
+        this.counter = 0;
+        
+        this.handle = emitter.on(pattern, (subject, { event, data }) => this.forward(event, data), { priority: -Infinity });
+        channel.onMessage((message, reply, peer) => {
+            if (message.type === 'ack') {
+                this.acknowledge(message.id, peer);
+            }
+        });
+        channel.onConnect(peer => this.handover(peer));
+        
+        this.timer = setInterval(() => this.resendExpired(), ackTimeout);
+        this.timer.unref();
+    }
+    
+    forward(event, data) {
+        const id = `${this.prefix}:${++this.counter}`;
+        const entry = {
+            message: { type: 'event', id, event, data },
+            awaiting: new Set(this.channel.peers()),
+            sentAt: 0,
+            attempts: 0
+        };
+        this.pending.set(id, entry);
+        
+        while (this.pending.size > this.maxPending) {
+            const [oldestId, oldest] = this.pending.entries().next().value;
+            this.pending.delete(oldestId);
+            this.dropped++;
+            console.warn(`[EventBridge] Очередь переполнена, событие "${oldest.message.event}" отброшено`);
+        }
+        
+        entry.awaiting.forEach(peer => this.transmit(entry, peer));
+    }
+    
+    /**
+     * Новое подключение заменяет отключившиеся: оно получает только те
+     * неподтвержденные события, чей получатель пропал или переподключился
+     * (или которых никто не получал), и подтверждать их теперь будет оно
+     */
+    handover(peer) {
+        const connected = new Set(this.channel.peers());
+        this.pending.forEach(entry => {
+            const awaiting = [...entry.awaiting];
+            const lost = awaiting.length === 0 || entry.awaiting.has(peer) ||
+                awaiting.some(awaited => !connected.has(awaited));
+            if (!lost) {
+                return;
+            }
+            entry.awaiting = new Set(awaiting.filter(awaited => connected.has(awaited)));
+            entry.awaiting.add(peer);
+            this.transmit(entry, peer);
+        });
+    }
+    
+    transmit(entry, peer) {
+        if (this.channel.send(entry.message, peer)) {
+            entry.sentAt = Date.now();
+            entry.attempts++;
+        }
+    }
+    
+    resendExpired() {
+        const now = Date.now();
+        this.pending.forEach(entry => {
+            if (now - entry.sentAt >= this.ackTimeout) {
+                entry.awaiting.forEach(peer => this.transmit(entry, peer));
+            }
+        });
+    }
+    
+    acknowledge(id, peer) {
+        const entry = this.pending.get(id);
+        if (!entry) {
+            return;
+        }
+        entry.awaiting.delete(peer);
+        if (entry.awaiting.size > 0) {
+            return;
+        }
+        
+        this.pending.delete(id);
+        if (this.pending.size === 0) {
+            this.flushWaiters.splice(0).forEach(({ resolve }) => resolve());
+        }
+    }
+    
+    /**
+     * Ждет подтверждения всех отправленных событий.
+     * Если мост закроют раньше, Promise отклоняется
+     * @returns {Promise<void>}
+     */
+    flush() {
+        return this.pending.size === 0 ? Promise.resolve() : new Promise((resolve, reject) => this.flushWaiters.push({ resolve, reject }));
+    }
+    
+    /**
+     * Останавливает пересылку; неподтвержденные события отбрасываются
+     */
+    close() {
+        clearInterval(this.timer);
+        this.handle.unsubscribe();
+        const unacknowledged = this.pending.size;
+        this.pending.clear();
+        const error = new Error(`Мост закрыт, не подтверждено событий: ${unacknowledged}`);
+        this.flushWaiters.splice(0).forEach(({ reject }) => reject(error));
+    }
+}
+
+/**
+ * Принимающая сторона моста: генерирует пришедшие события в локальном
+ * эмиттере (наблюдатели получают тот же конверт { event, data })
+ * и подтверждает их, когда все наблюдатели, в том числе асинхронные,
+ * закончили работу. Повторы одного события отбрасываются.
+ */
+class EventBridgeReceiver {
+    /**
+     * @param {EventEmitter} emitter - Локальный эмиттер
+     * @param {IpcChannel} channel - Канал
+     * @param {Object} [options]
+     * @param {number} [options.rememberIds] - Сколько последних id помнить для отсева повторов
+     */
+    constructor(emitter, channel, { rememberIds = 10000 } = {}) {
+        this.emitter = emitter;
+        this.rememberIds = rememberIds;
+        this.seen = new Set();
+        this.processing = new Map(); // id -> Promise обработки
+        this.duplicates = 0;
+        
+        channel.onMessage((message, reply) => {
+            if (message.type !== 'event') {
+                return;
+            }
+            const ack = () => reply({ type: 'ack', id: message.id });
+            
+            // Повторы тоже подтверждаем - их ack мог потеряться, но не раньше,
+            // чем закончится обработка первой копии
+            if (this.processing.has(message.id)) {
+                this.duplicates++;
+                this.processing.get(message.id).then(ack);
+                return;
+            }
+            if (this.seen.has(message.id)) {
+                this.duplicates++;
+                ack();
+                return;
+            }
+            
+            this.remember(message.id);
+            const processed = emitter.emitAsync(message.event, message.data)
+                .catch(error => console.error(`[EventBridge] Ошибка обработки события "${message.event}":`, error.message))
+                .finally(() => this.processing.delete(message.id));
+            this.processing.set(message.id, processed);
+            processed.then(ack);
+        });
+    }
+    
+    remember(id) {
+        this.seen.add(id);
+        if (this.seen.size > this.rememberIds) {
+            this.seen.delete(this.seen.values().next().value);
+        }
+    }
+}
+
+// ===== ПРИМЕР ИСПОЛЬЗОВАНИЯ =====
+
+/**
+ * Запускает демонстрацию паттерна.
+ * Вызывается только при прямом запуске файла: node 03-observer.js
+ */
+async function runDemo() {
+    console.log("=== БАЗОВЫЙ ПРИМЕР OBSERVER ===");
+
+    // Создаем субъект (счетчик)
+    const counter = new Counter();
+
+    // Создаем наблюдателей
+    const logger = new Logger('Основной логгер');
+    const display = new Display('Главный дисплей');
+    const notifier = new Notifier('Система уведомлений');
+
+    // Подписываем наблюдателей на счетчик
+    counter.attach(logger);
+    counter.attach(display);
+    counter.attach(notifier);
+
+    console.log(`Количество наблюдателей: ${counter.getObserverCount()}`);
+
+    // Изменяем состояние счетчика
+    counter.increment();
+    counter.increment();
+    counter.setValue(10);
+    counter.decrement();
+    counter.setValue(0);
+
+    // Получаем логи
+    console.log("\nЛоги логгера:");
+    console.log(logger.getLogs());
+
+    console.log("\n=== ПРИМЕР С СОБЫТИЯМИ ===");
+
+    // Создаем эмиттер событий
+    const eventEmitter = new EventEmitter();
+
+    // Создаем специализированных наблюдателей
+    const userLogger = new EventLogger('Пользовательский логгер');
+    const systemLogger = new EventLogger('Системный логгер');
+
+    // Подписываем на различные события
+    eventEmitter.on('user.login', userLogger);
+    eventEmitter.on('user.logout', userLogger);
+    eventEmitter.on('system.start', systemLogger);
+    eventEmitter.on('system.error', systemLogger);
+
+    // Генерируем события
+    eventEmitter.emit('user.login', { userId: 123, username: 'john_doe' });
+    eventEmitter.emit('system.start', { version: '1.0.0' });
+    eventEmitter.emit('user.logout', { userId: 123 });
+    eventEmitter.emit('system.error', { code: 500, message: 'Internal Server Error' });
+
+    // Проверяем логи
+    console.log("\nСобытия пользователя:", userLogger.getAllEvents());
+    console.log("Логи входа:", userLogger.getEventLogs('user.login'));
+
+    console.log("\n=== ПРИМЕР С АВТООТПИСКОЙ ===");
+
+    const autoObserver = new AutoDetachObserver(eventEmitter, 'test.event', 2);
+
+    eventEmitter.on('test.event', autoObserver);
+
+    // Генерируем события
+    eventEmitter.emit('test.event', 'Тест 1');
+    eventEmitter.emit('test.event', 'Тест 2');
+    eventEmitter.emit('test.event', 'Тест 3'); // Это событие не будет обработано
+
+    console.log(`Наблюдателей для test.event: ${eventEmitter.getEventObserverCount('test.event')}`);
+
+    console.log("\n=== ДЕСКРИПТОРЫ ПОДПИСКИ И СЛАБЫЕ ССЫЛКИ ===");
+
+    // Автоотписка без отдельного класса: держим дескриптор и вызываем unsubscribe()
+    let received = 0;
+    const handle = eventEmitter.on('test.event', () => {
+        received++;
+        if (received === 2) {
+            handle.unsubscribe();
+        }
+    });
+    ['Тест 1', 'Тест 2', 'Тест 3'].forEach(data => eventEmitter.emit('test.event', data));
+    console.log(`Получено событий: ${received}, подписка активна: ${handle.active}`);
+
+    // Symbol.dispose позволяет использовать подписку в блоке using
+    const displayHandle = counter.subscribe(new Display('Временный дисплей'));
+    counter.increment();
+    displayHandle[Symbol.dispose]();
+
+    // Слабая подписка не удерживает наблюдателя в памяти
+    const weakCounter = new Counter();
+    (() => {
+        weakCounter.attach(new Display('Одноразовый дисплей'), { weak: true });
+    })();
+    if (global.gc) {
+        await new Promise(resolve => setImmediate(resolve));
+        global.gc();
+        console.log(`Наблюдателей после сборки мусора: ${weakCounter.getObserverCount()}`);
+    } else {
+        console.log("Запустите с --expose-gc, чтобы увидеть автоматическую отписку");
+    }
+
+    // Предупреждение о возможной утечке, как у EventEmitter в Node
+    const leakyCounter = new Counter();
+    leakyCounter.setMaxObservers(3);
+    for (let i = 1; i <= 4; i++) {
+        leakyCounter.attach(new Display(`Дисплей ${i}`));
+    }
+
+    console.log("\n=== ШАБЛОНЫ, ПРИОРИТЕТЫ И ONCE ===");
+
+    const domainEvents = new EventEmitter();
+    const auditLogger = new EventLogger('Аудит');
+
+    // Все события пользователя и вообще все события
+    domainEvents.on('user.*', userLogger);
+    domainEvents.on('**', auditLogger, { priority: -10 });
+
+    // Проверка безопасности раньше остальных
+    domainEvents.on('user.login', (subject, { data }) => {
+        console.log(`[Security] Проверяем вход пользователя ${data.username}`);
+    }, { priority: 10 });
+
+    // Только первый сбой системы
+    domainEvents.once('system.error', (subject, { data }) => {
+        console.log(`[Pager] Первый сбой: ${data.message}`);
+    });
+
+    domainEvents.emit('user.login', { userId: 7, username: 'alice' });
+    domainEvents.emit('system.error', { message: 'Disk full' });
+    domainEvents.emit('system.error', { message: 'Disk still full' });
+    console.log("Наблюдателей для system.error:", domainEvents.getEventObserverCount('system.error'));
+
+    console.log("\n=== АСИНХРОННЫЕ НАБЛЮДАТЕЛИ ===");
+
+    const asyncEvents = new EventEmitter();
+    const delay = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+    asyncEvents.on('order.created', async (subject, { data }) => {
+        await delay(20);
+        return `склад зарезервировал заказ ${data.orderId}`;
+    });
+    asyncEvents.on('order.created', async (subject, { data }) => {
+        await delay(5);
+        return `письмо по заказу ${data.orderId} отправлено`;
+    });
+    asyncEvents.on('order.*', async () => {
+        throw new Error('Аналитика недоступна');
+    }, { priority: -1 });
+
+    for (const mode of ['sequential', 'parallel']) {
+        try {
+            await asyncEvents.emitAsync('order.created', { orderId: 42 }, { mode });
+        } catch (error) {
+            console.log(`${mode}: ${error.message}`, error.errors.map(e => e.message));
+        }
+    }
+
+    // Обычный emit не ждет асинхронных наблюдателей: отказ аналитики
+    // логируется как ошибка обработки, а не роняет процесс
+    asyncEvents.emit('order.created', { orderId: 43 });
+    await delay(30);
+
+    console.log("\n=== РЕАКТИВНЫЕ ПОТОКИ ===");
+
+    const streamCounter = new Counter();
+    const stop$ = new Stream();
+
+    // Четные значения счетчика без повторов, пока не придет сигнал остановки
+    Stream.fromCounter(streamCounter)
+        .map(value => value - (value % 2))
+        .distinctUntilChanged()
+        .takeUntil(stop$)
+        .subscribe({
+            next: value => console.log(`[Stream] Четное значение: ${value}`),
+            complete: () => console.log('[Stream] Поток завершен')
+        });
+
+    streamCounter.increment();
+    streamCounter.increment();
+    streamCounter.increment();
+    stop$.next();
+    streamCounter.increment();
+
+    // Поиск: debounce для ввода, объединение с потоком событий
+    const input$ = new Stream();
+    const logins$ = Stream.fromEvent(domainEvents, 'user.*').map(({ event, data }) => `${event}:${data.userId}`);
+    const query$ = input$.debounceTime(30).filter(text => text.length >= 2);
+
+    Stream.combineLatest(query$, logins$).subscribe(([query, login]) => {
+        console.log(`[Stream] Запрос "${query}", последний вход ${login}`);
+    });
+    Stream.merge(query$, logins$).subscribe(value => console.log(`[Stream] merge: ${value}`));
+
+    ['j', 'jo', 'joh'].forEach(text => input$.next(text));
+    domainEvents.emit('user.login', { userId: 8, username: 'bob' });
+    await delay(50);
+
+    // Медленный потребитель: очередь на 2 значения, лишние отбрасываются
+    const fast$ = new Stream();
+    const consumer = fast$.consume(async value => {
+        await delay(5);
+        console.log(`[Stream] Обработано ${value}`);
+    }, { capacity: 2, overflow: 'drop-oldest' });
+    [1, 2, 3, 4, 5].forEach(value => fast$.next(value));
+    await consumer.idle();
+    console.log(`[Stream] Отброшено значений: ${consumer.dropped}`);
+    consumer.unsubscribe();
+    input$.dispose();
+
+    // Ошибка в операторе доходит до подписчика, а не теряется в notify
+    const raw$ = new Stream();
+    raw$.map(value => JSON.parse(value)).subscribe({
+        next: value => console.log(`[Stream] Разобрано: ${value.id}`),
+        error: error => console.log(`[Stream] Ошибка оператора: ${error.name}`)
+    });
+    raw$.next('{"id": 1}');
+    raw$.next('{oops');
+
+    console.log("\n=== ЖУРНАЛ СОБЫТИЙ И ВОСПРОИЗВЕДЕНИЕ ===");
+
+    const journalFile = path.join(os.tmpdir(), `observer-events-${process.pid}.jsonl`);
+    const journal = new JsonLinesEventStore({ filename: journalFile, sync: true });
+    const counterEvents = new EventEmitter();
+    journal.attach(counterEvents, 'counter.*');
+
+    // Счетчик публикует свои изменения как доменные события
+    const sourceCounter = new Counter();
+    sourceCounter.attach(Object.assign(new Observer(), {
+        update: (subject, data) => counterEvents.emit(`counter.${data.type}`, data)
+    }));
+    sourceCounter.increment();
+    sourceCounter.setValue(10);
+    sourceCounter.decrement();
+    journal.close();
+
+    // "Перезапуск": новое хранилище читает тот же файл
+    const reopened = new JsonLinesEventStore({ filename: journalFile });
+    const rebuilt = new Counter();
+    const replayed = reopened.replay((subject, { data }) => {
+        rebuilt.value = data.type === 'set' ? data.newValue : data.value;
+    }, { event: 'counter.*' });
+    console.log(`Воспроизведено событий: ${replayed}, восстановленное значение: ${rebuilt.getValue()} (исходное ${sourceCounter.getValue()})`);
+
+    // Фильтр по имени события и времени
+    console.log("Только set:", reopened.read({ event: 'counter.set' }).map(record => record.data.newValue));
+    console.log("После seq 1:", reopened.read({ afterSeq: 1, to: new Date() }).map(record => record.event));
+    try {
+        reopened.read({ from: 'вчера' });
+    } catch (error) {
+        console.log("Ошибка:", error.message);
+    }
+
+    // Воспроизведение в эмиттер, к которому подключен журнал, не дублирует записи
+    const liveEvents = new EventEmitter();
+    const liveJournal = new MemoryEventStore();
+    liveJournal.attach(liveEvents);
+    liveEvents.emit('counter.increment', { value: 1 });
+    liveJournal.replay(liveEvents);
+    console.log("Записей после воспроизведения в себя:", liveJournal.readAll().length);
+
+    // Сбой посреди записи: оборванный хвост обрезается при открытии
+    fs.appendFileSync(journalFile, '{"seq": 4, "timest');
+    const recovered = new JsonLinesEventStore({ filename: journalFile });
+    recovered.append('counter.reset', { value: 0 });
+    console.log("После восстановления:", recovered.read().map(record => `${record.seq}:${record.event}`));
+    recovered.close();
+    fs.unlinkSync(journalFile);
+
+    console.log("\n=== МОСТ МЕЖДУ ПРОЦЕССАМИ ===");
+
+    // worker_threads: наблюдатель живет в другом потоке
+    const { port1, port2 } = new MessageChannel();
+    const worker = new Worker(`
+        const { inspect } = require('util');
+        const { workerData } = require('worker_threads');
+        const { EventEmitter, MessagePortChannel, EventBridgeReceiver } = require(workerData.file);
+        const emitter = new EventEmitter();
+        emitter.on('**', (subject, { event, data }) => {
+            console.log('[Worker] ' + event + ': ' + inspect(data) + (data.at instanceof Date ? ' (Date восстановлена)' : ''));
+        });
+        new EventBridgeReceiver(emitter, new MessagePortChannel(workerData.port));
+    `, { eval: true, workerData: { file: __filename, port: port2 }, transferList: [port2] });
+
+    const localEvents = new EventEmitter();
+    const workerBridge = new EventBridge(localEvents, new MessagePortChannel(port1), { pattern: 'order.*' });
+    localEvents.emit('order.created', { orderId: 1, at: new Date() });
+    localEvents.emit('order.paid', { orderId: 1, amount: 1500n });
+    await workerBridge.flush();
+    workerBridge.close();
+    // Закрытый порт завершает поток сам - и вывод потока не теряется, как при terminate()
+    port1.close();
+    await new Promise(resolve => worker.once('exit', resolve));
+
+    // Unix domain socket: клиент запускается раньше сервера и переподключается
+    const socketPath = path.join(os.tmpdir(), `observer-bridge-${process.pid}.sock`);
+    const clientChannel = new SocketClientChannel({ path: socketPath, reconnectDelay: 20 });
+    const socketBridge = new EventBridge(localEvents, clientChannel, { pattern: 'user.*', ackTimeout: 50 });
+    localEvents.emit('user.login', { userId: 1 });
+
+    const serverChannel = new SocketServerChannel({ path: socketPath });
+    const remoteEvents = new EventEmitter();
+    const remoteLogger = new EventLogger('Удаленный логгер');
+    remoteEvents.on('user.*', remoteLogger);
+    const receiver = new EventBridgeReceiver(remoteEvents, serverChannel);
+    await serverChannel.listen();
+    await socketBridge.flush();
+
+    // Обрыв соединения: событие дождется переподключения
+    serverChannel.disconnect();
+    localEvents.emit('user.logout', { userId: 1 });
+    await socketBridge.flush();
+
+    console.log("Удаленные события:", remoteLogger.getAllEvents(), "| повторов отброшено:", receiver.duplicates);
+    socketBridge.close();
+    clientChannel.close();
+    await serverChannel.close();
+
+    // Сервер рассылает событие двум клиентам: flush ждет подтверждения от каждого.
+    // Собственное поле $type в данных не путается с меткой типа
+    const hubPath = path.join(os.tmpdir(), `observer-hub-${process.pid}.sock`);
+    const hubChannel = new SocketServerChannel({ path: hubPath });
+    await hubChannel.listen();
+    const hubEvents = new EventEmitter();
+    const hubBridge = new EventBridge(hubEvents, hubChannel, { ackTimeout: 50 });
+    const bothConnected = new Promise(resolve => hubChannel.onConnect(() => hubChannel.peers().length === 2 && resolve()));
+    const hubClients = ['A', 'B'].map(name => {
+        const channel = new SocketClientChannel({ path: hubPath });
+        const events = new EventEmitter();
+        events.on('**', (subject, { event, data }) => console.log(`[Клиент ${name}] ${event}:`, data));
+        new EventBridgeReceiver(events, channel);
+        return channel;
+    });
+    await bothConnected;
+    hubEvents.emit('config.changed', { $type: 'feature-flag', value: true });
+    await hubBridge.flush();
+    console.log("Подтвердили оба клиента, неподтвержденных:", hubBridge.pending.size);
+    hubBridge.close();
+    hubClients.forEach(channel => channel.close());
+    await hubChannel.close();
+}
+
+// ===== ПРЕИМУЩЕСТВА И НЕДОСТАТКИ =====
+
+/**
+ * ПРЕИМУЩЕСТВА:
+ * - Слабая связанность между субъектом и наблюдателями
+ * - Легко добавлять и удалять наблюдателей
+ * - Поддержка принципа открытости/закрытости
+ * - Возможность реализации различных типов уведомлений
+ * - Упрощает тестирование
+ * 
+ * НЕДОСТАТКИ:
+ * - Может привести к неожиданным обновлениям
+ - Сложно отследить порядок уведомлений
+ * - Возможны циклические зависимости
+ * - Может привести к утечкам памяти при неправильном использовании
+ *   (помогают слабые подписки { weak: true } и setMaxObservers())
+ * 
+ * СВЯЗИ С ДРУГИМИ ПАТТЕРНАМИ:
+ * - Часто используется в MVC архитектуре
+ * - Может быть частью Mediator pattern
+ * - Связан с Command pattern
+ * - Основа для реактивного программирования (см. Stream)
+ */
+
+module.exports = {
+    createSubscriptionHandle,
+    Observer,
+    Subject,
+    Counter,
+    Logger,
+    Display,
+    Notifier,
+    matchEvent,
+    EventEmitter,
+    EventLogger,
+    AutoDetachObserver,
+    StreamObserver,
+    Stream,
+    EventStore,
+    MemoryEventStore,
+    JsonLinesEventStore,
+    serializeMessage,
+    deserializeMessage,
+    IpcChannel,
+    MessagePortChannel,
+    SocketClientChannel,
+    SocketServerChannel,
+    EventBridge,
+    EventBridgeReceiver,
+    runDemo
+};
+
+if (require.main === module) {
+    runDemo();
+}
@@ -19,6 +19,11 @@
  * - Алгоритмы поиска
  */
 
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
 // ===== БАЗОВАЯ РЕАЛИЗАЦИЯ =====
 
 /**
@@ -65,15 +70,33 @@ class Context {
     /**
      * Выполняет текущую стратегию
      * @param {*} data - Входные данные
+     * @param {...*} args - Дополнительные аргументы стратегии (например, { locale })
      * @returns {*} Результат выполнения
      */
-    executeStrategy(data) {
+    executeStrategy(data, ...args) {
         if (!this.strategy) {
             throw new Error("Стратегия не установлена");
         }
         
         console.log(`Выполняем стратегию: ${this.strategy.getName()}`);
-        return this.strategy.execute(data);
+        return this.strategy.execute(data, ...args);
+    }
+    
+    /**
+     * Выбирает стратегию через селектор и устанавливает ее
+     * @param {StrategySelector} selector - Селектор стратегий
+     * @param {*} data - Входные данные, по которым выбирается стратегия
+     * @param {Object} [selectionContext] - Контекст выбора (field, features, splitKey)
+     * @returns {Object} Результат выбора с трассировкой
+     */
+    selectStrategy(selector, data, selectionContext = {}) {
+        const selection = selector.select(data, selectionContext);
+        if (!selection.strategy) {
+            throw Object.assign(new Error("Не найдена подходящая стратегия"), { selection });
+        }
+        
+        this.setStrategy(selection.strategy);
+        return selection;
     }
     
     /**
@@ -147,418 +170,2461 @@ class MinStrategy extends Strategy {
     }
 }
 
-// ===== ПРИМЕР ИСПОЛЬЗОВАНИЯ =====
-
-console.log("=== БАЗОВЫЙ ПРИМЕР STRATEGY ===");
-
-// Создаем контекст
-const context = new Context();
-
-// Создаем стратегии
-const additionStrategy = new AdditionStrategy();
-const multiplicationStrategy = new MultiplicationStrategy();
-const maxStrategy = new MaxStrategy();
-const minStrategy = new MinStrategy();
-
-// Тестовые данные
-const numbers = [2, 4, 6, 8];
-
-// Выполняем различные стратегии
-context.setStrategy(additionStrategy);
-console.log("Результат:", context.executeStrategy(numbers));
-
-context.setStrategy(multiplicationStrategy);
-console.log("Результат:", context.executeStrategy(numbers));
-
-context.setStrategy(maxStrategy);
-console.log("Результат:", context.executeStrategy(numbers));
-
-context.setStrategy(minStrategy);
-console.log("Результат:", context.executeStrategy(numbers));
-
-// ===== ПРАКТИЧЕСКИЙ ПРИМЕР - СИСТЕМА ОПЛАТЫ =====
+// ===== ВЫБОР СТРАТЕГИИ ПО ПРАВИЛАМ =====
 
 /**
- * Абстрактный класс стратегии оплаты
+ * Размер входных данных: длина строки/массива, size у Map/Set,
+ * число ключей у объекта
  */
-class PaymentStrategy extends Strategy {
-    constructor() {
-        super();
-        this.amount = 0;
+function sizeOf(input) {
+    if (input === null || input === undefined) {
+        return 0;
+    }
+    if (typeof input === 'string' || Array.isArray(input)) {
+        return input.length;
+    }
+    if (input instanceof Map || input instanceof Set) {
+        return input.size;
     }
+    return typeof input === 'object' ? Object.keys(input).length : 0;
+}
+
+/**
+ * Декларативные правила для StrategySelector.
+ * Правило - объект { description, test(input, context, metrics) }
+ */
+const StrategyRules = {
+    /**
+     * Тип входных данных: 'array' или результат typeof
+     */
+    type(expected) {
+        return {
+            description: `тип = ${expected}`,
+            test: input => (expected === 'array' ? Array.isArray(input) : typeof input === expected)
+        };
+    },
+    
+    minSize(min) {
+        return { description: `размер >= ${min}`, test: input => sizeOf(input) >= min };
+    },
+    
+    maxSize(max) {
+        return { description: `размер <= ${max}`, test: input => sizeOf(input) <= max };
+    },
     
     /**
-     * Устанавливает сумму для оплаты
-     * @param {number} amount - Сумма
+     * Имя поля из контекста выбора (без учета регистра)
      */
-    setAmount(amount) {
-        this.amount = amount;
-    }
+    field(...names) {
+        const expected = names.map(name => name.toLowerCase());
+        return {
+            description: `поле = ${names.join(' | ')}`,
+            test: (input, context) => typeof context.field === 'string' && expected.includes(context.field.toLowerCase())
+        };
+    },
     
     /**
-     * Выполняет оплату
-     * @param {Object} paymentData - Данные для оплаты
-     * @returns {Object} Результат оплаты
+     * Флаг функциональности (context.features или флаги селектора)
      */
-    execute(paymentData) {
-        throw new Error("Метод execute должен быть переопределен");
+    feature(flag, enabled = true) {
+        return {
+            description: `флаг ${flag} ${enabled ? 'включен' : 'выключен'}`,
+            test: (input, context) => Boolean(context.features[flag]) === enabled
+        };
+    },
+    
+    /**
+     * Отсекает стратегию, если доля ее ошибок превысила порог
+     * (учитывается только после minCalls вызовов)
+     */
+    maxFailureRate(rate, minCalls = 5) {
+        return {
+            description: `доля ошибок <= ${rate}`,
+            test: (input, context, metrics) => metrics.calls < minCalls || metrics.failureRate <= rate
+        };
+    },
+    
+    /**
+     * Произвольное правило
+     */
+    custom(description, test) {
+        return { description, test };
     }
-}
+};
 
 /**
- * Стратегия оплаты кредитной картой
+ * Детерминированное число в [0, 1) по ключу - один и тот же
+ * пользователь всегда попадает в одну группу A/B-теста
  */
-class CreditCardPayment extends PaymentStrategy {
-    execute(paymentData) {
-        const { cardNumber, expiryDate, cvv } = paymentData;
-        
-        // Валидация данных карты
-        if (!cardNumber || !expiryDate || !cvv) {
-            throw new Error("Неполные данные кредитной карты");
-        }
-        
-        if (cardNumber.length !== 16) {
-            throw new Error("Неверный номер карты");
-        }
-        
-        console.log(`Оплата кредитной картой: ${cardNumber.slice(-4)}...`);
-        console.log(`Сумма: $${this.amount}`);
-        
-        // Имитация обработки платежа
-        const transactionId = `CC_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
-        
-        return {
-            success: true,
-            transactionId,
-            method: 'Credit Card',
-            amount: this.amount,
-            timestamp: new Date().toISOString()
-        };
-    }
+function hashToUnit(key) {
+    const digest = crypto.createHash('sha1').update(String(key)).digest();
+    return digest.readUInt32BE(0) / 0x100000000;
 }
 
 /**
- * Стратегия оплаты PayPal
+ * Селектор стратегий: выбирает стратегию из реестра по правилам над
+ * входными данными, делит трафик между равноприоритетными вариантами (A/B)
+ * и при ошибке переходит к следующей подходящей стратегии.
+ * Каждый выбор сопровождается трассировкой: какие правила проверены и почему
+ * выбрана именно эта стратегия.
  */
-class PayPalPayment extends PaymentStrategy {
-    execute(paymentData) {
-        const { email, password } = paymentData;
-        
-        if (!email || !password) {
-            throw new Error("Неполные данные PayPal");
+class StrategySelector {
+    /**
+     * @param {Object} [options]
+     * @param {Object} [options.features] - Флаги функциональности по умолчанию
+     * @param {boolean} [options.fallback] - Пробовать следующую стратегию при ошибке
+     * @param {Function} [options.random] - Источник случайности для A/B без splitKey
+     */
+    constructor({ features = {}, fallback = true, random = Math.random } = {}) {
+        this.features = { ...features };
+        this.fallback = fallback;
+        this.random = random;
+        this.registrations = new Map();
+        this.metrics = new Map();
+        this.lastSelection = null;
+    }
+    
+    /**
+     * Регистрирует стратегию
+     * @param {string} name - Имя в реестре
+     * @param {Strategy} strategy - Экземпляр стратегии
+     * @param {Object} [options]
+     * @param {Array} [options.rules] - Правила (все должны выполниться)
+     * @param {number} [options.priority] - Чем больше, тем раньше проверяется
+     * @param {number} [options.weight] - Доля трафика среди равноприоритетных (A/B)
+     * @returns {StrategySelector}
+     */
+    register(name, strategy, { rules = [], priority = 0, weight } = {}) {
+        if (this.registrations.has(name)) {
+            throw new Error(`Стратегия "${name}" уже зарегистрирована`);
         }
         
-        console.log(`Оплата PayPal: ${email}`);
-        console.log(`Сумма: $${this.amount}`);
-        
-        // Имитация обработки платежа
-        const transactionId = `PP_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+        this.registrations.set(name, { name, strategy, rules, priority, weight, order: this.registrations.size });
+        this.metrics.set(name, { calls: 0, successes: 0, failures: 0, totalDuration: 0 });
+        return this;
+    }
+    
+    unregister(name) {
+        this.metrics.delete(name);
+        return this.registrations.delete(name);
+    }
+    
+    setFeature(flag, enabled = true) {
+        this.features[flag] = enabled;
+    }
+    
+    /**
+     * Метрики стратегии за время работы селектора
+     * @param {string} name - Имя стратегии
+     * @returns {Object}
+     */
+    getMetrics(name) {
+        const metrics = this.metrics.get(name);
+        if (!metrics) {
+            throw new Error(`Стратегия "${name}" не зарегистрирована`);
+        }
         
         return {
-            success: true,
-            transactionId,
-            method: 'PayPal',
-            amount: this.amount,
-            timestamp: new Date().toISOString()
+            ...metrics,
+            failureRate: metrics.calls === 0 ? 0 : metrics.failures / metrics.calls,
+            averageDuration: metrics.calls === 0 ? 0 : metrics.totalDuration / metrics.calls
         };
     }
-}
-
-/**
- * Стратегия оплаты криптовалютой
- */
-class CryptoPayment extends PaymentStrategy {
-    execute(paymentData) {
-        const { walletAddress, cryptoType = 'BTC' } = paymentData;
+    
+    /**
+     * Выбирает стратегию, не выполняя ее
+     * @param {*} input - Входные данные
+     * @param {Object} [context] - field, features, splitKey и любые поля для правил
+     * @returns {Object} { name, strategy, reason, candidates, trace }
+     */
+    select(input, context = {}) {
+        const selectionContext = { ...context, features: { ...this.features, ...context.features } };
+        const ordered = [...this.registrations.values()]
+            .sort((a, b) => b.priority - a.priority || a.order - b.order);
+        const trace = [];
+        const matched = [];
         
-        if (!walletAddress) {
-            throw new Error("Не указан адрес кошелька");
+        ordered.forEach(registration => {
+            const metrics = this.getMetrics(registration.name);
+            const checks = [];
+            let passed = true;
+            
+            for (const rule of registration.rules) {
+                const result = Boolean(rule.test(input, selectionContext, metrics));
+                checks.push({ rule: rule.description, passed: result });
+                if (!result) {
+                    passed = false;
+                    break;
+                }
+            }
+            
+            trace.push({ name: registration.name, priority: registration.priority, matched: passed, checks });
+            if (passed) {
+                matched.push(registration);
+            }
+        });
+        
+        if (matched.length === 0) {
+            return { name: null, strategy: null, reason: 'ни одна стратегия не подошла', candidates: [], trace };
         }
         
-        console.log(`Оплата криптовалютой: ${cryptoType}`);
-        console.log(`Кошелек: ${walletAddress.slice(0, 8)}...`);
-        console.log(`Сумма: $${this.amount}`);
+        let chosen = matched[0];
+        let reason = `первая подходящая с приоритетом ${chosen.priority}`;
+        const group = matched.filter(registration => registration.priority === chosen.priority);
         
-        // Имитация обработки платежа
-        const transactionId = `CR_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+        if (group.length > 1 && group.some(registration => registration.weight !== undefined)) {
+            const roll = selectionContext.splitKey !== undefined ? hashToUnit(selectionContext.splitKey) : this.random();
+            chosen = this.split(group, roll);
+            reason = `A/B-разбиение среди [${group.map(registration => registration.name).join(', ')}], бросок ${roll.toFixed(3)}`;
+        }
         
         return {
-            success: true,
-            transactionId,
-            method: `Crypto (${cryptoType})`,
-            amount: this.amount,
-            timestamp: new Date().toISOString()
+            name: chosen.name,
+            strategy: chosen.strategy,
+            reason,
+            candidates: [chosen, ...matched.filter(registration => registration !== chosen)].map(registration => registration.name),
+            trace
         };
     }
-}
-
-/**
- * Контекст для обработки платежей
- */
-class PaymentProcessor extends Context {
-    constructor() {
-        super();
-        this.paymentHistory = [];
+    
+    split(group, roll) {
+        const weights = group.map(registration => registration.weight ?? 1);
+        const total = weights.reduce((sum, weight) => sum + weight, 0);
+        let threshold = roll * total;
+        
+        for (let i = 0; i < group.length; i++) {
+            threshold -= weights[i];
+            if (threshold < 0) {
+                return group[i];
+            }
+        }
+        return group[group.length - 1];
     }
     
     /**
-     * Обрабатывает платеж
-     * @param {number} amount - Сумма платежа
-     * @param {Object} paymentData - Данные для оплаты
-     * @returns {Object} Результат платежа
+     * Выбирает и выполняет стратегию. При ошибке (если включен fallback)
+     * пробует остальные подходящие стратегии по порядку.
+     * Итог выбора доступен в lastSelection (поле attempts - попытки выполнения).
+     * @param {*} input - Входные данные
+     * @param {Object} [context] - Контекст выбора
+     * @returns {*} Результат стратегии
      */
-    processPayment(amount, paymentData) {
-        if (!this.strategy) {
-            throw new Error("Способ оплаты не выбран");
-        }
+    execute(input, context = {}) {
+        const selection = this.select(input, context);
+        selection.attempts = [];
+        this.lastSelection = selection;
         
-        // Устанавливаем сумму в стратегию
-        this.strategy.setAmount(amount);
+        if (!selection.strategy) {
+            throw Object.assign(new Error("Не найдена подходящая стратегия"), { selection });
+        }
         
-        // Выполняем оплату
-        const result = this.executeStrategy(paymentData);
+        const candidates = this.fallback ? selection.candidates : [selection.name];
+        const errors = [];
         
-        // Сохраняем в историю
-        this.paymentHistory.push(result);
+        for (const name of candidates) {
+            const { strategy } = this.registrations.get(name);
+            const metrics = this.metrics.get(name);
+            const started = Date.now();
+            metrics.calls++;
+            
+            try {
+                const result = strategy.execute(input);
+                metrics.successes++;
+                metrics.totalDuration += Date.now() - started;
+                selection.attempts.push({ name, success: true });
+                selection.used = name;
+                return result;
+            } catch (error) {
+                metrics.failures++;
+                metrics.totalDuration += Date.now() - started;
+                selection.attempts.push({ name, success: false, error: error.message });
+                errors.push(error);
+            }
+        }
         
-        return result;
-    }
-    
-    /**
-     * Возвращает историю платежей
-     * @returns {Array}
-     */
-    getPaymentHistory() {
-        return [...this.paymentHistory];
+        throw Object.assign(
+            new AggregateError(errors, `Все подходящие стратегии завершились ошибкой: ${candidates.join(', ')}`),
+            { selection }
+        );
     }
     
     /**
-     * Возвращает статистику по способам оплаты
-     * @returns {Object}
+     * Человекочитаемое объяснение выбора
+     * @param {Object} selection - Результат select() или lastSelection
+     * @returns {string[]}
      */
-    getPaymentStatistics() {
-        const stats = {};
+    explain(selection = this.lastSelection) {
+        if (!selection) {
+            return [];
+        }
         
-        this.paymentHistory.forEach(payment => {
-            const method = payment.method;
-            if (!stats[method]) {
-                stats[method] = { count: 0, total: 0 };
-            }
-            stats[method].count++;
-            stats[method].total += payment.amount;
+        const lines = selection.trace.map(({ name, matched, checks }) => {
+            const details = checks.map(check => `${check.passed ? '+' : '-'} ${check.rule}`).join('; ');
+            return `${matched ? '✓' : '✗'} ${name}${details ? ` (${details})` : ''}`;
         });
-        
-        return stats;
+        lines.push(`Выбрана: ${selection.name ?? 'нет'} - ${selection.reason}`);
+        (selection.attempts || []).forEach(attempt => {
+            lines.push(`  ${attempt.name}: ${attempt.success ? 'успех' : `ошибка - ${attempt.error}`}`);
+        });
+        return lines;
     }
 }
 
-console.log("\n=== ПРАКТИЧЕСКИЙ ПРИМЕР - СИСТЕМА ОПЛАТЫ ===");
-
-// Создаем процессор платежей
-const paymentProcessor = new PaymentProcessor();
-
-// Создаем стратегии оплаты
-const creditCardPayment = new CreditCardPayment();
-const paypalPayment = new PayPalPayment();
-const cryptoPayment = new CryptoPayment();
-
-// Обрабатываем различные платежи
-console.log("\n--- Платеж кредитной картой ---");
-paymentProcessor.setStrategy(creditCardPayment);
-const ccResult = paymentProcessor.processPayment(100, {
-    cardNumber: '1234567890123456',
-    expiryDate: '12/25',
-    cvv: '123'
-});
-console.log("Результат:", ccResult);
-
-console.log("\n--- Платеж PayPal ---");
-paymentProcessor.setStrategy(paypalPayment);
-const ppResult = paymentProcessor.processPayment(50, {
-    email: 'user@example.com',
-    password: 'password123'
-});
-console.log("Результат:", ppResult);
-
-console.log("\n--- Платеж криптовалютой ---");
-paymentProcessor.setStrategy(cryptoPayment);
-const crResult = paymentProcessor.processPayment(200, {
-    walletAddress: '1A1zP1eP5QGefi2DMPTfTL5SLmv7DivfNa',
-    cryptoType: 'BTC'
-});
-console.log("Результат:", crResult);
-
-// Получаем статистику
-console.log("\n--- Статистика платежей ---");
-console.log(paymentProcessor.getPaymentStatistics());
-
-// ===== ПРИМЕР С ВАЛИДАЦИЕЙ =====
+// ===== ПРАКТИЧЕСКИЙ ПРИМЕР - СИСТЕМА ОПЛАТЫ =====
 
 /**
- * Абстрактный класс стратегии валидации
+ * Число знаков после запятой у поддерживаемых валют.
+ * Все суммы хранятся в целых минимальных единицах (центы, копейки, сатоши),
+ * чтобы не накапливать ошибки округления чисел с плавающей точкой
  */
-class ValidationStrategy extends Strategy {
-    /**
-     * Валидирует данные
-     * @param {*} data - Данные для валидации
-     * @returns {Object} Результат валидации
-     */
-    execute(data) {
-        throw new Error("Метод execute должен быть переопределен");
+const CURRENCY_EXPONENTS = Object.freeze({ USD: 2, EUR: 2, RUB: 2, JPY: 0, BTC: 8 });
+
+function assertCurrency(currency) {
+    if (!Object.prototype.hasOwnProperty.call(CURRENCY_EXPONENTS, currency)) {
+        throw new Error(`Неизвестная валюта: ${currency}`);
     }
 }
 
-/**
- * Стратегия валидации email
- */
-class EmailValidationStrategy extends ValidationStrategy {
-    execute(email) {
-        const emailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
-        const isValid = emailRegex.test(email);
-        
-        return {
-            isValid,
-            message: isValid ? 'Email корректен' : 'Неверный формат email',
-            field: 'email'
-        };
+function assertMinorUnits(amount) {
+    if (!Number.isSafeInteger(amount) || amount <= 0) {
+        throw new Error(`Сумма должна быть положительным целым числом минимальных единиц: ${amount}`);
     }
 }
 
 /**
- * Стратегия валидации пароля
+ * Переводит сумму из основных единиц (12.34 USD) в минимальные (1234)
+ * @param {number} amount - Сумма в основных единицах
+ * @param {string} currency - Код валюты
+ * @returns {number}
  */
-class PasswordValidationStrategy extends ValidationStrategy {
-    execute(password) {
-        const errors = [];
-        
-        if (password.length < 8) {
-            errors.push('Пароль должен содержать минимум 8 символов');
-        }
-        
-        if (!/[A-Z]/.test(password)) {
-            errors.push('Пароль должен содержать заглавную букву');
-        }
-        
-        if (!/[a-z]/.test(password)) {
-            errors.push('Пароль должен содержать строчную букву');
-        }
-        
-        if (!/\d/.test(password)) {
-            errors.push('Пароль должен содержать цифру');
-        }
-        
-        if (!/[!@#$%^&*]/.test(password)) {
-            errors.push('Пароль должен содержать специальный символ (!@#$%^&*)');
-        }
-        
-        const isValid = errors.length === 0;
-        
-        return {
-            isValid,
-            message: isValid ? 'Пароль корректен' : errors.join(', '),
-            field: 'password',
-            errors
-        };
-    }
+function toMinorUnits(amount, currency) {
+    assertCurrency(currency);
+    return Math.round(amount * 10 ** CURRENCY_EXPONENTS[currency]);
 }
 
 /**
- * Стратегия валидации номера телефона
+ * Форматирует сумму в минимальных единицах: 1234, 'USD' -> '12.34 USD'
+ * @param {number} amount - Сумма в минимальных единицах
+ * @param {string} currency - Код валюты
+ * @returns {string}
  */
-class PhoneValidationStrategy extends ValidationStrategy {
-    execute(phone) {
-        // Убираем все нецифровые символы
-        const cleanPhone = phone.replace(/\D/g, '');
-        
-        let isValid = false;
-        let message = '';
-        
-        if (cleanPhone.length === 11 && cleanPhone.startsWith('7')) {
-            isValid = true;
-            message = 'Номер телефона корректен';
-        } else if (cleanPhone.length === 10 && cleanPhone.startsWith('9')) {
-            isValid = true;
-            message = 'Номер телефона корректен';
-        } else {
-            message = 'Неверный формат номера телефона';
-        }
-        
-        return {
-            isValid,
-            message,
-            field: 'phone',
-            cleanPhone: isValid ? cleanPhone : null
-        };
-    }
+function formatMoney(amount, currency) {
+    assertCurrency(currency);
+    const exponent = CURRENCY_EXPONENTS[currency];
+    const divisor = 10 ** exponent;
+    const absolute = Math.abs(amount);
+    const major = Math.floor(absolute / divisor);
+    const minor = String(absolute % divisor).padStart(exponent, '0');
+    return `${amount < 0 ? '-' : ''}${major}${exponent > 0 ? `.${minor}` : ''} ${currency}`;
 }
 
 /**
- * Валидатор форм
+ * Абстрактный класс стратегии оплаты.
+ * Жизненный цикл платежа: authorize -> capture (можно частями) -> refund,
+ * либо authorize -> void. Наследники реализуют authorize, остальные
+ * операции по умолчанию имитируют вызовы платежного провайдера.
  */
-class FormValidator extends Context {
+class PaymentStrategy extends Strategy {
     constructor() {
         super();
-        this.validationResults = [];
+        this.amount = 0;
+        this.currency = 'USD';
     }
     
     /**
-     * Валидирует поле формы
-     * @param {string} fieldName - Название поля
-     * @param {*} value - Значение поля
-     * @returns {Object} Результат валидации
+     * Устанавливает сумму для оплаты
+     * @param {number} amount - Сумма в минимальных единицах валюты
+     * @param {string} [currency] - Код валюты
      */
-    validateField(fieldName, value) {
-        // Автоматически выбираем стратегию на основе названия поля
-        let strategy;
-        
-        switch (fieldName.toLowerCase()) {
-            case 'email':
-                strategy = new EmailValidationStrategy();
-                break;
-            case 'password':
-                strategy = new PasswordValidationStrategy();
-                break;
-            case 'phone':
-                strategy = new PhoneValidationStrategy();
-                break;
-            default:
-                throw new Error(`Неизвестное поле для валидации: ${fieldName}`);
-        }
-        
-        this.setStrategy(strategy);
-        const result = this.executeStrategy(value);
-        
-        this.validationResults.push(result);
-        return result;
+    setAmount(amount, currency = this.currency) {
+        assertMinorUnits(amount);
+        assertCurrency(currency);
+        this.amount = amount;
+        this.currency = currency;
     }
     
     /**
-     * Валидирует всю форму
-     * @param {Object} formData - Данные формы
-     * @returns {Object} Общий результат валидации
+     * Префикс идентификаторов транзакций провайдера
+     * @returns {string}
      */
-    validateForm(formData) {
-        this.validationResults = [];
-        
-        for (const [field, value] of Object.entries(formData)) {
-            try {
-                this.validateField(field, value);
-            } catch (error) {
-                console.warn(`Пропускаем валидацию поля ${field}:`, error.message);
-            }
-        }
-        
-        const isValid = this.validationResults.every(result => result.isValid);
-        const errors = this.validationResults.filter(result => !result.isValid);
-        
+    get prefix() {
+        return 'PAY';
+    }
+    
+    createTransactionId(operation) {
+        return `${this.prefix}_${operation}_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+    }
+    
+    /**
+     * Результат успешной авторизации текущей суммы
+     * @param {string} method - Название способа оплаты
+     * @param {Object} [source] - Безопасное (замаскированное) описание источника средств
+     * @returns {Object}
+     */
+    createAuthorization(method, source = {}) {
+        return {
+            transactionId: this.createTransactionId('AUTH'),
+            method,
+            source,
+            amount: this.amount,
+            currency: this.currency
+        };
+    }
+    
+    /**
+     * Резервирует текущую сумму у плательщика
+     * @param {Object} paymentData - Данные для оплаты
+     * @returns {Object} { transactionId, method, source, amount, currency }
+     */
+    authorize(paymentData) {
+        throw new Error("Метод authorize должен быть переопределен");
+    }
+    
+    /**
+     * Списывает зарезервированные средства
+     * @param {Object} authorization - Результат authorize
+     * @param {number} amount - Сумма в минимальных единицах
+     * @returns {Object} { transactionId }
+     */
+    capture(authorization, amount) {
+        console.log(`Списание ${formatMoney(amount, authorization.currency)} по ${authorization.transactionId}`);
+        return { transactionId: this.createTransactionId('CAP') };
+    }
+    
+    /**
+     * Возвращает списанные средства плательщику
+     * @param {Object} authorization - Результат authorize
+     * @param {number} amount - Сумма в минимальных единицах
+     * @returns {Object} { transactionId }
+     */
+    refund(authorization, amount) {
+        console.log(`Возврат ${formatMoney(amount, authorization.currency)} по ${authorization.transactionId}`);
+        return { transactionId: this.createTransactionId('REF') };
+    }
+    
+    /**
+     * Снимает резерв, если средства еще не списаны
+     * @param {Object} authorization - Результат authorize
+     * @returns {Object} { transactionId }
+     */
+    void(authorization) {
+        console.log(`Отмена резерва ${formatMoney(authorization.amount, authorization.currency)} по ${authorization.transactionId}`);
+        return { transactionId: this.createTransactionId('VOID') };
+    }
+    
+    /**
+     * Оплата в один шаг: авторизация и полное списание
+     * @param {Object} paymentData - Данные для оплаты
+     * @returns {Object} Результат оплаты
+     */
+    execute(paymentData) {
+        const authorization = this.authorize(paymentData);
+        const capture = this.capture(authorization, authorization.amount);
+        
+        return {
+            success: true,
+            transactionId: capture.transactionId,
+            method: authorization.method,
+            source: authorization.source,
+            amount: authorization.amount,
+            currency: authorization.currency,
+            timestamp: new Date().toISOString()
+        };
+    }
+}
+
+/**
+ * Сумма и валюта текущего платежа хранятся в экземпляре, поэтому
+ * один экземпляр нельзя делить между одновременными платежами (см. StrategyCache)
+ */
+PaymentStrategy.stateful = true;
+
+// ===== ПЛАТЕЖНЫЕ КАРТЫ =====
+
+/**
+ * Платежные системы: префиксы номера (IIN), допустимые длины номера и CVV.
+ * Мир проверяется раньше Mastercard: диапазоны 2200-2204 и 2221-2720 не пересекаются,
+ * но так порядок проверки не зависит от регулярных выражений
+ */
+const CARD_BRANDS = Object.freeze([
+    { name: 'Mir', pattern: /^220[0-4]/, lengths: [16, 17, 18, 19], cvvLength: 3 },
+    { name: 'Visa', pattern: /^4/, lengths: [13, 16, 19], cvvLength: 3 },
+    { name: 'Mastercard', pattern: /^(5[1-5]|222[1-9]|22[3-9]\d|2[3-6]\d\d|27[01]\d|2720)/, lengths: [16], cvvLength: 3 },
+    { name: 'Amex', pattern: /^3[47]/, lengths: [15], cvvLength: 4 }
+]);
+
+/**
+ * Оставляет в номере карты только цифры (пробелы и дефисы допустимы при вводе)
+ */
+function normalizeCardNumber(cardNumber) {
+    return String(cardNumber).replace(/[\s-]/g, '');
+}
+
+/**
+ * Проверка контрольной суммы номера карты по алгоритму Луна
+ * @param {string} cardNumber - Номер карты
+ * @returns {boolean}
+ */
+function luhnCheck(cardNumber) {
+    const digits = normalizeCardNumber(cardNumber);
+    if (!/^\d+$/.test(digits)) {
+        return false;
+    }
+    
+    let sum = 0;
+    for (let i = 0; i < digits.length; i++) {
+        let digit = Number(digits[digits.length - 1 - i]);
+        if (i % 2 === 1) {
+            digit *= 2;
+            if (digit > 9) {
+                digit -= 9;
+            }
+        }
+        sum += digit;
+    }
+    return sum % 10 === 0;
+}
+
+/**
+ * Определяет платежную систему по номеру карты
+ * @param {string} cardNumber - Номер карты
+ * @returns {Object|null} Описание из CARD_BRANDS
+ */
+function detectCardBrand(cardNumber) {
+    const digits = normalizeCardNumber(cardNumber);
+    return CARD_BRANDS.find(brand => brand.pattern.test(digits)) || null;
+}
+
+/**
+ * Проверяет срок действия MM/YY или MM/YYYY. Карта действует
+ * до конца указанного месяца включительно
+ * @param {string} expiryDate - Срок действия
+ * @param {Date} [now] - Текущая дата
+ * @returns {boolean}
+ */
+function isExpiryValid(expiryDate, now = new Date()) {
+    const match = /^(\d{2})\s*\/\s*(\d{2}|\d{4})$/.exec(String(expiryDate).trim());
+    if (!match) {
+        return false;
+    }
+    
+    const month = Number(match[1]);
+    const year = match[2].length === 2 ? 2000 + Number(match[2]) : Number(match[2]);
+    if (month < 1 || month > 12) {
+        return false;
+    }
+    
+    return year * 12 + month >= now.getFullYear() * 12 + now.getMonth() + 1;
+}
+
+/**
+ * Маскирует номер карты, оставляя последние 4 цифры: **** **** **** 1111
+ * @param {string} cardNumber - Номер карты
+ * @returns {string}
+ */
+function maskCardNumber(cardNumber) {
+    const digits = normalizeCardNumber(cardNumber);
+    const masked = '*'.repeat(Math.max(digits.length - 4, 0)) + digits.slice(-4);
+    // Группы по 4 символа считаются с конца, чтобы последние 4 цифры стояли отдельно
+    return masked.replace(/(?<=.)(?=(.{4})+$)/g, ' ');
+}
+
+/**
+ * Маскирует email: us***@example.com
+ */
+function maskEmail(email) {
+    const [name, domain] = String(email).split('@');
+    return domain === undefined ? '***' : `${name.slice(0, 2)}***@${domain}`;
+}
+
+/**
+ * Поля платежных данных, которые нельзя выводить в логи и результаты
+ */
+const SENSITIVE_FIELDS = Object.freeze({
+    cardNumber: maskCardNumber,
+    pan: maskCardNumber,
+    cvv: () => '***',
+    expiryDate: () => '**/**',
+    password: () => '***',
+    authToken: () => '***',
+    email: maskEmail
+});
+
+/**
+ * Возвращает копию данных с замаскированными чувствительными полями
+ * (на любой глубине вложенности)
+ * @param {*} data - Платежные данные
+ * @returns {*}
+ */
+function maskSensitive(data) {
+    if (Array.isArray(data)) {
+        return data.map(maskSensitive);
+    }
+    if (!data || typeof data !== 'object') {
+        return data;
+    }
+    
+    return Object.fromEntries(Object.entries(data).map(([key, value]) => [
+        key,
+        SENSITIVE_FIELDS[key] && value !== undefined && value !== null ? SENSITIVE_FIELDS[key](value) : maskSensitive(value)
+    ]));
+}
+
+// Номера карт хранятся вне объекта хранилища, чтобы их нельзя было
+// увидеть через console.log(vault) или JSON.stringify
+const vaultStorage = new WeakMap();
+
+/**
+ * Хранилище токенов карт: номер карты заменяется токеном, и дальше по
+ * системе (история платежей, результаты, логи) передается только токен.
+ * Номера карт не живут в памяти вечно: токен истекает через ttl,
+ * а сверх maxSize вытесняются самые старые карты
+ */
+class CardVault {
+    /**
+     * @param {Object} [options]
+     * @param {number} [options.ttl] - Время жизни токена, мс
+     * @param {number} [options.maxSize] - Максимум карт в хранилище
+     * @param {Function} [options.now] - Источник времени
+     */
+    constructor({ ttl = 15 * 60 * 1000, maxSize = 1000, now = Date.now } = {}) {
+        if (!(ttl > 0) || !(maxSize >= 1)) {
+            throw new Error("Время жизни токена и размер хранилища карт должны быть положительными");
+        }
+        
+        this.ttl = ttl;
+        this.maxSize = maxSize;
+        this.now = now;
+        vaultStorage.set(this, new Map());
+    }
+    
+    /**
+     * Сохраняет карту и возвращает токен с безопасными метаданными
+     * @param {string} cardNumber - Номер карты (уже проверенный)
+     * @param {string} expiryDate - Срок действия
+     * @returns {Object} { token, brand, last4, maskedNumber }
+     */
+    tokenize(cardNumber, expiryDate) {
+        const digits = normalizeCardNumber(cardNumber);
+        const brand = detectCardBrand(digits);
+        const token = `tok_${crypto.randomBytes(12).toString('hex')}`;
+        const card = {
+            token,
+            brand: brand ? brand.name : 'Unknown',
+            last4: digits.slice(-4),
+            maskedNumber: maskCardNumber(digits)
+        };
+        
+        const entries = vaultStorage.get(this);
+        this.removeExpired();
+        entries.set(token, { cardNumber: digits, expiryDate, card, expiresAt: this.now() + this.ttl });
+        while (entries.size > this.maxSize) {
+            const [oldestToken] = entries.keys();
+            entries.delete(oldestToken);
+        }
+        return { ...card };
+    }
+    
+    /**
+     * Удаляет истекшие токены. Записи хранятся в порядке создания,
+     * поэтому истекшие всегда в начале
+     */
+    removeExpired() {
+        const entries = vaultStorage.get(this);
+        const now = this.now();
+        for (const [token, entry] of entries) {
+            if (entry.expiresAt > now) {
+                break;
+            }
+            entries.delete(token);
+        }
+    }
+    
+    has(token) {
+        this.removeExpired();
+        return vaultStorage.get(this).has(token);
+    }
+    
+    /**
+     * Безопасные метаданные карты по токену
+     * @param {string} token - Токен карты
+     * @returns {Object}
+     */
+    getCard(token) {
+        return { ...this.getEntry(token).card };
+    }
+    
+    /**
+     * Проверяет срок действия сохраненной карты
+     * @param {string} token - Токен карты
+     * @param {Date} [now] - Текущая дата
+     * @returns {boolean}
+     */
+    isExpiryValid(token, now = new Date()) {
+        return isExpiryValid(this.getEntry(token).expiryDate, now);
+    }
+    
+    /**
+     * Передает номер карты в callback (например, в запрос к провайдеру),
+     * не возвращая его наружу
+     */
+    withCardNumber(token, callback) {
+        callback(this.getEntry(token).cardNumber);
+    }
+    
+    getEntry(token) {
+        this.removeExpired();
+        const entry = vaultStorage.get(this).get(token);
+        if (!entry) {
+            throw new Error("Неизвестный или истекший токен карты");
+        }
+        return entry;
+    }
+    
+    /**
+     * Количество сохраненных карт
+     * @returns {number}
+     */
+    size() {
+        this.removeExpired();
+        return vaultStorage.get(this).size;
+    }
+    
+    remove(token) {
+        return vaultStorage.get(this).delete(token);
+    }
+}
+
+// Общее хранилище по умолчанию ограничено ttl и maxSize; сервису с
+// собственным сроком хранения карт лучше передать свое через options.vault
+const defaultCardVault = new CardVault();
+
+/**
+ * Проверяет данные карты: Луна, платежная система и длина номера,
+ * срок действия, длина CVV для платежной системы
+ * @param {Object} card - { cardNumber, expiryDate, cvv }
+ * @param {Date} [now] - Текущая дата
+ * @returns {Object} Описание платежной системы
+ */
+function validateCard({ cardNumber, expiryDate, cvv }, now = new Date()) {
+    const digits = normalizeCardNumber(cardNumber);
+    if (!/^\d+$/.test(digits)) {
+        throw new Error("Номер карты должен содержать только цифры");
+    }
+    
+    const brand = detectCardBrand(digits);
+    if (!brand) {
+        throw new Error("Неизвестная платежная система");
+    }
+    
+    if (!brand.lengths.includes(digits.length)) {
+        throw new Error(`Неверная длина номера карты ${brand.name}: ${digits.length}`);
+    }
+    
+    if (!luhnCheck(digits)) {
+        throw new Error("Неверный номер карты");
+    }
+    
+    if (!isExpiryValid(expiryDate, now)) {
+        throw new Error("Срок действия карты истек или указан неверно");
+    }
+    
+    if (!new RegExp(`^\\d{${brand.cvvLength}}$`).test(String(cvv))) {
+        throw new Error(`CVV карты ${brand.name} должен содержать ${brand.cvvLength} цифры`);
+    }
+    
+    return brand;
+}
+
+/**
+ * Стратегия оплаты кредитной картой.
+ * Принимает данные карты { cardNumber, expiryDate, cvv } или ранее
+ * сохраненную карту { token }. Номер карты сразу заменяется токеном,
+ * CVV используется только для текущей авторизации и нигде не хранится.
+ */
+class CreditCardPayment extends PaymentStrategy {
+    /**
+     * @param {Object} [options]
+     * @param {CardVault} [options.vault] - Хранилище токенов карт
+     * @param {Function} [options.now] - Источник текущей даты для проверки срока действия
+     */
+    constructor({ vault = defaultCardVault, now = () => new Date() } = {}) {
+        super();
+        this.vault = vault;
+        this.now = now;
+    }
+    
+    get prefix() {
+        return 'CC';
+    }
+    
+    authorize(paymentData) {
+        const card = this.resolveCard(paymentData);
+        
+        console.log(`Оплата кредитной картой ${card.brand}: ${card.maskedNumber}`);
+        console.log(`Сумма: ${formatMoney(this.amount, this.currency)}`);
+        
+        return this.createAuthorization('Credit Card', card);
+    }
+    
+    /**
+     * Проверяет карту и возвращает ее токен с безопасными метаданными
+     */
+    resolveCard({ cardNumber, expiryDate, cvv, token }) {
+        if (token) {
+            if (!this.vault.isExpiryValid(token, this.now())) {
+                throw new Error("Срок действия сохраненной карты истек");
+            }
+            return this.vault.getCard(token);
+        }
+        
+        // Валидация данных карты
+        if (!cardNumber || !expiryDate || !cvv) {
+            throw new Error("Неполные данные кредитной карты");
+        }
+        
+        validateCard({ cardNumber, expiryDate, cvv }, this.now());
+        return this.vault.tokenize(cardNumber, expiryDate);
+    }
+}
+
+/**
+ * Стратегия оплаты PayPal
+ */
+class PayPalPayment extends PaymentStrategy {
+    get prefix() {
+        return 'PP';
+    }
+    
+    /**
+     * @param {Object} paymentData - { email, authToken }, где authToken выдан
+     * PayPal после входа пользователя; пароль платежная система не получает
+     */
+    authorize(paymentData) {
+        const { email, authToken } = paymentData;
+        
+        if ('password' in paymentData) {
+            throw new Error("PayPal не принимает пароль: передайте токен авторизации authToken");
+        }
+        
+        if (!email || !authToken) {
+            throw new Error("Неполные данные PayPal");
+        }
+        
+        console.log(`Оплата PayPal: ${maskEmail(email)}`);
+        console.log(`Сумма: ${formatMoney(this.amount, this.currency)}`);
+        
+        return this.createAuthorization('PayPal', { email: maskEmail(email) });
+    }
+}
+
+/**
+ * Стратегия оплаты криптовалютой
+ */
+class CryptoPayment extends PaymentStrategy {
+    get prefix() {
+        return 'CR';
+    }
+    
+    authorize(paymentData) {
+        const { walletAddress, cryptoType = 'BTC' } = paymentData;
+        
+        if (!walletAddress) {
+            throw new Error("Не указан адрес кошелька");
+        }
+        
+        console.log(`Оплата криптовалютой: ${cryptoType}`);
+        console.log(`Кошелек: ${walletAddress.slice(0, 8)}...`);
+        console.log(`Сумма: ${formatMoney(this.amount, this.currency)}`);
+        
+        return this.createAuthorization(`Crypto (${cryptoType})`, { wallet: `${walletAddress.slice(0, 8)}...` });
+    }
+}
+
+/**
+ * Статусы платежа
+ */
+const PaymentStatus = Object.freeze({
+    AUTHORIZED: 'authorized',
+    PARTIALLY_CAPTURED: 'partially_captured',
+    CAPTURED: 'captured',
+    PARTIALLY_REFUNDED: 'partially_refunded',
+    REFUNDED: 'refunded',
+    VOIDED: 'voided'
+});
+
+/**
+ * JSON с отсортированными ключами объектов: одинаковые по смыслу
+ * параметры дают одну строку независимо от порядка полей
+ * @param {*} value - Значение
+ * @returns {string|undefined}
+ */
+function canonicalStringify(value) {
+    if (value && typeof value.toJSON === 'function') {
+        return canonicalStringify(value.toJSON());
+    }
+    if (Array.isArray(value)) {
+        return `[${value.map(item => canonicalStringify(item) ?? 'null').join(',')}]`;
+    }
+    if (value && typeof value === 'object') {
+        const fields = Object.keys(value)
+            .sort()
+            .map(key => [key, canonicalStringify(value[key])])
+            .filter(([, text]) => text !== undefined)
+            .map(([key, text]) => `${JSON.stringify(key)}:${text}`);
+        return `{${fields.join(',')}}`;
+    }
+    return JSON.stringify(value);
+}
+
+/**
+ * Контекст для обработки платежей.
+ * Хранит состояние каждого платежа и историю операций; операции с ключом
+ * идемпотентности при повторе возвращают сохраненный результат, а не
+ * списывают деньги второй раз. Ключи идемпотентности хранятся idempotencyTtl
+ * и не больше maxIdempotencyKeys штук - самые старые вытесняются.
+ */
+class PaymentProcessor extends Context {
+    /**
+     * @param {Object} [options]
+     * @param {number} [options.idempotencyTtl] - Сколько помнить ключ идемпотентности, мс
+     * @param {number} [options.maxIdempotencyKeys] - Максимум хранимых ключей
+     * @param {Function} [options.now] - Источник времени
+     */
+    constructor({ idempotencyTtl = 24 * 60 * 60 * 1000, maxIdempotencyKeys = 10000, now = Date.now } = {}) {
+        super();
+        this.paymentHistory = [];
+        this.payments = new Map();
+        this.idempotencyTtl = idempotencyTtl;
+        this.maxIdempotencyKeys = maxIdempotencyKeys;
+        this.now = now;
+        this.idempotencyKeys = new Map(); // ключ -> { fingerprint, result, expiresAt }
+        // Отпечатки запросов содержат данные карт, поэтому используется HMAC
+        // со случайным ключом, а не простой хеш, который можно перебрать
+        this.fingerprintKey = crypto.randomBytes(32);
+    }
+    
+    /**
+     * Выполняет операцию не более одного раза для данного ключа.
+     * Ошибки не сохраняются - неудачный запрос можно повторить с тем же ключом.
+     */
+    runIdempotent(idempotencyKey, params, operation) {
+        if (idempotencyKey === undefined) {
+            return operation();
+        }
+        
+        this.removeExpiredKeys();
+        const fingerprint = crypto.createHmac('sha256', this.fingerprintKey).update(canonicalStringify(params)).digest('hex');
+        const saved = this.idempotencyKeys.get(idempotencyKey);
+        
+        if (saved) {
+            if (saved.fingerprint !== fingerprint) {
+                throw new Error(`Ключ идемпотентности "${idempotencyKey}" уже использован с другими параметрами`);
+            }
+            console.log(`Повторный запрос с ключом "${idempotencyKey}": возвращаем сохраненный результат`);
+            return { ...saved.result, replayed: true };
+        }
+        
+        const result = operation();
+        this.idempotencyKeys.set(idempotencyKey, { fingerprint, result, expiresAt: this.now() + this.idempotencyTtl });
+        while (this.idempotencyKeys.size > this.maxIdempotencyKeys) {
+            const [oldestKey] = this.idempotencyKeys.keys();
+            this.idempotencyKeys.delete(oldestKey);
+        }
+        return result;
+    }
+    
+    /**
+     * Забывает истекшие ключи идемпотентности; ключи хранятся
+     * в порядке создания, поэтому истекшие всегда в начале
+     */
+    removeExpiredKeys() {
+        const now = this.now();
+        for (const [key, { expiresAt }] of this.idempotencyKeys) {
+            if (expiresAt > now) {
+                break;
+            }
+            this.idempotencyKeys.delete(key);
+        }
+    }
+    
+    /**
+     * Резервирует сумму текущим способом оплаты
+     * @param {number} amount - Сумма в минимальных единицах валюты
+     * @param {Object} paymentData - Данные для оплаты
+     * @param {Object} [options]
+     * @param {string} [options.currency] - Код валюты
+     * @param {string} [options.idempotencyKey] - Ключ идемпотентности
+     * @returns {Object} Результат операции и состояние платежа
+     */
+    authorize(amount, paymentData, { currency = 'USD', idempotencyKey } = {}) {
+        return this.runIdempotent(idempotencyKey, { operation: 'authorize', amount, currency, paymentData }, () => {
+            if (!this.strategy) {
+                throw new Error("Способ оплаты не выбран");
+            }
+            
+            this.strategy.setAmount(amount, currency);
+            console.log(`Авторизуем платеж: ${this.strategy.getName()}`, maskSensitive(paymentData));
+            const authorization = this.strategy.authorize(paymentData);
+            
+            const payment = {
+                id: authorization.transactionId,
+                strategy: this.strategy,
+                authorization,
+                method: authorization.method,
+                source: authorization.source,
+                currency,
+                authorized: amount,
+                captured: 0,
+                refunded: 0,
+                status: PaymentStatus.AUTHORIZED
+            };
+            this.payments.set(payment.id, payment);
+            
+            return this.describePayment(payment, this.record('authorize', payment, amount, authorization.transactionId));
+        });
+    }
+    
+    /**
+     * Списывает авторизованную сумму полностью или частично
+     * @param {string} paymentId - Идентификатор платежа
+     * @param {number} [amount] - Сумма; по умолчанию весь остаток авторизации
+     * @param {Object} [options]
+     * @param {string} [options.idempotencyKey] - Ключ идемпотентности
+     * @returns {Object}
+     */
+    capture(paymentId, amount, { idempotencyKey } = {}) {
+        return this.runIdempotent(idempotencyKey, { operation: 'capture', paymentId, amount }, () => {
+            const payment = this.getPaymentRecord(paymentId);
+            this.assertStatus(payment, 'списать', [PaymentStatus.AUTHORIZED, PaymentStatus.PARTIALLY_CAPTURED]);
+            
+            const remaining = payment.authorized - payment.captured;
+            const value = amount ?? remaining;
+            assertMinorUnits(value);
+            if (value > remaining) {
+                throw new Error(`Сумма списания ${formatMoney(value, payment.currency)} превышает остаток авторизации ${formatMoney(remaining, payment.currency)}`);
+            }
+            
+            const { transactionId } = payment.strategy.capture(payment.authorization, value);
+            payment.captured += value;
+            payment.status = payment.captured === payment.authorized ? PaymentStatus.CAPTURED : PaymentStatus.PARTIALLY_CAPTURED;
+            
+            return this.describePayment(payment, this.record('capture', payment, value, transactionId));
+        });
+    }
+    
+    /**
+     * Возвращает списанные средства полностью или частично
+     * @param {string} paymentId - Идентификатор платежа
+     * @param {number} [amount] - Сумма; по умолчанию все, что еще не возвращено
+     * @param {Object} [options]
+     * @param {string} [options.idempotencyKey] - Ключ идемпотентности
+     * @returns {Object}
+     */
+    refund(paymentId, amount, { idempotencyKey } = {}) {
+        return this.runIdempotent(idempotencyKey, { operation: 'refund', paymentId, amount }, () => {
+            const payment = this.getPaymentRecord(paymentId);
+            this.assertStatus(payment, 'вернуть', [
+                PaymentStatus.PARTIALLY_CAPTURED,
+                PaymentStatus.CAPTURED,
+                PaymentStatus.PARTIALLY_REFUNDED
+            ]);
+            
+            const refundable = payment.captured - payment.refunded;
+            const value = amount ?? refundable;
+            assertMinorUnits(value);
+            if (value > refundable) {
+                throw new Error(`Сумма возврата ${formatMoney(value, payment.currency)} превышает доступную ${formatMoney(refundable, payment.currency)}`);
+            }
+            
+            const { transactionId } = payment.strategy.refund(payment.authorization, value);
+            payment.refunded += value;
+            payment.status = payment.refunded === payment.captured ? PaymentStatus.REFUNDED : PaymentStatus.PARTIALLY_REFUNDED;
+            
+            return this.describePayment(payment, this.record('refund', payment, value, transactionId));
+        });
+    }
+    
+    /**
+     * Отменяет авторизацию, пока ничего не списано
+     * @param {string} paymentId - Идентификатор платежа
+     * @param {Object} [options]
+     * @param {string} [options.idempotencyKey] - Ключ идемпотентности
+     * @returns {Object}
+     */
+    void(paymentId, { idempotencyKey } = {}) {
+        return this.runIdempotent(idempotencyKey, { operation: 'void', paymentId }, () => {
+            const payment = this.getPaymentRecord(paymentId);
+            this.assertStatus(payment, 'отменить', [PaymentStatus.AUTHORIZED]);
+            
+            const { transactionId } = payment.strategy.void(payment.authorization);
+            payment.status = PaymentStatus.VOIDED;
+            
+            return this.describePayment(payment, this.record('void', payment, payment.authorized, transactionId));
+        });
+    }
+    
+    /**
+     * Обрабатывает платеж в один шаг: авторизация и полное списание.
+     * Если списание не удалось, авторизация отменяется, чтобы повтор
+     * с тем же ключом не оставил вторую висящую авторизацию
+     * @param {number} amount - Сумма в минимальных единицах валюты
+     * @param {Object} paymentData - Данные для оплаты
+     * @param {Object} [options]
+     * @param {string} [options.currency] - Код валюты
+     * @param {string} [options.idempotencyKey] - Ключ идемпотентности
+     * @returns {Object} Результат платежа
+     */
+    processPayment(amount, paymentData, { currency = 'USD', idempotencyKey } = {}) {
+        return this.runIdempotent(idempotencyKey, { operation: 'sale', amount, currency, paymentData }, () => {
+            const { paymentId } = this.authorize(amount, paymentData, { currency });
+            try {
+                return this.capture(paymentId);
+            } catch (captureError) {
+                try {
+                    this.void(paymentId);
+                } catch (voidError) {
+                    throw new AggregateError(
+                        [captureError, voidError],
+                        `Списание платежа ${paymentId} не удалось, и авторизацию не получилось отменить`
+                    );
+                }
+                throw captureError;
+            }
+        });
+    }
+    
+    getPaymentRecord(paymentId) {
+        const payment = this.payments.get(paymentId);
+        if (!payment) {
+            throw new Error(`Платеж не найден: ${paymentId}`);
+        }
+        return payment;
+    }
+    
+    assertStatus(payment, action, allowed) {
+        if (!allowed.includes(payment.status)) {
+            throw new Error(`Нельзя ${action} платеж ${payment.id} в статусе ${payment.status}`);
+        }
+    }
+    
+    record(type, payment, amount, transactionId) {
+        const entry = {
+            type,
+            paymentId: payment.id,
+            transactionId,
+            method: payment.method,
+            source: payment.source,
+            amount,
+            currency: payment.currency,
+            timestamp: new Date().toISOString()
+        };
+        this.paymentHistory.push(entry);
+        return entry;
+    }
+    
+    describePayment(payment, operation) {
+        return {
+            success: true,
+            paymentId: payment.id,
+            transactionId: operation.transactionId,
+            operation: operation.type,
+            method: payment.method,
+            source: payment.source,
+            amount: operation.amount,
+            currency: payment.currency,
+            status: payment.status,
+            authorized: payment.authorized,
+            captured: payment.captured,
+            refunded: payment.refunded,
+            timestamp: operation.timestamp
+        };
+    }
+    
+    /**
+     * Возвращает текущее состояние платежа
+     * @param {string} paymentId - Идентификатор платежа
+     * @returns {Object}
+     */
+    getPayment(paymentId) {
+        const { strategy, authorization, ...payment } = this.getPaymentRecord(paymentId);
+        return payment;
+    }
+    
+    /**
+     * Возвращает историю операций (authorize, capture, refund, void)
+     * @returns {Array}
+     */
+    getPaymentHistory() {
+        return [...this.paymentHistory];
+    }
+    
+    /**
+     * Возвращает статистику по способам оплаты и валютам.
+     * Суммы разных валют не складываются; net = списано - возвращено
+     * @returns {Object} { [method]: { [currency]: { count, authorized, captured, refunded, refunds, voided, net } } }
+     */
+    getPaymentStatistics() {
+        const stats = {};
+        
+        this.payments.forEach(payment => {
+            if (!stats[payment.method]) {
+                stats[payment.method] = {};
+            }
+            if (!stats[payment.method][payment.currency]) {
+                stats[payment.method][payment.currency] = {
+                    count: 0, authorized: 0, captured: 0, refunded: 0, refunds: 0, voided: 0, net: 0
+                };
+            }
+            
+            const entry = stats[payment.method][payment.currency];
+            entry.count++;
+            entry.authorized += payment.authorized;
+            entry.captured += payment.captured;
+            entry.refunded += payment.refunded;
+            entry.net += payment.captured - payment.refunded;
+            if (payment.status === PaymentStatus.VOIDED) {
+                entry.voided += payment.authorized;
+            }
+        });
+        
+        this.paymentHistory
+            .filter(operation => operation.type === 'refund')
+            .forEach(operation => stats[operation.method][operation.currency].refunds++);
+        
+        return stats;
+    }
+}
+
+// ===== ЛОКАЛИЗАЦИЯ СООБЩЕНИЙ =====
+
+/**
+ * Каталог сообщений с кодами. Шаблон сообщения - строка с параметрами
+ * {name} или объект форм множественного числа { one, few, many, other },
+ * форма выбирается по параметру count правилами Intl.PluralRules
+ */
+class MessageCatalog {
+    /**
+     * @param {Object} [options]
+     * @param {string} [options.defaultLocale] - Язык, если он не указан при вызове
+     * @param {string} [options.fallbackLocale] - Язык, если в нужном нет сообщения
+     */
+    constructor({ defaultLocale = 'ru', fallbackLocale = 'ru' } = {}) {
+        this.defaultLocale = defaultLocale;
+        this.fallbackLocale = fallbackLocale;
+        this.messages = new Map();
+        this.pluralRules = new Map();
+    }
+    
+    /**
+     * Добавляет (или переопределяет) сообщения языка
+     * @param {string} locale - Код языка
+     * @param {Object} messages - { код: шаблон }
+     * @returns {MessageCatalog}
+     */
+    define(locale, messages) {
+        this.messages.set(locale, { ...this.messages.get(locale), ...messages });
+        return this;
+    }
+    
+    setDefaultLocale(locale) {
+        this.defaultLocale = locale;
+    }
+    
+    getLocales() {
+        return [...this.messages.keys()];
+    }
+    
+    has(code, locale = this.defaultLocale) {
+        return this.findTemplate(code, locale) !== undefined;
+    }
+    
+    findTemplate(code, locale) {
+        const messages = this.messages.get(locale) || {};
+        if (messages[code] !== undefined) {
+            return messages[code];
+        }
+        return (this.messages.get(this.fallbackLocale) || {})[code];
+    }
+    
+    /**
+     * Правила множественного числа; для некорректного кода языка
+     * (Intl.PluralRules бросает RangeError) - правила языка по умолчанию
+     */
+    getPluralRules(locale) {
+        if (!this.pluralRules.has(locale)) {
+            let rules;
+            try {
+                rules = new Intl.PluralRules(locale);
+            } catch (error) {
+                if (!(error instanceof RangeError) || locale === this.defaultLocale) {
+                    throw error;
+                }
+                rules = this.getPluralRules(this.defaultLocale);
+            }
+            this.pluralRules.set(locale, rules);
+        }
+        return this.pluralRules.get(locale);
+    }
+    
+    /**
+     * Форматирует сообщение. Неизвестный код возвращается как есть
+     * @param {string} code - Код сообщения
+     * @param {Object} [params] - Параметры подстановки
+     * @param {string} [locale] - Язык
+     * @returns {string}
+     */
+    format(code, params = {}, locale = this.defaultLocale) {
+        let template = this.findTemplate(code, locale);
+        if (template === undefined) {
+            return code;
+        }
+        
+        if (typeof template === 'object') {
+            const category = typeof params.count === 'number' ? this.getPluralRules(locale).select(params.count) : 'other';
+            template = template[category] ?? template.other;
+        }
+        
+        return template.replace(/\{(\w+)\}/g, (placeholder, name) => (params[name] === undefined ? placeholder : String(params[name])));
+    }
+    
+    /**
+     * Сообщение вместе с кодом - UI может опираться на стабильный код
+     * @returns {Object} { code, params, message }
+     */
+    message(code, params = {}, locale = this.defaultLocale) {
+        return { code, params, message: this.format(code, params, locale) };
+    }
+}
+
+/**
+ * Общий каталог сообщений валидации. Валидаторы других примеров
+ * (Chain of Responsibility, Template Method) добавляют в него свои коды
+ * функциями registerChainMessages и registerDataValidationMessages
+ */
+const validationMessages = new MessageCatalog()
+    .define('ru', {
+        'email.valid': 'Email корректен',
+        'email.invalid': 'Неверный формат email',
+        'email.maxLength': {
+            one: 'Email не должен превышать {count} символ',
+            few: 'Email не должен превышать {count} символа',
+            many: 'Email не должен превышать {count} символов',
+            other: 'Email не должен превышать {count} символа'
+        },
+        'password.valid': 'Пароль корректен',
+        'password.invalid': 'Пароль должен быть строкой',
+        'password.minLength': {
+            one: 'Пароль должен содержать минимум {count} символ',
+            few: 'Пароль должен содержать минимум {count} символа',
+            many: 'Пароль должен содержать минимум {count} символов',
+            other: 'Пароль должен содержать минимум {count} символа'
+        },
+        'password.uppercase': 'Пароль должен содержать заглавную букву',
+        'password.lowercase': 'Пароль должен содержать строчную букву',
+        'password.digit': 'Пароль должен содержать цифру',
+        'password.special': 'Пароль должен содержать специальный символ ({chars})',
+        'password.maxLength': {
+            one: 'Пароль не должен превышать {count} символ',
+            few: 'Пароль не должен превышать {count} символа',
+            many: 'Пароль не должен превышать {count} символов',
+            other: 'Пароль не должен превышать {count} символа'
+        },
+        'password.maxRepeats': {
+            one: 'Один символ не должен повторяться подряд больше {count} раза',
+            few: 'Один символ не должен повторяться подряд больше {count} раз',
+            many: 'Один символ не должен повторяться подряд больше {count} раз',
+            other: 'Один символ не должен повторяться подряд больше {count} раза'
+        },
+        'password.banned': 'Пароль слишком распространен и есть в списке запрещенных',
+        'password.containsUsername': 'Пароль не должен содержать имя пользователя',
+        'password.containsEmail': 'Пароль не должен содержать email',
+        'password.tooWeak': 'Пароль недостаточно надежен: оценка {score} из 4, нужно не меньше {minScore}',
+        'password.strength.0': 'очень слабый',
+        'password.strength.1': 'слабый',
+        'password.strength.2': 'средний',
+        'password.strength.3': 'надежный',
+        'password.strength.4': 'очень надежный',
+        'password.suggest.longer': {
+            one: 'Увеличьте длину хотя бы до {count} символа',
+            few: 'Увеличьте длину хотя бы до {count} символов',
+            many: 'Увеличьте длину хотя бы до {count} символов',
+            other: 'Увеличьте длину хотя бы до {count} символа'
+        },
+        'password.suggest.mixCase': 'Используйте и заглавные, и строчные буквы',
+        'password.suggest.addDigits': 'Добавьте цифры',
+        'password.suggest.addSymbols': 'Добавьте специальные символы',
+        'password.suggest.avoidRepeats': 'Не повторяйте один символ несколько раз подряд',
+        'password.suggest.avoidSequences': 'Избегайте последовательностей вроде 123 или qwe',
+        'password.suggest.avoidPersonal': 'Не используйте в пароле имя пользователя и email',
+        'password.suggest.passphrase': 'Попробуйте фразу из нескольких случайных слов',
+        'phone.valid': 'Номер телефона корректен',
+        'phone.invalid': 'Неверный формат номера телефона',
+        'phone.invalidLength': 'Неверная длина номера для страны {country}',
+        'phone.unknownCountry': 'Не удалось определить страну: укажите номер в формате +код страны',
+        'phone.typeNotAllowed': 'Номера типа {type} не принимаются',
+        'name.minLength': {
+            one: 'Имя должно содержать минимум {count} символ',
+            few: 'Имя должно содержать минимум {count} символа',
+            many: 'Имя должно содержать минимум {count} символов',
+            other: 'Имя должно содержать минимум {count} символа'
+        },
+        'age.range': 'Возраст должен быть от {min} до {max}',
+        'value.valid': 'Значение корректно',
+        'value.invalid': 'Неверное значение',
+        'value.available': 'Значение свободно',
+        'value.taken': 'Значение уже занято',
+        'field.required': 'Поле обязательно',
+        'field.type': 'Ожидается тип {type}',
+        'field.unknown': 'Неизвестное поле',
+        'fields.mismatch': 'Значения не совпадают',
+        'string.minLength': {
+            one: 'Минимальная длина - {count} символ',
+            few: 'Минимальная длина - {count} символа',
+            many: 'Минимальная длина - {count} символов',
+            other: 'Минимальная длина - {count} символа'
+        },
+        'string.pattern': 'Неверный формат',
+        'array.minItems': {
+            one: 'Нужен минимум {count} элемент',
+            few: 'Нужно минимум {count} элемента',
+            many: 'Нужно минимум {count} элементов',
+            other: 'Нужно минимум {count} элемента'
+        },
+        'array.maxItems': {
+            one: 'Допустимо не более {count} элемента',
+            few: 'Допустимо не более {count} элементов',
+            many: 'Допустимо не более {count} элементов',
+            other: 'Допустимо не более {count} элемента'
+        },
+        'form.valid': 'Форма валидна',
+        'form.invalid': {
+            one: 'Найдена {count} ошибка',
+            few: 'Найдено {count} ошибки',
+            many: 'Найдено {count} ошибок',
+            other: 'Найдено {count} ошибки'
+        }
+    })
+    .define('en', {
+        'email.valid': 'Email is valid',
+        'email.invalid': 'Invalid email format',
+        'email.maxLength': {
+            one: 'Email must not exceed {count} character',
+            other: 'Email must not exceed {count} characters'
+        },
+        'password.valid': 'Password is valid',
+        'password.invalid': 'Password must be a string',
+        'password.minLength': {
+            one: 'Password must be at least {count} character long',
+            other: 'Password must be at least {count} characters long'
+        },
+        'password.uppercase': 'Password must contain an uppercase letter',
+        'password.lowercase': 'Password must contain a lowercase letter',
+        'password.digit': 'Password must contain a digit',
+        'password.special': 'Password must contain a special character ({chars})',
+        'password.maxLength': {
+            one: 'Password must not exceed {count} character',
+            other: 'Password must not exceed {count} characters'
+        },
+        'password.maxRepeats': {
+            one: 'A character must not repeat more than {count} time in a row',
+            other: 'A character must not repeat more than {count} times in a row'
+        },
+        'password.banned': 'Password is too common and is on the banned list',
+        'password.containsUsername': 'Password must not contain the username',
+        'password.containsEmail': 'Password must not contain the email',
+        'password.tooWeak': 'Password is too weak: score {score} of 4, at least {minScore} required',
+        'password.strength.0': 'very weak',
+        'password.strength.1': 'weak',
+        'password.strength.2': 'fair',
+        'password.strength.3': 'strong',
+        'password.strength.4': 'very strong',
+        'password.suggest.longer': {
+            one: 'Make it at least {count} character long',
+            other: 'Make it at least {count} characters long'
+        },
+        'password.suggest.mixCase': 'Mix uppercase and lowercase letters',
+        'password.suggest.addDigits': 'Add digits',
+        'password.suggest.addSymbols': 'Add special characters',
+        'password.suggest.avoidRepeats': 'Avoid repeating the same character',
+        'password.suggest.avoidSequences': 'Avoid sequences like 123 or qwe',
+        'password.suggest.avoidPersonal': 'Do not use your username or email',
+        'password.suggest.passphrase': 'Try a passphrase of several random words',
+        'phone.valid': 'Phone number is valid',
+        'phone.invalid': 'Invalid phone number format',
+        'phone.invalidLength': 'Invalid phone number length for {country}',
+        'phone.unknownCountry': 'Cannot detect the country: use the +country code format',
+        'phone.typeNotAllowed': 'Phone numbers of type {type} are not accepted',
+        'name.minLength': {
+            one: 'Name must be at least {count} character long',
+            other: 'Name must be at least {count} characters long'
+        },
+        'age.range': 'Age must be between {min} and {max}',
+        'value.valid': 'Value is valid',
+        'value.invalid': 'Invalid value',
+        'value.available': 'Value is available',
+        'value.taken': 'Value is already taken',
+        'field.required': 'Field is required',
+        'field.type': 'Expected type {type}',
+        'field.unknown': 'Unknown field',
+        'fields.mismatch': 'Values do not match',
+        'string.minLength': {
+            one: 'Minimum length is {count} character',
+            other: 'Minimum length is {count} characters'
+        },
+        'string.pattern': 'Invalid format',
+        'array.minItems': {
+            one: 'At least {count} item is required',
+            other: 'At least {count} items are required'
+        },
+        'array.maxItems': {
+            one: 'No more than {count} item is allowed',
+            other: 'No more than {count} items are allowed'
+        },
+        'form.valid': 'Form is valid',
+        'form.invalid': {
+            one: 'Found {count} error',
+            other: 'Found {count} errors'
+        }
+    });
+
+// ===== ПРИМЕР С ВАЛИДАЦИЕЙ =====
+
+/**
+ * Абстрактный класс стратегии валидации
+ */
+class ValidationStrategy extends Strategy {
+    /**
+     * Валидирует данные
+     * @param {*} data - Данные для валидации
+     * @param {Object} [options]
+     * @param {string} [options.locale] - Язык сообщений (ru, en)
+     * @returns {Object} Результат валидации
+     */
+    execute(data, options) {
+        throw new Error("Метод execute должен быть переопределен");
+    }
+    
+    /**
+     * Собирает результат из списка нарушений { code, params }:
+     * message/errors - локализованный текст, issues - коды с параметрами
+     * @param {string} field - Поле
+     * @param {Array} violations - Нарушения
+     * @param {string} validCode - Код сообщения об успехе
+     * @param {string} [locale] - Язык сообщений
+     * @returns {Object}
+     */
+    buildResult(field, violations, validCode, locale) {
+        const issues = violations.map(({ code, params }) => validationMessages.message(code, params, locale));
+        const isValid = issues.length === 0;
+        
+        return {
+            isValid,
+            code: isValid ? validCode : issues[0].code,
+            message: isValid ? validationMessages.format(validCode, {}, locale) : issues.map(issue => issue.message).join(', '),
+            field,
+            errors: issues.map(issue => issue.message),
+            issues
+        };
+    }
+}
+
+/**
+ * Стратегия валидации email
+ */
+class EmailValidationStrategy extends ValidationStrategy {
+    execute(email, { locale } = {}) {
+        const emailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+        const violations = emailRegex.test(email) ? [] : [{ code: 'email.invalid' }];
+        
+        return this.buildResult('email', violations, 'email.valid', locale);
+    }
+}
+
+// ===== ПОЛИТИКА ПАРОЛЕЙ =====
+
+/**
+ * Оценка энтропии пароля в битах: log2(размер алфавита) на символ.
+ * Повторы и шаги по алфавиту (aaa, abc, 123) почти не добавляют
+ * неопределенности, поэтому такие символы учитываются с весом 0.25
+ * @param {string} password - Пароль
+ * @returns {number}
+ */
+function estimatePasswordEntropy(password) {
+    let pool = 0;
+    if (/[a-z]/.test(password)) pool += 26;
+    if (/[A-Z]/.test(password)) pool += 26;
+    if (/\d/.test(password)) pool += 10;
+    if (/[\x20-\x2f\x3a-\x40\x5b-\x60\x7b-\x7e]/.test(password)) pool += 33;
+    if (/[^\x00-\x7f]/.test(password)) pool += 66;
+    
+    if (pool === 0) {
+        return 0;
+    }
+    
+    let effectiveLength = 0;
+    for (let i = 0; i < password.length; i++) {
+        const step = i === 0 ? Infinity : Math.abs(password.charCodeAt(i) - password.charCodeAt(i - 1));
+        effectiveLength += step <= 1 ? 0.25 : 1;
+    }
+    
+    return Math.round(effectiveLength * Math.log2(pool) * 10) / 10;
+}
+
+/**
+ * Пороги энтропии для оценок 1-4 (0 - очень слабый)
+ */
+const PASSWORD_SCORE_THRESHOLDS = Object.freeze([28, 36, 60, 80]);
+
+/**
+ * Настраиваемая политика паролей: длина, классы символов, повторы,
+ * список запрещенных паролей, запрет имени пользователя и email в пароле,
+ * минимальная оценка надежности. Настройки по умолчанию совпадают
+ * с прежними правилами PasswordValidationStrategy.
+ */
+class PasswordPolicy {
+    /**
+     * @param {Object} [options]
+     * @param {number} [options.minLength]
+     * @param {number} [options.maxLength]
+     * @param {boolean} [options.requireUppercase]
+     * @param {boolean} [options.requireLowercase]
+     * @param {boolean} [options.requireDigit]
+     * @param {boolean} [options.requireSpecial]
+     * @param {string} [options.specialChars] - Какие символы считаются специальными
+     * @param {number|null} [options.maxRepeats] - Сколько одинаковых символов подряд допустимо
+     * @param {Iterable<string>} [options.bannedPasswords] - Запрещенные пароли
+     * @param {string} [options.bannedListFile] - Файл со списком запрещенных паролей
+     * @param {boolean} [options.forbidPersonalData] - Запрещать имя пользователя и email в пароле
+     * @param {number} [options.minScore] - Минимальная оценка надежности 0-4
+     */
+    constructor({
+        minLength = 8,
+        maxLength = 128,
+        requireUppercase = true,
+        requireLowercase = true,
+        requireDigit = true,
+        requireSpecial = true,
+        specialChars = '!@#$%^&*',
+        maxRepeats = null,
+        bannedPasswords = [],
+        bannedListFile = null,
+        forbidPersonalData = true,
+        minScore = 0
+    } = {}) {
+        this.minLength = minLength;
+        this.maxLength = maxLength;
+        this.requireUppercase = requireUppercase;
+        this.requireLowercase = requireLowercase;
+        this.requireDigit = requireDigit;
+        this.requireSpecial = requireSpecial;
+        this.specialChars = specialChars;
+        this.maxRepeats = maxRepeats;
+        this.forbidPersonalData = forbidPersonalData;
+        this.minScore = minScore;
+        this.bannedPasswords = new Set([...bannedPasswords].map(password => password.toLowerCase()));
+        
+        if (bannedListFile) {
+            PasswordPolicy.loadBannedList(bannedListFile).forEach(password => this.bannedPasswords.add(password));
+        }
+    }
+    
+    /**
+     * Читает список запрещенных паролей: по одному в строке,
+     * пустые строки и комментарии (#) пропускаются
+     * @param {string} filename - Путь к файлу
+     * @returns {string[]}
+     */
+    static loadBannedList(filename) {
+        return fs.readFileSync(filename, 'utf8')
+            .split(/\r?\n/)
+            .map(line => line.trim().toLowerCase())
+            .filter(line => line && !line.startsWith('#'));
+    }
+    
+    /**
+     * Запрещен ли пароль: сравнивается без учета регистра, в том числе
+     * с отброшенными цифрами и символами в конце (Password123! -> password)
+     */
+    isBanned(password) {
+        if (typeof password !== 'string') {
+            return false;
+        }
+        const normalized = password.toLowerCase();
+        // \p{...} вместо \W: \W без флага u считает кириллицу "не буквами"
+        return this.bannedPasswords.has(normalized) ||
+            this.bannedPasswords.has(normalized.replace(/[\p{N}\p{P}\p{S}_]+$/u, ''));
+    }
+    
+    /**
+     * Проверяет пароль
+     * @param {string} password - Пароль
+     * @param {Object} [personalData] - { username, email } для запрета их в пароле
+     * @returns {Object} { violations, suggestions: [{ code, params }], entropy, score }
+     */
+    check(password, { username, email } = {}) {
+        // Не строка (например, число из формы) - ошибка, а не пропуск проверки
+        if (typeof password !== 'string') {
+            return { violations: [{ code: 'password.invalid' }], suggestions: [], entropy: 0, score: 0 };
+        }
+        
+        const violations = [];
+        const suggestions = [];
+        const banned = this.isBanned(password);
+        
+        if (password.length < this.minLength) {
+            violations.push({ code: 'password.minLength', params: { count: this.minLength } });
+        }
+        if (password.length > this.maxLength) {
+            violations.push({ code: 'password.maxLength', params: { count: this.maxLength } });
+        }
+        if (this.requireUppercase && !/\p{Lu}/u.test(password)) {
+            violations.push({ code: 'password.uppercase' });
+        }
+        if (this.requireLowercase && !/\p{Ll}/u.test(password)) {
+            violations.push({ code: 'password.lowercase' });
+        }
+        if (this.requireDigit && !/\d/.test(password)) {
+            violations.push({ code: 'password.digit' });
+        }
+        if (this.requireSpecial && ![...password].some(char => this.specialChars.includes(char))) {
+            violations.push({ code: 'password.special', params: { chars: this.specialChars } });
+        }
+        
+        const longestRun = Math.max(0, ...(password.match(/(.)\1*/gsu) || []).map(run => [...run].length));
+        if (this.maxRepeats && longestRun > this.maxRepeats) {
+            violations.push({ code: 'password.maxRepeats', params: { count: this.maxRepeats } });
+        }
+        
+        if (banned) {
+            violations.push({ code: 'password.banned' });
+        }
+        
+        const personal = this.forbidPersonalData ? this.findPersonalData(password, { username, email }) : null;
+        if (personal) {
+            violations.push({ code: personal });
+            suggestions.push({ code: 'password.suggest.avoidPersonal' });
+        }
+        
+        // Запрещенный пароль есть в словарях перебора - его энтропия близка к нулю
+        const entropy = banned ? Math.round(Math.log2(this.bannedPasswords.size + 1) * 10) / 10 : estimatePasswordEntropy(password);
+        const score = PASSWORD_SCORE_THRESHOLDS.filter(threshold => entropy >= threshold).length;
+        
+        if (score < this.minScore) {
+            violations.push({ code: 'password.tooWeak', params: { score, minScore: this.minScore } });
+        }
+        
+        suggestions.push(...this.suggest(password, { longestRun, score }));
+        return { violations, suggestions, entropy, score };
+    }
+    
+    findPersonalData(password, { username, email }) {
+        const normalized = password.toLowerCase();
+        // Слишком короткие фрагменты (ян, ed) дали бы ложные срабатывания
+        const contains = value => typeof value === 'string' && value.length >= 3 && normalized.includes(value.toLowerCase());
+        
+        if (contains(username)) {
+            return 'password.containsUsername';
+        }
+        if (typeof email === 'string' && (contains(email) || contains(email.split('@')[0]))) {
+            return 'password.containsEmail';
+        }
+        return null;
+    }
+    
+    suggest(password, { longestRun, score }) {
+        const suggestions = [];
+        if (score >= 4) {
+            return suggestions;
+        }
+        
+        if (password.length < Math.max(this.minLength, 12)) {
+            suggestions.push({ code: 'password.suggest.longer', params: { count: Math.max(this.minLength, 12) } });
+        }
+        if (!/\p{Lu}/u.test(password) || !/\p{Ll}/u.test(password)) {
+            suggestions.push({ code: 'password.suggest.mixCase' });
+        }
+        if (!/\d/.test(password)) {
+            suggestions.push({ code: 'password.suggest.addDigits' });
+        }
+        if (!/[^\p{L}\d]/u.test(password)) {
+            suggestions.push({ code: 'password.suggest.addSymbols' });
+        }
+        if (longestRun > 2) {
+            suggestions.push({ code: 'password.suggest.avoidRepeats' });
+        }
+        if (/(012|123|234|345|456|567|678|789|abc|bcd|cde|qwe|wer|asd|zxc)/i.test(password)) {
+            suggestions.push({ code: 'password.suggest.avoidSequences' });
+        }
+        if (score <= 1) {
+            suggestions.push({ code: 'password.suggest.passphrase' });
+        }
+        return suggestions;
+    }
+}
+
+/**
+ * Стратегия валидации пароля по настраиваемой политике.
+ * Помимо ошибок возвращает оценку надежности и подсказки (strength)
+ */
+class PasswordValidationStrategy extends ValidationStrategy {
+    /**
+     * @param {PasswordPolicy} [policy] - Политика паролей
+     */
+    constructor(policy = new PasswordPolicy()) {
+        super();
+        this.policy = policy;
+    }
+    
+    /**
+     * @param {string} password - Пароль
+     * @param {Object} [options]
+     * @param {string} [options.locale] - Язык сообщений
+     * @param {string} [options.username] - Имя пользователя (по умолчанию root.username)
+     * @param {string} [options.email] - Email (по умолчанию root.email)
+     * @param {Object} [options.root] - Все данные формы
+     */
+    execute(password, { locale, username, email, root = {} } = {}) {
+        const { violations, suggestions, entropy, score } = this.policy.check(password, {
+            username: username ?? root.username,
+            email: email ?? root.email
+        });
+        
+        return {
+            ...this.buildResult('password', violations, 'password.valid', locale),
+            strength: {
+                score,
+                entropy,
+                label: validationMessages.format(`password.strength.${score}`, {}, locale),
+                suggestions: suggestions.map(({ code, params }) => validationMessages.message(code, params, locale))
+            }
+        };
+    }
+}
+
+// ===== МЕЖДУНАРОДНЫЕ НОМЕРА ТЕЛЕФОНОВ =====
+
+/**
+ * Метаданные телефонных планов нумерации (упрощенная выборка по мотивам libphonenumber):
+ * - callingCode - код страны
+ * - trunkPrefix - национальный префикс междугородней связи (8 в России, 0 в Европе)
+ * - lengths - допустимые длины национального номера (без кода страны и префикса)
+ * - types - шаблоны национального номера по типу линии. Если мобильные и
+ *   стационарные номера неразличимы (США), используется тип fixed_or_mobile
+ * Страны с общим кодом (RU и KZ, +7) различаются по шаблонам
+ */
+const PHONE_METADATA = Object.freeze({
+    RU: {
+        callingCode: '7',
+        trunkPrefix: '8',
+        lengths: [10],
+        types: { mobile: /^9\d{9}$/, toll_free: /^800\d{7}$/, landline: /^[348]\d{9}$/ }
+    },
+    KZ: {
+        callingCode: '7',
+        trunkPrefix: '8',
+        lengths: [10],
+        types: { mobile: /^7(0[0-8]|47|5[0-8]|6[0-4]|7[0-8])\d{7}$/, landline: /^7[12]\d{8}$/ }
+    },
+    BY: {
+        callingCode: '375',
+        trunkPrefix: '80',
+        lengths: [9],
+        types: { mobile: /^(25|29|33|44)\d{7}$/, landline: /^(1[5-7]|2[1-4])\d{7}$/ }
+    },
+    UA: {
+        callingCode: '380',
+        trunkPrefix: '0',
+        lengths: [9],
+        types: { mobile: /^(39|50|6[3678]|73|9[1-9])\d{7}$/, landline: /^[3-6]\d{8}$/ }
+    },
+    US: {
+        callingCode: '1',
+        trunkPrefix: '1',
+        lengths: [10],
+        types: { toll_free: /^8(00|33|44|55|66|77|88)\d{7}$/, fixed_or_mobile: /^[2-9]\d{2}[2-9]\d{6}$/ }
+    },
+    GB: {
+        callingCode: '44',
+        trunkPrefix: '0',
+        lengths: [9, 10],
+        types: { mobile: /^7[1-9]\d{8}$/, toll_free: /^800\d{6,7}$/, landline: /^[12]\d{8,9}$/ }
+    },
+    DE: {
+        callingCode: '49',
+        trunkPrefix: '0',
+        lengths: [7, 8, 9, 10, 11],
+        types: { mobile: /^1[5-7]\d{8,9}$/, toll_free: /^800\d{7}$/, landline: /^[2-9]\d{6,10}$/ }
+    },
+    FR: {
+        callingCode: '33',
+        trunkPrefix: '0',
+        lengths: [9],
+        types: { mobile: /^[67]\d{8}$/, toll_free: /^80\d{7}$/, landline: /^[1-5]\d{8}$/ }
+    },
+    IN: {
+        callingCode: '91',
+        trunkPrefix: '0',
+        lengths: [10],
+        types: { mobile: /^[6-9]\d{9}$/, landline: /^[1-5]\d{9}$/ }
+    },
+    CN: {
+        callingCode: '86',
+        trunkPrefix: '0',
+        lengths: [9, 10, 11],
+        types: { mobile: /^1[3-9]\d{9}$/, landline: /^[2-9]\d{8,9}$/ }
+    }
+});
+
+/**
+ * Разбирает номер телефона и приводит его к E.164.
+ * Номер в международном формате (+ или 00) определяет страну по коду;
+ * номер без кода разбирается по правилам defaultRegion (с национальным префиксом или без).
+ * @param {string} input - Номер в любом привычном формате
+ * @param {Object} [options]
+ * @param {string} [options.defaultRegion] - Страна для номеров без кода (ISO 3166, например 'RU')
+ * @param {Object} [options.metadata] - Таблица метаданных
+ * @returns {Object} { isValid, reason, country, callingCode, nationalNumber, e164, type }
+ */
+function parsePhoneNumber(input, { defaultRegion, metadata = PHONE_METADATA } = {}) {
+    const raw = String(input).trim();
+    const invalid = (reason, details = {}) => ({ isValid: false, reason, e164: null, type: null, ...details });
+    
+    if (!/^\+?[\d\s().-]+$/.test(raw)) {
+        return invalid('phone.invalid');
+    }
+    
+    let digits = raw.replace(/\D/g, '');
+    let international = raw.startsWith('+');
+    if (!international && digits.startsWith('00')) {
+        digits = digits.slice(2);
+        international = true;
+    }
+    
+    const regions = Object.entries(metadata);
+    let candidates = [];
+    
+    if (international) {
+        // Коды стран не являются префиксами друг друга, поэтому достаточно перебрать длины 1-3
+        for (let length = 1; length <= 3 && candidates.length === 0; length++) {
+            const code = digits.slice(0, length);
+            candidates = regions
+                .filter(([, meta]) => meta.callingCode === code)
+                .map(([country, meta]) => ({ country, meta, nationalNumber: digits.slice(length) }));
+        }
+    } else if (defaultRegion && metadata[defaultRegion]) {
+        const meta = metadata[defaultRegion];
+        let nationalNumber = digits;
+        
+        if (meta.trunkPrefix && digits.startsWith(meta.trunkPrefix) && meta.lengths.includes(digits.length - meta.trunkPrefix.length)) {
+            nationalNumber = digits.slice(meta.trunkPrefix.length);
+        } else if (digits.startsWith(meta.callingCode) && meta.lengths.includes(digits.length - meta.callingCode.length)) {
+            // Код страны без "+": 79991234567
+            nationalNumber = digits.slice(meta.callingCode.length);
+        }
+        
+        // Номер может принадлежать соседней стране с тем же кодом (+7 Казахстан)
+        candidates = regions
+            .filter(([, other]) => other.callingCode === meta.callingCode)
+            .map(([country, other]) => ({ country, meta: other, nationalNumber }))
+            .sort((a, b) => (b.country === defaultRegion) - (a.country === defaultRegion));
+    }
+    
+    if (candidates.length === 0) {
+        return invalid('phone.unknownCountry');
+    }
+    
+    for (const { country, meta, nationalNumber } of candidates) {
+        if (!meta.lengths.includes(nationalNumber.length)) {
+            continue;
+        }
+        
+        const type = Object.keys(meta.types).find(name => meta.types[name].test(nationalNumber));
+        if (type) {
+            return {
+                isValid: true,
+                reason: null,
+                country,
+                callingCode: meta.callingCode,
+                nationalNumber,
+                e164: `+${meta.callingCode}${nationalNumber}`,
+                type
+            };
+        }
+    }
+    
+    const [{ country, nationalNumber }] = candidates;
+    const lengthFits = candidates.some(candidate => candidate.meta.lengths.includes(candidate.nationalNumber.length));
+    return invalid(lengthFits ? 'phone.invalid' : 'phone.invalidLength', { country, nationalNumber });
+}
+
+/**
+ * Стратегия валидации номера телефона: проверка по метаданным страны,
+ * нормализация в E.164 и определение типа линии
+ */
+class PhoneValidationStrategy extends ValidationStrategy {
+    /**
+     * @param {Object} [options]
+     * @param {string} [options.defaultRegion] - Страна для номеров без кода
+     * @param {string[]} [options.allowedTypes] - Допустимые типы линии (например, ['mobile'])
+     * @param {Object} [options.metadata] - Таблица метаданных
+     */
+    constructor({ defaultRegion = 'RU', allowedTypes = null, metadata = PHONE_METADATA } = {}) {
+        super();
+        this.defaultRegion = defaultRegion;
+        this.allowedTypes = allowedTypes;
+        this.metadata = metadata;
+    }
+    
+    execute(phone, { locale, defaultRegion = this.defaultRegion } = {}) {
+        const parsed = parsePhoneNumber(phone, { defaultRegion, metadata: this.metadata });
+        const violations = [];
+        
+        if (!parsed.isValid) {
+            violations.push({ code: parsed.reason, params: { country: parsed.country } });
+        } else if (this.allowedTypes && !this.allowedTypes.includes(parsed.type)) {
+            violations.push({ code: 'phone.typeNotAllowed', params: { type: parsed.type } });
+        }
+        
+        const isValid = violations.length === 0;
+        
+        return {
+            ...this.buildResult('phone', violations, 'phone.valid', locale),
+            // cleanPhone - номер E.164 без "+", как раньше для российских номеров
+            cleanPhone: isValid ? parsed.e164.slice(1) : null,
+            e164: isValid ? parsed.e164 : null,
+            country: parsed.country ?? null,
+            type: parsed.type
+        };
+    }
+}
+
+/**
+ * Асинхронная проверка уникальности значения по локальному хранилищу
+ * (имитирует запрос к базе; поддерживает отмену через AbortSignal)
+ */
+class UniquenessValidationStrategy extends ValidationStrategy {
+    /**
+     * @param {Object} store - Хранилище с методом has(value), например Set
+     * @param {Object} [options]
+     * @param {string} [options.field] - Имя поля для результата
+     * @param {number} [options.latency] - Имитация задержки запроса, мс
+     */
+    constructor(store, { field = 'value', latency = 0 } = {}) {
+        super();
+        this.store = store;
+        this.field = field;
+        this.latency = latency;
+    }
+    
+    execute(value, { signal, locale } = {}) {
+        return new Promise((resolve, reject) => {
+            // Уже отмененная проверка не должна обращаться к хранилищу
+            if (signal?.aborted) {
+                reject(signal.reason);
+                return;
+            }
+            
+            const onAbort = () => {
+                clearTimeout(timer);
+                reject(signal.reason);
+            };
+            const timer = setTimeout(() => {
+                signal?.removeEventListener('abort', onAbort);
+                const violations = this.store.has(value) ? [{ code: 'value.taken' }] : [];
+                resolve(this.buildResult(this.field, violations, 'value.available', locale));
+            }, this.latency);
+            
+            signal?.addEventListener('abort', onAbort, { once: true });
+        });
+    }
+}
+
+// ===== СХЕМА ФОРМЫ =====
+
+/**
+ * Готовые правила для схем FormValidator.
+ * Правило поля - функция (value, context) => true | false | строка ошибки |
+ * { isValid, code, params, path } | результат стратегии.
+ * Явно переданный message не локализуется
+ */
+const FormRules = {
+    minLength(min) {
+        return function minLength(value) {
+            return String(value).length >= min || { isValid: false, code: 'string.minLength', params: { count: min } };
+        };
+    },
+    
+    pattern(regex, message) {
+        return function pattern(value) {
+            return regex.test(String(value)) || { isValid: false, code: 'string.pattern', message };
+        };
+    },
+    
+    /**
+     * Межполевое правило для объекта: значения двух полей должны совпадать.
+     * Ошибка привязывается к пути второго поля
+     */
+    matchField(field, otherField, message) {
+        return function matchField(value) {
+            return value[field] === value[otherField] || { isValid: false, code: 'fields.mismatch', message, path: [otherField] };
+        };
+    }
+};
+
+function matchesType(value, type) {
+    switch (type) {
+        case 'array':
+            return Array.isArray(value);
+        case 'object':
+            return typeof value === 'object' && value !== null && !Array.isArray(value);
+        default:
+            return typeof value === type;
+    }
+}
+
+/**
+ * ['addresses', 0, 'city'] -> 'addresses[0].city'
+ */
+function formatPath(segments) {
+    return segments.reduce((result, segment) => (
+        typeof segment === 'number' ? `${result}[${segment}]` : (result ? `${result}.${segment}` : segment)
+    ), '');
+}
+
+/**
+ * Собирает плоский список ошибок в дерево, повторяющее форму данных:
+ * { addresses: [{ city: ['Поле обязательно'] }] }
+ */
+function buildErrorTree(issues) {
+    const tree = {};
+    
+    issues.forEach(({ segments, message }) => {
+        if (segments.length === 0) {
+            (tree._errors = tree._errors || []).push(message);
+            return;
+        }
+        
+        let node = tree;
+        segments.forEach((segment, index) => {
+            const isLast = index === segments.length - 1;
+            if (isLast) {
+                node[segment] = Array.isArray(node[segment]) ? node[segment] : [];
+                node[segment].push(message);
+            } else {
+                if (!node[segment] || Array.isArray(node[segment]) && typeof segments[index + 1] !== 'number') {
+                    node[segment] = typeof segments[index + 1] === 'number' ? [] : {};
+                }
+                node = node[segment];
+            }
+        });
+    });
+    
+    return tree;
+}
+
+/**
+ * Приводит результат правила к списку ошибок { code, message, path }
+ */
+function normalizeRuleOutcome(outcome, locale) {
+    if (outcome === true || outcome === undefined || outcome === null) {
+        return [];
+    }
+    if (outcome === false) {
+        return [{ ...validationMessages.message('value.invalid', {}, locale), path: [] }];
+    }
+    if (typeof outcome === 'string') {
+        return [{ code: null, message: outcome, path: [] }];
+    }
+    if (outcome.isValid) {
+        return [];
+    }
+    
+    const path = outcome.path === undefined ? [] : [].concat(outcome.path);
+    if (Array.isArray(outcome.issues) && outcome.issues.length > 0) {
+        return outcome.issues.map(({ code, message }) => ({ code, message, path }));
+    }
+    if (outcome.message === undefined && outcome.code) {
+        return [{ ...validationMessages.message(outcome.code, outcome.params, locale), path }];
+    }
+    
+    const messages = Array.isArray(outcome.errors) && outcome.errors.length > 0 ? outcome.errors : [outcome.message];
+    return messages.map(message => ({ code: outcome.code ?? null, message, path }));
+}
+
+/**
+ * Выполняет задачи не более чем по concurrency одновременно.
+ * Отмена через signal прерывает ожидание сразу, не дожидаясь задач
+ */
+async function runWithConcurrency(tasks, concurrency, signal) {
+    let next = 0;
+    const aborted = new Promise((resolve, reject) => {
+        if (signal.aborted) {
+            reject(signal.reason);
+        }
+        signal.addEventListener('abort', () => reject(signal.reason), { once: true });
+    });
+    aborted.catch(() => {});
+    
+    const worker = async () => {
+        while (next < tasks.length) {
+            signal.throwIfAborted();
+            const task = tasks[next++];
+            await Promise.race([task(), aborted]);
+        }
+    };
+    
+    await Promise.all(Array.from({ length: Math.min(concurrency, tasks.length) }, worker));
+}
+
+/**
+ * Селектор стратегий валидации по имени поля
+ * @param {Object} [options]
+ * @param {PasswordPolicy} [options.passwordPolicy] - Политика для поля password
+ * @returns {StrategySelector}
+ */
+function createFieldValidationSelector({ passwordPolicy } = {}) {
+    return new StrategySelector({ fallback: false })
+        .register('email', new EmailValidationStrategy(), { rules: [StrategyRules.field('email')] })
+        .register('password', new PasswordValidationStrategy(passwordPolicy), { rules: [StrategyRules.field('password')] })
+        .register('phone', new PhoneValidationStrategy(), { rules: [StrategyRules.field('phone')] });
+}
+
+/**
+ * Валидатор форм
+ */
+class FormValidator extends Context {
+    /**
+     * @param {StrategySelector} [selector] - Выбирает стратегию по имени поля
+     */
+    constructor(selector = createFieldValidationSelector()) {
+        super();
+        this.selector = selector;
+        this.validationResults = [];
+        this.pendingValidation = null;
+    }
+    
+    /**
+     * Валидирует поле формы
+     * @param {string} fieldName - Название поля
+     * @param {*} value - Значение поля
+     * @param {Object} [options]
+     * @param {string} [options.locale] - Язык сообщений
+     * @param {Object} [options.root] - Все данные формы (нужны, например, политике паролей)
+     * @returns {Object} Результат валидации
+     */
+    validateField(fieldName, value, options = {}) {
+        // Стратегию выбирает селектор по правилам над именем поля
+        const selection = this.selector.select(value, { field: fieldName });
+        if (!selection.strategy) {
+            throw new Error(`Неизвестное поле для валидации: ${fieldName}`);
+        }
+        
+        this.setStrategy(selection.strategy);
+        const result = this.executeStrategy(value, options);
+        
+        this.validationResults.push(result);
+        return result;
+    }
+    
+    /**
+     * Валидирует всю форму
+     * @param {Object} formData - Данные формы
+     * @param {Object} [options]
+     * @param {string} [options.locale] - Язык сообщений
+     * @returns {Object} Общий результат валидации
+     */
+    validateForm(formData, { locale } = {}) {
+        this.validationResults = [];
+        
+        for (const [field, value] of Object.entries(formData)) {
+            try {
+                this.validateField(field, value, { locale, root: formData });
+            } catch (error) {
+                console.warn(`Пропускаем валидацию поля ${field}:`, error.message);
+            }
+        }
+        
+        const isValid = this.validationResults.every(result => result.isValid);
+        const errors = this.validationResults.filter(result => !result.isValid);
+        
         return {
             isValid,
             results: this.validationResults,
             errors,
-            message: isValid ? 'Форма валидна' : `Найдено ${errors.length} ошибок`
+            message: isValid
+                ? validationMessages.format('form.valid', {}, locale)
+                : validationMessages.format('form.invalid', { count: errors.length }, locale)
+        };
+    }
+    
+    /**
+     * Валидирует данные по схеме. Узел схемы:
+     * { type, required, rules, fields, allowUnknown, items, minItems, maxItems }
+     * - rules - имена стратегий селектора ('email'), стратегии или функции;
+     *   правила могут быть асинхронными и получают context.signal
+     * - fields - вложенные поля объекта, rules объекта - межполевые правила
+     * - items - схема элемента массива
+     * Новый вызов отменяет незавершенную предыдущую проверку.
+     * Текущую стратегию контекста не меняет - проверки идут параллельно.
+     * @param {Object} schema - Корневой узел схемы
+     * @param {Object} data - Данные формы
+     * @param {Object} [options]
+     * @param {AbortSignal} [options.signal] - Внешняя отмена
+     * @param {number} [options.concurrency] - Сколько правил выполнять одновременно
+     * @param {string} [options.locale] - Язык сообщений
+     * @returns {Promise<Object>} { isValid, errors (дерево), issues [{ path, code, message, rule }], message }
+     */
+    async validateSchema(schema, data, { signal, concurrency = 4, locale } = {}) {
+        this.cancel();
+        const controller = new AbortController();
+        this.pendingValidation = controller;
+        
+        const onAbort = () => controller.abort(signal.reason);
+        if (signal) {
+            if (signal.aborted) {
+                controller.abort(signal.reason);
+            } else {
+                signal.addEventListener('abort', onAbort, { once: true });
+            }
+        }
+        
+        const run = { root: data, signal: controller.signal, locale, slots: [], tasks: [] };
+        
+        try {
+            this.collectChecks(schema, data, [], run);
+            await runWithConcurrency(run.tasks, concurrency, controller.signal);
+        } catch (error) {
+            // Ошибка одного правила останавливает остальные
+            controller.abort(error);
+            throw error;
+        } finally {
+            signal?.removeEventListener('abort', onAbort);
+            if (this.pendingValidation === controller) {
+                this.pendingValidation = null;
+            }
+        }
+        
+        // Слоты сохраняют порядок схемы, даже если асинхронные правила завершились вразнобой
+        const issues = run.slots.flat();
+        const isValid = issues.length === 0;
+        
+        return {
+            isValid,
+            errors: buildErrorTree(issues),
+            issues: issues.map(({ segments, code, message, rule }) => ({ path: formatPath(segments), code, message, rule })),
+            message: isValid
+                ? validationMessages.format('form.valid', {}, locale)
+                : validationMessages.format('form.invalid', { count: issues.length }, locale)
         };
     }
     
+    /**
+     * Отменяет незавершенную проверку validateSchema
+     * @param {*} [reason] - Причина отмены
+     */
+    cancel(reason = new DOMException('Валидация отменена', 'AbortError')) {
+        if (this.pendingValidation) {
+            this.pendingValidation.abort(reason);
+            this.pendingValidation = null;
+        }
+    }
+    
+    /**
+     * Обходит схему: структурные ошибки фиксирует сразу,
+     * правила откладывает в задачи для параллельного выполнения
+     */
+    collectChecks(node, value, segments, run) {
+        const slot = [];
+        run.slots.push(slot);
+        const report = (code, params, rule, subPath = []) => slot.push({
+            segments: [...segments, ...subPath],
+            ...validationMessages.message(code, params, run.locale),
+            rule
+        });
+        
+        if (value === undefined || value === null || value === '') {
+            if (node.required) {
+                report('field.required', {}, 'required');
+            }
+            return;
+        }
+        
+        // Без явного type форму значения задают fields и items:
+        // строка вместо массива не должна падать на value.forEach
+        const type = node.type || (node.items ? 'array' : node.fields ? 'object' : null);
+        if (type && !matchesType(value, type)) {
+            report('field.type', { type }, 'type');
+            return;
+        }
+        
+        if (node.fields) {
+            Object.entries(node.fields).forEach(([name, child]) => {
+                this.collectChecks(child, value[name], [...segments, name], run);
+            });
+            
+            if (!node.allowUnknown) {
+                Object.keys(value)
+                    .filter(name => !Object.prototype.hasOwnProperty.call(node.fields, name))
+                    .forEach(name => report('field.unknown', {}, 'unknown', [name]));
+            }
+        }
+        
+        if (node.items) {
+            if (node.minItems !== undefined && value.length < node.minItems) {
+                report('array.minItems', { count: node.minItems }, 'minItems');
+            }
+            if (node.maxItems !== undefined && value.length > node.maxItems) {
+                report('array.maxItems', { count: node.maxItems }, 'maxItems');
+            }
+            value.forEach((item, index) => this.collectChecks(node.items, item, [...segments, index], run));
+        }
+        
+        (node.rules || []).forEach(rule => {
+            const { name, apply } = this.resolveRule(rule);
+            const ruleSlot = [];
+            run.slots.push(ruleSlot);
+            
+            const context = {
+                path: formatPath(segments),
+                field: segments[segments.length - 1],
+                root: run.root,
+                signal: run.signal,
+                locale: run.locale
+            };
+            
+            run.tasks.push(async () => {
+                const outcome = await apply(value, context);
+                normalizeRuleOutcome(outcome, run.locale).forEach(({ code, message, path }) => {
+                    ruleSlot.push({ segments: [...segments, ...path], code, message, rule: name });
+                });
+            });
+        });
+    }
+    
+    /**
+     * Правило схемы -> { name, apply(value, context) }
+     */
+    resolveRule(rule) {
+        if (typeof rule === 'string') {
+            const selection = this.selector.select(undefined, { field: rule });
+            if (!selection.strategy) {
+                throw new Error(`Неизвестное правило валидации: ${rule}`);
+            }
+            return { name: rule, apply: (value, context) => selection.strategy.execute(value, context) };
+        }
+        
+        if (typeof rule === 'function') {
+            return { name: rule.name || 'custom', apply: rule };
+        }
+        
+        if (rule && typeof rule.execute === 'function') {
+            return { name: rule.getName(), apply: (value, context) => rule.execute(value, context) };
+        }
+        
+        throw new Error("Правило валидации должно быть именем стратегии, стратегией или функцией");
+    }
+    
     /**
      * Возвращает результаты валидации
      * @returns {Array}
@@ -568,49 +2634,321 @@ class FormValidator extends Context {
     }
 }
 
-console.log("\n=== ПРИМЕР С ВАЛИДАЦИЕЙ ===");
-
-// Создаем валидатор форм
-const formValidator = new FormValidator();
-
-// Тестовые данные формы
-const formData = {
-    email: 'user@example.com',
-    password: 'WeakPass',
-    phone: '+7 (999) 123-45-67'
-};
-
-// Валидируем форму
-const validationResult = formValidator.validateForm(formData);
-
-console.log("Результат валидации:", validationResult);
-
 // ===== ПРИМЕР С КЭШИРОВАНИЕМ СТРАТЕГИЙ =====
 
 /**
- * Кэш для стратегий
+ * Политики времени жизни экземпляров стратегий:
+ * - SHARED - один экземпляр на ключ, хранится в кэше (LRU/TTL)
+ * - PER_CALL - новый экземпляр на каждый запрос
+ * - POOLED - экземпляры выдаются из пула и возвращаются в него после работы
+ */
+const StrategyLifetime = Object.freeze({
+    SHARED: 'shared',
+    PER_CALL: 'per-call',
+    POOLED: 'pooled'
+});
+
+/**
+ * Кэш для стратегий.
+ * Для каждого типа регистрируется политика времени жизни; ключ (key)
+ * позволяет держать отдельные экземпляры, например, на каждого мерчанта.
+ * Общие экземпляры вытесняются по LRU (maxSize) и по времени жизни (ttl).
+ * Stateful-стратегии (static stateful = true, как у PaymentStrategy)
+ * нельзя делить между одновременными вызовами - use() предупреждает об этом.
  */
 class StrategyCache {
-    constructor() {
-        this.cache = new Map();
+    /**
+     * @param {Object} [options]
+     * @param {number} [options.maxSize] - Максимум общих экземпляров в кэше
+     * @param {number} [options.ttl] - Время жизни общего экземпляра, мс
+     * @param {Function} [options.now] - Источник времени
+     * @param {Function} [options.onWarning] - Обработчик предупреждений
+     * @param {number} [options.maxWarnings] - Сколько последних предупреждений хранить
+     */
+    constructor({
+        maxSize = Infinity,
+        ttl = Infinity,
+        now = Date.now,
+        onWarning = message => console.warn(message),
+        maxWarnings = 100
+    } = {}) {
+        this.maxSize = maxSize;
+        this.ttl = ttl;
+        this.now = now;
+        this.onWarning = onWarning;
+        this.maxWarnings = maxWarnings;
+        this.registrations = new Map();
+        this.cache = new Map(); // cacheKey -> { type, strategy, expiresAt, inFlight }
+        this.pools = new Map(); // cacheKey -> { idle, size, waiters }
+        this.leases = new WeakMap(); // выданный экземпляр -> пул, из которого он взят
+        this.warnings = [];
+        this.stats = { hits: 0, misses: 0, created: 0, evicted: 0, expired: 0 };
     }
     
     /**
-     * Получает стратегию из кэша или создает новую
+     * Регистрирует тип стратегии
      * @param {string} strategyType - Тип стратегии
      * @param {Function} strategyClass - Класс стратегии
+     * @param {Object} [options]
+     * @param {string} [options.lifetime] - Политика из StrategyLifetime
+     * @param {Function} [options.create] - Фабрика (key) => стратегия вместо new strategyClass()
+     * @param {number} [options.ttl] - Время жизни общего экземпляра этого типа, мс
+     * @param {number} [options.poolSize] - Размер пула для POOLED
+     * @param {boolean} [options.stateful] - Хранит ли стратегия состояние вызова
+     * @returns {StrategyCache}
+     */
+    register(strategyType, strategyClass, {
+        lifetime = StrategyLifetime.SHARED,
+        create = () => new strategyClass(),
+        ttl = this.ttl,
+        poolSize = 4,
+        stateful = Boolean(strategyClass && strategyClass.stateful)
+    } = {}) {
+        if (!Object.values(StrategyLifetime).includes(lifetime)) {
+            throw new Error(`Неизвестная политика времени жизни: ${lifetime}`);
+        }
+        if (lifetime === StrategyLifetime.POOLED && !(poolSize >= 1)) {
+            throw new Error("Размер пула должен быть не меньше 1");
+        }
+        
+        this.invalidate(strategyType);
+        this.registrations.set(strategyType, { lifetime, create, ttl, poolSize, stateful });
+        return this;
+    }
+    
+    getRegistration(strategyType) {
+        const registration = this.registrations.get(strategyType);
+        if (!registration) {
+            throw new Error(`Стратегия не зарегистрирована: ${strategyType}`);
+        }
+        return registration;
+    }
+    
+    cacheKey(strategyType, key) {
+        return key === undefined ? strategyType : `${strategyType}:${key}`;
+    }
+    
+    createInstance(strategyType, registration, key) {
+        this.stats.created++;
+        return registration.create(key);
+    }
+    
+    /**
+     * Получает стратегию из кэша или создает новую.
+     * Незарегистрированный тип регистрируется как общий (SHARED);
+     * для stateful-класса это небезопасно, поэтому выдается предупреждение
+     * @param {string} strategyType - Тип стратегии
+     * @param {Function} [strategyClass] - Класс стратегии
+     * @param {Object} [options]
+     * @param {string} [options.key] - Ключ экземпляра
      * @returns {Strategy} Экземпляр стратегии
      */
-    getStrategy(strategyType, strategyClass) {
-        if (!this.cache.has(strategyType)) {
-            const strategy = new strategyClass();
-            this.cache.set(strategyType, strategy);
-            console.log(`Создана новая стратегия: ${strategyType}`);
+    getStrategy(strategyType, strategyClass, { key } = {}) {
+        if (!this.registrations.has(strategyType)) {
+            if (!strategyClass) {
+                throw new Error(`Стратегия не зарегистрирована: ${strategyType}`);
+            }
+            this.register(strategyType, strategyClass);
+            if (this.registrations.get(strategyType).stateful) {
+                this.warn(`Stateful-стратегия ${strategyType} зарегистрирована автоматически как ` +
+                    `'${StrategyLifetime.SHARED}': вызовите register() с политикой ` +
+                    `'${StrategyLifetime.PER_CALL}' или '${StrategyLifetime.POOLED}'`);
+            }
+        }
+        
+        const registration = this.getRegistration(strategyType);
+        if (registration.lifetime === StrategyLifetime.POOLED) {
+            throw new Error(`Стратегия ${strategyType} выдается из пула: используйте acquire() или use()`);
+        }
+        if (registration.lifetime === StrategyLifetime.PER_CALL) {
+            console.log(`Создана новая стратегия на вызов: ${strategyType}`);
+            return this.createInstance(strategyType, registration, key);
+        }
+        
+        return this.getShared(strategyType, registration, key).strategy;
+    }
+    
+    getShared(strategyType, registration, key) {
+        const cacheKey = this.cacheKey(strategyType, key);
+        let entry = this.cache.get(cacheKey);
+        
+        if (entry && entry.expiresAt <= this.now()) {
+            this.cache.delete(cacheKey);
+            this.stats.expired++;
+            console.log(`Истек срок жизни стратегии: ${cacheKey}`);
+            entry = null;
+        }
+        
+        if (entry) {
+            // Map хранит порядок вставки: переставляем запись в конец как самую свежую
+            this.cache.delete(cacheKey);
+            this.cache.set(cacheKey, entry);
+            this.stats.hits++;
+            console.log(`Используем кэшированную стратегию: ${cacheKey}`);
+            return entry;
+        }
+        
+        this.stats.misses++;
+        entry = {
+            type: strategyType,
+            strategy: this.createInstance(strategyType, registration, key),
+            expiresAt: this.now() + registration.ttl,
+            inFlight: 0
+        };
+        this.cache.set(cacheKey, entry);
+        console.log(`Создана новая стратегия: ${cacheKey}`);
+        
+        while (this.cache.size > this.maxSize) {
+            const [oldestKey] = this.cache.keys();
+            this.cache.delete(oldestKey);
+            this.stats.evicted++;
+            console.log(`Вытеснена давно не используемая стратегия: ${oldestKey}`);
+        }
+        
+        return entry;
+    }
+    
+    /**
+     * Берет экземпляр из пула. Если свободных нет и пул заполнен,
+     * ждет, пока другой вызов вернет экземпляр через release()
+     * @param {string} strategyType - Тип стратегии
+     * @param {Object} [options]
+     * @param {string} [options.key] - Ключ пула
+     * @returns {Promise<Strategy>}
+     */
+    async acquire(strategyType, { key } = {}) {
+        const registration = this.getRegistration(strategyType);
+        if (registration.lifetime !== StrategyLifetime.POOLED) {
+            throw new Error(`Стратегия ${strategyType} не использует пул`);
+        }
+        
+        const cacheKey = this.cacheKey(strategyType, key);
+        if (!this.pools.has(cacheKey)) {
+            this.pools.set(cacheKey, { idle: [], size: 0, waiters: [] });
+        }
+        const pool = this.pools.get(cacheKey);
+        
+        if (pool.idle.length > 0) {
+            this.stats.hits++;
+            return this.lease(pool, pool.idle.pop());
+        }
+        if (pool.size < registration.poolSize) {
+            // Слот занимаем только после успешного создания: ошибка фабрики
+            // не должна навсегда уменьшать пул
+            const strategy = this.createInstance(strategyType, registration, key);
+            pool.size++;
+            this.stats.misses++;
+            return this.lease(pool, strategy);
+        }
+        
+        return new Promise((resolve, reject) => pool.waiters.push({ resolve, reject }));
+    }
+    
+    lease(pool, strategy) {
+        this.leases.set(strategy, pool);
+        return strategy;
+    }
+    
+    /**
+     * Возвращает экземпляр в пул. Если пул успели сбросить (invalidate,
+     * clear, повторная регистрация), экземпляр просто отбрасывается
+     * @param {string} strategyType - Тип стратегии
+     * @param {Strategy} strategy - Экземпляр из acquire()
+     * @param {Object} [options]
+     * @param {string} [options.key] - Ключ пула
+     */
+    release(strategyType, strategy, { key } = {}) {
+        const pool = this.leases.get(strategy);
+        if (!pool) {
+            throw new Error(`Экземпляр стратегии ${strategyType} не был выдан из пула`);
+        }
+        this.leases.delete(strategy);
+        if (this.pools.get(this.cacheKey(strategyType, key)) !== pool) {
+            return;
+        }
+        
+        const waiter = pool.waiters.shift();
+        if (waiter) {
+            waiter.resolve(this.lease(pool, strategy));
         } else {
-            console.log(`Используем кэшированную стратегию: ${strategyType}`);
+            pool.idle.push(strategy);
+        }
+    }
+    
+    /**
+     * Сбрасывает пул: ожидающие acquire() получают отказ
+     */
+    dropPool(cacheKey) {
+        const pool = this.pools.get(cacheKey);
+        this.pools.delete(cacheKey);
+        const error = new Error(`Пул стратегии ${cacheKey} сброшен`);
+        pool.waiters.splice(0).forEach(waiter => waiter.reject(error));
+    }
+    
+    /**
+     * Выполняет работу со стратегией с учетом ее политики: общий экземпляр,
+     * новый на вызов или из пула (с возвратом после завершения)
+     * @param {string} strategyType - Тип стратегии
+     * @param {Function} work - (strategy) => результат или Promise
+     * @param {Object} [options]
+     * @param {string} [options.key] - Ключ экземпляра
+     * @returns {Promise<*>}
+     */
+    async use(strategyType, work, { key } = {}) {
+        const registration = this.getRegistration(strategyType);
+        
+        if (registration.lifetime === StrategyLifetime.POOLED) {
+            const strategy = await this.acquire(strategyType, { key });
+            try {
+                return await work(strategy);
+            } finally {
+                this.release(strategyType, strategy, { key });
+            }
+        }
+        
+        if (registration.lifetime === StrategyLifetime.PER_CALL) {
+            return work(this.createInstance(strategyType, registration, key));
+        }
+        
+        const entry = this.getShared(strategyType, registration, key);
+        if (registration.stateful && entry.inFlight > 0) {
+            this.warn(`Stateful-стратегия ${this.cacheKey(strategyType, key)} используется ` +
+                `одновременно в ${entry.inFlight + 1} вызовах: зарегистрируйте ее как ` +
+                `'${StrategyLifetime.PER_CALL}' или '${StrategyLifetime.POOLED}'`);
         }
         
-        return this.cache.get(strategyType);
+        entry.inFlight++;
+        try {
+            return await work(entry.strategy);
+        } finally {
+            entry.inFlight--;
+        }
+    }
+    
+    warn(message) {
+        this.warnings.push(message);
+        if (this.warnings.length > this.maxWarnings) {
+            this.warnings.shift();
+        }
+        this.onWarning(message);
+    }
+    
+    /**
+     * Удаляет из кэша и пулов все экземпляры типа.
+     * Вызовы, ожидающие экземпляр из пула, завершаются ошибкой
+     * @param {string} strategyType - Тип стратегии
+     */
+    invalidate(strategyType) {
+        for (const [cacheKey, entry] of this.cache) {
+            if (entry.type === strategyType) {
+                this.cache.delete(cacheKey);
+            }
+        }
+        for (const cacheKey of this.pools.keys()) {
+            if (cacheKey === strategyType || cacheKey.startsWith(`${strategyType}:`)) {
+                this.dropPool(cacheKey);
+            }
+        }
     }
     
     /**
@@ -618,6 +2956,7 @@ class StrategyCache {
      */
     clear() {
         this.cache.clear();
+        [...this.pools.keys()].forEach(cacheKey => this.dropPool(cacheKey));
         console.log("Кэш стратегий очищен");
     }
     
@@ -628,19 +2967,408 @@ class StrategyCache {
     size() {
         return this.cache.size;
     }
+    
+    /**
+     * Статистика кэша
+     * @returns {Object} { hits, misses, created, evicted, expired, size }
+     */
+    getStats() {
+        return { ...this.stats, size: this.cache.size };
+    }
 }
 
-console.log("\n=== ПРИМЕР С КЭШИРОВАНИЕМ ===");
+// ===== ПРИМЕР ИСПОЛЬЗОВАНИЯ =====
+
+/**
+ * Запускает демонстрацию паттерна.
+ * Вызывается только при прямом запуске файла: node 04-strategy.js
+ */
+async function runDemo() {
+    console.log("=== БАЗОВЫЙ ПРИМЕР STRATEGY ===");
+
+    // Создаем контекст
+    const context = new Context();
+
+    // Создаем стратегии
+    const additionStrategy = new AdditionStrategy();
+    const multiplicationStrategy = new MultiplicationStrategy();
+    const maxStrategy = new MaxStrategy();
+    const minStrategy = new MinStrategy();
+
+    // Тестовые данные
+    const numbers = [2, 4, 6, 8];
+
+    // Выполняем различные стратегии
+    context.setStrategy(additionStrategy);
+    console.log("Результат:", context.executeStrategy(numbers));
+
+    context.setStrategy(multiplicationStrategy);
+    console.log("Результат:", context.executeStrategy(numbers));
+
+    context.setStrategy(maxStrategy);
+    console.log("Результат:", context.executeStrategy(numbers));
+
+    context.setStrategy(minStrategy);
+    console.log("Результат:", context.executeStrategy(numbers));
+
+    console.log("\n=== ПРАКТИЧЕСКИЙ ПРИМЕР - СИСТЕМА ОПЛАТЫ ===");
+
+    // Создаем процессор платежей
+    const paymentProcessor = new PaymentProcessor();
+
+    // Создаем стратегии оплаты
+    const creditCardPayment = new CreditCardPayment();
+    const paypalPayment = new PayPalPayment();
+    const cryptoPayment = new CryptoPayment();
+
+    // Суммы передаются в минимальных единицах валюты: 10000 = 100.00 USD
+    console.log("\n--- Платеж кредитной картой ---");
+    paymentProcessor.setStrategy(creditCardPayment);
+    const cardData = {
+        cardNumber: '4111 1111 1111 1111',
+        expiryDate: '12/35',
+        cvv: '123'
+    };
+    const ccResult = paymentProcessor.processPayment(10000, cardData, { currency: 'USD', idempotencyKey: 'order-1' });
+    console.log("Результат:", ccResult);
+
+    // Повтор запроса (например, после таймаута сети) не списывает деньги второй раз
+    const ccRetry = paymentProcessor.processPayment(10000, cardData, { currency: 'USD', idempotencyKey: 'order-1' });
+    console.log("Тот же платеж?", ccRetry.paymentId === ccResult.paymentId, "| повтор:", ccRetry.replayed);
 
-// Создаем кэш стратегий
-const strategyCache = new StrategyCache();
+    // Порядок полей в данных карты не влияет на отпечаток запроса
+    const reordered = { cvv: '123', expiryDate: '12/35', cardNumber: '4111 1111 1111 1111' };
+    console.log("Поля в другом порядке - повтор:", paymentProcessor.processPayment(10000, reordered, { currency: 'USD', idempotencyKey: 'order-1' }).replayed);
 
-// Получаем стратегии через кэш
-const cachedCCPayment = strategyCache.getStrategy('CreditCard', CreditCardPayment);
-const cachedPPPayment = strategyCache.getStrategy('PayPal', PayPalPayment);
-const cachedCCPayment2 = strategyCache.getStrategy('CreditCard', CreditCardPayment); // Из кэша
+    try {
+        paymentProcessor.processPayment(20000, cardData, { currency: 'USD', idempotencyKey: 'order-1' });
+    } catch (error) {
+        console.log("Ошибка:", error.message);
+    }
+
+    // Сбой списания отменяет авторизацию, и повтор с тем же ключом не оставляет висящий резерв
+    const flakyProcessor = new PaymentProcessor();
+    flakyProcessor.setStrategy(new class extends CreditCardPayment {
+        capture(authorization, amount) {
+            if (!this.failedOnce) {
+                this.failedOnce = true;
+                throw new Error("Шлюз недоступен");
+            }
+            return super.capture(authorization, amount);
+        }
+    }());
+    try {
+        flakyProcessor.processPayment(5000, cardData, { idempotencyKey: 'order-2' });
+    } catch (error) {
+        console.log("Ошибка списания:", error.message);
+    }
+    flakyProcessor.processPayment(5000, cardData, { idempotencyKey: 'order-2' });
+    console.log("Статусы платежей:", [...flakyProcessor.payments.values()].map(payment => payment.status));
+
+    console.log("\n--- Проверка карт ---");
+    [
+        { cardNumber: '4111111111111112', expiryDate: '12/35', cvv: '123' },
+        { cardNumber: '5555555555554444', expiryDate: '01/20', cvv: '123' },
+        { cardNumber: '378282246310005', expiryDate: '12/35', cvv: '123' },
+        { cardNumber: '6011111111111117', expiryDate: '12/35', cvv: '123' }
+    ].forEach(card => {
+        try {
+            paymentProcessor.authorize(1000, card);
+        } catch (error) {
+            console.log(`${maskCardNumber(card.cardNumber)}: ${error.message}`);
+        }
+    });
+    console.log("Платежная система 2200 0000 0000 0004:", detectCardBrand('2200000000000004').name);
+
+    // Повторная оплата сохраненной картой: номер карты уже не нужен
+    const savedCard = ccResult.source;
+    const tokenResult = paymentProcessor.processPayment(2500, { token: savedCard.token });
+    console.log("Оплата по токену:", tokenResult.source);
+
+    // Токен живет ограниченное время, лишние карты вытесняются
+    let vaultClock = 0;
+    const shortVault = new CardVault({ ttl: 60000, maxSize: 2, now: () => vaultClock });
+    const firstToken = shortVault.tokenize('4111111111111111', '12/35').token;
+    shortVault.tokenize('5555555555554444', '12/35');
+    shortVault.tokenize('2200000000000004', '12/35');
+    console.log("Первая карта вытеснена:", !shortVault.has(firstToken), "| карт в хранилище:", shortVault.size());
+    vaultClock += 61000;
+    console.log("Карт после истечения срока:", shortVault.size());
+
+    // В истории платежей нет номеров карт, только токены и маски
+    const historyJson = JSON.stringify(paymentProcessor.getPaymentHistory());
+    console.log("Номер карты попал в историю?", historyJson.includes('4111111111111111'));
+
+    console.log("\n--- Платеж PayPal: частичное списание и возврат ---");
+    paymentProcessor.setStrategy(paypalPayment);
+    try {
+        paymentProcessor.authorize(5000, { email: 'user@example.com', password: 'password123' }, { currency: 'EUR' });
+    } catch (error) {
+        console.log("Ошибка:", error.message);
+    }
+
+    const ppAuth = paymentProcessor.authorize(5000, {
+        email: 'user@example.com',
+        authToken: 'pp_oauth_3f9a2c'
+    }, { currency: 'EUR' });
+    paymentProcessor.capture(ppAuth.paymentId, 3000);
+    paymentProcessor.refund(ppAuth.paymentId, 1000, { idempotencyKey: 'refund-1' });
+    console.log("Состояние:", paymentProcessor.getPayment(ppAuth.paymentId));
+
+    try {
+        paymentProcessor.refund(ppAuth.paymentId, 5000);
+    } catch (error) {
+        console.log("Ошибка:", error.message);
+    }
+
+    console.log("\n--- Платеж криптовалютой: отмена резерва ---");
+    paymentProcessor.setStrategy(cryptoPayment);
+    const crAuth = paymentProcessor.authorize(toMinorUnits(0.0025, 'BTC'), {
+        walletAddress: '1A1zP1eP5QGefi2DMPTfTL5SLmv7DivfNa',
+        cryptoType: 'BTC'
+    }, { currency: 'BTC' });
+    const crVoid = paymentProcessor.void(crAuth.paymentId);
+    console.log("Статус:", crVoid.status);
+
+    // Получаем статистику
+    console.log("\n--- Статистика платежей ---");
+    console.dir(paymentProcessor.getPaymentStatistics(), { depth: null });
+    console.log(`Операций в истории: ${paymentProcessor.getPaymentHistory().length}`);
+
+    console.log("\n=== ПРИМЕР С ВАЛИДАЦИЕЙ ===");
+
+    // Создаем валидатор форм
+    const formValidator = new FormValidator();
+
+    // Тестовые данные формы
+    const formData = {
+        email: 'user@example.com',
+        password: 'WeakPass',
+        phone: '+7 (999) 123-45-67'
+    };
+
+    // Валидируем форму
+    const validationResult = formValidator.validateForm(formData);
+
+    console.log("Результат валидации:", validationResult);
+
+    console.log("\n--- Международные номера телефонов ---");
+
+    const phoneStrategy = new PhoneValidationStrategy({ defaultRegion: 'RU' });
+    ['8 (495) 123-45-67', '+7 701 123 4567', '+44 7911 123456', '+1 (415) 555-2671', '0049 151 23456789', '+7 999 123'].forEach(phone => {
+        const result = phoneStrategy.execute(phone);
+        console.log(`${phone} -> ${result.isValid ? `${result.e164} (${result.country}, ${result.type})` : result.message}`);
+    });
+
+    // Номер без кода страны разбирается по региону вызова
+    console.log("020 7946 0958 (GB):", phoneStrategy.execute('020 7946 0958', { defaultRegion: 'GB' }).e164);
+
+    // Только мобильные номера, например для SMS-подтверждения
+    const mobileOnly = new PhoneValidationStrategy({ allowedTypes: ['mobile'] });
+    console.log("SMS на городской номер:", mobileOnly.execute('8 (495) 123-45-67').message);
+
+    console.log("\n--- Политика паролей ---");
+
+    // Список запрещенных паролей обычно лежит в отдельном файле
+    const bannedListFile = path.join(os.tmpdir(), `banned-passwords-${process.pid}.txt`);
+    fs.writeFileSync(bannedListFile, '# самые частые пароли\npassword\nqwerty\n123456\nletmein\n');
+
+    const strictPolicy = new PasswordPolicy({ minLength: 10, maxRepeats: 2, specialChars: '!@#$%^&*-_', bannedListFile, minScore: 3 });
+    const strictValidator = new FormValidator(createFieldValidationSelector({ passwordPolicy: strictPolicy }));
+    fs.unlinkSync(bannedListFile);
+
+    ['Password123!', 'Aaaa1111!!bb', 'Ivanov#2024x', 'correct-Horse7-battery-staple'].forEach(password => {
+        const result = strictValidator.validateField('password', password, {
+            root: { username: 'ivanov', email: 'ivanov@example.com' }
+        });
+        const { score, entropy, label, suggestions } = result.strength;
+        console.log(`${password}: ${result.message}`);
+        console.log(`  надежность ${score}/4 (${label}, ${entropy} бит)`);
+        suggestions.forEach(suggestion => console.log(`  - ${suggestion.message}`));
+    });
+
+    const englishPassword = strictValidator.validateField('password', 'qwerty', { locale: 'en' });
+    console.log(`qwerty (en): ${englishPassword.message}; ${englishPassword.strength.label}`);
 
-console.log(`Размер кэша: ${strategyCache.size()}`);
+    console.log("\n--- Валидация по схеме ---");
+
+    const takenEmails = new Set(['admin@example.com']);
+    const registrationSchema = {
+        type: 'object',
+        fields: {
+            email: { type: 'string', required: true, rules: ['email', new UniquenessValidationStrategy(takenEmails, { field: 'email', latency: 20 })] },
+            password: { type: 'string', required: true, rules: ['password'] },
+            passwordConfirm: { type: 'string', required: true },
+            profile: {
+                type: 'object',
+                required: true,
+                fields: {
+                    name: { type: 'string', required: true, rules: [FormRules.minLength(2)] },
+                    phone: { type: 'string', rules: ['phone'] }
+                }
+            },
+            addresses: {
+                type: 'array',
+                minItems: 1,
+                items: {
+                    type: 'object',
+                    fields: {
+                        city: { type: 'string', required: true },
+                        zip: { type: 'string', rules: [FormRules.pattern(/^\d{6}$/, 'Индекс - 6 цифр')] }
+                    }
+                }
+            }
+        },
+        rules: [FormRules.matchField('password', 'passwordConfirm', 'Пароли не совпадают')]
+    };
+
+    const schemaResult = await formValidator.validateSchema(registrationSchema, {
+        email: 'admin@example.com',
+        password: 'Str0ng!Pass',
+        passwordConfirm: 'Str0ng!Pas',
+        profile: { name: 'A', phone: '+7 (999) 123-45-67' },
+        addresses: [{ city: 'Москва', zip: '101000' }, { zip: '12' }],
+        referrer: 'ads'
+    });
+    console.log(schemaResult.message);
+    schemaResult.issues.forEach(issue => console.log(`  ${issue.path || '(форма)'}: ${issue.message} [${issue.rule}]`));
+    console.dir(schemaResult.errors, { depth: null });
+
+    // Те же ошибки для англоязычного клиента: коды стабильны, меняется только текст
+    const englishResult = await formValidator.validateSchema(registrationSchema, {
+        email: 'not-an-email',
+        password: 'short',
+        passwordConfirm: 'short',
+        profile: { name: 'A' },
+        addresses: []
+    }, { locale: 'en' });
+    console.log(englishResult.message);
+    englishResult.issues.forEach(issue => console.log(`  ${issue.path}: ${issue.message} (${issue.code})`));
+
+    // Схема без type: форму значения задают items и fields, неверная форма - ошибка, а не TypeError
+    const untypedResult = await formValidator.validateSchema(
+        { fields: { tags: { items: { type: 'string' } }, meta: { fields: {} } } },
+        { tags: 'a,b', meta: 42 }
+    );
+    untypedResult.issues.forEach(issue => console.log(`  ${issue.path}: ${issue.message} [${issue.rule}]`));
+
+    // Множественное число выбирается по правилам языка
+    [1, 3, 5, 21].forEach(count => {
+        console.log(`${validationMessages.format('form.invalid', { count })} | ${validationMessages.format('form.invalid', { count }, 'en')}`);
+    });
+
+    // Новая проверка (например, при следующем нажатии клавиши) отменяет предыдущую
+    const outdated = formValidator.validateSchema(registrationSchema, { email: 'new@example.com' });
+    const latest = formValidator.validateSchema(registrationSchema, {
+        email: 'new@example.com',
+        password: 'Str0ng!Pass',
+        passwordConfirm: 'Str0ng!Pass',
+        profile: { name: 'Анна' },
+        addresses: [{ city: 'Казань' }]
+    });
+    await outdated.catch(error => console.log(`Предыдущая проверка: ${error.name} - ${error.message}`));
+    console.log("Последняя проверка:", (await latest).message);
+
+    console.log("\n=== ПРИМЕР С КЭШИРОВАНИЕМ ===");
+
+    // Создаем кэш стратегий
+    const strategyCache = new StrategyCache();
+
+    // Получаем стратегии через кэш
+    const cachedCCPayment = strategyCache.getStrategy('CreditCard', CreditCardPayment);
+    const cachedPPPayment = strategyCache.getStrategy('PayPal', PayPalPayment);
+    const cachedCCPayment2 = strategyCache.getStrategy('CreditCard', CreditCardPayment); // Из кэша
+
+    console.log(`Размер кэша: ${strategyCache.size()}`);
+
+    // LRU и TTL: в кэше не больше двух общих экземпляров, каждый живет минуту
+    let clock = 0;
+    const boundedCache = new StrategyCache({ maxSize: 2, ttl: 60000, now: () => clock });
+    boundedCache.getStrategy('Addition', AdditionStrategy);
+    boundedCache.getStrategy('Max', MaxStrategy);
+    boundedCache.getStrategy('Addition', AdditionStrategy); // Addition становится самой свежей
+    boundedCache.getStrategy('Min', MinStrategy); // вытесняет Max
+    clock += 61000;
+    boundedCache.getStrategy('Min', MinStrategy); // истек срок - создается заново
+    console.log("Статистика кэша:", boundedCache.getStats());
+
+    // Отдельный экземпляр на ключ, например на мерчанта
+    const merchantCache = new StrategyCache().register('Max', MaxStrategy);
+    console.log("Разные ключи - разные экземпляры:",
+        merchantCache.getStrategy('Max', null, { key: 'shop-1' }) !== merchantCache.getStrategy('Max', null, { key: 'shop-2' }));
+
+    console.log("\n--- Stateful-стратегии и одновременные вызовы ---");
+
+    const card = { cardNumber: '4111 1111 1111 1111', expiryDate: '12/35', cvv: '123' };
+    const pay = amount => async strategy => {
+        strategy.setAmount(amount, 'RUB');
+        await new Promise(resolve => setTimeout(resolve, 10));
+        return formatMoney(strategy.execute(card).amount, 'RUB');
+    };
+
+    // Общий экземпляр: второй платеж перезаписывает сумму первого
+    const sharedCache = new StrategyCache({ onWarning: message => console.warn(`ВНИМАНИЕ: ${message}`) })
+        .register('CreditCard', CreditCardPayment);
+    console.log("Общий экземпляр (ожидали 100.00 и 250.00):",
+        await Promise.all([sharedCache.use('CreditCard', pay(10000)), sharedCache.use('CreditCard', pay(25000))]));
+
+    // Пул из одного экземпляра: платежи выполняются по очереди
+    const pooledCache = new StrategyCache()
+        .register('CreditCard', CreditCardPayment, { lifetime: StrategyLifetime.POOLED, poolSize: 1 });
+    console.log("Пул:", await Promise.all([pooledCache.use('CreditCard', pay(10000)), pooledCache.use('CreditCard', pay(25000))]));
+
+    // Сброс пула: ожидающий вызов получает отказ, занятый экземпляр отбрасывается
+    const busy = pooledCache.use('CreditCard', pay(5000));
+    const waiting = pooledCache.use('CreditCard', pay(7000)).catch(error => error.message);
+    pooledCache.invalidate('CreditCard');
+    console.log("После сброса пула:", await Promise.all([busy, waiting]));
+
+    // Новый экземпляр на каждый вызов
+    const perCallCache = new StrategyCache()
+        .register('CreditCard', CreditCardPayment, { lifetime: StrategyLifetime.PER_CALL });
+    console.log("Экземпляр на вызов:", await Promise.all([perCallCache.use('CreditCard', pay(10000)), perCallCache.use('CreditCard', pay(25000))]));
+
+    console.log("\n=== ВЫБОР СТРАТЕГИИ ПО ПРАВИЛАМ ===");
+
+    const selector = new StrategySelector({ features: { 'fast-max': false } })
+        .register('max', new MaxStrategy(), {
+            priority: 20,
+            rules: [StrategyRules.type('array'), StrategyRules.feature('fast-max')]
+        })
+        .register('small-sum', new AdditionStrategy(), {
+            priority: 10,
+            rules: [StrategyRules.type('array'), StrategyRules.maxSize(3)]
+        })
+        .register('variant-a', new MultiplicationStrategy(), {
+            rules: [StrategyRules.type('array')],
+            weight: 1
+        })
+        .register('variant-b', new AdditionStrategy(), {
+            rules: [StrategyRules.type('array')],
+            weight: 1
+        });
+
+    console.log("Результат:", selector.execute([1, 2]));
+    selector.explain().forEach(line => console.log(line));
+
+    console.log("Результат:", selector.execute(numbers, { splitKey: 'user-42' }));
+    selector.explain().forEach(line => console.log(line));
+
+    // Флаг функциональности на один вызов
+    console.log("Результат:", selector.execute(numbers, { features: { 'fast-max': true } }));
+
+    // Откат на следующую подходящую стратегию при ошибке
+    const failing = new StrategySelector()
+        .register('broken', { execute() { throw new Error("сервис недоступен"); }, getName: () => 'broken' }, { priority: 1 })
+        .register('reliable', minStrategy);
+    console.log("Результат:", failing.execute(numbers));
+    failing.explain().forEach(line => console.log(line));
+    console.log("Метрики broken:", failing.getMetrics('broken'));
+
+    // Context тоже может выбрать стратегию через селектор
+    const selected = context.selectStrategy(selector, [5, 7]);
+    console.log(`Причина: ${selected.reason}, результат: ${context.executeStrategy([5, 7])}`);
+}
 
 // ===== ПРЕИМУЩЕСТВА И НЕДОСТАТКИ =====
 
@@ -664,3 +3392,52 @@ console.log(`Размер кэша: ${strategyCache.size()}`);
  * - Связан с State pattern
  * - Используется в Template Method
  */
+
+module.exports = {
+    Strategy,
+    Context,
+    AdditionStrategy,
+    MultiplicationStrategy,
+    MaxStrategy,
+    MinStrategy,
+    StrategyRules,
+    StrategySelector,
+    CURRENCY_EXPONENTS,
+    toMinorUnits,
+    formatMoney,
+    CARD_BRANDS,
+    luhnCheck,
+    detectCardBrand,
+    isExpiryValid,
+    maskCardNumber,
+    maskSensitive,
+    validateCard,
+    CardVault,
+    PaymentStrategy,
+    CreditCardPayment,
+    PayPalPayment,
+    CryptoPayment,
+    PaymentStatus,
+    PaymentProcessor,
+    MessageCatalog,
+    validationMessages,
+    ValidationStrategy,
+    EmailValidationStrategy,
+    estimatePasswordEntropy,
+    PasswordPolicy,
+    PasswordValidationStrategy,
+    PHONE_METADATA,
+    parsePhoneNumber,
+    PhoneValidationStrategy,
+    UniquenessValidationStrategy,
+    FormRules,
+    createFieldValidationSelector,
+    FormValidator,
+    StrategyLifetime,
+    StrategyCache,
+    runDemo
+};
+
+if (require.main === module) {
+    runDemo();
+}
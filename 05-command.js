@@ -20,6 +20,13 @@
  * - Транзакции в базе данных
  */
 
+const crypto = require("crypto");
+const { EventEmitter } = require("events");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { JsonLinesEventStore } = require("./03-observer");
+
 // ===== БАЗОВАЯ РЕАЛИЗАЦИЯ =====
 
 /**
@@ -28,14 +35,17 @@
  */
 class Command {
   /**
-   * Выполняет команду
+   * Выполняет команду. Может вернуть Promise; асинхронные команды
+   * получают options.signal и должны прерваться при его срабатывании
+   * @param {Object} [options]
+   * @param {AbortSignal} [options.signal] - Сигнал отмены
    */
-  execute() {
+  execute(options) {
     throw new Error("Метод execute должен быть переопределен");
   }
 
   /**
-   * Отменяет команду
+   * Отменяет команду. Может вернуть Promise
    */
   undo() {
     throw new Error("Метод undo должен быть переопределен");
@@ -48,6 +58,43 @@ class Command {
   getName() {
     return this.constructor.name;
   }
+
+  /**
+   * Можно ли объединить эту (только что выполненную) команду с предыдущей
+   * в один шаг отмены. Вызывается историей до добавления команды
+   * @param {Command} previous - Предыдущая команда истории
+   * @returns {boolean}
+   */
+  canMergeWith(previous) {
+    return false;
+  }
+
+  /**
+   * Поглощает следующую команду: после этого undo() отменяет обе,
+   * а execute() выполняет обе. Сама следующая команда не меняется
+   * @param {Command} next - Команда, для которой canMergeWith(this) вернул true
+   */
+  mergeWith(next) {
+    throw new Error(`Команда ${this.getName()} не поддерживает объединение`);
+  }
+
+  /**
+   * Аргументы конструктора (кроме получателя) в виде JSON-значений -
+   * по ним CommandRegistry восстанавливает команду
+   * @param {Function} serialize - Сериализует вложенную команду
+   * @returns {Array}
+   */
+  getArgs(serialize) {
+    throw new Error(`Команда ${this.getName()} не поддерживает сериализацию`);
+  }
+
+  /**
+   * Возвращает получателя команды
+   * @returns {Object|null}
+   */
+  getReceiver() {
+    return this.receiver || null;
+  }
 }
 
 /**
@@ -128,15 +175,856 @@ class Receiver {
   }
 }
 
+/**
+ * Является ли значение Promise-подобным
+ * @param {*} value - Значение
+ * @returns {boolean}
+ */
+function isThenable(value) {
+  return Boolean(value) && typeof value.then === "function";
+}
+
+/**
+ * Вызывает run() и передает результат в onSuccess, ошибку - в onError.
+ * Если run() вернул Promise, результат тоже будет Promise, иначе все
+ * выполняется синхронно - так синхронные команды остаются синхронными
+ * @param {Function} run - Действие
+ * @param {Function} onSuccess - (result) => значение
+ * @param {Function} onError - (error) => значение или throw
+ * @returns {*|Promise<*>}
+ */
+function afterResult(run, onSuccess, onError) {
+  let result;
+  try {
+    result = run();
+  } catch (error) {
+    return onError(error);
+  }
+
+  if (isThenable(result)) {
+    return Promise.resolve(result).then(onSuccess, onError);
+  }
+  return onSuccess(result);
+}
+
+/**
+ * Выполняет шаги строго по очереди: синхронно, пока шаги синхронные,
+ * и дожидаясь каждого следующего, как только один из них вернул Promise
+ * @param {Array} items - Элементы
+ * @param {Function} step - (item) => результат или Promise
+ * @returns {undefined|Promise<void>}
+ */
+function runInOrder(items, step, index = 0) {
+  for (let i = index; i < items.length; i++) {
+    const result = step(items[i]);
+    if (isThenable(result)) {
+      return Promise.resolve(result).then(() =>
+        runInOrder(items, step, i + 1)
+      );
+    }
+  }
+  return undefined;
+}
+
+const rethrow = (error) => {
+  throw error;
+};
+
+/**
+ * Узел дерева отмены
+ * @param {Command|null} command - Команда (null у корня)
+ * @param {Object|null} parent - Родительский узел
+ * @returns {Object}
+ */
+function createHistoryNode(command, parent, updatedAt = 0) {
+  return {
+    command,
+    parent,
+    // Время последнего изменения шага - для окна объединения команд
+    updatedAt,
+    children: [],
+    // Ветка, по которой пойдет redo: последняя выполненная или отмененная
+    activeChild: null,
+  };
+}
+
+/**
+ * История команд в виде дерева отмены.
+ * Новая команда после отмены не стирает отмененные, а открывает новую
+ * ветку: к старым можно вернуться через redo(branch) или undoTo(checkpoint).
+ * Глубина отмены ограничена maxDepth: самые старые шаги фиксируются
+ * и перестают отменяться. Общее число шагов во всех ветках ограничено
+ * maxNodes: самые старые ветки удаляются. Команда, выполненная в пределах mergeWindow
+ * после предыдущей, может объединиться с ней в один шаг (canMergeWith).
+ * Каждое изменение генерирует событие "change".
+ */
+class CommandHistory extends EventEmitter {
+  /**
+   * @param {Object} [options]
+   * @param {number} [options.maxDepth] - Максимальное количество шагов отмены
+   * @param {number} [options.maxNodes] - Максимум шагов во всех ветках дерева
+   * @param {number} [options.mergeWindow] - Окно объединения команд, мс (0 - не объединять)
+   * @param {Function} [options.now] - Источник времени
+   */
+  constructor({
+    maxDepth = Infinity,
+    maxNodes = maxDepth * 10,
+    mergeWindow = 1000,
+    now = Date.now,
+  } = {}) {
+    super();
+
+    if (!(maxDepth >= 1)) {
+      throw new Error("Глубина истории должна быть не меньше 1");
+    }
+    if (!(maxNodes >= maxDepth)) {
+      throw new Error("Размер дерева истории должен быть не меньше глубины");
+    }
+
+    this.maxDepth = maxDepth;
+    this.maxNodes = maxNodes;
+    this.mergeWindow = mergeWindow;
+    this.now = now;
+    this.root = createHistoryNode(null, null);
+    this.current = this.root;
+    this.checkpoints = new Map();
+  }
+
+  /**
+   * Добавляет выполненную команду в историю или объединяет ее с текущей
+   * @param {Command} command - Выполненная команда
+   * @param {Object} [options]
+   * @param {boolean} [options.merge] - Принудительно объединить (true) или
+   *   добавить отдельным шагом (false); по умолчанию решает canMerge
+   * @returns {boolean} Была ли команда объединена с предыдущей
+   */
+  push(command, { merge = this.canMerge(command) } = {}) {
+    if (merge) {
+      this.current.command.mergeWith(command);
+      this.current.updatedAt = this.now();
+      this.emitChange("merge", command);
+      return true;
+    }
+
+    const node = createHistoryNode(command, this.current, this.now());
+    this.current.children.push(node);
+    this.current.activeChild = node;
+    this.current = node;
+
+    const trimmed = this.trim();
+    this.emitChange("execute", command, { trimmed });
+    return false;
+  }
+
+  /**
+   * Можно ли объединить команду с текущим шагом. Шаг не меняется, если
+   * от него отходят ветки или на нем стоит контрольная точка: иначе они
+   * стали бы указывать на другое состояние
+   * @param {Command} command - Выполненная команда
+   * @returns {boolean}
+   */
+  canMerge(command) {
+    const node = this.current;
+
+    return (
+      node !== this.root &&
+      node.children.length === 0 &&
+      ![...this.checkpoints.values()].includes(node) &&
+      this.now() - node.updatedAt <= this.mergeWindow &&
+      command.canMergeWith(node.command)
+    );
+  }
+
+  /**
+   * Отменяет текущую команду. Если undo() команды вернул Promise,
+   * позиция истории сдвигается только после его завершения
+   * @returns {Command|null|Promise<Command|null>} Отмененная команда
+   */
+  undo() {
+    if (!this.canUndo()) {
+      return null;
+    }
+
+    return afterResult(
+      () => this.stepBack(),
+      (command) => {
+        this.emitChange("undo", command);
+        return command;
+      },
+      rethrow
+    );
+  }
+
+  /**
+   * Повторяет команду активной или указанной ветки.
+   * Асинхронная команда попадает на шаг вперед после завершения execute()
+   * @param {number} [branch] - Номер ветки из getBranches()
+   * @returns {Command|null|Promise<Command|null>} Повторенная команда
+   */
+  redo(branch) {
+    const node =
+      branch === undefined
+        ? this.current.activeChild
+        : this.current.children[branch];
+
+    if (!node) {
+      return null;
+    }
+
+    return afterResult(
+      () => this.stepForward(node),
+      () => {
+        this.emitChange("redo", node.command, { branch });
+        return node.command;
+      },
+      rethrow
+    );
+  }
+
+  /**
+   * Отменяет текущую команду, всегда возвращая Promise
+   * @returns {Promise<Command|null>}
+   */
+  async undoAsync() {
+    return this.undo();
+  }
+
+  /**
+   * Повторяет команду, всегда возвращая Promise
+   * @param {number} [branch] - Номер ветки из getBranches()
+   * @returns {Promise<Command|null>}
+   */
+  async redoAsync(branch) {
+    return this.redo(branch);
+  }
+
+  /**
+   * Запоминает текущую позицию истории под именем
+   * @param {string} name - Имя контрольной точки
+   */
+  checkpoint(name) {
+    this.checkpoints.set(name, this.current);
+    this.emitChange("checkpoint", null, { name });
+  }
+
+  /**
+   * Переходит к контрольной точке: отменяет команды до общего предка,
+   * затем повторяет команды ветки, на которой стоит точка. Асинхронные
+   * команды выполняются по одной, тогда результат - Promise
+   * @param {string} name - Имя контрольной точки
+   * @returns {{undone: number, redone: number}|Promise<{undone: number, redone: number}>}
+   */
+  undoTo(name) {
+    const target = this.checkpoints.get(name);
+    if (!target) {
+      throw new Error(`Неизвестная контрольная точка: ${name}`);
+    }
+
+    const targetPath = this.pathFromRoot(target);
+    const onTargetPath = new Set([this.root, ...targetPath]);
+
+    const undoNodes = [];
+    let ancestor = this.current;
+    while (!onTargetPath.has(ancestor)) {
+      undoNodes.push(ancestor);
+      ancestor = ancestor.parent;
+    }
+    const redoNodes = targetPath.slice(targetPath.indexOf(ancestor) + 1);
+
+    const steps = [
+      ...undoNodes.map(() => () => this.stepBack()),
+      ...redoNodes.map((node) => () => this.stepForward(node)),
+    ];
+
+    return afterResult(
+      () => runInOrder(steps, (step) => step()),
+      () => {
+        const result = { undone: undoNodes.length, redone: redoNodes.length };
+        this.emitChange("undoTo", null, { name, ...result });
+        return result;
+      },
+      rethrow
+    );
+  }
+
+  /**
+   * Отменяет текущую команду и переходит к родителю
+   * @returns {Command|Promise<Command>}
+   */
+  stepBack() {
+    const node = this.current;
+    return afterResult(
+      () => node.command.undo(),
+      () => {
+        this.moveBack(node);
+        return node.command;
+      },
+      rethrow
+    );
+  }
+
+  /**
+   * Повторяет команду узла и переходит к нему
+   * @returns {undefined|Promise<void>}
+   */
+  stepForward(node) {
+    return afterResult(
+      () => node.command.execute(),
+      () => this.moveForward(node),
+      rethrow
+    );
+  }
+
+  moveBack(node) {
+    this.current = node.parent;
+    this.current.activeChild = node;
+  }
+
+  moveForward(node) {
+    this.current.activeChild = node;
+    this.current = node;
+  }
+
+  /**
+   * Узлы от корня до указанного (корень не включается)
+   */
+  pathFromRoot(node) {
+    const path = [];
+    for (let step = node; step !== this.root; step = step.parent) {
+      path.unshift(step);
+    }
+    return path;
+  }
+
+  /**
+   * Фиксирует самые старые шаги, если глубина отмены превышена.
+   * Ветки, отходящие от зафиксированных шагов, и их контрольные точки удаляются.
+   * Если узлов в дереве больше maxNodes, удаляются самые старые ветки
+   * вне текущего пути
+   * @returns {number} Количество зафиксированных шагов
+   */
+  trim() {
+    const path = this.pathFromRoot(this.current);
+    const excess = Math.max(path.length - this.maxDepth, 0);
+    if (excess > 0) {
+      this.root = path[excess - 1];
+      this.root.parent = null;
+    }
+
+    this.pruneBranches();
+
+    for (const [name, node] of this.checkpoints) {
+      if (!this.isReachable(node)) {
+        this.checkpoints.delete(name);
+      }
+    }
+
+    return excess;
+  }
+
+  /**
+   * Удаляет листья вне пути к текущему шагу, начиная с самых давно
+   * измененных, пока узлов не станет не больше maxNodes
+   */
+  pruneBranches() {
+    const nodes = [];
+    const collect = (node) =>
+      node.children.forEach((child) => {
+        nodes.push(child);
+        collect(child);
+      });
+    collect(this.root);
+
+    let excess = nodes.length - this.maxNodes;
+    if (excess <= 0) {
+      return;
+    }
+
+    const onPath = new Set([this.root, ...this.pathFromRoot(this.current)]);
+    const byAge = (a, b) => a.updatedAt - b.updatedAt;
+    const leaves = nodes
+      .filter((node) => !onPath.has(node) && node.children.length === 0)
+      .sort(byAge);
+
+    while (excess > 0 && leaves.length > 0) {
+      const leaf = leaves.shift();
+      const parent = leaf.parent;
+      parent.children.splice(parent.children.indexOf(leaf), 1);
+      if (parent.activeChild === leaf) {
+        parent.activeChild = parent.children[parent.children.length - 1] || null;
+      }
+      leaf.parent = null;
+      excess--;
+
+      // Опустевший родитель вне пути сам становится кандидатом на удаление
+      if (!onPath.has(parent) && parent.children.length === 0) {
+        leaves.push(parent);
+        leaves.sort(byAge);
+      }
+    }
+  }
+
+  isReachable(node) {
+    for (let step = node; step; step = step.parent) {
+      if (step === this.root) {
+        return true;
+      }
+    }
+    return false;
+  }
+
+  emitChange(type, command, details = {}) {
+    this.emit("change", {
+      type,
+      command,
+      ...details,
+      canUndo: this.canUndo(),
+      canRedo: this.canRedo(),
+      undoDepth: this.getUndoDepth(),
+      redoDepth: this.getRedoDepth(),
+    });
+  }
+
+  /**
+   * @returns {boolean} Есть ли что отменить
+   */
+  canUndo() {
+    return this.current !== this.root;
+  }
+
+  /**
+   * @returns {boolean} Есть ли что повторить
+   */
+  canRedo() {
+    return this.current.activeChild !== null;
+  }
+
+  /**
+   * Количество шагов, доступных для отмены
+   * @returns {number}
+   */
+  getUndoDepth() {
+    return this.pathFromRoot(this.current).length;
+  }
+
+  /**
+   * Количество шагов, доступных для повтора по активной ветке
+   * @returns {number}
+   */
+  getRedoDepth() {
+    let depth = 0;
+    for (let node = this.current.activeChild; node; node = node.activeChild) {
+      depth++;
+    }
+    return depth;
+  }
+
+  /**
+   * Ветки, в которые можно перейти из текущей позиции через redo(branch)
+   * @returns {Array<{branch: number, name: string, active: boolean}>}
+   */
+  getBranches() {
+    return this.current.children.map((node, branch) => ({
+      branch,
+      name: node.command.getName(),
+      active: node === this.current.activeChild,
+    }));
+  }
+
+  /**
+   * Имена контрольных точек
+   * @returns {string[]}
+   */
+  getCheckpoints() {
+    return [...this.checkpoints.keys()];
+  }
+}
+
+/**
+ * Ошибка превышения времени выполнения команды
+ * @param {string} message - Сообщение
+ * @returns {Error}
+ */
+function createTimeoutError(message) {
+  const error = new Error(message);
+  error.name = "TimeoutError";
+  return error;
+}
+
+/**
+ * Пауза, которую можно прервать сигналом
+ * @param {number} ms - Длительность, мс
+ * @param {AbortSignal} [signal] - Сигнал отмены
+ * @returns {Promise<void>}
+ */
+function delay(ms, signal) {
+  return new Promise((resolve, reject) => {
+    if (signal && signal.aborted) {
+      reject(signal.reason);
+      return;
+    }
+
+    const timer = setTimeout(() => {
+      if (signal) {
+        signal.removeEventListener("abort", onAbort);
+      }
+      resolve();
+    }, ms);
+    const onAbort = () => {
+      clearTimeout(timer);
+      reject(signal.reason);
+    };
+
+    if (signal) {
+      signal.addEventListener("abort", onAbort, { once: true });
+    }
+  });
+}
+
+/**
+ * Очередь асинхронных задач с ограничением параллельности и приоритетами.
+ * Задачи с большим приоритетом запускаются раньше, при равном - по порядку
+ * добавления. Эксклюзивная задача ждет завершения всех запущенных и
+ * выполняется одна (так Invoker выполняет undo/redo).
+ */
+class CommandQueue {
+  /**
+   * @param {Object} [options]
+   * @param {number} [options.concurrency] - Сколько задач выполняется одновременно
+   */
+  constructor({ concurrency = 1 } = {}) {
+    if (!(concurrency >= 1)) {
+      throw new Error("Параллельность очереди должна быть не меньше 1");
+    }
+
+    this.concurrency = concurrency;
+    this.pending = [];
+    this.running = 0;
+    this.exclusiveRunning = false;
+    this.sequence = 0;
+    this.idleWaiters = [];
+  }
+
+  /**
+   * Добавляет задачу в очередь
+   * @param {Function} task - () => результат или Promise
+   * @param {Object} [options]
+   * @param {number} [options.priority] - Приоритет (по умолчанию 0)
+   * @param {boolean} [options.exclusive] - Выполнять без других задач
+   * @param {AbortSignal} [options.signal] - Снимает задачу, пока она не запущена
+   * @returns {Promise<*>} Результат задачи
+   */
+  add(task, { priority = 0, exclusive = false, signal } = {}) {
+    return new Promise((resolve, reject) => {
+      if (signal && signal.aborted) {
+        reject(signal.reason);
+        return;
+      }
+
+      const entry = {
+        task,
+        priority,
+        exclusive,
+        order: this.sequence++,
+        resolve,
+        reject,
+      };
+
+      if (signal) {
+        entry.onAbort = () => {
+          const index = this.pending.indexOf(entry);
+          if (index !== -1) {
+            this.pending.splice(index, 1);
+            reject(signal.reason);
+            this.notifyIdle();
+          }
+        };
+        entry.signal = signal;
+        signal.addEventListener("abort", entry.onAbort, { once: true });
+      }
+
+      this.pending.push(entry);
+      this.pending.sort((a, b) => b.priority - a.priority || a.order - b.order);
+      this.pump();
+    });
+  }
+
+  pump() {
+    while (this.pending.length > 0 && !this.exclusiveRunning) {
+      const next = this.pending[0];
+
+      if (next.exclusive ? this.running > 0 : this.running >= this.concurrency) {
+        return;
+      }
+
+      this.pending.shift();
+      if (next.signal) {
+        next.signal.removeEventListener("abort", next.onAbort);
+      }
+      this.start(next);
+    }
+  }
+
+  start(entry) {
+    this.running++;
+    this.exclusiveRunning = entry.exclusive;
+
+    Promise.resolve()
+      .then(entry.task)
+      .then(entry.resolve, entry.reject)
+      .finally(() => {
+        this.running--;
+        this.exclusiveRunning = false;
+        this.pump();
+        this.notifyIdle();
+      });
+  }
+
+  notifyIdle() {
+    if (this.running === 0 && this.pending.length === 0) {
+      this.idleWaiters.splice(0).forEach((resolve) => resolve());
+    }
+  }
+
+  /**
+   * Ждет, пока очередь опустеет и все задачи завершатся
+   * @returns {Promise<void>}
+   */
+  onIdle() {
+    if (this.running === 0 && this.pending.length === 0) {
+      return Promise.resolve();
+    }
+    return new Promise((resolve) => this.idleWaiters.push(resolve));
+  }
+
+  /**
+   * Количество задач, ожидающих запуска
+   * @returns {number}
+   */
+  size() {
+    return this.pending.length;
+  }
+}
+
 /**
  * Вызыватель команды
- * Хранит команду и вызывает её выполнение
+ * Хранит очередь команд и историю выполненных (CommandHistory).
+ * Асинхронные команды выполняются через execute() в очереди CommandQueue:
+ * в историю они попадают в порядке завершения, то есть в том порядке,
+ * в котором их изменения применились, поэтому undo откатывает их
+ * в обратном порядке, даже если команды завершились не в порядке запуска.
  */
 class Invoker {
-  constructor() {
+  /**
+   * @param {Object} [options]
+   * @param {number} [options.maxHistory] - Максимальное количество шагов отмены
+   * @param {number} [options.maxHistoryNodes] - Максимум шагов во всех ветках истории
+   * @param {number} [options.concurrency] - Сколько асинхронных команд выполняется одновременно
+   * @param {number} [options.mergeWindow] - Окно объединения команд в один шаг отмены, мс
+   */
+  constructor({
+    maxHistory = Infinity,
+    maxHistoryNodes = maxHistory * 10,
+    concurrency = 1,
+    mergeWindow = 1000,
+  } = {}) {
     this.commands = [];
-    this.executedCommands = [];
-    this.undoneCommands = [];
+    this.history = new CommandHistory({
+      maxDepth: maxHistory,
+      maxNodes: maxHistoryNodes,
+      mergeWindow,
+    });
+    this.queue = new CommandQueue({ concurrency });
+    // Проверки команды до выполнения: (command) => void, бросают ошибку
+    this.preconditions = [];
+  }
+
+  /**
+   * Добавляет проверку, которую команда должна пройти до выполнения.
+   * Так журнал отклоняет команду, которую не сможет записать, раньше,
+   * чем она изменит получателя и попадет в историю
+   * @param {Function} check - (command) => void, бросает ошибку
+   * @returns {Function} Удаление проверки
+   */
+  addPrecondition(check) {
+    this.preconditions.push(check);
+    return () => {
+      this.preconditions = this.preconditions.filter((item) => item !== check);
+    };
+  }
+
+  checkPreconditions(command) {
+    this.preconditions.forEach((check) => check(command));
+  }
+
+  /**
+   * Выполняет команду (в том числе асинхронную) через очередь
+   * @param {Command} command - Команда
+   * @param {Object} [options]
+   * @param {AbortSignal} [options.signal] - Отмена команды
+   * @param {number} [options.timeout] - Максимальное время выполнения, мс.
+   *   По таймауту промис отклоняется сразу, но место в очереди освобождается,
+   *   только когда команда действительно завершится: команда, которая не
+   *   слушает signal, занимает его до конца своей работы
+   * @param {number} [options.priority] - Приоритет в очереди
+   * @returns {Promise<*>} Результат команды
+   */
+  execute(command, { signal, timeout, priority = 0 } = {}) {
+    return new Promise((resolve, reject) => {
+      this.checkPreconditions(command);
+      this.queue
+        .add(
+          () => {
+            const { outcome, settled } = this.runCommand(command, {
+              signal,
+              timeout,
+            });
+            outcome.then(resolve, reject);
+            return settled;
+          },
+          { priority, signal }
+        )
+        .catch(reject);
+    });
+  }
+
+  /**
+   * Запускает команду с отменой и таймаутом.
+   * outcome - результат для вызывающего: отклоняется сразу при отмене.
+   * settled - момент, когда команда действительно закончила работу: если
+   * команда не поддерживает сигнал и завершилась уже после отмены, ее
+   * изменения откатываются. Место в очереди освобождается только после settled
+   * @returns {{outcome: Promise, settled: Promise}}
+   */
+  runCommand(command, { signal, timeout }) {
+    const controller = new AbortController();
+    const forwardAbort = () => controller.abort(signal.reason);
+    const timer =
+      timeout === undefined
+        ? null
+        : setTimeout(
+            () =>
+              controller.abort(
+                createTimeoutError(
+                  `Команда ${command.getName()} не уложилась в ${timeout} мс`
+                )
+              ),
+            timeout
+          );
+
+    if (signal) {
+      signal.addEventListener("abort", forwardAbort, { once: true });
+      if (signal.aborted) {
+        forwardAbort();
+      }
+    }
+
+    const aborted = new Promise((_, reject) => {
+      controller.signal.addEventListener(
+        "abort",
+        () => reject(controller.signal.reason),
+        { once: true }
+      );
+    });
+    // Отклонение без отмены никто не ждет - гасим, чтобы не было unhandledRejection
+    aborted.catch(() => {});
+
+    const execution = Promise.resolve().then(() =>
+      command.execute({ signal: controller.signal })
+    );
+
+    const outcome = Promise.race([execution, aborted])
+      .then((result) => {
+        this.recordExecuted(command);
+        return result;
+      })
+      .finally(() => {
+        clearTimeout(timer);
+        if (signal) {
+          signal.removeEventListener("abort", forwardAbort);
+        }
+      });
+
+    const settled = outcome.then(
+      () => {},
+      () => {
+        if (!controller.signal.aborted) {
+          return;
+        }
+        return execution.then(
+          async () => {
+            console.log(
+              `Команда ${command.getName()} завершилась после отмены, откатываем`
+            );
+            await command.undo();
+          },
+          () => {}
+        );
+      }
+    );
+
+    return { outcome, settled };
+  }
+
+  /**
+   * Выполняет все команды из очереди setCommand через execute()
+   * @param {Object} [options] - { signal, timeout, priority } для каждой команды
+   * @returns {Promise<Array>} Результаты в формате Promise.allSettled
+   */
+  executeAllCommandsAsync(options = {}) {
+    const commands = this.commands.splice(0);
+    console.log(`Запускаем ${commands.length} команд асинхронно`);
+    return Promise.allSettled(
+      commands.map((command) => this.execute(command, options))
+    );
+  }
+
+  /**
+   * Отменяет последнюю команду после завершения уже запущенных,
+   * раньше команд, ожидающих в очереди
+   * @returns {Promise<Command|null>}
+   */
+  undoAsync() {
+    return this.queue.add(
+      async () => {
+        const command = await this.history.undoAsync();
+        console.log(
+          command
+            ? `Команда ${command.getName()} отменена`
+            : "Нет команд для отмены"
+        );
+        return command;
+      },
+      { priority: Infinity, exclusive: true }
+    );
+  }
+
+  /**
+   * Повторяет отмененную команду после завершения уже запущенных
+   * @param {number} [branch] - Номер ветки истории
+   * @returns {Promise<Command|null>}
+   */
+  redoAsync(branch) {
+    return this.queue.add(
+      async () => {
+        const command = await this.history.redoAsync(branch);
+        console.log(
+          command
+            ? `Команда ${command.getName()} повторена`
+            : "Нет команд для повтора"
+        );
+        return command;
+      },
+      { priority: Infinity, exclusive: true }
+    );
+  }
+
+  /**
+   * Ждет завершения всех асинхронных команд
+   * @returns {Promise<void>}
+   */
+  onIdle() {
+    return this.queue.onIdle();
   }
 
   /**
@@ -149,7 +1037,10 @@ class Invoker {
   }
 
   /**
-   * Выполняет команду
+   * Выполняет команду. Если команда оказалась асинхронной, возвращает
+   * Promise: в историю она попадает только после успешного завершения,
+   * а ошибка передается вызывающему
+   * @returns {undefined|Promise<void>}
    */
   executeCommand() {
     if (this.commands.length === 0) {
@@ -158,53 +1049,135 @@ class Invoker {
     }
 
     const command = this.commands.shift();
-    command.execute();
-    this.executedCommands.push(command);
-
-    // Очищаем стек отмены при выполнении новой команды
-    this.undoneCommands = [];
+    this.checkPreconditions(command);
+    return afterResult(
+      () => command.execute(),
+      () => this.recordExecuted(command),
+      rethrow
+    );
+  }
 
-    console.log(`Команда ${command.getName()} выполнена`);
+  /**
+   * Добавляет выполненную команду в историю. Перед этим история спрашивает
+   * у команды canMergeWith(предыдущая): набор текста по буквам становится
+   * одним шагом отмены. Отмененные команды не теряются: новая команда
+   * открывает новую ветку истории
+   * @param {Command} command - Выполненная команда
+   */
+  recordExecuted(command) {
+    if (this.history.push(command)) {
+      console.log(
+        `Команда ${command.getName()} выполнена и объединена с предыдущей`
+      );
+    } else {
+      console.log(`Команда ${command.getName()} выполнена`);
+    }
   }
 
   /**
-   * Выполняет все команды в очереди
+   * Выполняет все команды в очереди по одной, дожидаясь асинхронных
+   * @returns {undefined|Promise<void>}
    */
   executeAllCommands() {
     console.log(`Выполняем ${this.commands.length} команд`);
-    while (this.commands.length > 0) {
-      this.executeCommand();
-    }
+    return runInOrder([...this.commands], () => this.executeCommand());
   }
 
   /**
    * Отменяет последнюю выполненную команду
+   * @returns {Command|null|Promise<Command|null>}
    */
   undo() {
-    if (this.executedCommands.length === 0) {
-      console.log("Нет команд для отмены");
-      return;
-    }
-
-    const command = this.executedCommands.pop();
-    command.undo();
-    this.undoneCommands.push(command);
-    console.log(`Команда ${command.getName()} отменена`);
+    return afterResult(
+      () => this.history.undo(),
+      (command) => {
+        console.log(
+          command
+            ? `Команда ${command.getName()} отменена`
+            : "Нет команд для отмены"
+        );
+        return command;
+      },
+      rethrow
+    );
   }
 
   /**
    * Повторяет последнюю отмененную команду
+   * @param {number} [branch] - Номер ветки истории (см. getBranches)
+   * @returns {Command|null|Promise<Command|null>}
    */
-  redo() {
-    if (this.undoneCommands.length === 0) {
-      console.log("Нет команд для повтора");
-      return;
-    }
+  redo(branch) {
+    return afterResult(
+      () => this.history.redo(branch),
+      (command) => {
+        console.log(
+          command
+            ? `Команда ${command.getName()} повторена`
+            : "Нет команд для повтора"
+        );
+        return command;
+      },
+      rethrow
+    );
+  }
+
+  /**
+   * Запоминает текущую позицию истории
+   * @param {string} name - Имя контрольной точки
+   */
+  checkpoint(name) {
+    this.history.checkpoint(name);
+    console.log(`Контрольная точка "${name}" сохранена`);
+  }
+
+  /**
+   * Возвращает состояние к контрольной точке
+   * @param {string} name - Имя контрольной точки
+   */
+  undoTo(name) {
+    return afterResult(
+      () => this.history.undoTo(name),
+      ({ undone, redone }) => {
+        console.log(
+          `Переход к точке "${name}": отменено ${undone}, повторено ${redone}`
+        );
+      },
+      rethrow
+    );
+  }
+
+  /**
+   * @returns {boolean}
+   */
+  canUndo() {
+    return this.history.canUndo();
+  }
+
+  /**
+   * @returns {boolean}
+   */
+  canRedo() {
+    return this.history.canRedo();
+  }
+
+  /**
+   * Ветки истории из текущей позиции
+   * @returns {Array}
+   */
+  getBranches() {
+    return this.history.getBranches();
+  }
 
-    const command = this.undoneCommands.pop();
-    command.execute();
-    this.executedCommands.push(command);
-    console.log(`Команда ${command.getName()} повторена`);
+  /**
+   * Подписка на изменения истории ("change")
+   * @param {string} event - Название события
+   * @param {Function} listener - Обработчик
+   * @returns {Invoker}
+   */
+  on(event, listener) {
+    this.history.on(event, listener);
+    return this;
   }
 
   /**
@@ -216,19 +1189,19 @@ class Invoker {
   }
 
   /**
-   * Возвращает количество выполненных команд
+   * Возвращает количество выполненных команд, доступных для отмены
    * @returns {number}
    */
   getExecutedCount() {
-    return this.executedCommands.length;
+    return this.history.getUndoDepth();
   }
 
   /**
-   * Возвращает количество отмененных команд
+   * Возвращает количество отмененных команд, доступных для повтора
    * @returns {number}
    */
   getUndoneCount() {
-    return this.undoneCommands.length;
+    return this.history.getRedoDepth();
   }
 }
 
@@ -259,6 +1232,10 @@ class IncrementCommand extends Command {
       );
     }
   }
+
+  getArgs() {
+    return [];
+  }
 }
 
 /**
@@ -286,6 +1263,10 @@ class DecrementCommand extends Command {
       );
     }
   }
+
+  getArgs() {
+    return [];
+  }
 }
 
 /**
@@ -314,51 +1295,53 @@ class SetStateCommand extends Command {
       );
     }
   }
-}
-
-// ===== ПРИМЕР ИСПОЛЬЗОВАНИЯ =====
-
-console.log("=== БАЗОВЫЙ ПРИМЕР COMMAND ===");
-
-// Создаем получателя
-const receiver = new Receiver("Основной получатель");
-
-// Создаем команды
-const incrementCmd = new IncrementCommand(receiver);
-const decrementCmd = new DecrementCommand(receiver);
-const setStateCmd = new SetStateCommand(receiver, 10);
-
-// Создаем вызывателя
-const invoker = new Invoker();
 
-// Добавляем команды в очередь
-invoker.setCommand(incrementCmd);
-invoker.setCommand(incrementCmd);
-invoker.setCommand(setStateCmd);
-invoker.setCommand(decrementCmd);
-
-console.log(`Размер очереди: ${invoker.getQueueSize()}`);
-
-// Выполняем команды
-invoker.executeCommand();
-invoker.executeCommand();
-invoker.executeCommand();
-invoker.executeCommand();
-
-console.log(`Текущее состояние: ${receiver.getState()}`);
-console.log(`Выполнено команд: ${invoker.getExecutedCount()}`);
+  getArgs() {
+    return [this.newState];
+  }
+}
 
-// Отменяем команды
-invoker.undo();
-invoker.undo();
+/**
+ * Асинхронная команда установки состояния, например сохранение
+ * на удаленном сервисе: изменение применяется после задержки
+ */
+class DelayedSetStateCommand extends Command {
+  /**
+   * @param {Receiver} receiver - Получатель
+   * @param {number} newState - Новое значение
+   * @param {number} latency - Задержка, мс
+   * @param {Object} [options]
+   * @param {boolean} [options.cancellable] - Реагирует ли команда на сигнал отмены
+   */
+  constructor(receiver, newState, latency, { cancellable = true } = {}) {
+    super();
+    this.receiver = receiver;
+    this.newState = newState;
+    this.latency = latency;
+    this.cancellable = cancellable;
+    this.previousState = null;
+  }
 
-console.log(`Текущее состояние: ${receiver.getState()}`);
+  async execute({ signal } = {}) {
+    await delay(this.latency, this.cancellable ? signal : undefined);
+    this.previousState = this.receiver.getState();
+    return this.receiver.setState(this.newState);
+  }
 
-// Повторяем команды
-invoker.redo();
-invoker.redo();
+  async undo() {
+    if (this.previousState !== null) {
+      await delay(this.latency / 2);
+      this.receiver.setState(this.previousState);
+      console.log(
+        `[${this.getName()}] Отменено: ${this.newState} → ${this.previousState}`
+      );
+    }
+  }
 
-console.log(`Текущее состояние: ${receiver.getState()}`);
+  getArgs() {
+    return [this.newState, this.latency, { cancellable: this.cancellable }];
+  }
+}
 
 // ===== ПРАКТИЧЕСКИЙ ПРИМЕР - РЕДАКТОР ТЕКСТА =====
 
@@ -515,6 +1498,35 @@ class InsertTextCommand extends Command {
       console.log(`[${this.getName()}] Отменено вставление текста`);
     }
   }
+
+
+  /**
+   * Вставка сразу после предыдущей вставки объединяется с ней.
+   * Новое слово (не пробел после пробела) начинает новый шаг отмены
+   */
+  canMergeWith(previous) {
+    return (
+      previous instanceof InsertTextCommand &&
+      previous.editor === this.editor &&
+      previous.previousState !== null &&
+      this.previousState !== null &&
+      this.previousState.cursorPosition ===
+        previous.previousState.cursorPosition + previous.text.length &&
+      !(/\s$/.test(previous.text) && /^\S/.test(this.text))
+    );
+  }
+
+  mergeWith(next) {
+    this.text += next.text;
+  }
+
+  getArgs() {
+    return [this.text];
+  }
+
+  getReceiver() {
+    return this.editor;
+  }
 }
 
 /**
@@ -543,6 +1555,32 @@ class DeleteTextCommand extends Command {
       console.log(`[${this.getName()}] Отменено удаление текста`);
     }
   }
+
+
+  /**
+   * Удаления подряд в одной позиции курсора (клавиша Delete) объединяются
+   */
+  canMergeWith(previous) {
+    return (
+      previous instanceof DeleteTextCommand &&
+      previous.editor === this.editor &&
+      previous.previousState !== null &&
+      this.previousState !== null &&
+      this.previousState.cursorPosition === previous.previousState.cursorPosition
+    );
+  }
+
+  mergeWith(next) {
+    this.count += next.count;
+  }
+
+  getArgs() {
+    return [this.count];
+  }
+
+  getReceiver() {
+    return this.editor;
+  }
 }
 
 /**
@@ -567,52 +1605,48 @@ class MoveCursorCommand extends Command {
       console.log(`[${this.getName()}] Отменено перемещение курсора`);
     }
   }
-}
-
-console.log("\n=== ПРАКТИЧЕСКИЙ ПРИМЕР - РЕДАКТОР ТЕКСТА ===");
-
-// Создаем текстовый редактор
-const textEditor = new TextEditor();
 
-// Создаем команды
-const insertHelloCmd = new InsertTextCommand(textEditor, "Hello");
-const insertWorldCmd = new InsertTextCommand(textEditor, " World!");
-const moveCursorCmd = new MoveCursorCommand(textEditor, 5);
-const deleteTextCmd = new DeleteTextCommand(textEditor, 6);
 
-// Создаем вызывателя
-const editorInvoker = new Invoker();
-
-// Добавляем команды в очередь
-editorInvoker.setCommand(insertHelloCmd);
-editorInvoker.setCommand(insertWorldCmd);
-editorInvoker.setCommand(moveCursorCmd);
-editorInvoker.setCommand(deleteTextCmd);
-
-// Выполняем все команды
-editorInvoker.executeAllCommands();
+  /**
+   * Перемещения курсора подряд объединяются: отмена возвращает
+   * курсор в позицию до первого перемещения
+   */
+  canMergeWith(previous) {
+    return (
+      previous instanceof MoveCursorCommand && previous.editor === this.editor
+    );
+  }
 
-console.log(`\nФинальное содержимое: "${textEditor.getContent()}"`);
-console.log(`Позиция курсора: ${textEditor.getCursorPosition()}`);
+  mergeWith(next) {
+    this.position = next.position;
+  }
 
-// Отменяем последние изменения
-editorInvoker.undo();
-editorInvoker.undo();
+  getArgs() {
+    return [this.position];
+  }
 
-console.log(`\nПосле отмены: "${textEditor.getContent()}"`);
-console.log(`Позиция курсора: ${textEditor.getCursorPosition()}`);
+  getReceiver() {
+    return this.editor;
+  }
+}
 
 // ===== ПРИМЕР С МАКРОКОМАНДАМИ =====
 
 /**
- * Макрокоманда - выполняет несколько команд как одну
+ * Макрокоманда - выполняет несколько команд как одну.
+ * Выполнение транзакционное: если одна из команд падает, уже выполненные
+ * отменяются в обратном порядке, и макрокоманда не оставляет следов.
+ * Вложенные макрокоманды откатывают себя сами, а внешняя откатывает
+ * только те команды, которые успели выполниться.
+ * Асинхронные команды дожидаются по очереди: если хотя бы одна команда
+ * вернула Promise, execute/undo тоже возвращают Promise.
  */
 class MacroCommand extends Command {
   constructor(name = "MacroCommand") {
     super();
     this.name = name;
     this.commands = [];
-    this.executedStates = [];
+    this.executedCommands = [];
   }
 
   /**
@@ -624,40 +1658,119 @@ class MacroCommand extends Command {
   }
 
   /**
-   * Выполняет все команды в макрокоманде
+   * Выполняет все команды в макрокоманде.
+   * При ошибке откатывает выполненные команды и пробрасывает исходную ошибку;
+   * если откат тоже не удался - AggregateError с исходной ошибкой
+   * и ошибками отката (cause - исходная ошибка)
+   * @param {Object} [options] - Передаются каждой команде
+   * @returns {undefined|Promise<void>} Promise, если среди команд есть асинхронные
    */
-  execute() {
-    this.executedStates = [];
+  execute(options) {
+    this.executedCommands = [];
 
     console.log(
       `[${this.name}] Выполняем макрокоманду из ${this.commands.length} команд`
     );
 
-    for (const command of this.commands) {
-      // Сохраняем состояние перед выполнением каждой команды
-      this.executedStates.push({
-        command: command,
-        state: command.receiver ? command.receiver.getState() : null,
-      });
+    const step = (command) =>
+      afterResult(
+        () => command.execute(options),
+        () => {
+          this.executedCommands.push(command);
+        },
+        (error) => {
+          console.log(
+            `[${this.name}] Команда ${command.getName()} завершилась ошибкой: ${
+              error.message
+            }`
+          );
+          throw error;
+        }
+      );
 
-      command.execute();
-    }
+    return afterResult(
+      () => runInOrder(this.commands, step),
+      () => console.log(`[${this.name}] Макрокоманда выполнена`),
+      (error) => this.rollback(error)
+    );
+  }
+
+  /**
+   * Отменяет выполненные команды в обратном порядке после ошибки
+   * @param {Error} error - Исходная ошибка
+   * @returns {Promise<never>|never} Всегда завершается ошибкой
+   */
+  rollback(error) {
+    console.log(
+      `[${this.name}] Откатываем ${this.executedCommands.length} выполненных команд`
+    );
+
+    return afterResult(
+      () => this.undoExecuted(),
+      (rollbackErrors) => {
+        if (rollbackErrors.length > 0) {
+          throw new AggregateError(
+            [error, ...rollbackErrors],
+            `[${this.name}] ${error.message}; откат не удался для ${rollbackErrors.length} команд`,
+            { cause: error }
+          );
+        }
+        throw error;
+      },
+      rethrow
+    );
+  }
+
+  /**
+   * Отменяет выполненные команды в обратном порядке. Ошибка отмены одной
+   * команды не останавливает отмену остальных; команды, которые не удалось
+   * отменить, остаются в executedCommands
+   * @returns {Error[]|Promise<Error[]>} Ошибки отмены
+   */
+  undoExecuted() {
+    const errors = [];
+    const step = (command) =>
+      afterResult(
+        () => command.undo(),
+        () => {
+          this.executedCommands = this.executedCommands.filter(
+            (executed) => executed !== command
+          );
+        },
+        (error) => {
+          errors.push(error);
+        }
+      );
 
-    console.log(`[${this.name}] Макрокоманда выполнена`);
+    return afterResult(
+      () => runInOrder([...this.executedCommands].reverse(), step),
+      () => errors,
+      rethrow
+    );
   }
 
   /**
-   * Отменяет все команды в макрокоманде в обратном порядке
+   * Отменяет выполненные команды в обратном порядке.
+   * Если часть команд не отменилась - AggregateError с их ошибками
+   * @returns {undefined|Promise<void>}
    */
   undo() {
     console.log(`[${this.name}] Отменяем макрокоманду`);
 
-    // Отменяем команды в обратном порядке
-    for (let i = this.commands.length - 1; i >= 0; i--) {
-      this.commands[i].undo();
-    }
-
-    console.log(`[${this.name}] Макрокоманда отменена`);
+    // Отменяем только то, что действительно выполнилось
+    return afterResult(
+      () => this.undoExecuted(),
+      (errors) => {
+        if (errors.length > 0) {
+          throw new AggregateError(
+            errors,
+            `[${this.name}] Не удалось отменить ${errors.length} команд`
+          );
+        }
+        console.log(`[${this.name}] Макрокоманда отменена`);
+      },
+      rethrow
+    );
   }
 
   /**
@@ -667,28 +1780,15 @@ class MacroCommand extends Command {
   getCommandCount() {
     return this.commands.length;
   }
-}
-
-console.log("\n=== ПРИМЕР С МАКРОКОМАНДАМИ ===");
 
-// Создаем макрокоманду для инициализации
-const initMacro = new MacroCommand("Инициализация");
-
-// Добавляем команды в макрокоманду
-initMacro.addCommand(new SetStateCommand(receiver, 0));
-initMacro.addCommand(new IncrementCommand(receiver));
-initMacro.addCommand(new IncrementCommand(receiver));
-initMacro.addCommand(new IncrementCommand(receiver));
-
-// Выполняем макрокоманду
-initMacro.execute();
-
-console.log(`Состояние после макрокоманды: ${receiver.getState()}`);
-
-// Отменяем макрокоманду
-initMacro.undo();
+  getArgs(serialize) {
+    return [this.name, this.commands.map(serialize)];
+  }
 
-console.log(`Состояние после отмены макрокоманды: ${receiver.getState()}`);
+  getReceiver() {
+    return null;
+  }
+}
 
 // ===== ПРИМЕР С ЛОГИРОВАНИЕМ КОМАНД =====
 
@@ -756,34 +1856,685 @@ class SimpleLogger {
   }
 }
 
-console.log("\n=== ПРИМЕР С ЛОГИРОВАНИЕМ ===");
+// ===== СЕРИАЛИЗАЦИЯ И ЖУРНАЛ КОМАНД =====
+
+/**
+ * Реестр для сериализации команд.
+ * Формат команды: { type, receiver, args, metadata }, где receiver - id
+ * получателя в реестре, args - аргументы конструктора (JSON), metadata -
+ * id команды, время создания и произвольные поля вызывающего.
+ */
+class CommandRegistry {
+  constructor() {
+    this.factories = new Map();
+    this.receivers = new Map();
+    this.receiverIds = new Map();
+  }
+
+  /**
+   * Регистрирует тип команды
+   * @param {Function} CommandClass - Класс команды
+   * @param {Function} [create] - (receiver, args, deserialize) => команда
+   * @returns {CommandRegistry}
+   */
+  registerCommand(
+    CommandClass,
+    create = (receiver, args) => new CommandClass(receiver, ...args)
+  ) {
+    this.factories.set(CommandClass.name, create);
+    return this;
+  }
+
+  /**
+   * Регистрирует получателя под постоянным id. После перезапуска
+   * под тем же id регистрируется новый экземпляр получателя
+   * @param {string} id - Идентификатор
+   * @param {Object} receiver - Получатель
+   * @returns {CommandRegistry}
+   */
+  registerReceiver(id, receiver) {
+    this.receivers.set(id, receiver);
+    this.receiverIds.set(receiver, id);
+    return this;
+  }
+
+  getReceiver(id) {
+    if (!this.receivers.has(id)) {
+      throw new Error(`Получатель не зарегистрирован: ${id}`);
+    }
+    return this.receivers.get(id);
+  }
+
+  /**
+   * Сериализует команду
+   * @param {Command} command - Команда
+   * @param {Object} [metadata] - Дополнительные метаданные (автор, причина)
+   * @returns {Object} { type, receiver, args, metadata }
+   */
+  serialize(command, metadata = {}) {
+    const type = command.getName();
+    if (!this.factories.has(type)) {
+      throw new Error(`Тип команды не зарегистрирован: ${type}`);
+    }
+
+    const receiver = command.getReceiver();
+    if (receiver && !this.receiverIds.has(receiver)) {
+      throw new Error(`Получатель команды ${type} не зарегистрирован`);
+    }
+
+    return {
+      type,
+      receiver: receiver ? this.receiverIds.get(receiver) : null,
+      args: command.getArgs((child) => this.serialize(child)),
+      metadata: {
+        id: crypto.randomUUID(),
+        createdAt: new Date().toISOString(),
+        ...command.metadata,
+        ...metadata,
+      },
+    };
+  }
+
+  /**
+   * Восстанавливает команду
+   * @param {Object} record - Результат serialize
+   * @returns {Command}
+   */
+  deserialize(record) {
+    const create = this.factories.get(record.type);
+    if (!create) {
+      throw new Error(`Тип команды не зарегистрирован: ${record.type}`);
+    }
+
+    const receiver =
+      record.receiver === null ? null : this.getReceiver(record.receiver);
+    const command = create(receiver, record.args, (child) =>
+      this.deserialize(child)
+    );
+    command.metadata = record.metadata;
+    return command;
+  }
+}
+
+/**
+ * Реестр со всеми командами этого модуля
+ * @returns {CommandRegistry}
+ */
+function createCommandRegistry() {
+  return new CommandRegistry()
+    .registerCommand(IncrementCommand)
+    .registerCommand(DecrementCommand)
+    .registerCommand(SetStateCommand)
+    .registerCommand(DelayedSetStateCommand)
+    .registerCommand(InsertTextCommand)
+    .registerCommand(DeleteTextCommand)
+    .registerCommand(MoveCursorCommand)
+    .registerCommand(MacroCommand, (receiver, [name, children], deserialize) => {
+      const macro = new MacroCommand(name);
+      children.forEach((child) => macro.addCommand(deserialize(child)));
+      return macro;
+    });
+}
+
+/**
+ * Журнал истории Invoker: каждое изменение истории (execute, merge, undo,
+ * redo, checkpoint, undoTo) записывается в хранилище событий из 03-observer.js.
+ * replay() выполняет записи заново и восстанавливает и состояние
+ * получателей, и дерево истории - после перезапуска undo продолжает работать.
+ */
+class CommandJournal {
+  /**
+   * @param {Object} options
+   * @param {EventStore} options.store - Хранилище (JsonLinesEventStore, MemoryEventStore)
+   * @param {CommandRegistry} options.registry - Реестр команд и получателей
+   */
+  constructor({ store, registry }) {
+    this.store = store;
+    this.registry = registry;
+    this.replaying = false;
+  }
+
+  /**
+   * Начинает записывать историю вызывателя. Команду, которую нельзя
+   * сериализовать (например, с незарегистрированным получателем),
+   * вызыватель отклоняет до выполнения, чтобы журнал не разошелся с историей
+   * @param {Invoker} invoker - Вызыватель
+   * @returns {Function} Отписка
+   */
+  attach(invoker) {
+    const listener = ({ type, command, branch, name }) => {
+      if (this.replaying) {
+        return;
+      }
+
+      switch (type) {
+        case "execute":
+        case "merge":
+          this.store.append(type, this.registry.serialize(command));
+          break;
+        case "redo":
+          this.store.append(type, { branch: branch ?? null });
+          break;
+        case "checkpoint":
+        case "undoTo":
+          this.store.append(type, { name });
+          break;
+        default:
+          this.store.append(type);
+      }
+    };
+
+    const removePrecondition = invoker.addPrecondition((command) =>
+      this.registry.serialize(command)
+    );
+    invoker.on("change", listener);
+    return () => {
+      removePrecondition();
+      invoker.history.off("change", listener);
+    };
+  }
+
+  /**
+   * Воспроизводит журнал на новом вызывателе
+   * @param {Invoker} invoker - Вызыватель с пустой историей
+   * @returns {Promise<number>} Количество воспроизведенных записей
+   */
+  async replay(invoker) {
+    const records = this.store.readAll();
+    const { history } = invoker;
+
+    this.replaying = true;
+    try {
+      for (const { event, data } of records) {
+        switch (event) {
+          case "execute":
+          case "merge": {
+            // Решение об объединении берется из журнала, а не из времени воспроизведения
+            const command = this.registry.deserialize(data);
+            await command.execute();
+            history.push(command, { merge: event === "merge" });
+            break;
+          }
+          case "undo":
+            await history.undoAsync();
+            break;
+          case "redo":
+            await history.redoAsync(data.branch ?? undefined);
+            break;
+          case "checkpoint":
+            history.checkpoint(data.name);
+            break;
+          case "undoTo":
+            await history.undoTo(data.name);
+            break;
+          default:
+            throw new Error(`Неизвестная запись журнала команд: ${event}`);
+        }
+      }
+    } finally {
+      this.replaying = false;
+    }
+
+    console.log(`[CommandJournal] Воспроизведено записей: ${records.length}`);
+    return records.length;
+  }
+}
+
+// ===== ПРИМЕР ИСПОЛЬЗОВАНИЯ =====
+
+/**
+ * Запускает демонстрацию паттерна.
+ * Вызывается только при прямом запуске файла: node 05-command.js
+ */
+async function runDemo() {
+  console.log("=== БАЗОВЫЙ ПРИМЕР COMMAND ===");
+
+  // Создаем получателя
+  const receiver = new Receiver("Основной получатель");
+
+  // Создаем команды
+  const incrementCmd = new IncrementCommand(receiver);
+  const decrementCmd = new DecrementCommand(receiver);
+  const setStateCmd = new SetStateCommand(receiver, 10);
+
+  // Создаем вызывателя
+  const invoker = new Invoker();
+
+  // Добавляем команды в очередь
+  invoker.setCommand(incrementCmd);
+  invoker.setCommand(incrementCmd);
+  invoker.setCommand(setStateCmd);
+  invoker.setCommand(decrementCmd);
+
+  console.log(`Размер очереди: ${invoker.getQueueSize()}`);
+
+  // Выполняем команды
+  invoker.executeCommand();
+  invoker.executeCommand();
+  invoker.executeCommand();
+  invoker.executeCommand();
+
+  console.log(`Текущее состояние: ${receiver.getState()}`);
+  console.log(`Выполнено команд: ${invoker.getExecutedCount()}`);
 
-// Создаем логгер
-const logger = new SimpleLogger();
+  // Отменяем команды
+  invoker.undo();
+  invoker.undo();
 
-// Создаем команды с логированием
-const loggedIncrementCmd = new LoggingCommand(
-  new IncrementCommand(receiver),
-  logger
-);
-const loggedDecrementCmd = new LoggingCommand(
-  new DecrementCommand(receiver),
-  logger
-);
+  console.log(`Текущее состояние: ${receiver.getState()}`);
 
-// Выполняем команды с логированием
-loggedIncrementCmd.execute();
-loggedDecrementCmd.execute();
+  // Повторяем команды
+  invoker.redo();
+  invoker.redo();
 
-// Отменяем команды
-loggedIncrementCmd.undo();
-loggedDecrementCmd.undo();
+  console.log(`Текущее состояние: ${receiver.getState()}`);
 
-// Показываем логи
-console.log("\nЛоги выполнения:");
-logger.getLogs().forEach((log) => {
-  console.log(`${log.timestamp}: ${log.message}`);
-});
+  console.log("\n=== ИСТОРИЯ С ВЕТКАМИ И КОНТРОЛЬНЫМИ ТОЧКАМИ ===");
+
+  const counter = new Receiver("Счетчик");
+  const historyInvoker = new Invoker({ maxHistory: 5 });
+  const run = (command) => {
+    historyInvoker.setCommand(command);
+    historyInvoker.executeCommand();
+  };
+
+  // UI может включать и выключать кнопки отмены/повтора по событию
+  historyInvoker.on("change", ({ type, canUndo, canRedo, trimmed }) => {
+    console.log(
+      `[История] ${type}: undo ${canUndo ? "доступен" : "недоступен"}, ` +
+        `redo ${canRedo ? "доступен" : "недоступен"}` +
+        (trimmed ? `, зафиксировано шагов: ${trimmed}` : "")
+    );
+  });
+
+  run(new SetStateCommand(counter, 1));
+  historyInvoker.checkpoint("before-import");
+  run(new IncrementCommand(counter));
+  run(new IncrementCommand(counter));
+
+  // Отменяем шаг и идем другим путем: старая ветка сохраняется
+  historyInvoker.undo();
+  run(new SetStateCommand(counter, 100));
+  historyInvoker.undo();
+  console.log("Ветки:", historyInvoker.getBranches());
+  historyInvoker.redo(0);
+  console.log(`Состояние на первой ветке: ${counter.getState()}`);
+
+  historyInvoker.undoTo("before-import");
+  console.log(`Состояние в точке before-import: ${counter.getState()}`);
+
+  // Глубина отмены ограничена пятью шагами
+  for (let i = 0; i < 6; i++) {
+    run(new IncrementCommand(counter));
+  }
+  console.log(
+    `Доступно для отмены: ${historyInvoker.getExecutedCount()}, ` +
+      `точки: ${historyInvoker.history.getCheckpoints().join(", ") || "нет"}`
+  );
+
+  // Ветки тоже ограничены: в дереве не больше шести шагов, старые ветки удаляются
+  const branchyInvoker = new Invoker({ maxHistory: 3, maxHistoryNodes: 6 });
+  const branchy = new Receiver("Черновик");
+  branchyInvoker.setCommand(new SetStateCommand(branchy, 0));
+  branchyInvoker.executeCommand();
+  for (let i = 1; i <= 10; i++) {
+    branchyInvoker.setCommand(new SetStateCommand(branchy, i));
+    branchyInvoker.executeCommand();
+    branchyInvoker.undo();
+  }
+  console.log(`Веток после 10 попыток: ${branchyInvoker.getBranches().length}`);
+
+  console.log("\n=== АСИНХРОННЫЕ КОМАНДЫ ===");
+
+  const remote = new Receiver("Удаленный сервис");
+  const asyncInvoker = new Invoker({ concurrency: 2 });
+
+  // Вторая команда завершится раньше первой: в истории она окажется первой
+  await Promise.all([
+    asyncInvoker.execute(new DelayedSetStateCommand(remote, 1, 60)),
+    asyncInvoker.execute(new DelayedSetStateCommand(remote, 2, 20)),
+  ]);
+  console.log(`Состояние: ${remote.getState()}`);
+
+  // Отмена идет в обратном порядке применения изменений: 1 → 2 → 0
+  await asyncInvoker.undoAsync();
+  await asyncInvoker.undoAsync();
+  console.log(`Состояние после отмены: ${remote.getState()}`);
+
+  // Приоритеты: при одной свободной позиции срочная команда обгоняет очередь
+  const serialInvoker = new Invoker({ concurrency: 1 });
+  const order = [];
+  const track = (label, command, options) =>
+    serialInvoker.execute(command, options).then(() => order.push(label));
+  await Promise.all([
+    track("обычная 1", new DelayedSetStateCommand(remote, 10, 10)),
+    track("обычная 2", new DelayedSetStateCommand(remote, 20, 10)),
+    track("срочная", new DelayedSetStateCommand(remote, 30, 10), {
+      priority: 10,
+    }),
+  ]);
+  console.log(`Порядок выполнения: ${order.join(", ")}`);
+
+  // Таймаут
+  try {
+    await serialInvoker.execute(new DelayedSetStateCommand(remote, 40, 200), {
+      timeout: 50,
+    });
+  } catch (error) {
+    console.log(`${error.name}: ${error.message}`);
+  }
+
+  // Отмена через AbortController: запущенная и ожидающая в очереди команды
+  const controller = new AbortController();
+  const running = serialInvoker.execute(
+    new DelayedSetStateCommand(remote, 50, 100),
+    { signal: controller.signal }
+  );
+  const queued = serialInvoker.execute(
+    new DelayedSetStateCommand(remote, 60, 100),
+    { signal: controller.signal }
+  );
+  setTimeout(
+    () => controller.abort(new Error("Пользователь нажал «Отмена»")),
+    30
+  );
+  for (const result of await Promise.allSettled([running, queued])) {
+    console.log(`Отмена: ${result.reason.message}`);
+  }
+
+  // Команда без поддержки сигнала: по таймауту вызывающий получает ошибку сразу,
+  // а когда команда все же завершится, ее изменение будет откачено
+  await serialInvoker
+    .execute(
+      new DelayedSetStateCommand(remote, 70, 80, { cancellable: false }),
+      { timeout: 20 }
+    )
+    .catch((error) => console.log(`${error.name}: ${error.message}`));
+  await serialInvoker.onIdle();
+  console.log(`Состояние после всех отмен: ${remote.getState()}`);
+
+  // Синхронный путь с асинхронной командой: история меняется только после
+  // ее завершения, а undo дожидается асинхронной отмены
+  const plainInvoker = new Invoker();
+  plainInvoker.setCommand(new DelayedSetStateCommand(remote, 80, 10));
+  const pending = plainInvoker.executeCommand();
+  console.log(`Шагов до завершения: ${plainInvoker.getExecutedCount()}`);
+  await pending;
+  console.log(`Шагов после завершения: ${plainInvoker.getExecutedCount()}`);
+  await plainInvoker.undo();
+  console.log(`Состояние после отмены: ${remote.getState()}`);
+
+  console.log("\n=== ПРАКТИЧЕСКИЙ ПРИМЕР - РЕДАКТОР ТЕКСТА ===");
+
+  // Создаем текстовый редактор
+  const textEditor = new TextEditor();
+
+  // Создаем команды
+  const insertHelloCmd = new InsertTextCommand(textEditor, "Hello");
+  const insertWorldCmd = new InsertTextCommand(textEditor, " World!");
+  const moveCursorCmd = new MoveCursorCommand(textEditor, 5);
+  const deleteTextCmd = new DeleteTextCommand(textEditor, 6);
+
+  // Создаем вызывателя
+  const editorInvoker = new Invoker();
+
+  // Добавляем команды в очередь
+  editorInvoker.setCommand(insertHelloCmd);
+  editorInvoker.setCommand(insertWorldCmd);
+  editorInvoker.setCommand(moveCursorCmd);
+  editorInvoker.setCommand(deleteTextCmd);
+
+  // Выполняем все команды
+  editorInvoker.executeAllCommands();
+
+  console.log(`\nФинальное содержимое: "${textEditor.getContent()}"`);
+  console.log(`Позиция курсора: ${textEditor.getCursorPosition()}`);
+
+  // Отменяем последние изменения
+  editorInvoker.undo();
+  editorInvoker.undo();
+
+  console.log(`\nПосле отмены: "${textEditor.getContent()}"`);
+  console.log(`Позиция курсора: ${textEditor.getCursorPosition()}`);
+
+  console.log("\n=== ПРИМЕР С МАКРОКОМАНДАМИ ===");
+
+  // Создаем макрокоманду для инициализации
+  const initMacro = new MacroCommand("Инициализация");
+
+  // Добавляем команды в макрокоманду
+  initMacro.addCommand(new SetStateCommand(receiver, 0));
+  initMacro.addCommand(new IncrementCommand(receiver));
+  initMacro.addCommand(new IncrementCommand(receiver));
+  initMacro.addCommand(new IncrementCommand(receiver));
+
+  // Выполняем макрокоманду
+  initMacro.execute();
+
+  console.log(`Состояние после макрокоманды: ${receiver.getState()}`);
+
+  // Отменяем макрокоманду
+  initMacro.undo();
+
+  console.log(`Состояние после отмены макрокоманды: ${receiver.getState()}`);
+
+  // Команда, которая не может выполниться или отмениться
+  class FailingCommand extends Command {
+    constructor(message, { failOnUndo = false } = {}) {
+      super();
+      this.message = message;
+      this.failOnUndo = failOnUndo;
+    }
+
+    execute() {
+      if (!this.failOnUndo) {
+        throw new Error(this.message);
+      }
+    }
+
+    undo() {
+      throw new Error(this.message);
+    }
+  }
+
+  // Вложенная макрокоманда откатывается вместе с внешней
+  receiver.setState(1);
+  const importMacro = new MacroCommand("Импорт");
+  const normalizeMacro = new MacroCommand("Нормализация");
+  normalizeMacro.addCommand(new IncrementCommand(receiver));
+  normalizeMacro.addCommand(new IncrementCommand(receiver));
+  importMacro.addCommand(new SetStateCommand(receiver, 50));
+  importMacro.addCommand(normalizeMacro);
+  importMacro.addCommand(new FailingCommand("Сервис импорта недоступен"));
+
+  try {
+    importMacro.execute();
+  } catch (error) {
+    console.log(`Ошибка: ${error.message}`);
+  }
+  console.log(`Состояние после неудачного импорта: ${receiver.getState()}`);
+
+  // Ошибки отката сообщаются вместе с исходной ошибкой
+  const fragileMacro = new MacroCommand("Хрупкая");
+  fragileMacro.addCommand(
+    new FailingCommand("Журнал нельзя откатить", { failOnUndo: true })
+  );
+  fragileMacro.addCommand(new FailingCommand("Диск переполнен"));
+
+  try {
+    fragileMacro.execute();
+  } catch (error) {
+    console.log(`${error.name}: ${error.message}`);
+    error.errors.forEach((item) => console.log(`  - ${item.message}`));
+  }
+
+  // Асинхронные команды внутри макрокоманды дожидаются и откатываются так же
+  class AsyncFailingCommand extends Command {
+    async execute() {
+      await delay(5);
+      throw new Error("Платежный шлюз не ответил");
+    }
+
+    undo() {}
+  }
+
+  receiver.setState(1);
+  const asyncMacro = new MacroCommand("Асинхронная");
+  asyncMacro.addCommand(new DelayedSetStateCommand(receiver, 5, 10));
+  asyncMacro.addCommand(new AsyncFailingCommand());
+  await new Invoker()
+    .execute(asyncMacro)
+    .catch((error) => console.log(`Ошибка: ${error.message}`));
+  console.log(`Состояние после отката: ${receiver.getState()}`);
+
+  console.log("\n=== ПРИМЕР С ЛОГИРОВАНИЕМ ===");
+
+  // Создаем логгер
+  const logger = new SimpleLogger();
+
+  // Создаем команды с логированием
+  const loggedIncrementCmd = new LoggingCommand(
+    new IncrementCommand(receiver),
+    logger
+  );
+  const loggedDecrementCmd = new LoggingCommand(
+    new DecrementCommand(receiver),
+    logger
+  );
+
+  // Выполняем команды с логированием
+  loggedIncrementCmd.execute();
+  loggedDecrementCmd.execute();
+
+  // Отменяем команды
+  loggedIncrementCmd.undo();
+  loggedDecrementCmd.undo();
+
+  // Показываем логи
+  console.log("\nЛоги выполнения:");
+  logger.getLogs().forEach((log) => {
+    console.log(`${log.timestamp}: ${log.message}`);
+  });
+
+  console.log("\n=== ОБЪЕДИНЕНИЕ КОМАНД ПРИ НАБОРЕ ТЕКСТА ===");
+
+  let clock = 0;
+  const typingEditor = new TextEditor();
+  const typingInvoker = new Invoker();
+  typingInvoker.history.now = () => clock;
+  const type = (text) => {
+    for (const char of text) {
+      clock += 100;
+      typingInvoker.setCommand(new InsertTextCommand(typingEditor, char));
+      typingInvoker.executeCommand();
+    }
+  };
+
+  // Набор по буквам: каждое слово - один шаг отмены
+  type("Hello world");
+  console.log(`Шагов отмены: ${typingInvoker.getExecutedCount()}`);
+  typingInvoker.undo();
+  console.log(`После отмены: "${typingEditor.getContent()}"`);
+
+  // Пауза дольше окна объединения тоже начинает новый шаг
+  type("wor");
+  clock += 5000;
+  type("ld");
+  typingInvoker.undo();
+  console.log(`После отмены: "${typingEditor.getContent()}"`);
+
+  // Перемещения курсора и удаления подряд объединяются так же
+  [0, 1, 2].forEach((position) => {
+    clock += 100;
+    typingInvoker.setCommand(new MoveCursorCommand(typingEditor, position));
+    typingInvoker.executeCommand();
+  });
+  [1, 1].forEach((count) => {
+    clock += 100;
+    typingInvoker.setCommand(new DeleteTextCommand(typingEditor, count));
+    typingInvoker.executeCommand();
+  });
+  console.log(
+    `"${typingEditor.getContent()}", шагов отмены: ${typingInvoker.getExecutedCount()}`
+  );
+  typingInvoker.undo();
+  typingInvoker.undo();
+  console.log(
+    `После двух отмен: "${typingEditor.getContent()}", ` +
+      `курсор: ${typingEditor.getCursorPosition()}`
+  );
+
+  console.log("\n=== ЖУРНАЛ КОМАНД И ВОССТАНОВЛЕНИЕ ===");
+
+  const journalFile = path.join(
+    os.tmpdir(),
+    `command-journal-${process.pid}.jsonl`
+  );
+
+  // Первый запуск: все изменения истории пишутся в файл
+  const document = new TextEditor();
+  const stats = new Receiver("Статистика");
+  const registry = createCommandRegistry()
+    .registerReceiver("document", document)
+    .registerReceiver("stats", stats);
+  const store = new JsonLinesEventStore({ filename: journalFile });
+  const journaledInvoker = new Invoker();
+  new CommandJournal({ store, registry }).attach(journaledInvoker);
+
+  const runJournaled = (command) => {
+    journaledInvoker.setCommand(command);
+    journaledInvoker.executeCommand();
+  };
+  runJournaled(new InsertTextCommand(document, "Привет"));
+  journaledInvoker.checkpoint("draft");
+  runJournaled(new InsertTextCommand(document, ", мир"));
+  const publishMacro = new MacroCommand("Публикация");
+  publishMacro.addCommand(new InsertTextCommand(document, "!"));
+  publishMacro.addCommand(new IncrementCommand(stats));
+  runJournaled(publishMacro);
+  journaledInvoker.undo();
+  runJournaled(new InsertTextCommand(document, "?"));
+
+  // Команду, которую журнал не сможет записать, вызыватель отклоняет до выполнения
+  const unregistered = new Receiver("Не в реестре");
+  try {
+    runJournaled(new IncrementCommand(unregistered));
+  } catch (error) {
+    console.log(
+      `Ошибка: ${error.message}, состояние получателя: ${unregistered.getState()}`
+    );
+  }
+  store.close();
+
+  console.log(
+    `До перезапуска: "${document.getContent()}", публикаций: ${stats.getState()}`
+  );
+  console.log("Первая запись журнала:", store.readAll()[0]);
+
+  // «Перезапуск»: новые получатели под теми же id и пустой вызыватель
+  const restoredDocument = new TextEditor();
+  const restoredStats = new Receiver("Статистика");
+  const restoredRegistry = createCommandRegistry()
+    .registerReceiver("document", restoredDocument)
+    .registerReceiver("stats", restoredStats);
+  const restoredInvoker = new Invoker();
+  await new CommandJournal({
+    store: new JsonLinesEventStore({ filename: journalFile }),
+    registry: restoredRegistry,
+  }).replay(restoredInvoker);
+  fs.unlinkSync(journalFile);
+
+  console.log(
+    `После восстановления: "${restoredDocument.getContent()}", ` +
+      `публикаций: ${restoredStats.getState()}`
+  );
+
+  // История восстановлена вместе с ветками и контрольными точками
+  restoredInvoker.undo();
+  console.log("Ветки:", restoredInvoker.getBranches());
+  restoredInvoker.undoTo("draft");
+  console.log(`В точке draft: "${restoredDocument.getContent()}"`);
+}
 
 // ===== ПРЕИМУЩЕСТВА И НЕДОСТАТКИ =====
 
@@ -807,3 +2558,31 @@ logger.getLogs().forEach((log) => {
  * - Связан с Strategy pattern
  * - Используется в Template Method
  */
+
+module.exports = {
+  Command,
+  Receiver,
+  CommandHistory,
+  CommandQueue,
+  delay,
+  Invoker,
+  IncrementCommand,
+  DecrementCommand,
+  SetStateCommand,
+  DelayedSetStateCommand,
+  TextEditor,
+  InsertTextCommand,
+  DeleteTextCommand,
+  MoveCursorCommand,
+  MacroCommand,
+  LoggingCommand,
+  SimpleLogger,
+  CommandRegistry,
+  createCommandRegistry,
+  CommandJournal,
+  runDemo,
+};
+
+if (require.main === module) {
+  runDemo();
+}
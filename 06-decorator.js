@@ -335,51 +335,6 @@ class PerformanceDecorator extends Decorator {
   }
 }
 
-// ===== ПРИМЕР ИСПОЛЬЗОВАНИЯ =====
-
-console.log("=== БАЗОВЫЙ ПРИМЕР DECORATOR ===");
-
-// Создаем базовый компонент
-const basicComponent = new ConcreteComponent("Простой компонент", 25);
-
-console.log("Базовый компонент:");
-console.log("Операция:", basicComponent.operation());
-console.log("Стоимость:", basicComponent.getCost());
-console.log("Описание:", basicComponent.getDescription());
-
-// Декорируем компонент логированием
-const loggedComponent = new LoggingDecorator(basicComponent, "Основной логгер");
-
-console.log("\nКомпонент с логированием:");
-loggedComponent.operation();
-loggedComponent.getCost();
-
-// Декорируем компонент кэшированием
-const cachedComponent = new CachingDecorator(basicComponent);
-
-console.log("\nКомпонент с кэшированием:");
-cachedComponent.operation(); // Первый вызов - кэшируем
-cachedComponent.operation(); // Второй вызов - из кэша
-cachedComponent.getCost(); // Первый вызов - кэшируем
-cachedComponent.getCost(); // Второй вызов - из кэша
-
-console.log(`Размер кэша: ${cachedComponent.getCacheSize()}`);
-
-// Комбинируем несколько декораторов
-const performanceLoggedComponent = new PerformanceDecorator(
-  new LoggingDecorator(basicComponent, "Производительность")
-);
-
-console.log("\nКомпонент с логированием и мониторингом производительности:");
-performanceLoggedComponent.operation();
-performanceLoggedComponent.operation();
-performanceLoggedComponent.getCost();
-
-console.log(
-  "Метрики производительности:",
-  performanceLoggedComponent.getMetrics()
-);
-
 // ===== ПРАКТИЧЕСКИЙ ПРИМЕР - СИСТЕМА УВЕДОМЛЕНИЙ =====
 
 /**
@@ -578,56 +533,6 @@ class RetryDecorator extends Notification {
   }
 }
 
-console.log("\n=== ПРАКТИЧЕСКИЙ ПРИМЕР - СИСТЕМА УВЕДОМЛЕНИЙ ===");
-
-// Создаем базовое уведомление
-const basicNotification = new Notification("Привет, мир!", "user@example.com");
-
-// Декорируем различными возможностями
-const highPriorityNotification = new PriorityDecorator(
-  basicNotification,
-  "urgent"
-);
-const encryptedNotification = new EncryptionDecorator(
-  highPriorityNotification,
-  "secret-key"
-);
-
-// Создаем логгер
-const notificationLogger = {
-  logs: [],
-  log(message) {
-    const logEntry = { timestamp: new Date().toISOString(), message };
-    this.logs.push(logEntry);
-    console.log(`[LOG] ${message}`);
-  },
-  getLogs() {
-    return [...this.logs];
-  },
-};
-
-// Добавляем логирование
-const loggedNotification = new NotificationLoggingDecorator(
-  encryptedNotification,
-  notificationLogger
-);
-
-// Добавляем повторные попытки
-const retryNotification = new RetryDecorator(loggedNotification, 2, 500);
-
-console.log("Отправляем уведомление с множественными декораторами:");
-try {
-  const result = retryNotification.send();
-  console.log("Результат:", result);
-} catch (error) {
-  console.log("Ошибка:", error.message);
-}
-
-console.log("\nЛоги уведомлений:");
-notificationLogger.getLogs().forEach((log) => {
-  console.log(`${log.timestamp}: ${log.message}`);
-});
-
 // ===== ПРИМЕР С ДИНАМИЧЕСКИМ ДЕКОРИРОВАНИЕМ =====
 
 /**
@@ -705,29 +610,130 @@ class DecoratorFactory {
   }
 }
 
-console.log("\n=== ПРИМЕР С ДИНАМИЧЕСКИМ ДЕКОРИРОВАНИЕМ ===");
-
-// Создаем фабрику декораторов
-const decoratorFactory = new DecoratorFactory();
-
-console.log("Доступные декораторы:", decoratorFactory.getAvailableDecorators());
-
-// Создаем базовый компонент
-const dynamicComponent = new ConcreteComponent("Динамический компонент", 50);
-
-// Динамически применяем декораторы
-const decoratedComponent = decoratorFactory.createDecoratedComponent(
-  dynamicComponent,
-  ["logging", "caching", "performance"]
-);
-
-console.log("\nРезультат динамического декорирования:");
-decoratedComponent.operation();
-decoratedComponent.getCost();
+// ===== ПРИМЕР ИСПОЛЬЗОВАНИЯ =====
 
-// Показываем метрики производительности
-if (decoratedComponent.getMetrics) {
-  console.log("Метрики:", decoratedComponent.getMetrics());
+/**
+ * Запускает демонстрацию паттерна.
+ * Вызывается только при прямом запуске файла: node 06-decorator.js
+ */
+function runDemo() {
+  console.log("=== БАЗОВЫЙ ПРИМЕР DECORATOR ===");
+
+  // Создаем базовый компонент
+  const basicComponent = new ConcreteComponent("Простой компонент", 25);
+
+  console.log("Базовый компонент:");
+  console.log("Операция:", basicComponent.operation());
+  console.log("Стоимость:", basicComponent.getCost());
+  console.log("Описание:", basicComponent.getDescription());
+
+  // Декорируем компонент логированием
+  const loggedComponent = new LoggingDecorator(basicComponent, "Основной логгер");
+
+  console.log("\nКомпонент с логированием:");
+  loggedComponent.operation();
+  loggedComponent.getCost();
+
+  // Декорируем компонент кэшированием
+  const cachedComponent = new CachingDecorator(basicComponent);
+
+  console.log("\nКомпонент с кэшированием:");
+  cachedComponent.operation(); // Первый вызов - кэшируем
+  cachedComponent.operation(); // Второй вызов - из кэша
+  cachedComponent.getCost(); // Первый вызов - кэшируем
+  cachedComponent.getCost(); // Второй вызов - из кэша
+
+  console.log(`Размер кэша: ${cachedComponent.getCacheSize()}`);
+
+  // Комбинируем несколько декораторов
+  const performanceLoggedComponent = new PerformanceDecorator(
+    new LoggingDecorator(basicComponent, "Производительность")
+  );
+
+  console.log("\nКомпонент с логированием и мониторингом производительности:");
+  performanceLoggedComponent.operation();
+  performanceLoggedComponent.operation();
+  performanceLoggedComponent.getCost();
+
+  console.log(
+    "Метрики производительности:",
+    performanceLoggedComponent.getMetrics()
+  );
+
+  console.log("\n=== ПРАКТИЧЕСКИЙ ПРИМЕР - СИСТЕМА УВЕДОМЛЕНИЙ ===");
+
+  // Создаем базовое уведомление
+  const basicNotification = new Notification("Привет, мир!", "user@example.com");
+
+  // Декорируем различными возможностями
+  const highPriorityNotification = new PriorityDecorator(
+    basicNotification,
+    "urgent"
+  );
+  const encryptedNotification = new EncryptionDecorator(
+    highPriorityNotification,
+    "secret-key"
+  );
+
+  // Создаем логгер
+  const notificationLogger = {
+    logs: [],
+    log(message) {
+      const logEntry = { timestamp: new Date().toISOString(), message };
+      this.logs.push(logEntry);
+      console.log(`[LOG] ${message}`);
+    },
+    getLogs() {
+      return [...this.logs];
+    },
+  };
+
+  // Добавляем логирование
+  const loggedNotification = new NotificationLoggingDecorator(
+    encryptedNotification,
+    notificationLogger
+  );
+
+  // Добавляем повторные попытки
+  const retryNotification = new RetryDecorator(loggedNotification, 2, 500);
+
+  console.log("Отправляем уведомление с множественными декораторами:");
+  try {
+    const result = retryNotification.send();
+    console.log("Результат:", result);
+  } catch (error) {
+    console.log("Ошибка:", error.message);
+  }
+
+  console.log("\nЛоги уведомлений:");
+  notificationLogger.getLogs().forEach((log) => {
+    console.log(`${log.timestamp}: ${log.message}`);
+  });
+
+  console.log("\n=== ПРИМЕР С ДИНАМИЧЕСКИМ ДЕКОРИРОВАНИЕМ ===");
+
+  // Создаем фабрику декораторов
+  const decoratorFactory = new DecoratorFactory();
+
+  console.log("Доступные декораторы:", decoratorFactory.getAvailableDecorators());
+
+  // Создаем базовый компонент
+  const dynamicComponent = new ConcreteComponent("Динамический компонент", 50);
+
+  // Динамически применяем декораторы
+  const decoratedComponent = decoratorFactory.createDecoratedComponent(
+    dynamicComponent,
+    ["logging", "caching", "performance"]
+  );
+
+  console.log("\nРезультат динамического декорирования:");
+  decoratedComponent.operation();
+  decoratedComponent.getCost();
+
+  // Показываем метрики производительности
+  if (decoratedComponent.getMetrics) {
+    console.log("Метрики:", decoratedComponent.getMetrics());
+  }
 }
 
 // ===== ПРЕИМУЩЕСТВА И НЕДОСТАТКИ =====
@@ -753,3 +759,25 @@ if (decoratedComponent.getMetrics) {
  * - Связан с Strategy pattern
  * - Используется в Adapter pattern
  */
+
+module.exports = {
+  Component,
+  ConcreteComponent,
+  Decorator,
+  LoggingDecorator,
+  CachingDecorator,
+  ValidationDecorator,
+  SimpleValidator,
+  PerformanceDecorator,
+  Notification,
+  PriorityDecorator,
+  EncryptionDecorator,
+  NotificationLoggingDecorator,
+  RetryDecorator,
+  DecoratorFactory,
+  runDemo,
+};
+
+if (require.main === module) {
+  runDemo();
+}
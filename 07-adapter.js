@@ -104,29 +104,6 @@ class Adapter extends Target {
     }
 }
 
-// ===== ПРИМЕР ИСПОЛЬЗОВАНИЯ =====
-
-console.log("=== БАЗОВЫЙ ПРИМЕР ADAPTER ===");
-
-// Клиентский код ожидает интерфейс Target
-function clientCode(target) {
-    console.log("Клиентский код работает с Target интерфейсом");
-    console.log(target.request());
-}
-
-// Создаем адаптируемый объект
-const adaptee = new Adaptee();
-
-// Создаем адаптер
-const adapter = new Adapter(adaptee);
-
-// Клиентский код может работать с адаптером
-clientCode(adapter);
-
-// Используем дополнительные адаптированные методы
-console.log("Обработка данных:", adapter.processRequest("тестовые данные"));
-console.log("Получение значения:", adapter.getValue());
-
 // ===== ПРАКТИЧЕСКИЙ ПРИМЕР - АДАПТАЦИЯ ПЛАТЕЖНЫХ СИСТЕМ =====
 
 /**
@@ -312,41 +289,6 @@ class LegacyPaymentAdapter extends PaymentProcessor {
     }
 }
 
-console.log("\n=== ПРАКТИЧЕСКИЙ ПРИМЕР - ПЛАТЕЖНЫЕ СИСТЕМЫ ===");
-
-// Создаем устаревшую платежную систему
-const legacySystem = new LegacyPaymentSystem();
-
-// Создаем адаптер
-const paymentAdapter = new LegacyPaymentAdapter(legacySystem);
-
-// Клиентский код работает с новым интерфейсом
-console.log('Поддерживаемые валюты:', paymentAdapter.getSupportedCurrencies());
-
-// Обрабатываем платеж
-const paymentData = {
-    amount: 100.50,
-    currency: 'USD',
-    cardNumber: '1234567890123456',
-    description: 'Покупка товара'
-};
-
-try {
-    const result = paymentAdapter.processPayment(paymentData);
-    console.log('Результат платежа:', result);
-    
-    // Проверяем статус
-    const status = paymentAdapter.getPaymentStatus(result.transactionId);
-    console.log('Статус платежа:', status);
-    
-    // Получаем детали транзакции
-    const details = paymentAdapter.getTransactionDetails(result.transactionId);
-    console.log('Детали транзакции:', details);
-    
-} catch (error) {
-    console.error('Ошибка платежа:', error.message);
-}
-
 // ===== ПРИМЕР С АДАПТАЦИЕЙ ФОРМАТОВ ДАННЫХ =====
 
 /**
@@ -542,41 +484,6 @@ class XMLDataAdapter extends DataProcessor {
     }
 }
 
-console.log("\n=== ПРИМЕР С АДАПТАЦИЕЙ ФОРМАТОВ ДАННЫХ ===");
-
-// Создаем XML систему
-const xmlSystem = new XMLDataSystem();
-
-// Создаем адаптер
-const dataAdapter = new XMLDataAdapter(xmlSystem);
-
-// Тестовые данные
-const userData = {
-    id: 1,
-    name: 'Иван Иванов',
-    email: 'ivan@example.com',
-    age: 30
-};
-
-const productData = {
-    id: 101,
-    name: 'Ноутбук',
-    price: 50000,
-    category: 'Электроника'
-};
-
-// Обрабатываем данные через адаптер
-console.log('Обработка данных пользователя:', dataAdapter.processData(userData));
-console.log('Обработка данных продукта:', dataAdapter.processData(productData));
-
-// Валидируем данные
-console.log('Валидация пользователя:', dataAdapter.validateData(userData));
-console.log('Валидация продукта:', dataAdapter.validateData(productData));
-
-// Экспортируем данные
-console.log('Экспорт пользователя:', dataAdapter.exportData(userData));
-console.log('Экспорт продукта:', dataAdapter.exportData(productData));
-
 // ===== ПРИМЕР С АДАПТАЦИЕЙ API =====
 
 /**
@@ -794,41 +701,6 @@ class LegacyAPIAdapter extends ModernAPI {
     }
 }
 
-console.log("\n=== ПРИМЕР С АДАПТАЦИЕЙ API ===");
-
-// Создаем устаревший API
-const legacyAPI = new LegacyAPI();
-
-// Создаем адаптер
-const apiAdapter = new LegacyAPIAdapter(legacyAPI);
-
-// Клиентский код работает с современным интерфейсом
-async function testModernAPI() {
-    try {
-        // GET запрос
-        const data = await apiAdapter.get('/users');
-        console.log('GET результат:', data);
-        
-        // POST запрос
-        const postResult = await apiAdapter.post('/users', { name: 'Тест', email: 'test@example.com' });
-        console.log('POST результат:', postResult);
-        
-        // PUT запрос
-        const putResult = await apiAdapter.put('/users/1', { name: 'Обновленный тест' });
-        console.log('PUT результат:', putResult);
-        
-        // DELETE запрос
-        const deleteResult = await apiAdapter.delete('/users/1');
-        console.log('DELETE результат:', deleteResult);
-        
-    } catch (error) {
-        console.error('Ошибка API:', error.message);
-    }
-}
-
-// Запускаем тест
-testModernAPI();
-
 // ===== ПРИМЕР С ДВУНАПРАВЛЕННЫМ АДАПТЕРОМ =====
 
 /**
@@ -902,33 +774,167 @@ class ModernPaymentSystem {
     }
 }
 
-console.log("\n=== ПРИМЕР С ДВУНАПРАВЛЕННЫМ АДАПТЕРОМ ===");
+// ===== ПРИМЕР ИСПОЛЬЗОВАНИЯ =====
+
+/**
+ * Запускает демонстрацию паттерна.
+ * Вызывается только при прямом запуске файла: node 07-adapter.js
+ */
+function runDemo() {
+    console.log("=== БАЗОВЫЙ ПРИМЕР ADAPTER ===");
+
+    // Клиентский код ожидает интерфейс Target
+    function clientCode(target) {
+        console.log("Клиентский код работает с Target интерфейсом");
+        console.log(target.request());
+    }
+
+    // Создаем адаптируемый объект
+    const adaptee = new Adaptee();
 
-// Создаем двунаправленный адаптер
-const bidirectionalAdapter = new BidirectionalAdapter();
+    // Создаем адаптер
+    const adapter = new Adapter(adaptee);
 
-// Адаптируем современный платеж к устаревшему формату
-const modernPayment = {
-    amount: 200.75,
-    currency: 'EUR',
-    cardNumber: '9876543210987654',
-    description: 'Международный платеж'
-};
+    // Клиентский код может работать с адаптером
+    clientCode(adapter);
 
-const legacyResult = bidirectionalAdapter.adaptToLegacy(modernPayment);
-console.log('Адаптировано к устаревшему формату:', legacyResult);
+    // Используем дополнительные адаптированные методы
+    console.log("Обработка данных:", adapter.processRequest("тестовые данные"));
+    console.log("Получение значения:", adapter.getValue());
 
-// Адаптируем устаревший платеж к современному формату
-const legacyPayment = {
-    transaction_id: 'TXN_12345',
-    amount: 150.25,
-    currency: 'USD',
-    card_number: '1111222233334444',
-    description: 'Устаревший платеж'
-};
+    console.log("\n=== ПРАКТИЧЕСКИЙ ПРИМЕР - ПЛАТЕЖНЫЕ СИСТЕМЫ ===");
+
+    // Создаем устаревшую платежную систему
+    const legacySystem = new LegacyPaymentSystem();
+
+    // Создаем адаптер
+    const paymentAdapter = new LegacyPaymentAdapter(legacySystem);
+
+    // Клиентский код работает с новым интерфейсом
+    console.log('Поддерживаемые валюты:', paymentAdapter.getSupportedCurrencies());
+
+    // Обрабатываем платеж
+    const paymentData = {
+        amount: 100.50,
+        currency: 'USD',
+        cardNumber: '1234567890123456',
+        description: 'Покупка товара'
+    };
+
+    try {
+        const result = paymentAdapter.processPayment(paymentData);
+        console.log('Результат платежа:', result);
+
+        // Проверяем статус
+        const status = paymentAdapter.getPaymentStatus(result.transactionId);
+        console.log('Статус платежа:', status);
+
+        // Получаем детали транзакции
+        const details = paymentAdapter.getTransactionDetails(result.transactionId);
+        console.log('Детали транзакции:', details);
+
+    } catch (error) {
+        console.error('Ошибка платежа:', error.message);
+    }
+
+    console.log("\n=== ПРИМЕР С АДАПТАЦИЕЙ ФОРМАТОВ ДАННЫХ ===");
+
+    // Создаем XML систему
+    const xmlSystem = new XMLDataSystem();
+
+    // Создаем адаптер
+    const dataAdapter = new XMLDataAdapter(xmlSystem);
+
+    // Тестовые данные
+    const userData = {
+        id: 1,
+        name: 'Иван Иванов',
+        email: 'ivan@example.com',
+        age: 30
+    };
+
+    const productData = {
+        id: 101,
+        name: 'Ноутбук',
+        price: 50000,
+        category: 'Электроника'
+    };
+
+    // Обрабатываем данные через адаптер
+    console.log('Обработка данных пользователя:', dataAdapter.processData(userData));
+    console.log('Обработка данных продукта:', dataAdapter.processData(productData));
 
-const modernResult = bidirectionalAdapter.adaptToModern(legacyPayment);
-console.log('Адаптировано к современному формату:', modernResult);
+    // Валидируем данные
+    console.log('Валидация пользователя:', dataAdapter.validateData(userData));
+    console.log('Валидация продукта:', dataAdapter.validateData(productData));
+
+    // Экспортируем данные
+    console.log('Экспорт пользователя:', dataAdapter.exportData(userData));
+    console.log('Экспорт продукта:', dataAdapter.exportData(productData));
+
+    console.log("\n=== ПРИМЕР С АДАПТАЦИЕЙ API ===");
+
+    // Создаем устаревший API
+    const legacyAPI = new LegacyAPI();
+
+    // Создаем адаптер
+    const apiAdapter = new LegacyAPIAdapter(legacyAPI);
+
+    // Клиентский код работает с современным интерфейсом
+    async function testModernAPI() {
+        try {
+            // GET запрос
+            const data = await apiAdapter.get('/users');
+            console.log('GET результат:', data);
+
+            // POST запрос
+            const postResult = await apiAdapter.post('/users', { name: 'Тест', email: 'test@example.com' });
+            console.log('POST результат:', postResult);
+
+            // PUT запрос
+            const putResult = await apiAdapter.put('/users/1', { name: 'Обновленный тест' });
+            console.log('PUT результат:', putResult);
+
+            // DELETE запрос
+            const deleteResult = await apiAdapter.delete('/users/1');
+            console.log('DELETE результат:', deleteResult);
+
+        } catch (error) {
+            console.error('Ошибка API:', error.message);
+        }
+    }
+
+    // Запускаем тест
+    testModernAPI();
+
+    console.log("\n=== ПРИМЕР С ДВУНАПРАВЛЕННЫМ АДАПТЕРОМ ===");
+
+    // Создаем двунаправленный адаптер
+    const bidirectionalAdapter = new BidirectionalAdapter();
+
+    // Адаптируем современный платеж к устаревшему формату
+    const modernPayment = {
+        amount: 200.75,
+        currency: 'EUR',
+        cardNumber: '9876543210987654',
+        description: 'Международный платеж'
+    };
+
+    const legacyResult = bidirectionalAdapter.adaptToLegacy(modernPayment);
+    console.log('Адаптировано к устаревшему формату:', legacyResult);
+
+    // Адаптируем устаревший платеж к современному формату
+    const legacyPayment = {
+        transaction_id: 'TXN_12345',
+        amount: 150.25,
+        currency: 'USD',
+        card_number: '1111222233334444',
+        description: 'Устаревший платеж'
+    };
+
+    const modernResult = bidirectionalAdapter.adaptToModern(legacyPayment);
+    console.log('Адаптировано к современному формату:', modernResult);
+}
 
 // ===== ПРЕИМУЩЕСТВА И НЕДОСТАТКИ =====
 
@@ -953,3 +959,25 @@ console.log('Адаптировано к современному формату
  * - Связан с Decorator pattern
  * - Используется в Proxy pattern
  */
+
+module.exports = {
+    Target,
+    Adaptee,
+    Adapter,
+    PaymentProcessor,
+    LegacyPaymentSystem,
+    LegacyPaymentAdapter,
+    DataProcessor,
+    XMLDataSystem,
+    XMLDataAdapter,
+    ModernAPI,
+    LegacyAPI,
+    LegacyAPIAdapter,
+    BidirectionalAdapter,
+    ModernPaymentSystem,
+    runDemo
+};
+
+if (require.main === module) {
+    runDemo();
+}
@@ -179,28 +179,6 @@ class Facade {
     }
 }
 
-// ===== ПРИМЕР ИСПОЛЬЗОВАНИЯ =====
-
-console.log("=== БАЗОВЫЙ ПРИМЕР FACADE ===");
-
-// Клиентский код работает только с фасадом
-const facade = new Facade();
-
-// Простая операция
-console.log(facade.simpleOperation());
-
-console.log('\n' + '='.repeat(50) + '\n');
-
-// Сложная операция
-console.log(facade.complexOperation());
-
-console.log('\n' + '='.repeat(50) + '\n');
-
-// Условная операция
-console.log(facade.conditionalOperation('A'));
-console.log(facade.conditionalOperation('B'));
-console.log(facade.conditionalOperation('C'));
-
 // ===== ПРАКТИЧЕСКИЙ ПРИМЕР - СИСТЕМА УПРАВЛЕНИЯ ДОМОМ =====
 
 /**
@@ -601,37 +579,6 @@ class SmartHomeFacade {
     }
 }
 
-console.log("\n=== ПРАКТИЧЕСКИЙ ПРИМЕР - СИСТЕМА УПРАВЛЕНИЯ ДОМОМ ===");
-
-// Создаем фасад умного дома
-const smartHome = new SmartHomeFacade();
-
-// Активируем различные режимы
-smartHome.homeMode();
-console.log('\nСтатус в режиме "Домой":', smartHome.getOverallStatus());
-
-console.log('\n' + '='.repeat(50) + '\n');
-
-smartHome.sleepMode();
-console.log('\nСтатус в режиме "Сон":', smartHome.getOverallStatus());
-
-console.log('\n' + '='.repeat(50) + '\n');
-
-smartHome.awayMode();
-console.log('\nСтатус в режиме "Выход":', smartHome.getOverallStatus());
-
-console.log('\n' + '='.repeat(50) + '\n');
-
-smartHome.partyMode();
-console.log('\nСтатус в режиме "Вечеринка":', smartHome.getOverallStatus());
-
-// Устанавливаем расписание
-smartHome.setSchedule('08:00', 'home');
-smartHome.setSchedule('22:00', 'sleep');
-
-// Обрабатываем экстренную ситуацию
-smartHome.emergencyResponse('Дым', 'Кухня');
-
 // ===== ПРИМЕР С ФАСАДОМ ДЛЯ РАБОТЫ С БАЗОЙ ДАННЫХ =====
 
 /**
@@ -791,10 +738,17 @@ class LoggingSystem {
  * Фасад для работы с базой данных
  */
 class DatabaseFacade {
-    constructor() {
-        this.connection = new DatabaseConnection();
-        this.cache = new CacheSystem();
-        this.logger = new LoggingSystem();
+    /**
+     * Подсистемы можно передать снаружи (например, из DI-контейнера),
+     * по умолчанию фасад создает их сам
+     * @param {DatabaseConnection} [connection]
+     * @param {CacheSystem} [cache]
+     * @param {LoggingSystem} [logger]
+     */
+    constructor(connection = new DatabaseConnection(), cache = new CacheSystem(), logger = new LoggingSystem()) {
+        this.connection = connection;
+        this.cache = cache;
+        this.logger = logger;
     }
     
     /**
@@ -904,39 +858,98 @@ class DatabaseFacade {
     }
 }
 
-console.log("\n=== ПРИМЕР С ФАСАДОМ ДЛЯ РАБОТЫ С БАЗОЙ ДАННЫХ ===");
+// ===== ПРИМЕР ИСПОЛЬЗОВАНИЯ =====
 
-// Создаем фасад базы данных
-const dbFacade = new DatabaseFacade();
+/**
+ * Запускает демонстрацию паттерна.
+ * Вызывается только при прямом запуске файла: node 08-facade.js
+ */
+function runDemo() {
+    console.log("=== БАЗОВЫЙ ПРИМЕР FACADE ===");
 
-// Выполняем запросы
-async function testDatabaseFacade() {
-    try {
-        // Первый запрос (с кэшированием)
-        const result1 = await dbFacade.executeQuery('SELECT * FROM users WHERE id = ?', { id: 1 });
-        console.log('Результат 1:', result1);
-        
-        // Второй запрос (должен быть из кэша)
-        const result2 = await dbFacade.executeQuery('SELECT * FROM users WHERE id = ?', { id: 1 });
-        console.log('Результат 2:', result2);
-        
-        // Третий запрос (без кэширования)
-        const result3 = await dbFacade.executeQuery('SELECT * FROM products', {}, false);
-        console.log('Результат 3:', result3);
-        
-        // Получаем статистику
-        console.log('Статистика:', dbFacade.getStats());
-        
-        // Получаем логи
-        console.log('Последние логи:', dbFacade.logger.getLogs('info', 3));
-        
-    } catch (error) {
-        console.error('Ошибка:', error.message);
+    // Клиентский код работает только с фасадом
+    const facade = new Facade();
+
+    // Простая операция
+    console.log(facade.simpleOperation());
+
+    console.log('\n' + '='.repeat(50) + '\n');
+
+    // Сложная операция
+    console.log(facade.complexOperation());
+
+    console.log('\n' + '='.repeat(50) + '\n');
+
+    // Условная операция
+    console.log(facade.conditionalOperation('A'));
+    console.log(facade.conditionalOperation('B'));
+    console.log(facade.conditionalOperation('C'));
+
+    console.log("\n=== ПРАКТИЧЕСКИЙ ПРИМЕР - СИСТЕМА УПРАВЛЕНИЯ ДОМОМ ===");
+
+    // Создаем фасад умного дома
+    const smartHome = new SmartHomeFacade();
+
+    // Активируем различные режимы
+    smartHome.homeMode();
+    console.log('\nСтатус в режиме "Домой":', smartHome.getOverallStatus());
+
+    console.log('\n' + '='.repeat(50) + '\n');
+
+    smartHome.sleepMode();
+    console.log('\nСтатус в режиме "Сон":', smartHome.getOverallStatus());
+
+    console.log('\n' + '='.repeat(50) + '\n');
+
+    smartHome.awayMode();
+    console.log('\nСтатус в режиме "Выход":', smartHome.getOverallStatus());
+
+    console.log('\n' + '='.repeat(50) + '\n');
+
+    smartHome.partyMode();
+    console.log('\nСтатус в режиме "Вечеринка":', smartHome.getOverallStatus());
+
+    // Устанавливаем расписание
+    smartHome.setSchedule('08:00', 'home');
+    smartHome.setSchedule('22:00', 'sleep');
+
+    // Обрабатываем экстренную ситуацию
+    smartHome.emergencyResponse('Дым', 'Кухня');
+
+    console.log("\n=== ПРИМЕР С ФАСАДОМ ДЛЯ РАБОТЫ С БАЗОЙ ДАННЫХ ===");
+
+    // Создаем фасад базы данных
+    const dbFacade = new DatabaseFacade();
+
+    // Выполняем запросы
+    async function testDatabaseFacade() {
+        try {
+            // Первый запрос (с кэшированием)
+            const result1 = await dbFacade.executeQuery('SELECT * FROM users WHERE id = ?', { id: 1 });
+            console.log('Результат 1:', result1);
+
+            // Второй запрос (должен быть из кэша)
+            const result2 = await dbFacade.executeQuery('SELECT * FROM users WHERE id = ?', { id: 1 });
+            console.log('Результат 2:', result2);
+
+            // Третий запрос (без кэширования)
+            const result3 = await dbFacade.executeQuery('SELECT * FROM products', {}, false);
+            console.log('Результат 3:', result3);
+
+            // Получаем статистику
+            console.log('Статистика:', dbFacade.getStats());
+
+            // Получаем логи
+            console.log('Последние логи:', dbFacade.logger.getLogs('info', 3));
+
+        } catch (error) {
+            console.error('Ошибка:', error.message);
+        }
     }
-}
 
-// Запускаем тест
-testDatabaseFacade();
+    // Запускаем тест
+    testDatabaseFacade();
+}
 
 // ===== ПРЕИМУЩЕСТВА И НЕДОСТАТКИ =====
 
@@ -961,3 +974,24 @@ testDatabaseFacade();
  * - Связан с Command pattern
  * - Используется в Template Method
  */
+
+module.exports = {
+    SubsystemA,
+    SubsystemB,
+    SubsystemC,
+    Facade,
+    LightingSystem,
+    ClimateSystem,
+    SecuritySystem,
+    EntertainmentSystem,
+    SmartHomeFacade,
+    DatabaseConnection,
+    CacheSystem,
+    LoggingSystem,
+    DatabaseFacade,
+    runDemo
+};
+
+if (require.main === module) {
+    runDemo();
+}
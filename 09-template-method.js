@@ -20,6 +20,8 @@
  * - Валидация данных
  */
 
+const { validationMessages, PasswordPolicy } = require('./04-strategy');
+
 // ===== БАЗОВАЯ РЕАЛИЗАЦИЯ =====
 
 /**
@@ -119,21 +121,6 @@ class ConcreteClassB extends AbstractClass {
     // hook не переопределяется
 }
 
-// ===== ПРИМЕР ИСПОЛЬЗОВАНИЯ =====
-
-console.log("=== БАЗОВЫЙ ПРИМЕР TEMPLATE METHOD ===");
-
-// Создаем экземпляры классов
-const concreteA = new ConcreteClassA();
-const concreteB = new ConcreteClassB();
-
-// Выполняем шаблонный метод
-console.log('\n--- ConcreteClassA ---');
-concreteA.templateMethod();
-
-console.log('\n--- ConcreteClassB ---');
-concreteB.templateMethod();
-
 // ===== ПРАКТИЧЕСКИЙ ПРИМЕР - ОБРАБОТКА ДОКУМЕНТОВ =====
 
 /**
@@ -426,47 +413,6 @@ class JSONDocumentProcessor extends DocumentProcessor {
     }
 }
 
-console.log("\n=== ПРАКТИЧЕСКИЙ ПРИМЕР - ОБРАБОТКА ДОКУМЕНТОВ ===");
-
-// Создаем обработчики документов
-const textProcessor = new TextDocumentProcessor();
-const htmlProcessor = new HTMLDocumentProcessor();
-const jsonProcessor = new JSONDocumentProcessor();
-
-// Тестовые документы
-const textDocument = {
-    name: 'sample.txt',
-    content: 'Это   пример   текстового   документа   с   лишними   пробелами.'
-};
-
-const htmlDocument = {
-    name: 'sample.html',
-    content: '<html><head><title>Пример HTML</title></head><body><h1>Заголовок</h1><p>Параграф</p></body></html>'
-};
-
-const jsonDocument = {
-    name: 'sample.json',
-    content: '{"name": "John", "age": 30, "address": {"city": "New York", "country": "USA"}}'
-};
-
-// Обрабатываем документы
-try {
-    console.log('\n--- Обработка текстового документа ---');
-    const processedText = textProcessor.processDocument(textDocument);
-    console.log('Результат:', processedText);
-    
-    console.log('\n--- Обработка HTML документа ---');
-    const processedHTML = htmlProcessor.processDocument(htmlDocument);
-    console.log('Результат:', processedHTML);
-    
-    console.log('\n--- Обработка JSON документа ---');
-    const processedJSON = jsonProcessor.processDocument(jsonDocument);
-    console.log('Результат:', processedJSON);
-    
-} catch (error) {
-    console.error('Ошибка:', error.message);
-}
-
 // ===== ПРИМЕР С АЛГОРИТМАМИ СОРТИРОВКИ =====
 
 /**
@@ -666,27 +612,49 @@ class MergeSort extends SortAlgorithm {
     }
 }
 
-console.log("\n=== ПРИМЕР С АЛГОРИТМАМИ СОРТИРОВКИ ===");
-
-// Создаем алгоритмы сортировки
-const bubbleSort = new BubbleSort();
-const quickSort = new QuickSort();
-const mergeSort = new MergeSort();
-
-// Тестовый массив
-const testArray = [64, 34, 25, 12, 22, 11, 90];
-
-// Тестируем различные алгоритмы
-console.log('\n--- Сортировка пузырьком ---');
-const bubbleResult = bubbleSort.sort(testArray);
+// ===== ПРИМЕР С ВАЛИДАЦИЕЙ ДАННЫХ =====
 
-console.log('\n--- Быстрая сортировка ---');
-const quickResult = quickSort.sort(testArray);
+// Сообщения валидаторов данных; общие коды (email.invalid, age.range,
+// name.minLength, password.minLength) уже есть в каталоге
+const DATA_VALIDATION_MESSAGES = {
+    ru: {
+        'name.required': 'Имя обязательно',
+        'email.required': 'Email обязателен',
+        'user.minor': 'Пользователь несовершеннолетний',
+        'product.name.required': 'Название продукта обязательно',
+        'product.price.required': 'Цена обязательна',
+        'product.price.negative': 'Цена не может быть отрицательной',
+        'product.price.high': 'Цена очень высокая',
+        'product.category.unknown': 'Неизвестная категория продукта: {category}'
+    },
+    en: {
+        'name.required': 'Name is required',
+        'email.required': 'Email is required',
+        'user.minor': 'User is under age',
+        'product.name.required': 'Product name is required',
+        'product.price.required': 'Price is required',
+        'product.price.negative': 'Price cannot be negative',
+        'product.price.high': 'Price is unusually high',
+        'product.category.unknown': 'Unknown product category: {category}'
+    }
+};
 
-console.log('\n--- Сортировка слиянием ---');
-const mergeResult = mergeSort.sort(testArray);
+const catalogsWithDataValidationMessages = new WeakSet();
 
-// ===== ПРИМЕР С ВАЛИДАЦИЕЙ ДАННЫХ =====
+/**
+ * Добавляет сообщения валидаторов данных в каталог (по умолчанию - общий
+ * из 04-strategy.js). DataValidator вызывает ее сам при первой проверке,
+ * поэтому подключение модуля общий каталог не меняет
+ * @param {MessageCatalog} [catalog] - Каталог сообщений
+ * @returns {MessageCatalog}
+ */
+function registerDataValidationMessages(catalog = validationMessages) {
+    if (!catalogsWithDataValidationMessages.has(catalog)) {
+        Object.entries(DATA_VALIDATION_MESSAGES).forEach(([locale, messages]) => catalog.define(locale, messages));
+        catalogsWithDataValidationMessages.add(catalog);
+    }
+    return catalog;
+}
 
 /**
  * Абстрактный класс для валидации данных
@@ -695,9 +663,11 @@ class DataValidator {
     /**
      * Шаблонный метод для валидации
      * @param {Object} data - Данные для валидации
+     * @param {Object} [options]
+     * @param {string} [options.locale] - Язык сообщений (ru, en)
      * @returns {Object} Результат валидации
      */
-    validate(data) {
+    validate(data, options = {}) {
         console.log(`[DataValidator] Начинаем валидацию данных`);
         
         try {
@@ -705,13 +675,13 @@ class DataValidator {
             this.preValidate(data);
             
             // Шаг 2: Основная валидация
-            const validationResult = this.performValidation(data);
+            const validationResult = this.performValidation(data, options);
             
             // Шаг 3: Поствалидация
             const finalResult = this.postValidate(validationResult);
             
             // Крючок для дополнительных проверок
-            this.additionalValidation(data, finalResult);
+            this.additionalValidation(data, finalResult, options);
             
             console.log(`[DataValidator] Валидация завершена успешно`);
             return finalResult;
@@ -737,9 +707,10 @@ class DataValidator {
     /**
      * Основная валидация - абстрактный метод
      * @param {Object} data - Данные для валидации
+     * @param {Object} [options] - { locale }
      * @returns {Object} Результат валидации
      */
-    performValidation(data) {
+    performValidation(data, options) {
         throw new Error("Метод performValidation должен быть переопределен");
     }
     
@@ -757,11 +728,41 @@ class DataValidator {
      * Дополнительная валидация - крючок
      * @param {Object} data - Исходные данные
      * @param {Object} result - Результат валидации
+     * @param {Object} [options] - { locale }
      */
-    additionalValidation(data, result) {
+    additionalValidation(data, result, options) {
         // По умолчанию ничего не делает
     }
     
+    /**
+     * Пустой результат валидации
+     * @returns {Object}
+     */
+    createResult() {
+        return {
+            isValid: true,
+            errors: [],
+            warnings: [],
+            issues: [],
+            validatedAt: new Date().toISOString()
+        };
+    }
+    
+    /**
+     * Добавляет ошибку или предупреждение: текст на нужном языке
+     * попадает в errors/warnings, код с параметрами - в issues
+     * @param {Object} result - Результат валидации
+     * @param {string} severity - 'error' или 'warning'
+     * @param {string} code - Код сообщения
+     * @param {Object} [params] - Параметры сообщения
+     * @param {string} [locale] - Язык сообщений
+     */
+    addIssue(result, severity, code, params = {}, locale) {
+        const issue = { ...registerDataValidationMessages().message(code, params, locale), severity };
+        result.issues.push(issue);
+        (severity === 'error' ? result.errors : result.warnings).push(issue.message);
+    }
+    
     /**
      * Обработка ошибок валидации - может быть переопределен
      * @param {Error} error - Ошибка
@@ -776,39 +777,43 @@ class DataValidator {
  * Валидатор пользовательских данных
  */
 class UserDataValidator extends DataValidator {
-    performValidation(data) {
+    /**
+     * @param {Object} [options]
+     * @param {PasswordPolicy} [options.passwordPolicy] - Политика паролей (общая с FormValidator)
+     */
+    constructor({ passwordPolicy = new PasswordPolicy() } = {}) {
+        super();
+        this.passwordPolicy = passwordPolicy;
+    }
+    
+    performValidation(data, { locale } = {}) {
         console.log('[UserDataValidator] Выполняем валидацию пользовательских данных');
         
-        const errors = [];
-        const warnings = [];
+        const result = this.createResult();
         
         // Проверяем обязательные поля
         if (!data.name || data.name.trim().length === 0) {
-            errors.push('Имя обязательно');
+            this.addIssue(result, 'error', 'name.required', {}, locale);
         } else if (data.name.length < 2) {
-            errors.push('Имя должно содержать минимум 2 символа');
+            this.addIssue(result, 'error', 'name.minLength', { count: 2 }, locale);
         }
         
         if (!data.email) {
-            errors.push('Email обязателен');
+            this.addIssue(result, 'error', 'email.required', {}, locale);
         } else if (!this.isValidEmail(data.email)) {
-            errors.push('Неверный формат email');
+            this.addIssue(result, 'error', 'email.invalid', {}, locale);
         }
         
         if (data.age !== undefined) {
             if (data.age < 0 || data.age > 150) {
-                errors.push('Возраст должен быть от 0 до 150');
+                this.addIssue(result, 'error', 'age.range', { min: 0, max: 150 }, locale);
             } else if (data.age < 18) {
-                warnings.push('Пользователь несовершеннолетний');
+                this.addIssue(result, 'warning', 'user.minor', {}, locale);
             }
         }
         
-        return {
-            isValid: errors.length === 0,
-            errors,
-            warnings,
-            validatedAt: new Date().toISOString()
-        };
+        result.isValid = result.errors.length === 0;
+        return result;
     }
     
     /**
@@ -821,14 +826,23 @@ class UserDataValidator extends DataValidator {
         return emailRegex.test(email);
     }
     
-    additionalValidation(data, result) {
+    additionalValidation(data, result, { locale } = {}) {
         console.log('[UserDataValidator] Дополнительная валидация пользователя');
         
-        // Проверяем сложность пароля, если он есть
+        // Проверяем пароль по политике, если он есть: нарушения - предупреждения
         if (data.password) {
-            if (data.password.length < 8) {
-                result.warnings.push('Пароль должен содержать минимум 8 символов');
-            }
+            const { violations, suggestions, entropy, score } = this.passwordPolicy.check(data.password, {
+                username: data.username,
+                email: data.email
+            });
+            violations.forEach(({ code, params }) => this.addIssue(result, 'warning', code, params, locale));
+            
+            result.passwordStrength = {
+                score,
+                entropy,
+                label: validationMessages.format(`password.strength.${score}`, {}, locale),
+                suggestions: suggestions.map(({ code, params }) => validationMessages.format(code, params, locale))
+            };
         }
     }
 }
@@ -837,35 +851,30 @@ class UserDataValidator extends DataValidator {
  * Валидатор данных продукта
  */
 class ProductDataValidator extends DataValidator {
-    performValidation(data) {
+    performValidation(data, { locale } = {}) {
         console.log('[ProductDataValidator] Выполняем валидацию данных продукта');
         
-        const errors = [];
-        const warnings = [];
+        const result = this.createResult();
         
         // Проверяем обязательные поля
         if (!data.name || data.name.trim().length === 0) {
-            errors.push('Название продукта обязательно');
+            this.addIssue(result, 'error', 'product.name.required', {}, locale);
         }
         
         if (data.price === undefined || data.price === null) {
-            errors.push('Цена обязательна');
+            this.addIssue(result, 'error', 'product.price.required', {}, locale);
         } else if (data.price < 0) {
-            errors.push('Цена не может быть отрицательной');
+            this.addIssue(result, 'error', 'product.price.negative', {}, locale);
         } else if (data.price > 1000000) {
-            warnings.push('Цена очень высокая');
+            this.addIssue(result, 'warning', 'product.price.high', {}, locale);
         }
         
         if (data.category && !['electronics', 'clothing', 'books', 'food'].includes(data.category)) {
-            warnings.push('Неизвестная категория продукта');
+            this.addIssue(result, 'warning', 'product.category.unknown', { category: data.category }, locale);
         }
         
-        return {
-            isValid: errors.length === 0,
-            errors,
-            warnings,
-            validatedAt: new Date().toISOString()
-        };
+        result.isValid = result.errors.length === 0;
+        return result;
     }
     
     postValidate(validationResult) {
@@ -880,38 +889,132 @@ class ProductDataValidator extends DataValidator {
     }
 }
 
-console.log("\n=== ПРИМЕР С ВАЛИДАЦИЕЙ ДАННЫХ ===");
+// ===== ПРИМЕР ИСПОЛЬЗОВАНИЯ =====
+
+/**
+ * Запускает демонстрацию паттерна.
+ * Вызывается только при прямом запуске файла: node 09-template-method.js
+ */
+function runDemo() {
+    console.log("=== БАЗОВЫЙ ПРИМЕР TEMPLATE METHOD ===");
 
-// Создаем валидаторы
-const userValidator = new UserDataValidator();
-const productValidator = new ProductDataValidator();
+    // Создаем экземпляры классов
+    const concreteA = new ConcreteClassA();
+    const concreteB = new ConcreteClassB();
 
-// Тестовые данные
-const userData = {
-    name: 'Иван',
-    email: 'ivan@example.com',
-    age: 25,
-    password: 'weak'
-};
+    // Выполняем шаблонный метод
+    console.log('\n--- ConcreteClassA ---');
+    concreteA.templateMethod();
 
-const productData = {
-    name: 'Ноутбук',
-    price: 50000,
-    category: 'electronics'
-};
+    console.log('\n--- ConcreteClassB ---');
+    concreteB.templateMethod();
 
-// Валидируем данные
-try {
-    console.log('\n--- Валидация пользовательских данных ---');
-    const userValidation = userValidator.validate(userData);
-    console.log('Результат валидации:', userValidation);
-    
-    console.log('\n--- Валидация данных продукта ---');
-    const productValidation = productValidator.validate(productData);
-    console.log('Результат валидации:', productValidation);
-    
-} catch (error) {
-    console.error('Ошибка валидации:', error.message);
+    console.log("\n=== ПРАКТИЧЕСКИЙ ПРИМЕР - ОБРАБОТКА ДОКУМЕНТОВ ===");
+
+    // Создаем обработчики документов
+    const textProcessor = new TextDocumentProcessor();
+    const htmlProcessor = new HTMLDocumentProcessor();
+    const jsonProcessor = new JSONDocumentProcessor();
+
+    // Тестовые документы
+    const textDocument = {
+        name: 'sample.txt',
+        content: 'Это   пример   текстового   документа   с   лишними   пробелами.'
+    };
+
+    const htmlDocument = {
+        name: 'sample.html',
+        content: '<html><head><title>Пример HTML</title></head><body><h1>Заголовок</h1><p>Параграф</p></body></html>'
+    };
+
+    const jsonDocument = {
+        name: 'sample.json',
+        content: '{"name": "John", "age": 30, "address": {"city": "New York", "country": "USA"}}'
+    };
+
+    // Обрабатываем документы
+    try {
+        console.log('\n--- Обработка текстового документа ---');
+        const processedText = textProcessor.processDocument(textDocument);
+        console.log('Результат:', processedText);
+
+        console.log('\n--- Обработка HTML документа ---');
+        const processedHTML = htmlProcessor.processDocument(htmlDocument);
+        console.log('Результат:', processedHTML);
+
+        console.log('\n--- Обработка JSON документа ---');
+        const processedJSON = jsonProcessor.processDocument(jsonDocument);
+        console.log('Результат:', processedJSON);
+
+    } catch (error) {
+        console.error('Ошибка:', error.message);
+    }
+
+    console.log("\n=== ПРИМЕР С АЛГОРИТМАМИ СОРТИРОВКИ ===");
+
+    // Создаем алгоритмы сортировки
+    const bubbleSort = new BubbleSort();
+    const quickSort = new QuickSort();
+    const mergeSort = new MergeSort();
+
+    // Тестовый массив
+    const testArray = [64, 34, 25, 12, 22, 11, 90];
+
+    // Тестируем различные алгоритмы
+    console.log('\n--- Сортировка пузырьком ---');
+    const bubbleResult = bubbleSort.sort(testArray);
+
+    console.log('\n--- Быстрая сортировка ---');
+    const quickResult = quickSort.sort(testArray);
+
+    console.log('\n--- Сортировка слиянием ---');
+    const mergeResult = mergeSort.sort(testArray);
+
+    console.log("\n=== ПРИМЕР С ВАЛИДАЦИЕЙ ДАННЫХ ===");
+
+    // Создаем валидаторы
+    const userValidator = new UserDataValidator();
+    const productValidator = new ProductDataValidator();
+
+    // Тестовые данные
+    const userData = {
+        name: 'Иван',
+        email: 'ivan@example.com',
+        age: 25,
+        password: 'weak'
+    };
+
+    const productData = {
+        name: 'Ноутбук',
+        price: 50000,
+        category: 'electronics'
+    };
+
+    // Валидируем данные
+    try {
+        console.log('\n--- Валидация пользовательских данных ---');
+        const userValidation = userValidator.validate(userData);
+        console.log('Результат валидации:', userValidation);
+
+        console.log('\n--- Валидация данных продукта ---');
+        const productValidation = productValidator.validate(productData);
+        console.log('Результат валидации:', productValidation);
+
+        console.log('\n--- Validation in English ---');
+        const englishValidation = userValidator.validate({ name: 'I', email: 'ivan@', age: 16, password: 'weak' }, { locale: 'en' });
+        englishValidation.issues.forEach(issue => console.log(`  [${issue.severity}] ${issue.message} (${issue.code})`));
+
+        console.log('\n--- Своя политика паролей ---');
+        const adminValidator = new UserDataValidator({
+            passwordPolicy: new PasswordPolicy({ minLength: 12, maxRepeats: 2, bannedPasswords: ['admin', 'qwerty'] })
+        });
+        const adminValidation = adminValidator.validate({ name: 'Администратор', username: 'root', email: 'root@example.com', password: 'Admin2024!' });
+        console.log('Предупреждения:', adminValidation.warnings);
+        console.log('Надежность пароля:', adminValidation.passwordStrength);
+
+    } catch (error) {
+        console.error('Ошибка валидации:', error.message);
+    }
 }
 
 // ===== ПРЕИМУЩЕСТВА И НЕДОСТАТКИ =====
@@ -937,3 +1040,26 @@ try {
  * - Связан с Command pattern
  * - Используется в Template Method
  */
+
+module.exports = {
+    AbstractClass,
+    ConcreteClassA,
+    ConcreteClassB,
+    DocumentProcessor,
+    TextDocumentProcessor,
+    HTMLDocumentProcessor,
+    JSONDocumentProcessor,
+    SortAlgorithm,
+    BubbleSort,
+    QuickSort,
+    MergeSort,
+    registerDataValidationMessages,
+    DataValidator,
+    UserDataValidator,
+    ProductDataValidator,
+    runDemo
+};
+
+if (require.main === module) {
+    runDemo();
+}
@@ -151,42 +151,6 @@ class ConcreteStateC extends State {
     }
 }
 
-// ===== ПРИМЕР ИСПОЛЬЗОВАНИЯ =====
-
-console.log("=== БАЗОВЫЙ ПРИМЕР STATE ===");
-
-// Создаем контекст
-const context = new Context();
-
-// Создаем состояния
-const stateA = new ConcreteStateA();
-const stateB = new ConcreteStateB();
-const stateC = new ConcreteStateC();
-
-// Устанавливаем начальное состояние
-context.setState(stateA);
-
-// Обрабатываем запросы в разных состояниях
-context.request();
-
-context.setState(stateB);
-context.request();
-
-context.setState(stateC);
-context.request();
-
-// Возвращаемся к первому состоянию
-context.setState(stateA);
-context.request();
-
-// Показываем историю переходов
-console.log('\nИстория переходов состояний:');
-context.getStateHistory().forEach(transition => {
-    console.log(`${transition.timestamp}: ${transition.from} → ${transition.to}`);
-});
-
-console.log(`Всего переходов: ${context.getTransitionCount()}`);
-
 // ===== ПРАКТИЧЕСКИЙ ПРИМЕР - ЗАКАЗ В ИНТЕРНЕТ-МАГАЗИНЕ =====
 
 /**
@@ -581,43 +545,6 @@ class Order {
     }
 }
 
-console.log("\n=== ПРАКТИЧЕСКИЙ ПРИМЕР - ЗАКАЗ В ИНТЕРНЕТ-МАГАЗИНЕ ===");
-
-// Создаем заказ
-const order = new Order('ORD-001', ['Ноутбук', 'Мышь', 'Клавиатура']);
-
-console.log('Начальное состояние:', order.getStateDescription());
-
-// Обрабатываем заказ пошагово
-console.log('\n--- Шаг 1: Обработка созданного заказа ---');
-order.process();
-console.log('Текущее состояние:', order.getStateDescription());
-
-console.log('\n--- Шаг 2: Обработка подтвержденного заказа ---');
-order.process();
-console.log('Текущее состояние:', order.getStateDescription());
-
-console.log('\n--- Шаг 3: Обработка оплаченного заказа ---');
-order.process();
-console.log('Текущее состояние:', order.getStateDescription());
-
-console.log('\n--- Шаг 4: Обработка отправленного заказа ---');
-order.process();
-console.log('Текущее состояние:', order.getStateDescription());
-
-// Пытаемся отменить доставленный заказ
-console.log('\n--- Попытка отмены доставленного заказа ---');
-order.cancel();
-
-// Возвращаем доставленный заказ
-console.log('\n--- Возврат доставленного заказа ---');
-order.return();
-console.log('Текущее состояние:', order.getStateDescription());
-
-// Показываем информацию о заказе
-console.log('\n--- Информация о заказе ---');
-console.log(order.getInfo());
-
 // ===== ПРИМЕР С АВТОМАТОМ СОСТОЯНИЙ =====
 
 /**
@@ -841,25 +768,104 @@ class Automaton {
     }
 }
 
-console.log("\n=== ПРИМЕР С АВТОМАТОМ СОСТОЯНИЙ ===");
+// ===== ПРИМЕР ИСПОЛЬЗОВАНИЯ =====
 
-// Создаем автомат
-const automaton = new Automaton();
+/**
+ * Запускает демонстрацию паттерна.
+ * Вызывается только при прямом запуске файла: node 10-state.js
+ */
+function runDemo() {
+    console.log("=== БАЗОВЫЙ ПРИМЕР STATE ===");
 
-// Тестируем различные входные строки
-const testInputs = ['abc', 'aabc', 'bbac', 'cab', 'abab'];
+    // Создаем контекст
+    const context = new Context();
 
-testInputs.forEach(input => {
-    console.log(`\n${'='.repeat(50)}`);
-    console.log(`Тестируем входную строку: "${input}"`);
-    console.log(`${'='.repeat(50)}`);
-    
-    const result = automaton.processInput(input);
-    console.log(`\nРезультат: ${result ? 'ПРИНЯТО' : 'ОТКЛОНЕНО'}`);
-    
-    console.log('\nИнформация об автомате:');
-    console.log(automaton.getInfo());
-});
+    // Создаем состояния
+    const stateA = new ConcreteStateA();
+    const stateB = new ConcreteStateB();
+    const stateC = new ConcreteStateC();
+
+    // Устанавливаем начальное состояние
+    context.setState(stateA);
+
+    // Обрабатываем запросы в разных состояниях
+    context.request();
+
+    context.setState(stateB);
+    context.request();
+
+    context.setState(stateC);
+    context.request();
+
+    // Возвращаемся к первому состоянию
+    context.setState(stateA);
+    context.request();
+
+    // Показываем историю переходов
+    console.log('\nИстория переходов состояний:');
+    context.getStateHistory().forEach(transition => {
+        console.log(`${transition.timestamp}: ${transition.from} → ${transition.to}`);
+    });
+
+    console.log(`Всего переходов: ${context.getTransitionCount()}`);
+
+    console.log("\n=== ПРАКТИЧЕСКИЙ ПРИМЕР - ЗАКАЗ В ИНТЕРНЕТ-МАГАЗИНЕ ===");
+
+    // Создаем заказ
+    const order = new Order('ORD-001', ['Ноутбук', 'Мышь', 'Клавиатура']);
+
+    console.log('Начальное состояние:', order.getStateDescription());
+
+    // Обрабатываем заказ пошагово
+    console.log('\n--- Шаг 1: Обработка созданного заказа ---');
+    order.process();
+    console.log('Текущее состояние:', order.getStateDescription());
+
+    console.log('\n--- Шаг 2: Обработка подтвержденного заказа ---');
+    order.process();
+    console.log('Текущее состояние:', order.getStateDescription());
+
+    console.log('\n--- Шаг 3: Обработка оплаченного заказа ---');
+    order.process();
+    console.log('Текущее состояние:', order.getStateDescription());
+
+    console.log('\n--- Шаг 4: Обработка отправленного заказа ---');
+    order.process();
+    console.log('Текущее состояние:', order.getStateDescription());
+
+    // Пытаемся отменить доставленный заказ
+    console.log('\n--- Попытка отмены доставленного заказа ---');
+    order.cancel();
+
+    // Возвращаем доставленный заказ
+    console.log('\n--- Возврат доставленного заказа ---');
+    order.return();
+    console.log('Текущее состояние:', order.getStateDescription());
+
+    // Показываем информацию о заказе
+    console.log('\n--- Информация о заказе ---');
+    console.log(order.getInfo());
+
+    console.log("\n=== ПРИМЕР С АВТОМАТОМ СОСТОЯНИЙ ===");
+
+    // Создаем автомат
+    const automaton = new Automaton();
+
+    // Тестируем различные входные строки
+    const testInputs = ['abc', 'aabc', 'bbac', 'cab', 'abab'];
+
+    testInputs.forEach(input => {
+        console.log(`\n${'='.repeat(50)}`);
+        console.log(`Тестируем входную строку: "${input}"`);
+        console.log(`${'='.repeat(50)}`);
+
+        const result = automaton.processInput(input);
+        console.log(`\nРезультат: ${result ? 'ПРИНЯТО' : 'ОТКЛОНЕНО'}`);
+
+        console.log('\nИнформация об автомате:');
+        console.log(automaton.getInfo());
+    });
+}
 
 // ===== ПРЕИМУЩЕСТВА И НЕДОСТАТКИ =====
 
@@ -884,3 +890,31 @@ testInputs.forEach(input => {
  * - Связан с Observer pattern
  * - Используется в Template Method
  */
+
+module.exports = {
+    State,
+    Context,
+    ConcreteStateA,
+    ConcreteStateB,
+    ConcreteStateC,
+    OrderState,
+    CreatedState,
+    ConfirmedState,
+    PaidState,
+    ShippedState,
+    DeliveredState,
+    ReturnedState,
+    CancelledState,
+    Order,
+    AutomatonState,
+    InitialState,
+    StateA,
+    StateB,
+    FinalStateC,
+    Automaton,
+    runDemo
+};
+
+if (require.main === module) {
+    runDemo();
+}
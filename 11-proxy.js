@@ -176,46 +176,6 @@ class Proxy extends Subject {
     }
 }
 
-// ===== ПРИМЕР ИСПОЛЬЗОВАНИЯ =====
-
-console.log("=== БАЗОВЫЙ ПРИМЕР PROXY ===");
-
-// Создаем прокси
-const proxy = new Proxy();
-
-// Пытаемся выполнить операции через прокси
-console.log('\n--- Первый вызов operation ---');
-try {
-    const result1 = proxy.operation('test data');
-    console.log('Результат:', result1);
-} catch (error) {
-    console.log('Ошибка:', error.message);
-}
-
-// Ждем немного для инициализации
-setTimeout(() => {
-    console.log('\n--- Повторный вызов operation ---');
-    try {
-        const result2 = proxy.operation('test data');
-        console.log('Результат:', result2);
-    } catch (error) {
-        console.log('Ошибка:', error.message);
-    }
-    
-    console.log('\n--- Вызов anotherOperation ---');
-    try {
-        const result3 = proxy.anotherOperation();
-        console.log('Результат:', result3);
-    } catch (error) {
-        console.log('Ошибка:', error.message);
-    }
-    
-    // Показываем статистику
-    console.log('\n--- Статистика прокси ---');
-    console.log(proxy.getStats());
-    
-}, 1500);
-
 // ===== ПРАКТИЧЕСКИЙ ПРИМЕР - ПРОКСИ ДЛЯ РАБОТЫ С БАЗОЙ ДАННЫХ =====
 
 /**
@@ -566,49 +526,6 @@ class DatabaseProxy extends DatabaseInterface {
     }
 }
 
-console.log("\n=== ПРАКТИЧЕСКИЙ ПРИМЕР - ПРОКСИ ДЛЯ БАЗЫ ДАННЫХ ===");
-
-// Создаем прокси базы данных
-const dbProxy = new DatabaseProxy();
-
-// Тестируем различные операции
-async function testDatabaseProxy() {
-    try {
-        console.log('\n--- Тест 1: Выполнение запроса ---');
-        const result1 = await dbProxy.executeQuery('SELECT * FROM users WHERE id = 1');
-        console.log('Результат 1:', result1);
-        
-        console.log('\n--- Тест 2: Повторный запрос (должен быть из кэша) ---');
-        const result2 = await dbProxy.executeQuery('SELECT * FROM users WHERE id = 1');
-        console.log('Результат 2:', result2);
-        
-        console.log('\n--- Тест 3: Новый запрос ---');
-        const result3 = await dbProxy.executeQuery('SELECT * FROM products WHERE category = "electronics"');
-        console.log('Результат 3:', result3);
-        
-        console.log('\n--- Тест 4: Транзакция ---');
-        const transactionResult = await dbProxy.executeTransaction([
-            'INSERT INTO orders (user_id, total) VALUES (1, 100)',
-            'UPDATE users SET order_count = order_count + 1 WHERE id = 1'
-        ]);
-        console.log('Результат транзакции:', transactionResult);
-        
-        // Показываем статистику
-        console.log('\n--- Статистика прокси ---');
-        console.log(dbProxy.getStats());
-        
-        // Показываем последние записи доступа
-        console.log('\n--- Последние записи доступа ---');
-        console.log(dbProxy.getRecentAccessLog(5));
-        
-    } catch (error) {
-        console.error('Ошибка:', error.message);
-    }
-}
-
-// Запускаем тест
-testDatabaseProxy();
-
 // ===== ПРИМЕР С ПРОКСИ-ЗАЩИТОЙ =====
 
 /**
@@ -879,55 +796,144 @@ class ProtectionProxy extends ProtectedResource {
     }
 }
 
-console.log("\n=== ПРИМЕР С ПРОКСИ-ЗАЩИТОЙ ===");
+// ===== ПРИМЕР ИСПОЛЬЗОВАНИЯ =====
+
+/**
+ * Запускает демонстрацию паттерна.
+ * Вызывается только при прямом запуске файла: node 11-proxy.js
+ */
+function runDemo() {
+    console.log("=== БАЗОВЫЙ ПРИМЕР PROXY ===");
 
-// Создаем прокси-защиту
-const protectionProxy = new ProtectionProxy();
+    // Создаем прокси
+    const proxy = new Proxy();
 
-// Тестируем различные сценарии доступа
-async function testProtectionProxy() {
+    // Пытаемся выполнить операции через прокси
+    console.log('\n--- Первый вызов operation ---');
     try {
-        console.log('\n--- Тест 1: user1 читает свои данные ---');
-        const user1Data = protectionProxy.getData('user1');
-        console.log('Данные user1:', user1Data);
-        
-        console.log('\n--- Тест 2: user1 обновляет свои данные ---');
-        const updateResult = protectionProxy.updateData('user1', { age: 25 });
-        console.log('Результат обновления:', updateResult);
-        
-        console.log('\n--- Тест 3: user3 пытается обновить свои данные (должно быть запрещено) ---');
+        const result1 = proxy.operation('test data');
+        console.log('Результат:', result1);
+    } catch (error) {
+        console.log('Ошибка:', error.message);
+    }
+
+    // Ждем немного для инициализации
+    setTimeout(() => {
+        console.log('\n--- Повторный вызов operation ---');
         try {
-            protectionProxy.updateData('user3', { age: 30 });
+            const result2 = proxy.operation('test data');
+            console.log('Результат:', result2);
         } catch (error) {
-            console.log('Ожидаемая ошибка:', error.message);
+            console.log('Ошибка:', error.message);
         }
-        
-        console.log('\n--- Тест 4: user2 (admin) читает данные user1 ---');
-        const adminReadResult = protectionProxy.getData('user1');
-        console.log('Результат чтения admin:', adminReadResult);
-        
-        console.log('\n--- Тест 5: user1 пытается удалить свои данные (должно быть запрещено) ---');
+
+        console.log('\n--- Вызов anotherOperation ---');
         try {
-            protectionProxy.deleteData('user1');
+            const result3 = proxy.anotherOperation();
+            console.log('Результат:', result3);
         } catch (error) {
-            console.log('Ожидаемая ошибка:', error.message);
+            console.log('Ошибка:', error.message);
         }
-        
+
         // Показываем статистику
-        console.log('\n--- Статистика прокси-защиты ---');
-        console.log(protectionProxy.getStats());
-        
-        // Показываем последние записи аудита
-        console.log('\n--- Последние записи аудита ---');
-        console.log(protectionProxy.getRecentAuditLog(5));
-        
-    } catch (error) {
-        console.error('Ошибка:', error.message);
+        console.log('\n--- Статистика прокси ---');
+        console.log(proxy.getStats());
+
+    }, 1500);
+
+    console.log("\n=== ПРАКТИЧЕСКИЙ ПРИМЕР - ПРОКСИ ДЛЯ БАЗЫ ДАННЫХ ===");
+
+    // Создаем прокси базы данных
+    const dbProxy = new DatabaseProxy();
+
+    // Тестируем различные операции
+    async function testDatabaseProxy() {
+        try {
+            console.log('\n--- Тест 1: Выполнение запроса ---');
+            const result1 = await dbProxy.executeQuery('SELECT * FROM users WHERE id = 1');
+            console.log('Результат 1:', result1);
+
+            console.log('\n--- Тест 2: Повторный запрос (должен быть из кэша) ---');
+            const result2 = await dbProxy.executeQuery('SELECT * FROM users WHERE id = 1');
+            console.log('Результат 2:', result2);
+
+            console.log('\n--- Тест 3: Новый запрос ---');
+            const result3 = await dbProxy.executeQuery('SELECT * FROM products WHERE category = "electronics"');
+            console.log('Результат 3:', result3);
+
+            console.log('\n--- Тест 4: Транзакция ---');
+            const transactionResult = await dbProxy.executeTransaction([
+                'INSERT INTO orders (user_id, total) VALUES (1, 100)',
+                'UPDATE users SET order_count = order_count + 1 WHERE id = 1'
+            ]);
+            console.log('Результат транзакции:', transactionResult);
+
+            // Показываем статистику
+            console.log('\n--- Статистика прокси ---');
+            console.log(dbProxy.getStats());
+
+            // Показываем последние записи доступа
+            console.log('\n--- Последние записи доступа ---');
+            console.log(dbProxy.getRecentAccessLog(5));
+
+        } catch (error) {
+            console.error('Ошибка:', error.message);
+        }
     }
-}
 
-// Запускаем тест
-testProtectionProxy();
+    // Запускаем тест
+    testDatabaseProxy();
+
+    console.log("\n=== ПРИМЕР С ПРОКСИ-ЗАЩИТОЙ ===");
+
+    // Создаем прокси-защиту
+    const protectionProxy = new ProtectionProxy();
+
+    // Тестируем различные сценарии доступа
+    async function testProtectionProxy() {
+        try {
+            console.log('\n--- Тест 1: user1 читает свои данные ---');
+            const user1Data = protectionProxy.getData('user1');
+            console.log('Данные user1:', user1Data);
+
+            console.log('\n--- Тест 2: user1 обновляет свои данные ---');
+            const updateResult = protectionProxy.updateData('user1', { age: 25 });
+            console.log('Результат обновления:', updateResult);
+
+            console.log('\n--- Тест 3: user3 пытается обновить свои данные (должно быть запрещено) ---');
+            try {
+                protectionProxy.updateData('user3', { age: 30 });
+            } catch (error) {
+                console.log('Ожидаемая ошибка:', error.message);
+            }
+
+            console.log('\n--- Тест 4: user2 (admin) читает данные user1 ---');
+            const adminReadResult = protectionProxy.getData('user1');
+            console.log('Результат чтения admin:', adminReadResult);
+
+            console.log('\n--- Тест 5: user1 пытается удалить свои данные (должно быть запрещено) ---');
+            try {
+                protectionProxy.deleteData('user1');
+            } catch (error) {
+                console.log('Ожидаемая ошибка:', error.message);
+            }
+
+            // Показываем статистику
+            console.log('\n--- Статистика прокси-защиты ---');
+            console.log(protectionProxy.getStats());
+
+            // Показываем последние записи аудита
+            console.log('\n--- Последние записи аудита ---');
+            console.log(protectionProxy.getRecentAuditLog(5));
+
+        } catch (error) {
+            console.error('Ошибка:', error.message);
+        }
+    }
+
+    // Запускаем тест
+    testProtectionProxy();
+}
 
 // ===== ПРЕИМУЩЕСТВА И НЕДОСТАТКИ =====
 
@@ -952,3 +958,20 @@ testProtectionProxy();
  * - Связан с Facade pattern
  * - Используется в Chain of Responsibility
  */
+
+module.exports = {
+    Subject,
+    RealSubject,
+    Proxy,
+    DatabaseInterface,
+    RealDatabase,
+    DatabaseProxy,
+    ProtectedResource,
+    RealProtectedResource,
+    ProtectionProxy,
+    runDemo
+};
+
+if (require.main === module) {
+    runDemo();
+}
@@ -20,6 +20,8 @@
  * - Сетевые протоколы
  */
 
+const { validationMessages } = require('./04-strategy');
+
 // ===== БАЗОВАЯ РЕАЛИЗАЦИЯ =====
 
 /**
@@ -156,44 +158,63 @@ class ConcreteHandlerC extends Handler {
     }
 }
 
-// ===== ПРИМЕР ИСПОЛЬЗОВАНИЯ =====
-
-console.log("=== БАЗОВЫЙ ПРИМЕР CHAIN OF RESPONSIBILITY ===");
-
-// Создаем обработчики
-const handlerA = new ConcreteHandlerA();
-const handlerB = new ConcreteHandlerB();
-const handlerC = new ConcreteHandlerC();
+// ===== ПРАКТИЧЕСКИЙ ПРИМЕР - СИСТЕМА ВАЛИДАЦИИ =====
 
-// Строим цепочку
-handlerA.setNext(handlerB).setNext(handlerC);
+// Сообщения валидаторов цепочки; общие коды (email.invalid, age.range,
+// name.minLength, email.maxLength) уже есть в каталоге
+const CHAIN_MESSAGES = {
+    ru: {
+        'field.requiredNamed': 'Поле "{field}" обязательно для заполнения',
+        'age.adult': {
+            one: 'Возраст должен быть не менее {count} года',
+            few: 'Возраст должен быть не менее {count} лет',
+            many: 'Возраст должен быть не менее {count} лет',
+            other: 'Возраст должен быть не менее {count} лет'
+        },
+        'name.maxLength': {
+            one: 'Имя не должно превышать {count} символ',
+            few: 'Имя не должно превышать {count} символа',
+            many: 'Имя не должно превышать {count} символов',
+            other: 'Имя не должно превышать {count} символа'
+        },
+        'name.specialChars': 'Имя не должно содержать специальные символы'
+    },
+    en: {
+        'field.requiredNamed': 'Field "{field}" is required',
+        'age.adult': {
+            one: 'Age must be at least {count} year',
+            other: 'Age must be at least {count} years'
+        },
+        'name.maxLength': {
+            one: 'Name must not exceed {count} character',
+            other: 'Name must not exceed {count} characters'
+        },
+        'name.specialChars': 'Name must not contain special characters'
+    }
+};
 
-// Тестовые запросы
-const requests = [
-    { type: 'A', priority: 3, data: 'Данные для A' },
-    { type: 'B', priority: 7, data: 'Данные для B' },
-    { type: 'C', priority: 15, data: 'Данные для C' },
-    { type: 'D', priority: 8, data: 'Данные для D' }
-];
+const catalogsWithChainMessages = new WeakSet();
 
-// Обрабатываем запросы
-requests.forEach((request, index) => {
-    console.log(`\n--- Запрос ${index + 1} ---`);
-    console.log('Запрос:', request);
-    
-    const result = handlerA.handle(request);
-    
-    if (result) {
-        console.log('Результат:', result);
-    } else {
-        console.log('Запрос не обработан');
+/**
+ * Добавляет сообщения валидаторов цепочки в каталог (по умолчанию - общий
+ * из 04-strategy.js). Валидатор вызывает ее сам при первой проверке,
+ * поэтому подключение модуля общий каталог не меняет
+ * @param {MessageCatalog} [catalog] - Каталог сообщений
+ * @returns {MessageCatalog}
+ */
+function registerChainMessages(catalog = validationMessages) {
+    if (!catalogsWithChainMessages.has(catalog)) {
+        Object.entries(CHAIN_MESSAGES).forEach(([locale, messages]) => catalog.define(locale, messages));
+        catalogsWithChainMessages.add(catalog);
     }
-});
-
-// ===== ПРАКТИЧЕСКИЙ ПРИМЕР - СИСТЕМА ВАЛИДАЦИИ =====
+    return catalog;
+}
 
 /**
- * Абстрактный валидатор
+ * Абстрактный валидатор.
+ * performValidation возвращает нарушения в виде { code, params },
+ * текст сообщений берется из каталога на нужном языке.
+ * Нарушение-строка выводится как есть, без перевода
  */
 class Validator {
     constructor() {
@@ -214,26 +235,32 @@ class Validator {
     /**
      * Выполняет валидацию
      * @param {Object} data - Данные для валидации
-     * @returns {Object} Результат валидации
+     * @param {Object} [options]
+     * @param {string} [options.locale] - Язык сообщений (ru, en)
+     * @returns {Object} Результат валидации: errors - тексты, issues - { code, params, message }
      */
-    validate(data) {
+    validate(data, { locale } = {}) {
         // Выполняем текущую валидацию
         const currentResult = this.performValidation(data);
-        
-        // Если есть ошибки, добавляем их
-        if (currentResult.errors.length > 0) {
-            this.validationErrors.push(...currentResult.errors);
-        }
+        const catalog = registerChainMessages();
+        const issues = currentResult.errors.map(error => (typeof error === 'string'
+            ? { code: null, params: {}, message: error }
+            : catalog.message(error.code, error.params, locale)));
         
         // Если есть следующий валидатор, продолжаем цепочку
         if (this.nextValidator) {
-            const nextResult = this.nextValidator.validate(data);
-            this.validationErrors.push(...nextResult.errors);
+            const nextResult = this.nextValidator.validate(data, { locale });
+            issues.push(...nextResult.issues);
         }
         
+        // Ошибки каждого звена пересчитываются заново, иначе при повторных
+        // вызовах они копились бы в звеньях, которые clearErrors не затрагивает
+        this.validationErrors = issues;
+        
         return {
             isValid: this.validationErrors.length === 0,
-            errors: [...this.validationErrors],
+            errors: this.validationErrors.map(issue => issue.message),
+            issues: [...this.validationErrors],
             validatedBy: this.constructor.name
         };
     }
@@ -241,7 +268,7 @@ class Validator {
     /**
      * Выполняет конкретную валидацию
      * @param {Object} data - Данные для валидации
-     * @returns {Object} Результат валидации
+     * @returns {Object} { errors: [{ code, params } | string] }
      */
     performValidation(data) {
         throw new Error("Метод performValidation должен быть переопределен");
@@ -267,7 +294,7 @@ class RequiredFieldsValidator extends Validator {
         
         for (const field of requiredFields) {
             if (!data[field] || (typeof data[field] === 'string' && data[field].trim() === '')) {
-                errors.push(`Поле "${field}" обязательно для заполнения`);
+                errors.push({ code: 'field.requiredNamed', params: { field } });
             }
         }
         
@@ -287,7 +314,7 @@ class EmailFormatValidator extends Validator {
         if (data.email) {
             const emailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
             if (!emailRegex.test(data.email)) {
-                errors.push('Неверный формат email адреса');
+                errors.push({ code: 'email.invalid' });
             }
         }
         
@@ -306,9 +333,9 @@ class AgeValidator extends Validator {
         
         if (data.age !== undefined) {
             if (typeof data.age !== 'number' || data.age < 0 || data.age > 150) {
-                errors.push('Возраст должен быть числом от 0 до 150');
+                errors.push({ code: 'age.range', params: { min: 0, max: 150 } });
             } else if (data.age < 18) {
-                errors.push('Возраст должен быть не менее 18 лет');
+                errors.push({ code: 'age.adult', params: { count: 18 } });
             }
         }
         
@@ -326,15 +353,15 @@ class StringLengthValidator extends Validator {
         const errors = [];
         
         if (data.name && data.name.length < 2) {
-            errors.push('Имя должно содержать минимум 2 символа');
+            errors.push({ code: 'name.minLength', params: { count: 2 } });
         }
         
         if (data.name && data.name.length > 50) {
-            errors.push('Имя не должно превышать 50 символов');
+            errors.push({ code: 'name.maxLength', params: { count: 50 } });
         }
         
         if (data.email && data.email.length > 100) {
-            errors.push('Email не должен превышать 100 символов');
+            errors.push({ code: 'email.maxLength', params: { count: 100 } });
         }
         
         return { errors };
@@ -353,7 +380,7 @@ class SpecialCharactersValidator extends Validator {
         if (data.name) {
             const specialCharRegex = /[<>{}[\]\\|`~!@#$%^&*()+=]/;
             if (specialCharRegex.test(data.name)) {
-                errors.push('Имя не должно содержать специальные символы');
+                errors.push({ code: 'name.specialChars' });
             }
         }
         
@@ -361,64 +388,6 @@ class SpecialCharactersValidator extends Validator {
     }
 }
 
-console.log("\n=== ПРАКТИЧЕСКИЙ ПРИМЕР - СИСТЕМА ВАЛИДАЦИИ ===");
-
-// Создаем валидаторы
-const requiredValidator = new RequiredFieldsValidator();
-const emailValidator = new EmailFormatValidator();
-const ageValidator = new AgeValidator();
-const lengthValidator = new StringLengthValidator();
-const specialCharValidator = new SpecialCharactersValidator();
-
-// Строим цепочку валидации
-requiredValidator
-    .setNext(emailValidator)
-    .setNext(ageValidator)
-    .setNext(lengthValidator)
-    .setNext(specialCharValidator);
-
-// Тестовые данные
-const testData = [
-    {
-        name: 'Иван',
-        email: 'ivan@example.com',
-        age: 25
-    },
-    {
-        name: '',
-        email: 'invalid-email',
-        age: 15
-    },
-    {
-        name: 'Петр<>',
-        email: 'petr@example.com',
-        age: 200
-    },
-    {
-        name: 'Мария',
-        email: 'maria@example.com'
-        // age отсутствует
-    }
-];
-
-// Валидируем данные
-testData.forEach((data, index) => {
-    console.log(`\n--- Валидация данных ${index + 1} ---`);
-    console.log('Данные:', data);
-    
-    const result = requiredValidator.validate(data);
-    
-    if (result.isValid) {
-        console.log('✅ Валидация пройдена успешно');
-    } else {
-        console.log('❌ Ошибки валидации:');
-        result.errors.forEach(error => console.log(`  - ${error}`));
-    }
-    
-    // Очищаем ошибки для следующей валидации
-    requiredValidator.clearErrors();
-});
-
 // ===== ПРИМЕР С ОБРАБОТКОЙ ИСКЛЮЧЕНИЙ =====
 
 /**
@@ -626,64 +595,6 @@ class DefaultErrorHandler extends ExceptionHandler {
     }
 }
 
-console.log("\n=== ПРИМЕР С ОБРАБОТКОЙ ИСКЛЮЧЕНИЙ ===");
-
-// Создаем обработчики исключений
-const validationHandler = new ValidationErrorHandler();
-const networkHandler = new NetworkErrorHandler();
-const databaseHandler = new DatabaseErrorHandler();
-const criticalHandler = new CriticalErrorHandler();
-const defaultHandler = new DefaultErrorHandler();
-
-// Строим цепочку обработки исключений
-validationHandler
-    .setNext(networkHandler)
-    .setNext(databaseHandler)
-    .setNext(criticalHandler)
-    .setNext(defaultHandler);
-
-// Тестовые исключения
-const testErrors = [
-    new Error('Ошибка валидации: неверный формат email'),
-    new Error('Ошибка сети: timeout'),
-    new Error('Ошибка базы данных: SQL syntax error'),
-    new Error('Критическая ошибка: нехватка памяти'),
-    new Error('Неизвестная ошибка: что-то пошло не так')
-];
-
-// Контексты для ошибок
-const contexts = [
-    { field: 'email', priority: 'low' },
-    { retryCount: 2, priority: 'medium' },
-    { query: 'SELECT * FROM users', priority: 'low' },
-    { priority: 'high' },
-    { priority: 'low' }
-];
-
-// Обрабатываем исключения
-testErrors.forEach((error, index) => {
-    console.log(`\n--- Обработка исключения ${index + 1} ---`);
-    console.log('Исключение:', error.message);
-    console.log('Контекст:', contexts[index]);
-    
-    const result = validationHandler.handle(error, contexts[index]);
-    
-    if (result) {
-        console.log('Результат обработки:', result);
-    } else {
-        console.log('Исключение не обработано');
-    }
-});
-
-// Показываем статистику обработки
-console.log('\n--- Статистика обработки исключений ---');
-[validationHandler, networkHandler, databaseHandler, criticalHandler, defaultHandler].forEach(handler => {
-    const stats = handler.getStats();
-    if (stats.handledCount > 0) {
-        console.log(`${stats.handlerName}: обработано ${stats.handledCount} исключений`);
-    }
-});
-
 // ===== ПРИМЕР С ЛОГИРОВАНИЕМ ====
 
 /**
@@ -888,43 +799,212 @@ class NetworkLogger extends Logger {
     }
 }
 
-console.log("\n=== ПРИМЕР С ЛОГИРОВАНИЕМ ===");
-
-// Создаем логгеры
-const consoleLogger = new ConsoleLogger();
-const fileLogger = new FileLogger('application.log');
-const networkLogger = new NetworkLogger();
-
-// Строим цепочку логгеров
-consoleLogger
-    .setNext(fileLogger)
-    .setNext(networkLogger);
-
-// Устанавливаем уровни логирования
-consoleLogger.setLogLevel('info');
-fileLogger.setLogLevel('warn');
-networkLogger.setLogLevel('error');
-
-// Тестируем логирование
-console.log('\n--- Тестирование логирования ---');
-
-consoleLogger.log('debug', 'Отладочное сообщение', { module: 'test', line: 42 });
-consoleLogger.log('info', 'Информационное сообщение', { user: 'admin', action: 'login' });
-consoleLogger.log('warn', 'Предупреждение', { resource: 'database', usage: '85%' });
-consoleLogger.log('error', 'Ошибка подключения', { service: 'database', retry: 3 });
-consoleLogger.log('fatal', 'Критическая ошибка', { component: 'core', stack: 'stack trace' });
-
-// Ждем немного для отправки сетевых логов
-setTimeout(() => {
-    console.log('\n--- Статистика логирования ---');
-    console.log('Файловые логи:', fileLogger.getLogs().length);
-    
-    // Показываем последние логи
-    console.log('\n--- Последние файловые логи ---');
-    fileLogger.getLogs().slice(-3).forEach(log => {
-        console.log(`${log.timestamp} [${log.level}] ${log.message}`);
+// ===== ПРИМЕР ИСПОЛЬЗОВАНИЯ =====
+
+/**
+ * Запускает демонстрацию паттерна.
+ * Вызывается только при прямом запуске файла: node 12-chain-of-responsibility.js
+ */
+function runDemo() {
+    console.log("=== БАЗОВЫЙ ПРИМЕР CHAIN OF RESPONSIBILITY ===");
+
+    // Создаем обработчики
+    const handlerA = new ConcreteHandlerA();
+    const handlerB = new ConcreteHandlerB();
+    const handlerC = new ConcreteHandlerC();
+
+    // Строим цепочку
+    handlerA.setNext(handlerB).setNext(handlerC);
+
+    // Тестовые запросы
+    const requests = [
+        { type: 'A', priority: 3, data: 'Данные для A' },
+        { type: 'B', priority: 7, data: 'Данные для B' },
+        { type: 'C', priority: 15, data: 'Данные для C' },
+        { type: 'D', priority: 8, data: 'Данные для D' }
+    ];
+
+    // Обрабатываем запросы
+    requests.forEach((request, index) => {
+        console.log(`\n--- Запрос ${index + 1} ---`);
+        console.log('Запрос:', request);
+
+        const result = handlerA.handle(request);
+
+        if (result) {
+            console.log('Результат:', result);
+        } else {
+            console.log('Запрос не обработан');
+        }
+    });
+
+    console.log("\n=== ПРАКТИЧЕСКИЙ ПРИМЕР - СИСТЕМА ВАЛИДАЦИИ ===");
+
+    // Создаем валидаторы
+    const requiredValidator = new RequiredFieldsValidator();
+    const emailValidator = new EmailFormatValidator();
+    const ageValidator = new AgeValidator();
+    const lengthValidator = new StringLengthValidator();
+    const specialCharValidator = new SpecialCharactersValidator();
+
+    // Строим цепочку валидации
+    requiredValidator
+        .setNext(emailValidator)
+        .setNext(ageValidator)
+        .setNext(lengthValidator)
+        .setNext(specialCharValidator);
+
+    // Тестовые данные
+    const testData = [
+        {
+            name: 'Иван',
+            email: 'ivan@example.com',
+            age: 25
+        },
+        {
+            name: '',
+            email: 'invalid-email',
+            age: 15
+        },
+        {
+            name: 'Петр<>',
+            email: 'petr@example.com',
+            age: 200
+        },
+        {
+            name: 'Мария',
+            email: 'maria@example.com'
+            // age отсутствует
+        }
+    ];
+
+    // Валидируем данные
+    testData.forEach((data, index) => {
+        console.log(`\n--- Валидация данных ${index + 1} ---`);
+        console.log('Данные:', data);
+
+        const result = requiredValidator.validate(data);
+
+        if (result.isValid) {
+            console.log('✅ Валидация пройдена успешно');
+        } else {
+            console.log('❌ Ошибки валидации:');
+            result.errors.forEach(error => console.log(`  - ${error}`));
+        }
+
+        // Очищаем ошибки для следующей валидации
+        requiredValidator.clearErrors();
     });
-}, 6000);
+
+    // Тот же результат для англоязычного клиента; коды ошибок не зависят от языка
+    console.log('\n--- Validation in English ---');
+    const englishResult = requiredValidator.validate(testData[1], { locale: 'en' });
+    englishResult.issues.forEach(issue => console.log(`  - ${issue.message} (${issue.code})`));
+
+    // Свой валидатор может вернуть готовый текст вместо кода из каталога
+    const domainValidator = new (class extends Validator {
+        performValidation(data) {
+            return { errors: data.email.endsWith('@example.com') ? ['Тестовые адреса не принимаются'] : [] };
+        }
+    })();
+    console.log('Свой валидатор:', domainValidator.validate(testData[0]).errors);
+
+    console.log("\n=== ПРИМЕР С ОБРАБОТКОЙ ИСКЛЮЧЕНИЙ ===");
+
+    // Создаем обработчики исключений
+    const validationHandler = new ValidationErrorHandler();
+    const networkHandler = new NetworkErrorHandler();
+    const databaseHandler = new DatabaseErrorHandler();
+    const criticalHandler = new CriticalErrorHandler();
+    const defaultHandler = new DefaultErrorHandler();
+
+    // Строим цепочку обработки исключений
+    validationHandler
+        .setNext(networkHandler)
+        .setNext(databaseHandler)
+        .setNext(criticalHandler)
+        .setNext(defaultHandler);
+
+    // Тестовые исключения
+    const testErrors = [
+        new Error('Ошибка валидации: неверный формат email'),
+        new Error('Ошибка сети: timeout'),
+        new Error('Ошибка базы данных: SQL syntax error'),
+        new Error('Критическая ошибка: нехватка памяти'),
+        new Error('Неизвестная ошибка: что-то пошло не так')
+    ];
+
+    // Контексты для ошибок
+    const contexts = [
+        { field: 'email', priority: 'low' },
+        { retryCount: 2, priority: 'medium' },
+        { query: 'SELECT * FROM users', priority: 'low' },
+        { priority: 'high' },
+        { priority: 'low' }
+    ];
+
+    // Обрабатываем исключения
+    testErrors.forEach((error, index) => {
+        console.log(`\n--- Обработка исключения ${index + 1} ---`);
+        console.log('Исключение:', error.message);
+        console.log('Контекст:', contexts[index]);
+
+        const result = validationHandler.handle(error, contexts[index]);
+
+        if (result) {
+            console.log('Результат обработки:', result);
+        } else {
+            console.log('Исключение не обработано');
+        }
+    });
+
+    // Показываем статистику обработки
+    console.log('\n--- Статистика обработки исключений ---');
+    [validationHandler, networkHandler, databaseHandler, criticalHandler, defaultHandler].forEach(handler => {
+        const stats = handler.getStats();
+        if (stats.handledCount > 0) {
+            console.log(`${stats.handlerName}: обработано ${stats.handledCount} исключений`);
+        }
+    });
+
+    console.log("\n=== ПРИМЕР С ЛОГИРОВАНИЕМ ===");
+
+    // Создаем логгеры
+    const consoleLogger = new ConsoleLogger();
+    const fileLogger = new FileLogger('application.log');
+    const networkLogger = new NetworkLogger();
+
+    // Строим цепочку логгеров
+    consoleLogger
+        .setNext(fileLogger)
+        .setNext(networkLogger);
+
+    // Устанавливаем уровни логирования
+    consoleLogger.setLogLevel('info');
+    fileLogger.setLogLevel('warn');
+    networkLogger.setLogLevel('error');
+
+    // Тестируем логирование
+    console.log('\n--- Тестирование логирования ---');
+
+    consoleLogger.log('debug', 'Отладочное сообщение', { module: 'test', line: 42 });
+    consoleLogger.log('info', 'Информационное сообщение', { user: 'admin', action: 'login' });
+    consoleLogger.log('warn', 'Предупреждение', { resource: 'database', usage: '85%' });
+    consoleLogger.log('error', 'Ошибка подключения', { service: 'database', retry: 3 });
+    consoleLogger.log('fatal', 'Критическая ошибка', { component: 'core', stack: 'stack trace' });
+
+    // Ждем немного для отправки сетевых логов
+    setTimeout(() => {
+        console.log('\n--- Статистика логирования ---');
+        console.log('Файловые логи:', fileLogger.getLogs().length);
+
+        // Показываем последние логи
+        console.log('\n--- Последние файловые логи ---');
+        fileLogger.getLogs().slice(-3).forEach(log => {
+            console.log(`${log.timestamp} [${log.level}] ${log.message}`);
+        });
+    }, 6000);
+}
 
 // ===== ПРЕИМУЩЕСТВА И НЕДОСТАТКИ =====
 
@@ -949,3 +1029,32 @@ setTimeout(() => {
  * - Связан с Strategy pattern
  * - Используется в Template Method
  */
+
+module.exports = {
+    Handler,
+    ConcreteHandlerA,
+    ConcreteHandlerB,
+    ConcreteHandlerC,
+    registerChainMessages,
+    Validator,
+    RequiredFieldsValidator,
+    EmailFormatValidator,
+    AgeValidator,
+    StringLengthValidator,
+    SpecialCharactersValidator,
+    ExceptionHandler,
+    ValidationErrorHandler,
+    NetworkErrorHandler,
+    DatabaseErrorHandler,
+    CriticalErrorHandler,
+    DefaultErrorHandler,
+    Logger,
+    ConsoleLogger,
+    FileLogger,
+    NetworkLogger,
+    runDemo
+};
+
+if (require.main === module) {
+    runDemo();
+}
@@ -274,49 +274,6 @@ class Composite extends Component {
     }
 }
 
-// ===== ПРИМЕР ИСПОЛЬЗОВАНИЯ =====
-
-console.log("=== БАЗОВЫЙ ПРИМЕР COMPOSITE ===");
-
-// Создаем компоненты
-const root = new Composite('Root');
-const branch1 = new Composite('Branch1');
-const branch2 = new Composite('Branch2');
-const leaf1 = new Leaf('Leaf1');
-const leaf2 = new Leaf('Leaf2');
-const leaf3 = new Leaf('Leaf3');
-
-// Строим дерево
-root.add(branch1);
-root.add(branch2);
-branch1.add(leaf1);
-branch1.add(leaf2);
-branch2.add(leaf3);
-
-// Выполняем операции
-console.log('\n--- Выполнение операций ---');
-console.log('Результат операции для root:', root.operation());
-
-console.log('\n--- Информация о структуре ---');
-console.log('Путь к leaf1:', leaf1.getPath());
-console.log('Путь к leaf3:', leaf3.getPath());
-console.log('Глубина дерева:', root.getDepth());
-console.log('Количество дочерних элементов root:', root.getChildrenCount());
-console.log('Количество дочерних элементов branch1:', branch1.getChildrenCount());
-
-console.log('\n--- Поиск компонентов ---');
-const foundComponent = root.findByName('Leaf2');
-if (foundComponent) {
-    console.log('Найден компонент:', foundComponent.getName());
-    console.log('Путь к компоненту:', foundComponent.getPath());
-}
-
-console.log('\n--- Все листовые компоненты ---');
-const leaves = root.getLeaves();
-leaves.forEach(leaf => {
-    console.log(`Лист: ${leaf.getName()}, путь: ${leaf.getPath()}`);
-});
-
 // ===== ПРАКТИЧЕСКИЙ ПРИМЕР - ФАЙЛОВАЯ СИСТЕМА =====
 
 /**
@@ -700,65 +657,6 @@ class Folder extends FileSystemComponent {
     }
 }
 
-console.log("\n=== ПРАКТИЧЕСКИЙ ПРИМЕР - ФАЙЛОВАЯ СИСТЕМА ===");
-
-// Создаем файловую систему
-const rootFolder = new Folder('Root');
-const documentsFolder = new Folder('Documents');
-const picturesFolder = new Folder('Pictures');
-const workFolder = new Folder('Work');
-const personalFolder = new Folder('Personal');
-
-// Создаем файлы
-const resumeFile = new File('resume.txt', 0, 'txt');
-const photoFile = new File('photo.jpg', 2048576, 'jpg');
-const reportFile = new File('report.pdf', 1048576, 'pdf');
-const notesFile = new File('notes.txt', 0, 'txt');
-
-// Устанавливаем содержимое текстовых файлов
-resumeFile.setContent('Мое резюме: опыт работы, навыки, образование');
-notesFile.setContent('Важные заметки: встречи, задачи, идеи');
-
-// Строим структуру папок
-rootFolder.add(documentsFolder);
-rootFolder.add(picturesFolder);
-documentsFolder.add(workFolder);
-documentsFolder.add(personalFolder);
-workFolder.add(reportFile);
-personalFolder.add(resumeFile);
-picturesFolder.add(photoFile);
-personalFolder.add(notesFile);
-
-// Выполняем операции
-console.log('\n--- Выполнение операций с файлами ---');
-console.log('Чтение всех файлов в корневой папке:');
-console.log(rootFolder.executeOperation('read'));
-
-console.log('\n--- Информация о структуре ---');
-console.log('Путь к resume.txt:', resumeFile.getPath());
-console.log('Путь к report.pdf:', reportFile.getPath());
-console.log('Размер папки Documents:', documentsFolder.getSize(), 'байт');
-console.log('Размер папки Personal:', personalFolder.getSize(), 'байт');
-
-console.log('\n--- Поиск компонентов ---');
-const foundFile = rootFolder.findByName('resume.txt');
-if (foundFile) {
-    console.log('Найден файл:', foundFile.getName());
-    console.log('Путь к файлу:', foundFile.getPath());
-    console.log('Содержимое:', foundFile.getContent());
-}
-
-console.log('\n--- Статистика папок ---');
-console.log('Статистика корневой папки:', rootFolder.getStats());
-console.log('Статистика папки Documents:', documentsFolder.getStats());
-console.log('Статистика папки Personal:', personalFolder.getStats());
-
-console.log('\n--- Все файлы в системе ---');
-const allFiles = rootFolder.getAllFiles();
-allFiles.forEach(file => {
-    console.log(`Файл: ${file.getName()}, размер: ${file.getSize()} байт, путь: ${file.getPath()}`);
-});
-
 // ===== ПРИМЕР С UI КОМПОНЕНТАМИ =====
 
 /**
@@ -1140,60 +1038,168 @@ class Panel extends UIComponent {
     }
 }
 
-console.log("\n=== ПРИМЕР С UI КОМПОНЕНТАМИ ===");
+// ===== ПРИМЕР ИСПОЛЬЗОВАНИЯ =====
+
+/**
+ * Запускает демонстрацию паттерна.
+ * Вызывается только при прямом запуске файла: node 13-composite.js
+ */
+function runDemo() {
+    console.log("=== БАЗОВЫЙ ПРИМЕР COMPOSITE ===");
+
+    // Создаем компоненты
+    const root = new Composite('Root');
+    const branch1 = new Composite('Branch1');
+    const branch2 = new Composite('Branch2');
+    const leaf1 = new Leaf('Leaf1');
+    const leaf2 = new Leaf('Leaf2');
+    const leaf3 = new Leaf('Leaf3');
+
+    // Строим дерево
+    root.add(branch1);
+    root.add(branch2);
+    branch1.add(leaf1);
+    branch1.add(leaf2);
+    branch2.add(leaf3);
 
-// Создаем UI компоненты
-const mainPanel = new Panel('MainPanel', 0, 0, 400, 300);
-const headerPanel = new Panel('HeaderPanel', 0, 0, 400, 50);
-const contentPanel = new Panel('ContentPanel', 0, 50, 400, 200);
-const footerPanel = new Panel('FooterPanel', 0, 250, 400, 50);
+    // Выполняем операции
+    console.log('\n--- Выполнение операций ---');
+    console.log('Результат операции для root:', root.operation());
 
-// Создаем кнопки
-const saveButton = new Button('SaveButton', 10, 10, 80, 30, 'Сохранить');
-const cancelButton = new Button('CancelButton', 100, 10, 80, 30, 'Отмена');
-const okButton = new Button('OkButton', 10, 10, 60, 30, 'OK');
+    console.log('\n--- Информация о структуре ---');
+    console.log('Путь к leaf1:', leaf1.getPath());
+    console.log('Путь к leaf3:', leaf3.getPath());
+    console.log('Глубина дерева:', root.getDepth());
+    console.log('Количество дочерних элементов root:', root.getChildrenCount());
+    console.log('Количество дочерних элементов branch1:', branch1.getChildrenCount());
 
-// Строим структуру UI
-mainPanel.add(headerPanel);
-mainPanel.add(contentPanel);
-mainPanel.add(footerPanel);
-headerPanel.add(saveButton);
-headerPanel.add(cancelButton);
-footerPanel.add(okButton);
+    console.log('\n--- Поиск компонентов ---');
+    const foundComponent = root.findByName('Leaf2');
+    if (foundComponent) {
+        console.log('Найден компонент:', foundComponent.getName());
+        console.log('Путь к компоненту:', foundComponent.getPath());
+    }
 
-// Настраиваем стили
-headerPanel.setBackgroundColor('#e0e0e0');
-contentPanel.setBackgroundColor('#ffffff');
-footerPanel.setBackgroundColor('#f5f5f5');
+    console.log('\n--- Все листовые компоненты ---');
+    const leaves = root.getLeaves();
+    leaves.forEach(leaf => {
+        console.log(`Лист: ${leaf.getName()}, путь: ${leaf.getPath()}`);
+    });
 
-// Отрисовываем UI
-console.log('\n--- Отрисовка UI ---');
-mainPanel.render();
+    console.log("\n=== ПРАКТИЧЕСКИЙ ПРИМЕР - ФАЙЛОВАЯ СИСТЕМА ===");
 
-// Тестируем события
-console.log('\n--- Тестирование событий ---');
-mainPanel.handleEvent('click', { x: 50, y: 20 });
-saveButton.click();
+    // Создаем файловую систему
+    const rootFolder = new Folder('Root');
+    const documentsFolder = new Folder('Documents');
+    const picturesFolder = new Folder('Pictures');
+    const workFolder = new Folder('Work');
+    const personalFolder = new Folder('Personal');
 
-// Поиск компонентов
-console.log('\n--- Поиск компонентов ---');
-const foundButton = mainPanel.findByName('SaveButton');
-if (foundButton) {
-    console.log('Найдена кнопка:', foundButton.getInfo());
-}
+    // Создаем файлы
+    const resumeFile = new File('resume.txt', 0, 'txt');
+    const photoFile = new File('photo.jpg', 2048576, 'jpg');
+    const reportFile = new File('report.pdf', 1048576, 'pdf');
+    const notesFile = new File('notes.txt', 0, 'txt');
+
+    // Устанавливаем содержимое текстовых файлов
+    resumeFile.setContent('Мое резюме: опыт работы, навыки, образование');
+    notesFile.setContent('Важные заметки: встречи, задачи, идеи');
+
+    // Строим структуру папок
+    rootFolder.add(documentsFolder);
+    rootFolder.add(picturesFolder);
+    documentsFolder.add(workFolder);
+    documentsFolder.add(personalFolder);
+    workFolder.add(reportFile);
+    personalFolder.add(resumeFile);
+    picturesFolder.add(photoFile);
+    personalFolder.add(notesFile);
+
+    // Выполняем операции
+    console.log('\n--- Выполнение операций с файлами ---');
+    console.log('Чтение всех файлов в корневой папке:');
+    console.log(rootFolder.executeOperation('read'));
+
+    console.log('\n--- Информация о структуре ---');
+    console.log('Путь к resume.txt:', resumeFile.getPath());
+    console.log('Путь к report.pdf:', reportFile.getPath());
+    console.log('Размер папки Documents:', documentsFolder.getSize(), 'байт');
+    console.log('Размер папки Personal:', personalFolder.getSize(), 'байт');
+
+    console.log('\n--- Поиск компонентов ---');
+    const foundFile = rootFolder.findByName('resume.txt');
+    if (foundFile) {
+        console.log('Найден файл:', foundFile.getName());
+        console.log('Путь к файлу:', foundFile.getPath());
+        console.log('Содержимое:', foundFile.getContent());
+    }
+
+    console.log('\n--- Статистика папок ---');
+    console.log('Статистика корневой папки:', rootFolder.getStats());
+    console.log('Статистика папки Documents:', documentsFolder.getStats());
+    console.log('Статистика папки Personal:', personalFolder.getStats());
+
+    console.log('\n--- Все файлы в системе ---');
+    const allFiles = rootFolder.getAllFiles();
+    allFiles.forEach(file => {
+        console.log(`Файл: ${file.getName()}, размер: ${file.getSize()} байт, путь: ${file.getPath()}`);
+    });
+
+    console.log("\n=== ПРИМЕР С UI КОМПОНЕНТАМИ ===");
 
-// Получение всех кнопок
-console.log('\n--- Все кнопки в системе ---');
-const allButtons = mainPanel.getAllButtons();
-allButtons.forEach(button => {
-    console.log(`Кнопка: ${button.getText()}, позиция: (${button.x}, ${button.y})`);
-});
+    // Создаем UI компоненты
+    const mainPanel = new Panel('MainPanel', 0, 0, 400, 300);
+    const headerPanel = new Panel('HeaderPanel', 0, 0, 400, 50);
+    const contentPanel = new Panel('ContentPanel', 0, 50, 400, 200);
+    const footerPanel = new Panel('FooterPanel', 0, 250, 400, 50);
 
-// Информация о компонентах
-console.log('\n--- Информация о компонентах ---');
-console.log('Главная панель:', mainPanel.getInfo());
-console.log('Заголовок:', headerPanel.getInfo());
-console.log('Кнопка сохранения:', saveButton.getInfo());
+    // Создаем кнопки
+    const saveButton = new Button('SaveButton', 10, 10, 80, 30, 'Сохранить');
+    const cancelButton = new Button('CancelButton', 100, 10, 80, 30, 'Отмена');
+    const okButton = new Button('OkButton', 10, 10, 60, 30, 'OK');
+
+    // Строим структуру UI
+    mainPanel.add(headerPanel);
+    mainPanel.add(contentPanel);
+    mainPanel.add(footerPanel);
+    headerPanel.add(saveButton);
+    headerPanel.add(cancelButton);
+    footerPanel.add(okButton);
+
+    // Настраиваем стили
+    headerPanel.setBackgroundColor('#e0e0e0');
+    contentPanel.setBackgroundColor('#ffffff');
+    footerPanel.setBackgroundColor('#f5f5f5');
+
+    // Отрисовываем UI
+    console.log('\n--- Отрисовка UI ---');
+    mainPanel.render();
+
+    // Тестируем события
+    console.log('\n--- Тестирование событий ---');
+    mainPanel.handleEvent('click', { x: 50, y: 20 });
+    saveButton.click();
+
+    // Поиск компонентов
+    console.log('\n--- Поиск компонентов ---');
+    const foundButton = mainPanel.findByName('SaveButton');
+    if (foundButton) {
+        console.log('Найдена кнопка:', foundButton.getInfo());
+    }
+
+    // Получение всех кнопок
+    console.log('\n--- Все кнопки в системе ---');
+    const allButtons = mainPanel.getAllButtons();
+    allButtons.forEach(button => {
+        console.log(`Кнопка: ${button.getText()}, позиция: (${button.x}, ${button.y})`);
+    });
+
+    // Информация о компонентах
+    console.log('\n--- Информация о компонентах ---');
+    console.log('Главная панель:', mainPanel.getInfo());
+    console.log('Заголовок:', headerPanel.getInfo());
+    console.log('Кнопка сохранения:', saveButton.getInfo());
+}
 
 // ===== ПРЕИМУЩЕСТВА И НЕДОСТАТКИ =====
 
@@ -1218,3 +1224,20 @@ console.log('Кнопка сохранения:', saveButton.getInfo());
  * - Связан с Decorator pattern
  * - Используется в Builder pattern
  */
+
+module.exports = {
+    Component,
+    Leaf,
+    Composite,
+    FileSystemComponent,
+    File,
+    Folder,
+    UIComponent,
+    Button,
+    Panel,
+    runDemo
+};
+
+if (require.main === module) {
+    runDemo();
+}
@@ -430,47 +430,6 @@ class ReverseArrayIterator extends Iterator {
     }
 }
 
-// ===== ПРИМЕР ИСПОЛЬЗОВАНИЯ =====
-
-console.log("=== БАЗОВЫЙ ПРИМЕР ITERATOR ===");
-
-// Создаем коллекцию
-const collection = new ArrayCollection(['Apple', 'Banana', 'Cherry', 'Date', 'Elderberry']);
-
-console.log('Размер коллекции:', collection.size());
-console.log('Коллекция пуста:', collection.isEmpty());
-
-// Создаем итератор
-const iterator = collection.createIterator();
-
-console.log('\n--- Обход коллекции вперед ---');
-while (iterator.hasNext()) {
-    console.log(`Элемент ${iterator.currentIndex()}: ${iterator.next()}`);
-}
-
-// Сбрасываем итератор
-iterator.reset();
-
-console.log('\n--- Обход коллекции с использованием current() ---');
-while (iterator.hasNext()) {
-    console.log(`Текущий элемент ${iterator.currentIndex()}: ${iterator.current()}`);
-    iterator.next();
-}
-
-// Создаем обратный итератор
-const reverseIterator = collection.createReverseIterator();
-
-console.log('\n--- Обход коллекции в обратном порядке ---');
-while (reverseIterator.hasNext()) {
-    console.log(`Элемент ${reverseIterator.currentIndex()}: ${reverseIterator.next()}`);
-}
-
-// Тестируем методы итератора
-console.log('\n--- Тестирование методов итератора ---');
-iterator.reset();
-iterator.goTo(2);
-console.log('Переход к индексу 2, текущий элемент:', iterator.current());
-
 // ===== ПРАКТИЧЕСКИЙ ПРИМЕР - ФАЙЛОВАЯ СИСТЕМА =====
 
 /**
@@ -700,52 +659,6 @@ class AllItemsIterator extends Iterator {
     }
 }
 
-console.log("\n=== ПРАКТИЧЕСКИЙ ПРИМЕР - ФАЙЛОВАЯ СИСТЕМА ===");
-
-// Создаем файловую систему
-const fileSystem = new FileSystem();
-
-// Добавляем файлы
-fileSystem.addFile({ name: 'document.txt', size: 1024, type: 'text' });
-fileSystem.addFile({ name: 'image.jpg', size: 2048576, type: 'image' });
-fileSystem.addFile({ name: 'video.mp4', size: 104857600, type: 'video' });
-fileSystem.addFile({ name: 'script.js', size: 5120, type: 'code' });
-
-// Добавляем папки
-fileSystem.addFolder({ name: 'Documents', path: '/home/user/documents' });
-fileSystem.addFolder({ name: 'Pictures', path: '/home/user/pictures' });
-fileSystem.addFolder({ name: 'Downloads', path: '/home/user/downloads' });
-
-console.log('Общий размер файловой системы:', fileSystem.size());
-
-// Итерируемся по файлам
-console.log('\n--- Итерация по файлам ---');
-const fileIterator = fileSystem.createFileIterator();
-while (fileIterator.hasNext()) {
-    const file = fileIterator.next();
-    console.log(`Файл: ${file.name}, размер: ${file.size} байт, тип: ${file.type}`);
-}
-
-// Итерируемся по папкам
-console.log('\n--- Итерация по папкам ---');
-const folderIterator = fileSystem.createFolderIterator();
-while (folderIterator.hasNext()) {
-    const folder = folderIterator.next();
-    console.log(`Папка: ${folder.name}, путь: ${folder.path}`);
-}
-
-// Итерируемся по всем элементам
-console.log('\n--- Итерация по всем элементам ---');
-const allItemsIterator = fileSystem.createAllItemsIterator();
-while (allItemsIterator.hasNext()) {
-    const item = allItemsIterator.next();
-    if (item.type) {
-        console.log(`Файл: ${item.name}`);
-    } else {
-        console.log(`Папка: ${item.name}`);
-    }
-}
-
 // ===== ПРИМЕР С ДЕРЕВОМ =====
 
 /**
@@ -1167,48 +1080,6 @@ class InOrderIterator extends Iterator {
     }
 }
 
-console.log("\n=== ПРИМЕР С ДЕРЕВОМ ===");
-
-// Создаем дерево
-const tree = new Tree();
-
-// Создаем узлы
-const rootNode = new TreeNode('Root');
-const child1 = new TreeNode('Child 1');
-const child2 = new TreeNode('Child 2');
-const grandchild1 = new TreeNode('Grandchild 1');
-const grandchild2 = new TreeNode('Grandchild 2');
-const grandchild3 = new TreeNode('Grandchild 3');
-
-// Строим дерево
-rootNode.addChild(child1);
-rootNode.addChild(child2);
-child1.addChild(grandchild1);
-child1.addChild(grandchild2);
-child2.addChild(grandchild3);
-
-tree.setRoot(rootNode);
-
-console.log('Размер дерева:', tree.size());
-console.log('Высота дерева:', rootNode.getHeight());
-console.log('Глубина узла Grandchild 1:', grandchild1.getDepth());
-
-// Обход дерева в глубину (DFS)
-console.log('\n--- Обход дерева в глубину (DFS) ---');
-const dfsIterator = tree.createIterator();
-while (dfsIterator.hasNext()) {
-    const node = dfsIterator.next();
-    console.log(`Узел: ${node.value}, глубина: ${node.getDepth()}`);
-}
-
-// Обход дерева в ширину (BFS)
-console.log('\n--- Обход дерева в ширину (BFS) ---');
-const bfsIterator = tree.createBreadthFirstIterator();
-while (bfsIterator.hasNext()) {
-    const node = bfsIterator.next();
-    console.log(`Узел: ${node.value}, глубина: ${node.getDepth()}`);
-}
-
 // ===== ПРИМЕР С КОЛЛЕКЦИЕЙ ОБЪЕКТОВ =====
 
 /**
@@ -1385,60 +1256,195 @@ class UserIterator extends Iterator {
     }
 }
 
-console.log("\n=== ПРИМЕР С КОЛЛЕКЦИЕЙ ПОЛЬЗОВАТЕЛЕЙ ===");
+// ===== ПРИМЕР ИСПОЛЬЗОВАНИЯ =====
 
-// Создаем коллекцию пользователей
-const userCollection = new UserCollection();
+/**
+ * Запускает демонстрацию паттерна.
+ * Вызывается только при прямом запуске файла: node 14-iterator.js
+ */
+function runDemo() {
+    console.log("=== БАЗОВЫЙ ПРИМЕР ITERATOR ===");
 
-// Добавляем пользователей
-userCollection.addUser({ id: '1', name: 'Alice', age: 25, role: 'admin', active: true });
-userCollection.addUser({ id: '2', name: 'Bob', age: 30, role: 'user', active: true });
-userCollection.addUser({ id: '3', name: 'Charlie', age: 35, role: 'moderator', active: false });
-userCollection.addUser({ id: '4', name: 'Diana', age: 28, role: 'user', active: true });
-userCollection.addUser({ id: '5', name: 'Eve', age: 32, role: 'admin', active: true });
+    // Создаем коллекцию
+    const collection = new ArrayCollection(['Apple', 'Banana', 'Cherry', 'Date', 'Elderberry']);
 
-console.log('Общее количество пользователей:', userCollection.size());
+    console.log('Размер коллекции:', collection.size());
+    console.log('Коллекция пуста:', collection.isEmpty());
 
-// Итерируемся по всем пользователям
-console.log('\n--- Все пользователи ---');
-const allUsersIterator = userCollection.createIterator();
-while (allUsersIterator.hasNext()) {
-    const user = allUsersIterator.next();
-    console.log(`${user.name} (${user.role}) - ${user.active ? 'активен' : 'неактивен'}`);
-}
+    // Создаем итератор
+    const iterator = collection.createIterator();
 
-// Итерируемся по активным пользователям
-console.log('\n--- Активные пользователи ---');
-const activeUsersIterator = userCollection.createActiveUsersIterator();
-while (activeUsersIterator.hasNext()) {
-    const user = activeUsersIterator.next();
-    console.log(`${user.name} (${user.role})`);
-}
+    console.log('\n--- Обход коллекции вперед ---');
+    while (iterator.hasNext()) {
+        console.log(`Элемент ${iterator.currentIndex()}: ${iterator.next()}`);
+    }
 
-// Итерируемся по администраторам
-console.log('\n--- Администраторы ---');
-const adminIterator = userCollection.createRoleIterator('admin');
-while (adminIterator.hasNext()) {
-    const user = adminIterator.next();
-    console.log(`${user.name} (${user.age} лет)`);
-}
+    // Сбрасываем итератор
+    iterator.reset();
 
-// Фильтруем пользователей по возрасту
-console.log('\n--- Пользователи старше 30 лет ---');
-const olderUsers = userCollection.filterUsers(user => user.age > 30);
-const olderUsersIterator = olderUsers.createIterator();
-while (olderUsersIterator.hasNext()) {
-    const user = olderUsersIterator.next();
-    console.log(`${user.name} (${user.age} лет)`);
-}
+    console.log('\n--- Обход коллекции с использованием current() ---');
+    while (iterator.hasNext()) {
+        console.log(`Текущий элемент ${iterator.currentIndex()}: ${iterator.current()}`);
+        iterator.next();
+    }
+
+    // Создаем обратный итератор
+    const reverseIterator = collection.createReverseIterator();
+
+    console.log('\n--- Обход коллекции в обратном порядке ---');
+    while (reverseIterator.hasNext()) {
+        console.log(`Элемент ${reverseIterator.currentIndex()}: ${reverseIterator.next()}`);
+    }
+
+    // Тестируем методы итератора
+    console.log('\n--- Тестирование методов итератора ---');
+    iterator.reset();
+    iterator.goTo(2);
+    console.log('Переход к индексу 2, текущий элемент:', iterator.current());
+
+    console.log("\n=== ПРАКТИЧЕСКИЙ ПРИМЕР - ФАЙЛОВАЯ СИСТЕМА ===");
+
+    // Создаем файловую систему
+    const fileSystem = new FileSystem();
+
+    // Добавляем файлы
+    fileSystem.addFile({ name: 'document.txt', size: 1024, type: 'text' });
+    fileSystem.addFile({ name: 'image.jpg', size: 2048576, type: 'image' });
+    fileSystem.addFile({ name: 'video.mp4', size: 104857600, type: 'video' });
+    fileSystem.addFile({ name: 'script.js', size: 5120, type: 'code' });
+
+    // Добавляем папки
+    fileSystem.addFolder({ name: 'Documents', path: '/home/user/documents' });
+    fileSystem.addFolder({ name: 'Pictures', path: '/home/user/pictures' });
+    fileSystem.addFolder({ name: 'Downloads', path: '/home/user/downloads' });
+
+    console.log('Общий размер файловой системы:', fileSystem.size());
+
+    // Итерируемся по файлам
+    console.log('\n--- Итерация по файлам ---');
+    const fileIterator = fileSystem.createFileIterator();
+    while (fileIterator.hasNext()) {
+        const file = fileIterator.next();
+        console.log(`Файл: ${file.name}, размер: ${file.size} байт, тип: ${file.type}`);
+    }
+
+    // Итерируемся по папкам
+    console.log('\n--- Итерация по папкам ---');
+    const folderIterator = fileSystem.createFolderIterator();
+    while (folderIterator.hasNext()) {
+        const folder = folderIterator.next();
+        console.log(`Папка: ${folder.name}, путь: ${folder.path}`);
+    }
+
+    // Итерируемся по всем элементам
+    console.log('\n--- Итерация по всем элементам ---');
+    const allItemsIterator = fileSystem.createAllItemsIterator();
+    while (allItemsIterator.hasNext()) {
+        const item = allItemsIterator.next();
+        if (item.type) {
+            console.log(`Файл: ${item.name}`);
+        } else {
+            console.log(`Папка: ${item.name}`);
+        }
+    }
+
+    console.log("\n=== ПРИМЕР С ДЕРЕВОМ ===");
+
+    // Создаем дерево
+    const tree = new Tree();
+
+    // Создаем узлы
+    const rootNode = new TreeNode('Root');
+    const child1 = new TreeNode('Child 1');
+    const child2 = new TreeNode('Child 2');
+    const grandchild1 = new TreeNode('Grandchild 1');
+    const grandchild2 = new TreeNode('Grandchild 2');
+    const grandchild3 = new TreeNode('Grandchild 3');
+
+    // Строим дерево
+    rootNode.addChild(child1);
+    rootNode.addChild(child2);
+    child1.addChild(grandchild1);
+    child1.addChild(grandchild2);
+    child2.addChild(grandchild3);
 
-// Сортируем пользователей по имени
-console.log('\n--- Пользователи, отсортированные по имени ---');
-const sortedUsers = userCollection.sortUsers('name');
-const sortedIterator = sortedUsers.createIterator();
-while (sortedIterator.hasNext()) {
-    const user = sortedIterator.next();
-    console.log(`${user.name} (${user.role})`);
+    tree.setRoot(rootNode);
+
+    console.log('Размер дерева:', tree.size());
+    console.log('Высота дерева:', rootNode.getHeight());
+    console.log('Глубина узла Grandchild 1:', grandchild1.getDepth());
+
+    // Обход дерева в глубину (DFS)
+    console.log('\n--- Обход дерева в глубину (DFS) ---');
+    const dfsIterator = tree.createIterator();
+    while (dfsIterator.hasNext()) {
+        const node = dfsIterator.next();
+        console.log(`Узел: ${node.value}, глубина: ${node.getDepth()}`);
+    }
+
+    // Обход дерева в ширину (BFS)
+    console.log('\n--- Обход дерева в ширину (BFS) ---');
+    const bfsIterator = tree.createBreadthFirstIterator();
+    while (bfsIterator.hasNext()) {
+        const node = bfsIterator.next();
+        console.log(`Узел: ${node.value}, глубина: ${node.getDepth()}`);
+    }
+
+    console.log("\n=== ПРИМЕР С КОЛЛЕКЦИЕЙ ПОЛЬЗОВАТЕЛЕЙ ===");
+
+    // Создаем коллекцию пользователей
+    const userCollection = new UserCollection();
+
+    // Добавляем пользователей
+    userCollection.addUser({ id: '1', name: 'Alice', age: 25, role: 'admin', active: true });
+    userCollection.addUser({ id: '2', name: 'Bob', age: 30, role: 'user', active: true });
+    userCollection.addUser({ id: '3', name: 'Charlie', age: 35, role: 'moderator', active: false });
+    userCollection.addUser({ id: '4', name: 'Diana', age: 28, role: 'user', active: true });
+    userCollection.addUser({ id: '5', name: 'Eve', age: 32, role: 'admin', active: true });
+
+    console.log('Общее количество пользователей:', userCollection.size());
+
+    // Итерируемся по всем пользователям
+    console.log('\n--- Все пользователи ---');
+    const allUsersIterator = userCollection.createIterator();
+    while (allUsersIterator.hasNext()) {
+        const user = allUsersIterator.next();
+        console.log(`${user.name} (${user.role}) - ${user.active ? 'активен' : 'неактивен'}`);
+    }
+
+    // Итерируемся по активным пользователям
+    console.log('\n--- Активные пользователи ---');
+    const activeUsersIterator = userCollection.createActiveUsersIterator();
+    while (activeUsersIterator.hasNext()) {
+        const user = activeUsersIterator.next();
+        console.log(`${user.name} (${user.role})`);
+    }
+
+    // Итерируемся по администраторам
+    console.log('\n--- Администраторы ---');
+    const adminIterator = userCollection.createRoleIterator('admin');
+    while (adminIterator.hasNext()) {
+        const user = adminIterator.next();
+        console.log(`${user.name} (${user.age} лет)`);
+    }
+
+    // Фильтруем пользователей по возрасту
+    console.log('\n--- Пользователи старше 30 лет ---');
+    const olderUsers = userCollection.filterUsers(user => user.age > 30);
+    const olderUsersIterator = olderUsers.createIterator();
+    while (olderUsersIterator.hasNext()) {
+        const user = olderUsersIterator.next();
+        console.log(`${user.name} (${user.age} лет)`);
+    }
+
+    // Сортируем пользователей по имени
+    console.log('\n--- Пользователи, отсортированные по имени ---');
+    const sortedUsers = userCollection.sortUsers('name');
+    const sortedIterator = sortedUsers.createIterator();
+    while (sortedIterator.hasNext()) {
+        const user = sortedIterator.next();
+        console.log(`${user.name} (${user.role})`);
+    }
 }
 
 // ===== ПРЕИМУЩЕСТВА И НЕДОСТАТКИ =====
@@ -1464,3 +1470,27 @@ while (sortedIterator.hasNext()) {
  * - Связан с Factory Method pattern
  * - Используется в Command pattern
  */
+
+module.exports = {
+    Iterator,
+    Collection,
+    ArrayCollection,
+    ArrayIterator,
+    ReverseArrayIterator,
+    FileSystem,
+    FileIterator,
+    FolderIterator,
+    AllItemsIterator,
+    TreeNode,
+    Tree,
+    DepthFirstIterator,
+    BreadthFirstIterator,
+    InOrderIterator,
+    UserCollection,
+    UserIterator,
+    runDemo
+};
+
+if (require.main === module) {
+    runDemo();
+}
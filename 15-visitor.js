@@ -211,29 +211,6 @@ function escapeHtml(str) {
 		.replaceAll("'", '&#39;');
 }
 
-console.log('=== VISITOR: базовый пример с документом ===');
-const doc = [
-	new PlainText('Привет, это текст.'),
-	new BoldText('Важная часть'),
-	new Link('ссылка', 'https://example.com'),
-	new ImageElement('Логотип', '/logo.png', 64, 64)
-];
-
-const htmlVisitor = new HtmlRenderVisitor();
-const mdVisitor = new MarkdownRenderVisitor();
-const extractor = new TextExtractVisitor();
-const wordCounter = new WordCountVisitor();
-
-const html = doc.map(el => el.accept(htmlVisitor)).join('');
-const md = doc.map(el => el.accept(mdVisitor)).join(' ');
-doc.forEach(el => el.accept(extractor));
-doc.forEach(el => el.accept(wordCounter));
-
-console.log('HTML:', html);
-console.log('Markdown:', md);
-console.log('Сырый текст:', extractor.getText());
-console.log('Количество слов:', wordCounter.getCount());
-
 // ===================== ПРАКТИКА #1: ФАЙЛОВАЯ СИСТЕМА =====================
 
 class FsElement {
@@ -314,24 +291,6 @@ class TreePrintVisitor extends FileSystemVisitor {
 	toString() { return this.lines.join('\n'); }
 }
 
-console.log('\n=== VISITOR: файловая система ===');
-const root = new FsFolder('root');
-const docs = new FsFolder('docs');
-const pics = new FsFolder('pics');
-const f1 = new FsFile('readme.txt', 1200);
-const f2 = new FsFile('cv.pdf', 230_000);
-const img = new FsFile('photo.jpg', 2_048_576);
-root.add(docs); root.add(pics);
-docs.add(f1); docs.add(f2); pics.add(img);
-
-const sizer = new SizeCalcVisitor();
-root.accept(sizer);
-const treePrinter = new TreePrintVisitor();
-root.accept(treePrinter);
-
-console.log('Размер всего:', sizer.getTotal(), 'байт');
-console.log('Дерево:\n' + treePrinter.toString());
-
 // ===================== ПРАКТИКА #2: AST (вычисление выражений) =====================
 
 class AstNode {
@@ -398,22 +357,71 @@ class OptimizeVisitor extends AstVisitor {
 	}
 }
 
-console.log('\n=== VISITOR: AST ===');
-// (2 + 3) * (4 + 5)
-const ast = new MulNode(
-	new AddNode(new NumberNode(2), new NumberNode(3)),
-	new AddNode(new NumberNode(4), new NumberNode(5))
-);
-
-const evaluator = new EvalVisitor();
-const printer = new PrintVisitor();
-const optimizer = new OptimizeVisitor();
+// ===== ДЕМОНСТРАЦИЯ =====
 
-console.log('Выражение:', ast.accept(printer));
-console.log('Значение:', ast.accept(evaluator));
-const optimized = ast.accept(optimizer);
-console.log('Оптимизированное выражение:', optimized.accept(printer));
-console.log('Оптимизированное значение:', optimized.accept(evaluator));
+/**
+ * Запускает демонстрацию паттерна.
+ * Вызывается только при прямом запуске файла: node 15-visitor.js
+ */
+function runDemo() {
+	console.log('=== VISITOR: базовый пример с документом ===');
+	const doc = [
+		new PlainText('Привет, это текст.'),
+		new BoldText('Важная часть'),
+		new Link('ссылка', 'https://example.com'),
+		new ImageElement('Логотип', '/logo.png', 64, 64)
+	];
+
+	const htmlVisitor = new HtmlRenderVisitor();
+	const mdVisitor = new MarkdownRenderVisitor();
+	const extractor = new TextExtractVisitor();
+	const wordCounter = new WordCountVisitor();
+
+	const html = doc.map(el => el.accept(htmlVisitor)).join('');
+	const md = doc.map(el => el.accept(mdVisitor)).join(' ');
+	doc.forEach(el => el.accept(extractor));
+	doc.forEach(el => el.accept(wordCounter));
+
+	console.log('HTML:', html);
+	console.log('Markdown:', md);
+	console.log('Сырый текст:', extractor.getText());
+	console.log('Количество слов:', wordCounter.getCount());
+
+	console.log('\n=== VISITOR: файловая система ===');
+	const root = new FsFolder('root');
+	const docs = new FsFolder('docs');
+	const pics = new FsFolder('pics');
+	const f1 = new FsFile('readme.txt', 1200);
+	const f2 = new FsFile('cv.pdf', 230_000);
+	const img = new FsFile('photo.jpg', 2_048_576);
+	root.add(docs);	 	root.add(pics);
+	docs.add(f1);	 	docs.add(f2);	 	pics.add(img);
+
+	const sizer = new SizeCalcVisitor();
+	root.accept(sizer);
+	const treePrinter = new TreePrintVisitor();
+	root.accept(treePrinter);
+
+	console.log('Размер всего:', sizer.getTotal(), 'байт');
+	console.log('Дерево:\n' + treePrinter.toString());
+
+	console.log('\n=== VISITOR: AST ===');
+	// (2 + 3) * (4 + 5)
+	const ast = new MulNode(
+		new AddNode(new NumberNode(2), new NumberNode(3)),
+		new AddNode(new NumberNode(4), new NumberNode(5))
+	);
+
+	const evaluator = new EvalVisitor();
+	const printer = new PrintVisitor();
+	const optimizer = new OptimizeVisitor();
+
+	console.log('Выражение:', ast.accept(printer));
+	console.log('Значение:', ast.accept(evaluator));
+	const optimized = ast.accept(optimizer);
+	console.log('Оптимизированное выражение:', optimized.accept(printer));
+	console.log('Оптимизированное значение:', optimized.accept(evaluator));
+}
 
 // ===================== ПРЕИМУЩЕСТВА / НЕДОСТАТКИ / СВЯЗИ =====================
 
@@ -433,3 +441,35 @@ console.log('Оптимизированное значение:', optimized.acce
  * - Имеет общие идеи с Iterator (обход), но Visitor переносит операции вне элементов
  * - Применяется в компиляторах вместе с Interpreter и Template Method
  */
+
+module.exports = {
+	DocumentElement,
+	PlainText,
+	BoldText,
+	Link,
+	ImageElement,
+	DocumentVisitor,
+	HtmlRenderVisitor,
+	MarkdownRenderVisitor,
+	TextExtractVisitor,
+	WordCountVisitor,
+	FsElement,
+	FsFile,
+	FsFolder,
+	FileSystemVisitor,
+	SizeCalcVisitor,
+	TreePrintVisitor,
+	AstNode,
+	NumberNode,
+	AddNode,
+	MulNode,
+	AstVisitor,
+	EvalVisitor,
+	PrintVisitor,
+	OptimizeVisitor,
+	runDemo
+};
+
+if (require.main === module) {
+	runDemo();
+}
@@ -179,20 +179,6 @@ class AdvancedRemoteControl extends RemoteControl {
   }
 }
 
-console.log("=== BRIDGE: базовый пример (Remote + Device) ===");
-const tv = new TV();
-const radio = new Radio();
-const tvRemote = new RemoteControl(tv);
-const radioRemote = new AdvancedRemoteControl(radio);
-
-tvRemote.togglePower();
-tvRemote.volumeUp();
-tvRemote.channelUp();
-radioRemote.togglePower();
-radioRemote.volumeDown();
-radioRemote.setChannel(99.5);
-radioRemote.mute();
-
 // ===================== ПРАКТИКА #1: ФИГУРЫ + РЕНДЕРЕР =====================
 
 class Renderer {
@@ -258,12 +244,34 @@ class Rectangle extends Shape {
   }
 }
 
-console.log("\n=== BRIDGE: фигуры и рендерер ===");
-const vector = new VectorRenderer();
-const raster = new RasterRenderer();
-new Circle(vector, 10, 10, 5).draw();
-new Circle(raster, 20, 5, 10).draw();
-new Rectangle(vector, 0, 0, 100, 50).draw();
+// ===== ДЕМОНСТРАЦИЯ =====
+
+/**
+ * Запускает демонстрацию паттерна.
+ * Вызывается только при прямом запуске файла: node 16-bridge.js
+ */
+function runDemo() {
+  console.log("=== BRIDGE: базовый пример (Remote + Device) ===");
+  const tv = new TV();
+  const radio = new Radio();
+  const tvRemote = new RemoteControl(tv);
+  const radioRemote = new AdvancedRemoteControl(radio);
+
+  tvRemote.togglePower();
+  tvRemote.volumeUp();
+  tvRemote.channelUp();
+  radioRemote.togglePower();
+  radioRemote.volumeDown();
+  radioRemote.setChannel(99.5);
+  radioRemote.mute();
+
+  console.log("\n=== BRIDGE: фигуры и рендерер ===");
+  const vector = new VectorRenderer();
+  const raster = new RasterRenderer();
+  new Circle(vector, 10, 10, 5).draw();
+  new Circle(raster, 20, 5, 10).draw();
+  new Rectangle(vector, 0, 0, 100, 50).draw();
+}
 
 // ===================== ПРЕИМУЩЕСТВА / НЕДОСТАТКИ / СВЯЗИ =====================
 
@@ -282,3 +290,22 @@ new Rectangle(vector, 0, 0, 100, 50).draw();
  * - Часто используется с Abstract Factory для создания подходящих реализаций
  * - Сочетается с Adapter, если нужно подружить существующие реализации
  */
+
+module.exports = {
+  Device,
+  TV,
+  Radio,
+  RemoteControl,
+  AdvancedRemoteControl,
+  Renderer,
+  VectorRenderer,
+  RasterRenderer,
+  Shape,
+  Circle,
+  Rectangle,
+  runDemo
+};
+
+if (require.main === module) {
+  runDemo();
+}
@@ -52,17 +52,6 @@ class GlyphFactory {
 	}
 }
 
-console.log('=== FLYWEIGHT: текстовые глифы ===');
-const glyphs = new GlyphFactory();
-const text = 'Flyweight pattern reduces memory';
-let x = 0;
-for (const ch of text) {
-	const glyph = glyphs.getGlyph(ch, 'Inter', 14, 'normal'); // intrinsic
-	glyph.draw(x, 10, '#333'); // extrinsic: позиция и цвет
-	x += 8;
-}
-console.log('Размер пула глифов:', glyphs.stats());
-
 // ===================== ПРАКТИКА #1: ЛЕС С ДЕРЕВЬЯМИ =====================
 
 class TreeType {
@@ -112,16 +101,6 @@ class Forest {
 	stats() { return { instances: this.trees.length, ...this.factory.stats() }; }
 }
 
-console.log('\n=== FLYWEIGHT: лес ===');
-const forest = new Forest();
-for (let i = 0; i < 1000; i++) {
-	const kind = i % 3 === 0 ? 'Oak' : i % 3 === 1 ? 'Pine' : 'Birch';
-	const color = kind === 'Oak' ? 'green' : kind === 'Pine' ? 'darkgreen' : 'lightgreen';
-	forest.plantTree(Math.random() * 500, Math.random() * 500, kind, color, `${kind}.png`);
-}
-forest.draw();
-console.log('Статистика:', forest.stats());
-
 // ===================== ПРАКТИКА #2: ИКОНКИ UI =====================
 
 class Icon {
@@ -151,14 +130,43 @@ class IconButton {
 	render() { this.icon.draw(this.x, this.y, 1, '#555'); }
 }
 
-console.log('\n=== FLYWEIGHT: иконки ===');
-const iconFactory = new IconFactory();
-const buttons = [];
-['play','pause','stop','play','pause','settings','play'].forEach((name, i) => {
-	buttons.push(new IconButton(name, i * 20, 0, iconFactory));
-});
-buttons.forEach(b => b.render());
-console.log('Кэш иконок:', iconFactory.stats());
+// ===== ДЕМОНСТРАЦИЯ =====
+
+/**
+ * Запускает демонстрацию паттерна.
+ * Вызывается только при прямом запуске файла: node 17-flyweight.js
+ */
+function runDemo() {
+	console.log('=== FLYWEIGHT: текстовые глифы ===');
+	const glyphs = new GlyphFactory();
+	const text = 'Flyweight pattern reduces memory';
+	let x = 0;
+	for (const ch of text) {
+		const glyph = glyphs.getGlyph(ch, 'Inter', 14, 'normal'); // intrinsic
+		glyph.draw(x, 10, '#333'); // extrinsic: позиция и цвет
+		x += 8;
+	}
+	console.log('Размер пула глифов:', glyphs.stats());
+
+	console.log('\n=== FLYWEIGHT: лес ===');
+	const forest = new Forest();
+	for (let i = 0; i < 1000; i++) {
+		const kind = i % 3 === 0 ? 'Oak' : i % 3 === 1 ? 'Pine' : 'Birch';
+		const color = kind === 'Oak' ? 'green' : kind === 'Pine' ? 'darkgreen' : 'lightgreen';
+		forest.plantTree(Math.random() * 500, Math.random() * 500, kind, color, `${kind}.png`);
+	}
+	forest.draw();
+	console.log('Статистика:', forest.stats());
+
+	console.log('\n=== FLYWEIGHT: иконки ===');
+	const iconFactory = new IconFactory();
+	const buttons = [];
+	['play','pause','stop','play','pause','settings','play'].forEach((name, i) => {
+		buttons.push(new IconButton(name, i * 20, 0, iconFactory));
+	});
+	buttons.forEach(b => b.render());
+	console.log('Кэш иконок:', iconFactory.stats());
+}
 
 // ===================== ПРЕИМУЩЕСТВА / НЕДОСТАТКИ / СВЯЗИ =====================
 
@@ -176,3 +184,20 @@ console.log('Кэш иконок:', iconFactory.stats());
  * - Часто используется вместе с Factory/Abstract Factory для выдачи кэшированных экземпляров
  * - Может дополнять Prototype, если создание базового образца дорого и его можно шарить
  */
+
+module.exports = {
+	Glyph,
+	GlyphFactory,
+	TreeType,
+	TreeFactory,
+	Tree,
+	Forest,
+	Icon,
+	IconFactory,
+	IconButton,
+	runDemo
+};
+
+if (require.main === module) {
+	runDemo();
+}
@@ -62,15 +62,6 @@ class ChatUser {
 	receive(from, message) { console.log(`[Recv] ${this.name} <- ${from}: ${message}`); }
 }
 
-console.log('=== MEDIATOR: чат ===');
-const room = new ChatRoom();
-const alice = new ChatUser('Alice');
-const bob = new ChatUser('Bob');
-const charlie = new ChatUser('Charlie');
-room.register(alice); room.register(bob); room.register(charlie);
-alice.send('Bob', 'Привет!');
-charlie.broadcast('Всем привет!');
-
 // ===================== ПРАКТИКА #1: ДИАЛОГ С ВИДЖЕТАМИ =====================
 
 class DialogMediator {
@@ -117,17 +108,34 @@ class Button extends Widget {
 	click() { this.mediator?.notify(this, 'click'); }
 }
 
-console.log('\n=== MEDIATOR: диалог логина ===');
-const dialog = new LoginDialog();
-const username = new TextBox('username');
-const password = new TextBox('password');
-const remember = new CheckBox('remember');
-const submit = new Button('submit');
-[username, password, remember, submit].forEach(w => dialog.register(w));
-username.setValue('admin');
-password.setValue('1234');
-remember.setChecked(true);
-submit.click();
+// ===== ДЕМОНСТРАЦИЯ =====
+
+/**
+ * Запускает демонстрацию паттерна.
+ * Вызывается только при прямом запуске файла: node 18-mediator.js
+ */
+function runDemo() {
+	console.log('=== MEDIATOR: чат ===');
+	const room = new ChatRoom();
+	const alice = new ChatUser('Alice');
+	const bob = new ChatUser('Bob');
+	const charlie = new ChatUser('Charlie');
+	room.register(alice);	 	room.register(bob);	 	room.register(charlie);
+	alice.send('Bob', 'Привет!');
+	charlie.broadcast('Всем привет!');
+
+	console.log('\n=== MEDIATOR: диалог логина ===');
+	const dialog = new LoginDialog();
+	const username = new TextBox('username');
+	const password = new TextBox('password');
+	const remember = new CheckBox('remember');
+	const submit = new Button('submit');
+	[username, password, remember, submit].forEach(w => dialog.register(w));
+	username.setValue('admin');
+	password.setValue('1234');
+	remember.setChecked(true);
+	submit.click();
+}
 
 // ===================== ПРАЕИМУЩЕСТВА / НЕДОСТАТКИ / СВЯЗИ =====================
 
@@ -145,3 +153,20 @@ submit.click();
  * - Часто используется вместе с Observer (последний может быть реализацией доставки событий посреднику)
  * - Может дополнять Colleague-объекты, реализованные через Strategy/State
  */
+
+module.exports = {
+	ChatMediator,
+	ChatRoom,
+	ChatUser,
+	DialogMediator,
+	LoginDialog,
+	Widget,
+	TextBox,
+	CheckBox,
+	Button,
+	runDemo
+};
+
+if (require.main === module) {
+	runDemo();
+}
@@ -64,19 +64,6 @@ class Caretaker {
 	stats() { return { undo: this.undoStack.length, redo: this.redoStack.length }; }
 }
 
-console.log('=== MEMENTO: базовый пример ===');
-const origin = new Originator({ a: 1, b: 2 });
-const caretaker = new Caretaker(origin);
-caretaker.save();
-origin.setState({ a: 10 });
-caretaker.save();
-origin.setState({ b: 20 });
-console.log('Состояние:', origin.getState(), 'Стек:', caretaker.stats());
-caretaker.undo();
-console.log('После undo:', origin.getState(), 'Стек:', caretaker.stats());
-caretaker.redo();
-console.log('После redo:', origin.getState(), 'Стек:', caretaker.stats());
-
 // ===================== ПРАКТИКА: ТЕКСТОВЫЙ РЕДАКТОР С UNDO/REDO =====================
 
 class TextEditor {
@@ -113,28 +100,49 @@ class EditorHistory {
 	redo() { if (!this.redoStack.length) return false; const m = this.redoStack.pop(); this.undoStack.push(this.editor.createMemento()); this.editor.restore(m); return true; }
 }
 
-console.log('\n=== MEMENTO: текстовый редактор ===');
-const editor = new TextEditor();
-const history = new EditorHistory(editor);
+// ===== ДЕМОНСТРАЦИЯ =====
 
-history.save();
-editor.insert('Hello');
-history.save();
-editor.insert(' World');
-console.log('Текст:', editor.getText());
+/**
+ * Запускает демонстрацию паттерна.
+ * Вызывается только при прямом запуске файла: node 19-memento.js
+ */
+function runDemo() {
+	console.log('=== MEMENTO: базовый пример ===');
+	const origin = new Originator({ a: 1, b: 2 });
+	const caretaker = new Caretaker(origin);
+	caretaker.save();
+	origin.setState({ a: 10 });
+	caretaker.save();
+	origin.setState({ b: 20 });
+	console.log('Состояние:', origin.getState(), 'Стек:', caretaker.stats());
+	caretaker.undo();
+	console.log('После undo:', origin.getState(), 'Стек:', caretaker.stats());
+	caretaker.redo();
+	console.log('После redo:', origin.getState(), 'Стек:', caretaker.stats());
 
-editor.select(6, 11);
-editor.copy();
-editor.select(11, 11);
-history.save();
-editor.paste();
-console.log('После paste:', editor.getText());
+	console.log('\n=== MEMENTO: текстовый редактор ===');
+	const editor = new TextEditor();
+	const history = new EditorHistory(editor);
 
-history.undo();
-console.log('После undo:', editor.getText());
+	history.save();
+	editor.insert('Hello');
+	history.save();
+	editor.insert(' World');
+	console.log('Текст:', editor.getText());
 
-history.redo();
-console.log('После redo:', editor.getText());
+	editor.select(6, 11);
+	editor.copy();
+	editor.select(11, 11);
+	history.save();
+	editor.paste();
+	console.log('После paste:', editor.getText());
+
+	history.undo();
+	console.log('После undo:', editor.getText());
+
+	history.redo();
+	console.log('После redo:', editor.getText());
+}
 
 /**
  * Преимущества:
@@ -149,3 +157,16 @@ console.log('После redo:', editor.getText());
  * - Часто сочетается с Command (команды создают снимки перед выполнением)
  * - Может использоваться с Prototype при клонировании состояния
  */
+
+module.exports = {
+	Memento,
+	Originator,
+	Caretaker,
+	TextEditor,
+	EditorHistory,
+	runDemo
+};
+
+if (require.main === module) {
+	runDemo();
+}
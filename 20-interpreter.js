@@ -91,11 +91,6 @@ class Parser {
 	}
 }
 
-console.log('=== INTERPRETER: математика ===');
-const ctx = new Context({ x: 2, y: 3 });
-const expr = new Parser('2 + x * (y + 5) / 2').parseExpression();
-console.log('Результат:', expr.interpret(ctx));
-
 // ===================== ЛОГИЧЕСКИЕ ВЫРАЖЕНИЯ =====================
 
 class BoolContext extends Context {}
@@ -106,10 +101,23 @@ class AndExpr extends BoolExpression { constructor(l, r) { super(); this.l = l;
 class OrExpr extends BoolExpression { constructor(l, r) { super(); this.l = l; this.r = r; } interpret(ctx) { return this.l.interpret(ctx) || this.r.interpret(ctx); } }
 class NotExpr extends BoolExpression { constructor(e) { super(); this.e = e; } interpret(ctx) { return !this.e.interpret(ctx); } }
 
-console.log('\n=== INTERPRETER: логика ===');
-const bctx = new BoolContext({ admin: true, paid: false });
-const rule = new AndExpr(new BoolVar('admin'), new NotExpr(new BoolVar('banned')));
-console.log('Правило доступа:', rule.interpret(bctx));
+// ===== ДЕМОНСТРАЦИЯ =====
+
+/**
+ * Запускает демонстрацию паттерна.
+ * Вызывается только при прямом запуске файла: node 20-interpreter.js
+ */
+function runDemo() {
+	console.log('=== INTERPRETER: математика ===');
+	const ctx = new Context({ x: 2, y: 3 });
+	const expr = new Parser('2 + x * (y + 5) / 2').parseExpression();
+	console.log('Результат:', expr.interpret(ctx));
+
+	console.log('\n=== INTERPRETER: логика ===');
+	const bctx = new BoolContext({ admin: true, paid: false });
+	const rule = new AndExpr(new BoolVar('admin'), new NotExpr(new BoolVar('banned')));
+	console.log('Правило доступа:', rule.interpret(bctx));
+}
 
 // ===================== ПРЕИМУЩЕСТВА / НЕДОСТАТКИ / СВЯЗИ =====================
 
@@ -126,3 +134,27 @@ console.log('Правило доступа:', rule.interpret(bctx));
  * - Часто используется вместе с Visitor для обхода/анализа AST
  * - Сопровождается Composite (дерево выражений)
  */
+
+module.exports = {
+	Context,
+	Expression,
+	NumberExpr,
+	VariableExpr,
+	AddExpr,
+	SubExpr,
+	MulExpr,
+	DivExpr,
+	Parser,
+	BoolContext,
+	BoolExpression,
+	BoolLiteral,
+	BoolVar,
+	AndExpr,
+	OrExpr,
+	NotExpr,
+	runDemo
+};
+
+if (require.main === module) {
+	runDemo();
+}
@@ -95,17 +95,6 @@ class Director {
   }
 }
 
-console.log("=== BUILDER: базовый пример ===");
-const director = new Director();
-const b1 = new ConcreteBuilder1();
-director.setBuilder(b1);
-director.buildFullFeaturedProduct();
-console.log(b1.getResult().description());
-const b2 = new ConcreteBuilder2();
-director.setBuilder(b2);
-director.buildMinimalViableProduct();
-console.log(b2.getResult().description());
-
 // ===================== ПРАКТИКА #1: FLUENT BUILDER ДЛЯ HTTP ЗАПРОСА =====================
 
 class HttpRequest {
@@ -171,17 +160,6 @@ class HttpRequestBuilder {
   }
 }
 
-console.log("\n=== BUILDER: HTTP запрос ===");
-const req = new HttpRequestBuilder()
-  .method("POST")
-  .url("/api/users")
-  .header("X-Trace-Id", "abc123")
-  .query("active", "true")
-  .json({ name: "Alice", age: 30 })
-  .timeout(10000)
-  .build();
-console.log("Request:", req);
-
 // ===================== ПРАКТИКА #2: ПОСТРОЕНИЕ ДОМА =====================
 
 class House {
@@ -256,19 +234,49 @@ class HouseBuilder {
   }
 }
 
-console.log("\n=== BUILDER: дом ===");
-const cottage = new HouseBuilder().windows(6).garden().build();
-const villa = new HouseBuilder()
-  .walls(10)
-  .roof("flat")
-  .windows(12)
-  .doors(4)
-  .garage()
-  .pool()
-  .garden()
-  .build();
-console.log(cottage.description());
-console.log(villa.description());
+// ===== ДЕМОНСТРАЦИЯ =====
+
+/**
+ * Запускает демонстрацию паттерна.
+ * Вызывается только при прямом запуске файла: node 21-builder.js
+ */
+function runDemo() {
+  console.log("=== BUILDER: базовый пример ===");
+  const director = new Director();
+  const b1 = new ConcreteBuilder1();
+  director.setBuilder(b1);
+  director.buildFullFeaturedProduct();
+  console.log(b1.getResult().description());
+  const b2 = new ConcreteBuilder2();
+  director.setBuilder(b2);
+  director.buildMinimalViableProduct();
+  console.log(b2.getResult().description());
+
+  console.log("\n=== BUILDER: HTTP запрос ===");
+  const req = new HttpRequestBuilder()
+    .method("POST")
+    .url("/api/users")
+    .header("X-Trace-Id", "abc123")
+    .query("active", "true")
+    .json({ name: "Alice", age: 30 })
+    .timeout(10000)
+    .build();
+  console.log("Request:", req);
+
+  console.log("\n=== BUILDER: дом ===");
+  const cottage = new HouseBuilder().windows(6).garden().build();
+  const villa = new HouseBuilder()
+    .walls(10)
+    .roof("flat")
+    .windows(12)
+    .doors(4)
+    .garage()
+    .pool()
+    .garden()
+    .build();
+  console.log(cottage.description());
+  console.log(villa.description());
+}
 
 /**
  * Преимущества:
@@ -283,3 +291,20 @@ console.log(villa.description());
  * Связи:
  * - Часто используется с Director; может сочетаться с Abstract Factory
  */
+
+module.exports = {
+  Product,
+  Builder,
+  ConcreteBuilder1,
+  ConcreteBuilder2,
+  Director,
+  HttpRequest,
+  HttpRequestBuilder,
+  House,
+  HouseBuilder,
+  runDemo,
+};
+
+if (require.main === module) {
+  runDemo();
+}
@@ -78,12 +78,6 @@ class Application {
   }
 }
 
-console.log("=== ABSTRACT FACTORY: GUI ===");
-const appWin = new Application(new WinFactory());
-appWin.render();
-const appMac = new Application(new MacFactory());
-appMac.render();
-
 // ===================== ПРИМЕР: БД ДРАЙВЕРЫ (SQL / NoSQL) =====================
 
 class SqlConnection {
@@ -163,9 +157,23 @@ class Repository {
   }
 }
 
-console.log("\n=== ABSTRACT FACTORY: БД ===");
-new Repository(new SqlFactory()).run();
-new Repository(new NoSqlFactory()).run();
+// ===== ДЕМОНСТРАЦИЯ =====
+
+/**
+ * Запускает демонстрацию паттерна.
+ * Вызывается только при прямом запуске файла: node 22-abstract-factory.js
+ */
+function runDemo() {
+  console.log("=== ABSTRACT FACTORY: GUI ===");
+  const appWin = new Application(new WinFactory());
+  appWin.render();
+  const appMac = new Application(new MacFactory());
+  appMac.render();
+
+  console.log("\n=== ABSTRACT FACTORY: БД ===");
+  new Repository(new SqlFactory()).run();
+  new Repository(new NoSqlFactory()).run();
+}
 
 /**
  * Преимущества:
@@ -180,3 +188,29 @@ new Repository(new NoSqlFactory()).run();
  * - Часто используется совместно с Factory Method внутри реализации
  * - Может сочетаться с Builder для конфигурируемого создания
  */
+
+module.exports = {
+  Button,
+  Checkbox,
+  WinButton,
+  WinCheckbox,
+  MacButton,
+  MacCheckbox,
+  GUIFactory,
+  WinFactory,
+  MacFactory,
+  Application,
+  SqlConnection,
+  SqlTransaction,
+  NoSqlConnection,
+  NoSqlTransaction,
+  DbFactory,
+  SqlFactory,
+  NoSqlFactory,
+  Repository,
+  runDemo
+};
+
+if (require.main === module) {
+  runDemo();
+}
@@ -49,12 +49,6 @@ class Rectangle extends Shape {
   }
 }
 
-console.log("=== PROTOTYPE: базовый пример ===");
-const circle1 = new Circle(10, 20, "red", 15);
-const circle2 = circle1.clone();
-console.log("Исходный:", circle1);
-console.log("Клон:", circle2);
-
 // ===================== ПРАКТИКА: РЕГИСТР ПРОТОТИПОВ =====================
 
 class PrototypeRegistry {
@@ -73,14 +67,6 @@ class PrototypeRegistry {
   }
 }
 
-console.log("\n=== PROTOTYPE: реестр ===");
-const registry = new PrototypeRegistry();
-registry.register("small-red-circle", new Circle(0, 0, "red", 5));
-registry.register("large-blue-rect", new Rectangle(0, 0, "blue", 100, 50));
-const c = registry.create("small-red-circle", { x: 100, y: 100 });
-const r = registry.create("large-blue-rect", { color: "green" });
-console.log("Созданные объекты:", c, r);
-
 // ===================== ГЛУБОКОЕ КЛОНИРОВАНИЕ С СОСТОЯНИЕМ =====================
 
 class DocumentPrototype extends Prototype {
@@ -99,15 +85,37 @@ class DocumentPrototype extends Prototype {
   }
 }
 
-console.log("\n=== PROTOTYPE: документ ===");
-const doc1 = new DocumentPrototype("Report", { author: "Alice" }, [
-  { h: "Intro", t: "..." },
-]);
-const doc2 = doc1.clone();
-doc2.meta.author = "Bob";
-doc2.sections[0].t = "Updated";
-console.log("Оригинал:", doc1);
-console.log("Клон:", doc2);
+// ===== ДЕМОНСТРАЦИЯ =====
+
+/**
+ * Запускает демонстрацию паттерна.
+ * Вызывается только при прямом запуске файла: node 23-prototype.js
+ */
+function runDemo() {
+  console.log("=== PROTOTYPE: базовый пример ===");
+  const circle1 = new Circle(10, 20, "red", 15);
+  const circle2 = circle1.clone();
+  console.log("Исходный:", circle1);
+  console.log("Клон:", circle2);
+
+  console.log("\n=== PROTOTYPE: реестр ===");
+  const registry = new PrototypeRegistry();
+  registry.register("small-red-circle", new Circle(0, 0, "red", 5));
+  registry.register("large-blue-rect", new Rectangle(0, 0, "blue", 100, 50));
+  const c = registry.create("small-red-circle", { x: 100, y: 100 });
+  const r = registry.create("large-blue-rect", { color: "green" });
+  console.log("Созданные объекты:", c, r);
+
+  console.log("\n=== PROTOTYPE: документ ===");
+  const doc1 = new DocumentPrototype("Report", { author: "Alice" }, [
+    { h: "Intro", t: "..." },
+  ]);
+  const doc2 = doc1.clone();
+  doc2.meta.author = "Bob";
+  doc2.sections[0].t = "Updated";
+  console.log("Оригинал:", doc1);
+  console.log("Клон:", doc2);
+}
 
 /**
  * Преимущества:
@@ -122,3 +130,17 @@ console.log("Клон:", doc2);
  * - Может использоваться с Factory/Abstract Factory, где фабрика возвращает клоны
  * - Сочетается с Memento при сохранении состояний
  */
+
+module.exports = {
+  Prototype,
+  Shape,
+  Circle,
+  Rectangle,
+  PrototypeRegistry,
+  DocumentPrototype,
+  runDemo,
+};
+
+if (require.main === module) {
+  runDemo();
+}
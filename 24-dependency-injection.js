@@ -0,0 +1,392 @@
+/**
+ * DEPENDENCY INJECTION (Внедрение зависимостей, DI-контейнер)
+ *
+ * Назначение: Объект не создает свои зависимости сам, а получает их извне.
+ * Контейнер знает, как создать каждый сервис, и собирает граф объектов,
+ * передавая зависимости через конструктор.
+ *
+ * Когда использовать:
+ * - Когда вместо глобальных Singleton нужен управляемый жизненный цикл
+ * - Когда реализации нужно подменять (тесты, разные окружения)
+ * - Когда граф зависимостей большой и собирать его вручную неудобно
+ *
+ * Время жизни (lifetime):
+ * - singleton - один экземпляр на контейнер, в котором сделана регистрация
+ * - transient - новый экземпляр при каждом resolve()
+ * - scoped    - один экземпляр на область (запрос, тест)
+ */
+
+const { NotificationCreator, EmailNotificationCreator, SMSNotificationCreator, PushNotificationCreator } = require('./02-factory-method');
+const { PaymentProcessor, CreditCardPayment, formatMoney } = require('./04-strategy');
+const { DatabaseConnection, CacheSystem, LoggingSystem, DatabaseFacade } = require('./08-facade');
+
+// ===== ОШИБКИ =====
+
+/**
+ * Ошибка разрешения зависимости.
+ * chain - цепочка токенов от запрошенного сервиса до проблемного
+ */
+class ResolutionError extends Error {
+    constructor(message, chain = []) {
+        super(chain.length > 0 ? `${message} (цепочка: ${formatChain(chain)})` : message);
+        this.name = 'ResolutionError';
+        this.chain = chain;
+    }
+}
+
+/**
+ * Циклическая зависимость: A -> B -> C -> A
+ */
+class CircularDependencyError extends ResolutionError {
+    constructor(chain) {
+        super('Обнаружена циклическая зависимость', chain);
+        this.name = 'CircularDependencyError';
+    }
+}
+
+function describeToken(token) {
+    if (typeof token === 'function') {
+        return token.name;
+    }
+    return typeof token === 'symbol' ? token.toString() : String(token);
+}
+
+function formatChain(chain) {
+    return chain.map(describeToken).join(' -> ');
+}
+
+// ===== КОНТЕЙНЕР =====
+
+const Lifetime = Object.freeze({
+    SINGLETON: 'singleton',
+    TRANSIENT: 'transient',
+    SCOPED: 'scoped'
+});
+
+/**
+ * DI-контейнер.
+ * Дочерние контейнеры (createChild) видят регистрации родителя и могут
+ * переопределять их, не затрагивая родителя. Области (createScope) - это
+ * дочерние контейнеры, в которых кэшируются scoped-сервисы.
+ */
+class Container {
+    constructor(parent = null) {
+        this.parent = parent;
+        this.registrations = new Map();
+        // Экземпляры singleton-сервисов, зарегистрированных в этом контейнере
+        this.singletons = new Map();
+        // Экземпляры scoped-сервисов этой области
+        this.scopedInstances = new Map();
+    }
+
+    /**
+     * Регистрирует сервис
+     * @param {*} token - Токен (класс, строка или Symbol)
+     * @param {Object} provider - Способ создания:
+     *   { useClass, deps } | { useFactory, deps } | { useValue }
+     * @param {string} [provider.lifetime] - Время жизни (Lifetime), по умолчанию transient
+     * @returns {Container}
+     */
+    register(token, provider) {
+        const { useClass, useFactory, useValue, lifetime = Lifetime.TRANSIENT } = provider;
+        const kinds = [useClass, useFactory, useValue].filter((value) => value !== undefined);
+
+        if (kinds.length !== 1) {
+            throw new Error(`Для "${describeToken(token)}" нужно указать ровно одно из useClass, useFactory, useValue`);
+        }
+        if (!Object.values(Lifetime).includes(lifetime)) {
+            throw new Error(`Неизвестное время жизни "${lifetime}" для "${describeToken(token)}"`);
+        }
+
+        // Зависимости берутся из регистрации или из static inject класса
+        const deps = provider.deps || (useClass && useClass.inject) || [];
+
+        this.registrations.set(token, {
+            token,
+            useClass,
+            useFactory,
+            useValue,
+            deps,
+            lifetime: useValue !== undefined ? Lifetime.SINGLETON : lifetime
+        });
+        this.singletons.delete(token);
+        return this;
+    }
+
+    /**
+     * Регистрирует класс с временем жизни singleton
+     */
+    singleton(token, useClass = token, deps) {
+        return this.register(token, { useClass, deps, lifetime: Lifetime.SINGLETON });
+    }
+
+    /**
+     * Регистрирует класс с временем жизни transient
+     */
+    transient(token, useClass = token, deps) {
+        return this.register(token, { useClass, deps, lifetime: Lifetime.TRANSIENT });
+    }
+
+    /**
+     * Регистрирует класс с временем жизни scoped
+     */
+    scoped(token, useClass = token, deps) {
+        return this.register(token, { useClass, deps, lifetime: Lifetime.SCOPED });
+    }
+
+    /**
+     * Регистрирует готовое значение
+     */
+    value(token, useValue) {
+        return this.register(token, { useValue });
+    }
+
+    /**
+     * Есть ли регистрация в этом контейнере или у родителей
+     * @param {*} token
+     * @returns {boolean}
+     */
+    has(token) {
+        return this.findOwner(token) !== null;
+    }
+
+    /**
+     * Возвращает экземпляр сервиса, создавая зависимости по цепочке
+     * @param {*} token
+     * @returns {*}
+     */
+    resolve(token) {
+        return this.resolveWithChain(token, []);
+    }
+
+    /**
+     * Создает дочерний контейнер для переопределений (например, в тестах)
+     * @returns {Container}
+     */
+    createChild() {
+        return new Container(this);
+    }
+
+    /**
+     * Создает область для scoped-сервисов (например, на время запроса)
+     * @returns {Container}
+     */
+    createScope() {
+        return new Container(this);
+    }
+
+    findOwner(token) {
+        let container = this;
+        while (container) {
+            if (container.registrations.has(token)) {
+                return container;
+            }
+            container = container.parent;
+        }
+        return null;
+    }
+
+    resolveWithChain(token, chain) {
+        const nextChain = [...chain, token];
+
+        if (chain.includes(token)) {
+            throw new CircularDependencyError(nextChain);
+        }
+
+        const owner = this.findOwner(token);
+        if (!owner) {
+            throw new ResolutionError(`Сервис "${describeToken(token)}" не зарегистрирован`, nextChain);
+        }
+
+        const registration = owner.registrations.get(token);
+
+        switch (registration.lifetime) {
+            case Lifetime.SINGLETON:
+                // Singleton живет в контейнере регистрации, но зависимости
+                // разрешаются оттуда же, чтобы не захватить чужие переопределения
+                if (!owner.singletons.has(token)) {
+                    owner.singletons.set(token, owner.instantiate(registration, nextChain));
+                }
+                return owner.singletons.get(token);
+
+            case Lifetime.SCOPED:
+                if (!this.scopedInstances.has(token)) {
+                    this.scopedInstances.set(token, this.instantiate(registration, nextChain));
+                }
+                return this.scopedInstances.get(token);
+
+            default:
+                return this.instantiate(registration, nextChain);
+        }
+    }
+
+    instantiate(registration, chain) {
+        if (registration.useValue !== undefined) {
+            return registration.useValue;
+        }
+
+        const args = registration.deps.map((dep) => this.resolveWithChain(dep, chain));
+
+        if (registration.useFactory) {
+            return registration.useFactory(...args);
+        }
+        return new registration.useClass(...args);
+    }
+}
+
+// ===== ПРАКТИЧЕСКИЙ ПРИМЕР - СЕРВИС ЗАКАЗОВ =====
+
+/**
+ * Сервис заказов не знает, какие реализации БД, оплаты и уведомлений
+ * ему передали - он получает их через конструктор
+ */
+class OrderService {
+    static inject = ['db', 'payments', 'notifications'];
+
+    constructor(db, payments, notifications) {
+        this.db = db;
+        this.payments = payments;
+        this.notifications = notifications;
+    }
+
+    async placeOrder(order) {
+        // Номер заказа служит ключом идемпотентности: повтор запроса не спишет деньги дважды
+        const payment = this.payments.processPayment(order.amount, order.paymentData, {
+            currency: order.currency,
+            idempotencyKey: order.id
+        });
+        await this.db.executeQuery('INSERT INTO orders (customer, amount) VALUES (?, ?)', { customer: order.customer, amount: order.amount }, false);
+        const notification = await this.notifications.sendNotification(order.email, `Заказ на ${formatMoney(order.amount, order.currency)} оплачен`, {
+            subject: 'Заказ оформлен'
+        });
+        return { payment, notification };
+    }
+}
+
+/**
+ * Создает корневой контейнер с сервисами из примеров других паттернов
+ * @returns {Container}
+ */
+function createAppContainer() {
+    const container = new Container();
+
+    container
+        .singleton(DatabaseConnection)
+        .singleton(CacheSystem)
+        .singleton(LoggingSystem)
+        .singleton('db', DatabaseFacade, [DatabaseConnection, CacheSystem, LoggingSystem])
+        .register('payments', {
+            useFactory: () => {
+                const processor = new PaymentProcessor();
+                processor.setStrategy(new CreditCardPayment());
+                return processor;
+            },
+            lifetime: Lifetime.SCOPED
+        })
+        .singleton(NotificationCreator, EmailNotificationCreator)
+        .register('notifications', { useFactory: (creator) => creator, deps: [NotificationCreator] })
+        .scoped(OrderService);
+
+    return container;
+}
+
+// ===== ПРИМЕРЫ ИСПОЛЬЗОВАНИЯ =====
+
+/**
+ * Запускает демонстрацию паттерна.
+ * Вызывается только при прямом запуске файла: node 24-dependency-injection.js
+ */
+async function runDemo() {
+    console.log('=== DI-КОНТЕЙНЕР ===');
+
+    const container = createAppContainer();
+
+    // Singleton: один экземпляр на весь контейнер
+    console.log('db - singleton?', container.resolve('db') === container.resolve('db'));
+
+    // Scoped: один экземпляр на область
+    const requestScope1 = container.createScope();
+    const requestScope2 = container.createScope();
+    console.log('OrderService в одной области один?',
+        requestScope1.resolve(OrderService) === requestScope1.resolve(OrderService));
+    console.log('OrderService в разных областях разный?',
+        requestScope1.resolve(OrderService) !== requestScope2.resolve(OrderService));
+
+    const orderService = requestScope1.resolve(OrderService);
+    const result = await orderService.placeOrder({
+        id: 'order-1001',
+        customer: 'Иван',
+        email: 'ivan@example.com',
+        amount: 150000,
+        currency: 'RUB',
+        paymentData: { cardNumber: '4111111111111111', expiryDate: '12/35', cvv: '123' }
+    });
+    console.log('Статус уведомления:', result.notification.status);
+
+    console.log('\n=== ПЕРЕОПРЕДЕЛЕНИЕ В ДОЧЕРНЕМ КОНТЕЙНЕРЕ ===');
+
+    // Для теста подменяем канал уведомлений, не затрагивая основной контейнер
+    const testContainer = container.createChild();
+    testContainer.singleton(NotificationCreator, SMSNotificationCreator);
+    console.log('Тестовый контейнер:', testContainer.resolve('notifications').constructor.name);
+    console.log('Основной контейнер:', container.resolve('notifications').constructor.name);
+
+    const pushContainer = container.createChild();
+    pushContainer.singleton(NotificationCreator, PushNotificationCreator);
+    console.log('Push контейнер:', pushContainer.resolve(NotificationCreator).constructor.name);
+
+    console.log('\n=== ОБНАРУЖЕНИЕ ЦИКЛОВ ===');
+
+    const cyclic = new Container();
+    cyclic
+        .register('A', { useFactory: (b) => ({ b }), deps: ['B'] })
+        .register('B', { useFactory: (c) => ({ c }), deps: ['C'] })
+        .register('C', { useFactory: (a) => ({ a }), deps: ['A'] });
+
+    try {
+        cyclic.resolve('A');
+    } catch (error) {
+        console.log(`${error.name}: ${error.message}`);
+        console.log('Цепочка:', error.chain);
+    }
+
+    try {
+        container.createChild()
+            .register('reports', { useFactory: (mailer) => mailer, deps: ['mailer'] })
+            .resolve('reports');
+    } catch (error) {
+        console.log(`${error.name}: ${error.message}`);
+    }
+}
+
+// ===== ПРЕИМУЩЕСТВА И НЕДОСТАТКИ =====
+
+/**
+ * ПРЕИМУЩЕСТВА:
+ * - Классы не зависят от конкретных реализаций и способа их создания
+ * - Легко подменять зависимости в тестах через дочерний контейнер
+ * - Время жизни объектов управляется в одном месте
+ *
+ * НЕДОСТАТКИ:
+ * - Граф зависимостей виден только во время выполнения
+ * - Ошибки конфигурации проявляются при resolve(), а не при запуске
+ *
+ * СВЯЗИ С ДРУГИМИ ПАТТЕРНАМИ:
+ * - Заменяет глобальные Singleton управляемым временем жизни
+ * - Использует Factory Method (useFactory) для создания сервисов
+ * - Service Locator - близкая альтернатива, но зависимости там запрашиваются явно
+ */
+
+module.exports = {
+    ResolutionError,
+    CircularDependencyError,
+    Lifetime,
+    Container,
+    OrderService,
+    createAppContainer,
+    runDemo
+};
+
+if (require.main === module) {
+    runDemo();
+}